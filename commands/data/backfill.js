@@ -0,0 +1,67 @@
+import { SourceManager } from '../../src/sources/index.js';
+import { logger } from '../../src/utils/logger.js';
+
+export class BackfillCommand {
+  constructor() {
+    this.sourceManager = SourceManager.getInstance();
+  }
+
+  async execute(options = {}) {
+    const { backfillId, sourceId, dataset, from, to, chunk, seriesIds, status = false } = options;
+    
+    try {
+      if (backfillId && status) {
+        const backfill = await this.sourceManager.getBackfill(backfillId);
+        if (!backfill) {
+          throw new Error(`Backfill not found: ${backfillId}`);
+        }
+        return this.summarize(backfill);
+      }
+      
+      if (backfillId) {
+        logger.info('Resuming backfill', { backfillId });
+        return this.summarize(await this.sourceManager.resumeBackfill(backfillId, { trigger: 'cli' }));
+      }
+      
+      logger.info('Starting backfill command', { sourceId, dataset, from, to, chunk, seriesIds });
+      
+      // Re-running the same command resumes an interrupted backfill from its last checkpoint
+      const backfill = await this.sourceManager.backfill({
+        sourceId,
+        ...(dataset && { dataset }),
+        from,
+        to,
+        ...(chunk && { chunk }),
+        ...(seriesIds && { seriesIds: this.parseList(seriesIds) }),
+        trigger: 'cli'
+      });
+      
+      logger.info('Backfill command completed', { backfillId: backfill.backfillId, status: backfill.status });
+      return this.summarize(backfill);
+    } catch (error) {
+      logger.error('Error during backfill command', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+
+  parseList(value) {
+    return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  summarize({ backfillId, sourceId, dataset, from, to, status, progress, completedChunks, totalChunks, dataCount, error, chunks }) {
+    return {
+      backfillId,
+      sourceId,
+      dataset,
+      from,
+      to,
+      status,
+      progress: `${Math.round(progress * 100)}%`,
+      completedChunks,
+      totalChunks,
+      dataCount,
+      error,
+      failedChunks: chunks.filter(chunk => chunk.status === 'failed')
+    };
+  }
+}
@@ -7,19 +7,19 @@ export class FetchDataCommand {
   }
 
   async execute(options = {}) {
-    const { sourceId, limit, force = false } = options;
+    const { sourceId, limit, force = false, full = false } = options;
     
     try {
-      logger.info('Starting data fetch command', { sourceId, limit, force });
+      logger.info('Starting data fetch command', { sourceId, limit, force, full });
       
       if (sourceId) {
         // Fetch from specific source
-        const result = await this.sourceManager.harvestSourceById(sourceId, { limit, force });
+        const result = await this.sourceManager.harvestSourceById(sourceId, { limit, force, full, trigger: 'cli' });
         logger.info('Data fetch completed for specific source', { sourceId, result });
         return result;
       } else {
         // Fetch from all sources
-        const results = await this.sourceManager.harvestAll({ limit, force });
+        const results = await this.sourceManager.harvestAll({ limit, force, full, trigger: 'cli' });
         logger.info('Data fetch completed for all sources', { results });
         return results;
       }
@@ -0,0 +1,28 @@
+import { SourceManager } from '../../src/sources/index.js';
+import { logger } from '../../src/utils/logger.js';
+
+export class GeocodeCommand {
+  constructor() {
+    this.sourceManager = SourceManager.getInstance();
+  }
+
+  async execute(options = {}) {
+    const { sourceId = 'insee', force = false, pageSize } = options;
+    
+    try {
+      logger.info('Starting geocode command', { sourceId, force });
+      
+      // Without --force, records whose address is unchanged keep their position
+      const result = await this.sourceManager.geocodeSource(sourceId, {
+        force: force === true || force === 'true',
+        ...(pageSize && { pageSize: Number(pageSize) })
+      });
+      
+      logger.info('Geocode command completed', { sourceId, updated: result.updated });
+      return { sourceId, ...result };
+    } catch (error) {
+      logger.error('Error during geocode command', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,36 @@
+import { SourceManager } from '../../src/sources/index.js';
+import { logger } from '../../src/utils/logger.js';
+
+export class DataHistoryCommand {
+  constructor() {
+    this.sourceManager = SourceManager.getInstance();
+  }
+
+  async execute(options = {}) {
+    const { sourceId = 'insee', query = {}, asOf } = options;
+    
+    try {
+      logger.info('Starting data history command', { sourceId, query, asOf });
+      
+      if (asOf) {
+        const result = await this.sourceManager.getDataAsOf(sourceId, query, asOf);
+        logger.info('Data as-of query completed', { sourceId, asOf, found: !!result });
+        return result;
+      }
+      
+      const versions = await this.sourceManager.getDataHistory(sourceId, query);
+      
+      logger.info('Data history query completed', { sourceId, versionCount: versions.length });
+      return versions.map(({ version, validFrom, validTo, changedFields, runId }) => ({
+        version,
+        validFrom,
+        validTo,
+        changedFields,
+        runId
+      }));
+    } catch (error) {
+      logger.error('Error during data history query', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+}
@@ -7,31 +7,53 @@ export class QueryDataCommand {
   }
 
   async execute(options = {}) {
-    const { sourceId, query, limit = 100, offset = 0, sort, filter } = options;
+    const { sourceId, query, filter, limit = 100, offset = 0, sort, projection, cursor } = options;
     
     try {
-      logger.info('Starting data query command', { sourceId, query, limit, offset });
+      logger.info('Starting data query command', { sourceId, query, filter, limit, offset, sort });
       
       if (!sourceId) {
         throw new Error('Source ID is required for data query');
       }
       
-      const result = await this.sourceManager.getData(sourceId, {
-        query,
-        limit,
-        offset,
-        sort,
-        filter
+      const page = await this.sourceManager.getDataPage(sourceId, {
+        ...this.parseFilter(query),
+        ...this.parseFilter(filter)
+      }, {
+        limit: Number(limit),
+        ...(cursor ? { cursor } : { offset: Number(offset) }),
+        ...(sort && { sort: this.parseJson(sort) }),
+        ...(projection && { projection: this.parseJson(projection) })
       });
       
-      logger.info('Data query completed', { sourceId, resultCount: result.length });
-      return result;
+      logger.info('Data query completed', { sourceId, resultCount: page.items.length, nextCursor: page.nextCursor });
+      return page;
     } catch (error) {
       logger.error('Error during data query', { error: error.message, stack: error.stack });
       throw error;
     }
   }
 
+  // Options passed on the command line arrive as JSON strings
+  parseJson(value) {
+    if (typeof value !== 'string') {
+      return value || {};
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  parseFilter(value) {
+    const parsed = this.parseJson(value);
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`Filter must be a JSON object, e.g. '{"codeCommune":"29019"}': ${value}`);
+    }
+    return parsed;
+  }
+
   async getById(sourceId, id) {
     try {
       logger.info('Starting data query by ID', { sourceId, id });
@@ -0,0 +1,52 @@
+import { SourceManager } from '../../src/sources/index.js';
+import { logger } from '../../src/utils/logger.js';
+
+export class HarvestRunsCommand {
+  constructor() {
+    this.sourceManager = SourceManager.getInstance();
+  }
+
+  async execute(options = {}) {
+    const { runId, sourceId, status, trigger, limit = 20, cursor } = options;
+    
+    try {
+      if (runId) {
+        logger.info('Starting harvest run inspection', { runId });
+        
+        const run = await this.sourceManager.getHarvestRun(runId);
+        if (!run) {
+          throw new Error(`Harvest run not found: ${runId}`);
+        }
+        return run;
+      }
+      
+      logger.info('Starting harvest runs listing', { sourceId, status, trigger, limit });
+      
+      const page = await this.sourceManager.getHarvestRuns({
+        ...(sourceId && { sourceId }),
+        ...(status && { status }),
+        ...(trigger && { trigger })
+      }, {
+        limit: Number(limit),
+        ...(cursor && { cursor })
+      });
+      
+      logger.info('Harvest runs listing completed', { runCount: page.items.length, nextCursor: page.nextCursor });
+      return {
+        ...page,
+        items: page.items.map(({ runId, sourceId, trigger, status, startedAt, durationMs, records }) => ({
+          runId,
+          sourceId,
+          trigger,
+          status,
+          startedAt,
+          durationMs,
+          records
+        }))
+      };
+    } catch (error) {
+      logger.error('Error during harvest runs command', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+}
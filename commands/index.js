@@ -1,7 +1,13 @@
 import { FetchDataCommand } from './data/fetch.js';
 import { QueryDataCommand } from './data/query.js';
+import { DataHistoryCommand } from './data/history.js';
+import { HarvestRunsCommand } from './data/runs.js';
+import { BackfillCommand } from './data/backfill.js';
+import { GeocodeCommand } from './data/geocode.js';
 import { HealthCheckCommand } from './source/health.js';
 import { ConfigureSourceCommand } from './source/configure.js';
+import { ListConnectorsCommand } from './source/connectors.js';
+import { ScheduleCommand } from './source/schedule.js';
 import { CreateUserCommand } from './user/create.js';
 import { logger } from '../src/utils/logger.js';
 
@@ -10,8 +16,14 @@ export class CommandManager {
     this.commands = {
       'data:fetch': new FetchDataCommand(),
       'data:query': new QueryDataCommand(),
+      'data:history': new DataHistoryCommand(),
+      'data:runs': new HarvestRunsCommand(),
+      'data:backfill': new BackfillCommand(),
+      'data:geocode': new GeocodeCommand(),
       'source:health': new HealthCheckCommand(),
       'source:configure': new ConfigureSourceCommand(),
+      'source:connectors': new ListConnectorsCommand(),
+      'source:schedule': new ScheduleCommand(),
       'user:create': new CreateUserCommand()
     };
   }
@@ -45,10 +57,12 @@ export class CommandManager {
         options: {
           sourceId: 'Specific source ID to fetch from (optional)',
           limit: 'Maximum number of records to fetch (optional)',
-          force: 'Force fetch even if data is recent (optional, boolean)'
+          force: 'Force fetch even if data is recent, ignoring the watermark (optional, boolean)',
+          full: 'Full harvest ignoring the watermark of the previous run (optional, boolean)'
         },
         examples: [
           'data:fetch --sourceId insee-sirene --limit 100',
+          'data:fetch --sourceId insee-sirene --full',
           'data:fetch --force'
         ]
       },
@@ -56,15 +70,76 @@ export class CommandManager {
         description: 'Query data from storage',
         options: {
           sourceId: 'Source ID to query from (required)',
-          query: 'Query string (optional)',
+          query: 'Filter as JSON, e.g. {"effectif":{"gte":10}} (optional)',
+          filter: 'Additional filter criteria merged into query (optional)',
           limit: 'Maximum number of records to return (default: 100)',
           offset: 'Number of records to skip (default: 0)',
-          sort: 'Sort criteria (optional)',
-          filter: 'Filter criteria (optional)'
+          cursor: 'Cursor returned by the previous page (optional)',
+          sort: 'Sort criteria, e.g. "-dateCreation,siret" (optional)',
+          projection: 'Fields to return, e.g. "siret,denomination" (optional)'
         },
         examples: [
           'data:query --sourceId insee-sirene --limit 50',
-          'data:query --sourceId insee-bdm --query "date:2024-01-01"'
+          'data:query --sourceId insee-sirene --query \'{"codeCommune":{"in":["29019","29232"]}}\' --sort -dateCreation',
+          'data:query --sourceId insee-bdm --query \'{"date":{"gte":"2024-01"}}\''
+        ]
+      },
+      'data:history': {
+        description: 'Show the change log of a record, or its state at a given date',
+        options: {
+          sourceId: 'Source ID with history enabled (optional, default: insee)',
+          query: 'Natural key of the record, e.g. { siret: "..." } (required)',
+          asOf: 'Return the record as it was at this date (optional)'
+        },
+        examples: [
+          'data:history --query \'{"siret":"12345678901234"}\'',
+          'data:history --sourceId insee --query \'{"siret":"12345678901234"}\' --asOf 2024-01-01'
+        ]
+      },
+      'data:runs': {
+        description: 'List harvest runs, or inspect a single run',
+        options: {
+          runId: 'Run to inspect (optional)',
+          sourceId: 'Only runs of this source (optional)',
+          status: 'running, success or failed (optional)',
+          trigger: 'api, cli or cron (optional)',
+          limit: 'Maximum number of runs to return (default: 20)',
+          cursor: 'Cursor returned by the previous page (optional)'
+        },
+        examples: [
+          'data:runs --sourceId insee-sirene',
+          'data:runs --status failed --limit 5',
+          'data:runs --runId 3f2b9c1e-8d7a-4e5f-9a0b-1c2d3e4f5a6b'
+        ]
+      },
+      'data:backfill': {
+        description: 'Harvest a past date range chunk by chunk; re-running the same command resumes it',
+        options: {
+          sourceId: 'Source to backfill (required unless backfillId is given)',
+          dataset: 'Dataset of the source, e.g. sirene or bdm (optional)',
+          from: 'First day of the range, YYYY-MM-DD (required)',
+          to: 'Last day of the range, YYYY-MM-DD (required)',
+          chunk: 'Chunk size: day, week, month, quarter or year (optional, default: month)',
+          seriesIds: 'Comma-separated BDM series identifiers (optional)',
+          backfillId: 'Resume this backfill, or show it with --status (optional)',
+          status: 'Only show the progress of backfillId (optional, boolean)'
+        },
+        examples: [
+          'data:backfill --sourceId insee --dataset sirene --from 2015-01-01 --to 2019-12-31',
+          'data:backfill --sourceId insee --dataset bdm --seriesIds 001763852,001763853 --from 1990-01-01 --to 2023-12-31 --chunk year',
+          'data:backfill --backfillId 3f2b9c1e-8d7a-4e5f-9a0b-1c2d3e4f5a6b --status'
+        ]
+      },
+      'data:geocode': {
+        description: 'Geocode stored establishment addresses; only records whose address changed are geocoded again',
+        options: {
+          sourceId: 'Source whose records are geocoded (optional, default: insee)',
+          force: 'Geocode every record again, ignoring stored positions and the cache (optional, boolean)',
+          pageSize: 'Records read per page (optional, default: 1000)'
+        },
+        examples: [
+          'data:geocode',
+          'data:geocode --sourceId insee --force'
         ]
       },
       'source:health': {
@@ -92,6 +167,29 @@ export class CommandManager {
           'source:configure --action validate --sourceId insee-sirene'
         ]
       },
+      'source:connectors': {
+        description: 'List registered connectors discovered from src/sources, plugins and packages',
+        options: {
+          rejected: 'Also list modules rejected by the connector contract (optional, boolean)'
+        },
+        examples: [
+          'source:connectors',
+          'source:connectors --rejected'
+        ]
+      },
+      'source:schedule': {
+        description: 'List scheduled jobs from config/<source>/schedule.json with their next and last runs',
+        options: {
+          sourceId: 'Only jobs of this source (optional)',
+          run: 'Run this job now, e.g. insee:sirene (optional)',
+          reload: 'Re-read the configuration before listing (optional, boolean)'
+        },
+        examples: [
+          'source:schedule',
+          'source:schedule --sourceId insee',
+          'source:schedule --run insee:bdm'
+        ]
+      },
       'user:create': {
         description: 'Create a new user',
         options: {
@@ -141,6 +239,16 @@ export class CommandManager {
           throw new Error('sourceId is required for data:query command');
         }
       },
+      'data:history': (options) => {
+        if (!options.query) {
+          throw new Error('query is required for data:history command');
+        }
+      },
+      'data:backfill': (options) => {
+        if (!options.backfillId && (!options.sourceId || !options.from || !options.to)) {
+          throw new Error('sourceId, from and to (or backfillId) are required for data:backfill command');
+        }
+      },
       'source:configure': (options) => {
         if (!options.action) {
           throw new Error('action is required for source:configure command');
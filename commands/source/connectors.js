@@ -0,0 +1,28 @@
+import { SourceManager } from '../../src/sources/index.js';
+import { logger } from '../../src/utils/logger.js';
+
+export class ListConnectorsCommand {
+  constructor() {
+    this.sourceManager = SourceManager.getInstance();
+  }
+
+  async execute(options = {}) {
+    const { rejected = false } = options;
+    
+    try {
+      logger.info('Starting connectors list command', { rejected });
+      
+      const connectors = await this.sourceManager.getConnectors();
+      
+      logger.info('Connectors listed successfully', { count: connectors.length });
+      
+      if (rejected) {
+        return { connectors, rejected: this.sourceManager.registry.rejected };
+      }
+      return connectors;
+    } catch (error) {
+      logger.error('Error listing connectors', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,43 @@
+import { Scheduler } from '../../src/scheduler/Scheduler.js';
+import { logger } from '../../src/utils/logger.js';
+
+export class ScheduleCommand {
+  constructor() {
+    this.scheduler = Scheduler.getInstance();
+  }
+
+  async execute(options = {}) {
+    const { sourceId, run, reload = false } = options;
+    
+    try {
+      if (run) {
+        logger.info('Starting scheduled job execution', { jobId: run });
+        
+        const lastRun = await this.scheduler.runJob(run);
+        
+        logger.info('Scheduled job execution completed', { jobId: run, status: lastRun.status });
+        return lastRun;
+      }
+      
+      logger.info('Starting scheduled jobs listing', { sourceId, reload });
+      
+      const jobs = reload ? await this.scheduler.reload() : await this.scheduler.getJobs();
+      
+      logger.info('Scheduled jobs listing completed', { jobCount: jobs.length });
+      return jobs
+        .filter(job => !sourceId || job.sourceId === sourceId)
+        .map(({ id, cron, timezone, enabled, error, nextRun, lastRun }) => ({
+          id,
+          cron,
+          timezone,
+          enabled,
+          error,
+          nextRun,
+          lastRun: lastRun && { status: lastRun.status, startedAt: lastRun.startedAt, runId: lastRun.runId }
+        }));
+    } catch (error) {
+      logger.error('Error during schedule command', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+}
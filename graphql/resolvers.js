@@ -1,5 +1,116 @@
 import { sourceManager } from '../src/sources/index.js';
 import logger from '../src/utils/logger.js';
+import { Scheduler } from '../src/scheduler/Scheduler.js';
+import { transformSeries, filterPeriods, alignSeries } from '../src/utils/timeSeries.js';
+import { lookupNaf, findNaf, enrichSireneNaf } from '../src/sources/insee/naf.js';
+
+// Résultat de SourceManager.harvestSource() au format HarvestResult
+function toHarvestResult({ sourceId, runId, timestamp, success, records, result = {}, error }) {
+  return {
+    source: sourceId,
+    runId,
+    timestamp,
+    dataCount: result.dataCount ?? 0,
+    pages: result.pages,
+    records,
+    watermark: result.watermark,
+    success,
+    error
+  };
+}
+
+// Filtre du langage de requête commun pour SireneQueryInput ; query (syntaxe de l'API SIRENE) ne sert qu'à la récolte
+function toSireneFilter({ limit, offset, query: _apiQuery, libelleNaf, ...filter } = {}) {
+  if (filter.sectionNaf) {
+    filter.sectionNaf = filter.sectionNaf.toUpperCase();
+  }
+  // Un libellé NAF est résolu en codes de sous-classes
+  if (libelleNaf) {
+    filter['activitePrincipaleNaf.code'] = { in: findNaf({ search: libelleNaf }).map(activity => activity.code) };
+  }
+  return filter;
+}
+
+// GeoAreaInput → zone de SourceManager.findWithin()
+function toGeoArea({ near, bbox, commune } = {}) {
+  const areas = [near, bbox, commune].filter(area => area !== undefined && area !== null);
+  if (areas.length !== 1) {
+    throw new Error('Une zone et une seule est attendue : near, bbox ou commune');
+  }
+  if (near) return { center: [near.longitude, near.latitude], radius: near.radius };
+  return bbox ? { bbox } : { commune };
+}
+
+function toIsoString(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+function toHarvestRun(document) {
+  const run = document?.toObject?.() || document;
+  return run && {
+    ...run,
+    startedAt: toIsoString(run.startedAt),
+    finishedAt: toIsoString(run.finishedAt),
+    errors: (run.errors || []).map(error => ({ ...error, at: toIsoString(error.at) }))
+  };
+}
+
+function toScheduledRun(run) {
+  return run && {
+    ...run,
+    startedAt: toIsoString(run.startedAt),
+    finishedAt: toIsoString(run.finishedAt)
+  };
+}
+
+function toScheduledJob(job) {
+  return { ...job, nextRun: toIsoString(job.nextRun), lastRun: toScheduledRun(job.lastRun) };
+}
+
+function toBackfill(backfill) {
+  return backfill && {
+    ...backfill,
+    createdAt: toIsoString(backfill.createdAt),
+    updatedAt: toIsoString(backfill.updatedAt),
+    finishedAt: toIsoString(backfill.finishedAt)
+  };
+}
+
+// La reprise se poursuit après la réponse ; ses points de contrôle permettent de la relancer
+function runBackfillInBackground(backfillId) {
+  sourceManager.resumeBackfill(backfillId, { trigger: 'api' }).catch(error => {
+    logger.error(`Erreur lors de la reprise d'historique ${backfillId}`, error);
+  });
+}
+
+// Les enums GraphQL (MEAN, YEAR...) correspondent aux options en minuscules de timeSeries.js
+function toSeriesTransform(transform = {}) {
+  return {
+    ...transform,
+    ...(transform.aggregation && { aggregation: transform.aggregation.toLowerCase() }),
+    ...(transform.growth && { growth: transform.growth.toLowerCase() })
+  };
+}
+
+// Séries BDM sauvegardées, dans l'ordre demandé
+async function loadBdmSeries(seriesIds) {
+  const documents = await sourceManager.getData('insee', { idBank: { in: seriesIds } }, {
+    dataset: 'bdm',
+    projection: ['idBank', 'dataflow', 'metadata', 'data']
+  });
+  const byId = new Map(documents.map(document => [document.idBank, document.toObject?.() || document]));
+  return seriesIds.map(seriesId => byId.get(seriesId) || null);
+}
+
+// Niveaux du COG en minuscules côté connecteur (commune, epci...), en enum côté GraphQL
+function toTerritory(territory) {
+  return territory && { ...territory, level: territory.level.toUpperCase() };
+}
+
+// Niveaux NAF en camelCase côté nomenclature (sousClasse), en enum côté GraphQL (SOUS_CLASSE)
+function toNafActivity(activity) {
+  return activity && { ...activity, level: activity.level.replace(/([A-Z])/g, '_$1').toUpperCase() };
+}
 
 const resolvers = {
   Query: {
@@ -24,15 +135,104 @@ const resolvers = {
       }
     },
     
+    connectors: async () => {
+      try {
+        return await sourceManager.getConnectors();
+      } catch (error) {
+        logger.error('Erreur lors de la récupération des connecteurs', error);
+        throw error;
+      }
+    },
+    
+    // Suivi des récoltes
+    harvestRuns: async (_, { sourceId, status, trigger, limit, cursor }) => {
+      try {
+        const filter = {
+          ...(sourceId && { sourceId }),
+          ...(status && { status }),
+          ...(trigger && { trigger })
+        };
+        const page = await sourceManager.getHarvestRuns(filter, {
+          ...(limit && { limit }),
+          ...(cursor && { cursor })
+        });
+        return { ...page, items: page.items.map(toHarvestRun) };
+      } catch (error) {
+        logger.error('Erreur lors de la récupération des récoltes', error);
+        throw error;
+      }
+    },
+    
+    harvestRun: async (_, { runId }) => {
+      try {
+        return toHarvestRun(await sourceManager.getHarvestRun(runId));
+      } catch (error) {
+        logger.error(`Erreur lors de la récupération de la récolte ${runId}`, error);
+        throw error;
+      }
+    },
+    
+    // Reprises d'historique
+    backfill: async (_, { backfillId }) => {
+      try {
+        return toBackfill(await sourceManager.getBackfill(backfillId));
+      } catch (error) {
+        logger.error(`Erreur lors de la récupération de la reprise ${backfillId}`, error);
+        throw error;
+      }
+    },
+    
+    backfills: async (_, { sourceId, status, limit, cursor }) => {
+      try {
+        const page = await sourceManager.getBackfills({
+          ...(sourceId && { sourceId }),
+          ...(status && { status })
+        }, {
+          ...(limit && { limit }),
+          ...(cursor && { cursor })
+        });
+        return { ...page, items: page.items.map(toBackfill) };
+      } catch (error) {
+        logger.error('Erreur lors de la récupération des reprises d\'historique', error);
+        throw error;
+      }
+    },
+    
+    // Tâches planifiées
+    schedules: async (_, { sourceId }) => {
+      try {
+        const jobs = await Scheduler.getInstance().getJobs();
+        return jobs.filter(job => !sourceId || job.sourceId === sourceId).map(toScheduledJob);
+      } catch (error) {
+        logger.error('Erreur lors de la récupération des tâches planifiées', error);
+        throw error;
+      }
+    },
+    
+    // Requête générique dans le langage de requête commun
+    findData: async (_, { sourceId, filter = {}, options = {} }) => {
+      try {
+        return await sourceManager.getDataPage(sourceId, filter, options);
+      } catch (error) {
+        logger.error(`Erreur lors de la requête sur ${sourceId}`, error);
+        throw error;
+      }
+    },
+    
     // Données SIRENE
     sireneData: async (_, { query = {} }) => {
       try {
-        const data = await sourceManager.getData('insee-sirene', query);
+        const { limit, offset = 0 } = query;
+        const data = await sourceManager.getData('insee', toSireneFilter(query), {
+          dataset: 'sirene',
+          ...(limit && { limit }),
+          offset
+        });
         
         return {
           header: {
             total: data.length,
-            debut: 0,
+            debut: offset,
             nombre: data.length
           },
           etablissements: data,
@@ -46,7 +246,7 @@ const resolvers = {
     
     sireneById: async (_, { siret }) => {
       try {
-        const data = await sourceManager.getData('insee-sirene', { siret });
+        const data = await sourceManager.getData('insee', { siret }, { dataset: 'sirene', limit: 1 });
         return data.length > 0 ? data[0] : null;
       } catch (error) {
         logger.error(`Erreur lors de la récupération du SIRET ${siret}`, error);
@@ -54,27 +254,89 @@ const resolvers = {
       }
     },
     
+    sireneAsOf: async (_, { siret, date }) => {
+      try {
+        return await sourceManager.getDataAsOf('insee', { siret }, date);
+      } catch (error) {
+        logger.error(`Erreur lors de la récupération du SIRET ${siret} au ${date}`, error);
+        throw error;
+      }
+    },
+    
+    sireneHistory: async (_, { siret }) => {
+      try {
+        const versions = await sourceManager.getDataHistory('insee', { siret });
+        return versions.map(version => ({
+          ...version,
+          validFrom: new Date(version.validFrom).toISOString(),
+          validTo: version.validTo ? new Date(version.validTo).toISOString() : null,
+          etablissement: version.data
+        }));
+      } catch (error) {
+        logger.error(`Erreur lors de la récupération de l'historique du SIRET ${siret}`, error);
+        throw error;
+      }
+    },
+    
+    searchEntreprises: async (_, { query, filters, limit, offset, cursor, fuzzy, sourceId }) => {
+      try {
+        // Les sections NAF sont indexées en majuscules (J), comme dans sectionNaf
+        const facetFilters = { ...filters, ...(filters?.sectionNaf && { sectionNaf: filters.sectionNaf.map(section => section.toUpperCase()) }) };
+        return await sourceManager.searchEntreprises(query, { filters: facetFilters, limit, offset, cursor, fuzzy }, { sourceId });
+      } catch (error) {
+        logger.error(`Erreur lors de la recherche d'entreprises « ${query} »`, error);
+        throw error;
+      }
+    },
+    
+    etablissementsWithin: async (_, { area, query, limit, cursor, sourceId }) => {
+      try {
+        return await sourceManager.findWithin(toGeoArea(area), { query: toSireneFilter(query || {}), limit, cursor }, { sourceId });
+      } catch (error) {
+        logger.error('Erreur lors de la recherche géographique d\'établissements', error);
+        throw error;
+      }
+    },
+    
+    etablissementsGeoJson: async (_, { area, query, limit, cursor, sourceId }) => {
+      try {
+        return await sourceManager.findWithin(toGeoArea(area), { query: toSireneFilter(query || {}), limit, cursor, format: 'geojson' }, { sourceId });
+      } catch (error) {
+        logger.error('Erreur lors de la recherche géographique d\'établissements', error);
+        throw error;
+      }
+    },
+    
+    // Nomenclature NAF rév. 2
+    naf: (_, { code }) => toNafActivity(lookupNaf(code)),
+    
+    nafNomenclature: (_, { code, search, limit }) => findNaf({ code, search, limit }).map(toNafActivity),
+    
     // Données BDM
-    bdmData: async (_, { seriesId, startDate, endDate }) => {
+    bdmData: async (_, { seriesId, startDate, endDate, transform }) => {
       try {
-        const data = await sourceManager.getData('insee-bdm', { 
-          seriesId,
-          ...(startDate && { startDate }),
-          ...(endDate && { endDate })
-        });
+        const [series] = await loadBdmSeries([seriesId]);
         
-        if (data.length === 0) {
+        if (!series) {
           return {
             seriesId,
+            frequency: null,
             metadata: null,
             data: []
           };
         }
         
+        // Les calculs portent sur toute la série (une évolution annuelle a besoin de l'année
+        // précédant la période demandée) ; la période n'est filtrée qu'ensuite
+        const points = transform
+          ? transformSeries(series.data || [], toSeriesTransform(transform))
+          : series.data || [];
+        
         return {
           seriesId,
-          metadata: data[0].metadata || {},
-          data: data[0].data || []
+          frequency: transform?.frequency || series.metadata?.attributes?.FREQ || null,
+          metadata: { id: seriesId, title: seriesId, dataflow: series.dataflow, ...series.metadata },
+          data: filterPeriods(points, { startDate, endDate })
         };
       } catch (error) {
         logger.error(`Erreur lors de la récupération des données BDM pour ${seriesId}`, error);
@@ -82,25 +344,45 @@ const resolvers = {
       }
     },
     
-    bdmSeries: async () => {
+    bdmAligned: async (_, { seriesIds, startDate, endDate, transform, join }) => {
       try {
-        const data = await sourceManager.getData('insee-bdm', {});
-        const series = new Map();
+        const seriesList = await loadBdmSeries(seriesIds);
+        const missing = seriesIds.filter((seriesId, index) => !seriesList[index]);
+        if (missing.length > 0) {
+          throw new Error(`Séries BDM inconnues: ${missing.join(', ')}`);
+        }
         
-        data.forEach(item => {
-          if (item.metadata && !series.has(item.seriesId)) {
-            series.set(item.seriesId, {
-              id: item.seriesId,
-              title: item.metadata.title || item.seriesId,
-              description: item.metadata.description,
-              unit: item.metadata.unit,
-              frequency: item.metadata.frequency,
-              lastUpdate: item.metadata.lastUpdate
-            });
-          }
-        });
+        const options = toSeriesTransform(transform);
+        const aligned = alignSeries(
+          seriesList.map(series => ({ points: transformSeries(series.data || [], options) })),
+          { frequency: options.frequency, aggregation: options.aggregation, join: join.toLowerCase() }
+        );
         
-        return Array.from(series.values());
+        return {
+          seriesIds,
+          frequency: aligned.frequency,
+          rows: filterPeriods(aligned.rows, { startDate, endDate })
+        };
+      } catch (error) {
+        logger.error(`Erreur lors de l'alignement des séries BDM ${seriesIds.join(', ')}`, error);
+        throw error;
+      }
+    },
+    
+    bdmDataflows: async (_, { sourceId }) => {
+      try {
+        const connector = await sourceManager.getCapableConnector(sourceId, 'catalogue');
+        return await connector.getDataflows();
+      } catch (error) {
+        logger.error('Erreur lors de la récupération des flux BDM', error);
+        throw error;
+      }
+    },
+    
+    // Séries du catalogue config/<source>/catalogue.json, récoltées ou non
+    bdmSeries: async (_, { sourceId }) => {
+      try {
+        return await sourceManager.getCatalogue(sourceId, 'bdm');
       } catch (error) {
         logger.error('Erreur lors de la récupération des séries BDM', error);
         throw error;
@@ -128,25 +410,85 @@ const resolvers = {
       }
     },
     
+    donneesLocalesRollup: async (_, { indicatorId, level, year, code, aggregation = 'SUM' }) => {
+      try {
+        const rollup = await sourceManager.rollUpDonneesLocales({
+          indicatorId,
+          year,
+          level: level.toLowerCase(),
+          aggregation: aggregation.toLowerCase()
+        });
+
+        return {
+          ...rollup,
+          level,
+          aggregation,
+          rows: code ? rollup.rows.filter(row => row.code === code) : rollup.rows
+        };
+      } catch (error) {
+        logger.error(`Erreur lors de l'agrégation des données locales ${indicatorId}`, error);
+        throw error;
+      }
+    },
+    
+    // Code Officiel Géographique
+    territory: async (_, { level, code, sourceId }) => {
+      try {
+        const geography = await sourceManager.getGeography(sourceId);
+        return toTerritory(await geography.getTerritory(level.toLowerCase(), code));
+      } catch (error) {
+        logger.error(`Erreur lors de la récupération du territoire ${level} ${code}`, error);
+        throw error;
+      }
+    },
+    
+    territoryChildren: async (_, { level, code, sourceId }) => {
+      try {
+        const geography = await sourceManager.getGeography(sourceId);
+        return (await geography.getChildren(level.toLowerCase(), code)).map(toTerritory);
+      } catch (error) {
+        logger.error(`Erreur lors de la récupération des subdivisions de ${level} ${code}`, error);
+        throw error;
+      }
+    },
+    
+    communeResolution: async (_, { code, since, sourceId }) => {
+      try {
+        const geography = await sourceManager.getGeography(sourceId);
+        const resolution = await geography.resolveCommune(code, { since });
+        return { ...resolution, communes: resolution.communes.map(toTerritory) };
+      } catch (error) {
+        logger.error(`Erreur lors de la résolution du code commune ${code}`, error);
+        throw error;
+      }
+    },
+    
     // Statistiques
     stats: async () => {
       try {
         const sources = sourceManager.getSources();
         const sourcesStatus = [];
         let totalRecords = 0;
+        let lastHarvest = null;
         
         for (const source of sources) {
           try {
             const data = await sourceManager.getData(source.id, {});
             const recordCount = Array.isArray(data) ? data.length : 0;
+            const lastRun = await sourceManager.getLastHarvestRun(source.id);
+            const sourceLastHarvest = toIsoString(lastRun?.startedAt);
             totalRecords += recordCount;
+            if (sourceLastHarvest && (!lastHarvest || sourceLastHarvest > lastHarvest)) {
+              lastHarvest = sourceLastHarvest;
+            }
             
             sourcesStatus.push({
               sourceId: source.id,
               sourceName: source.name,
-              lastHarvest: null, // À implémenter avec un système de tracking
+              lastHarvest: sourceLastHarvest,
+              lastRunStatus: lastRun?.status || null,
               recordCount,
-              status: 'active'
+              status: lastRun?.status === 'failed' ? 'error' : 'active'
             });
           } catch (error) {
             sourcesStatus.push({
@@ -162,13 +504,22 @@ const resolvers = {
         return {
           totalSources: sources.length,
           totalRecords,
-          lastHarvest: null, // À implémenter
+          lastHarvest,
           sourcesStatus
         };
       } catch (error) {
         logger.error('Erreur lors de la récupération des statistiques', error);
         throw error;
       }
+    },
+    
+    cacheMetrics: async () => {
+      try {
+        return await sourceManager.getCacheMetrics();
+      } catch (error) {
+        logger.error('Erreur lors de la récupération des métriques de cache', error);
+        throw error;
+      }
     }
   },
   
@@ -176,8 +527,8 @@ const resolvers = {
     // Récolte de données
     harvestSource: async (_, { sourceId, params = {} }) => {
       try {
-        const result = await sourceManager.harvestSourceById(sourceId, params);
-        return result;
+        const result = await sourceManager.harvestSourceById(sourceId, { ...params, trigger: 'api' });
+        return toHarvestResult(result);
       } catch (error) {
         logger.error(`Erreur lors de la récolte de la source ${sourceId}`, error);
         return {
@@ -192,13 +543,60 @@ const resolvers = {
     
     harvestAll: async () => {
       try {
-        return await sourceManager.harvestAll();
+        const results = await sourceManager.harvestAll({ trigger: 'api' });
+        return results.map(toHarvestResult);
       } catch (error) {
         logger.error('Erreur lors de la récolte de toutes les sources', error);
         throw error;
       }
     },
     
+    // Reprises d'historique
+    startBackfill: async (_, { input }) => {
+      try {
+        const backfill = await sourceManager.startBackfill({ ...input, trigger: 'api' });
+        runBackfillInBackground(backfill.backfillId);
+        return toBackfill(backfill);
+      } catch (error) {
+        logger.error('Erreur lors du démarrage de la reprise d\'historique', error);
+        throw error;
+      }
+    },
+    
+    resumeBackfill: async (_, { backfillId }) => {
+      try {
+        const backfill = await sourceManager.getBackfill(backfillId);
+        if (!backfill) {
+          throw new Error(`Backfill not found: ${backfillId}`);
+        }
+        runBackfillInBackground(backfillId);
+        return toBackfill(backfill);
+      } catch (error) {
+        logger.error(`Erreur lors de la relance de la reprise ${backfillId}`, error);
+        throw error;
+      }
+    },
+    
+    // Planification
+    runScheduledJob: async (_, { jobId }) => {
+      try {
+        return toScheduledRun(await Scheduler.getInstance().runJob(jobId));
+      } catch (error) {
+        logger.error(`Erreur lors de l'exécution de la tâche planifiée ${jobId}`, error);
+        throw error;
+      }
+    },
+    
+    reloadSchedules: async () => {
+      try {
+        const jobs = await Scheduler.getInstance().reload();
+        return jobs.map(toScheduledJob);
+      } catch (error) {
+        logger.error('Erreur lors du rechargement des tâches planifiées', error);
+        throw error;
+      }
+    },
+    
     // Gestion des données
     updateData: async (_, { sourceId, query, update }) => {
       try {
@@ -242,7 +640,14 @@ const resolvers = {
     siret: (parent) => parent.siret,
     siren: (parent) => parent.siren,
     uniteLegale: (parent) => parent.uniteLegale || parent.etablissement?.uniteLegale,
+    // Les établissements récoltés avant l'enrichissement NAF sont rattachés à la volée
+    activitePrincipaleNaf: (parent) => {
+      const etablissement = parent.etablissement || parent;
+      return toNafActivity(etablissement.activitePrincipaleNaf ?? enrichSireneNaf(etablissement).activitePrincipaleNaf);
+    },
     adresseEtablissement: (parent) => parent.adresseEtablissement || parent.etablissement?.adresseEtablissement,
+    position: (parent) => (parent.etablissement || parent).position || null,
+    geocodage: (parent) => (parent.etablissement || parent).geocodage || null,
     periodesEtablissement: (parent) => parent.periodesEtablissement || parent.etablissement?.periodesEtablissement || []
   },
   
@@ -251,6 +656,7 @@ const resolvers = {
     denominationUniteLegale: (parent) => parent.denominationUniteLegale,
     dateCreationUniteLegale: (parent) => parent.dateCreationUniteLegale,
     trancheEffectifsUniteLegale: (parent) => parent.trancheEffectifsUniteLegale,
+    activitePrincipaleNaf: (parent) => toNafActivity(parent.activitePrincipaleNaf ?? enrichSireneNaf(parent).activitePrincipaleNaf),
     effectifsUniteLegale: (parent) => parent.effectifsUniteLegale ? parseInt(parent.effectifsUniteLegale) : null
   },
   
@@ -7,20 +7,58 @@ const typeDefs = gql`
     # Sources de données
     sources: [Source!]!
     source(id: ID!): Source
+    connectors: [Connector!]!
+    
+    # Requête générique (filtre eq/ne/in/nin/gt/gte/lt/lte/regex/exists/geoWithin)
+    findData(sourceId: ID!, filter: JSON, options: QueryOptionsInput): DataPage!
     
     # Données INSEE SIRENE
     sireneData(query: SireneQueryInput): SireneResponse!
     sireneById(siret: String!): Etablissement
+    sireneAsOf(siret: String!, date: String!): Etablissement
+    sireneHistory(siret: String!): [EtablissementVersion!]!
+    
+    # Recherche locale dans les données SIRENE récoltées (sans accents, tolérante aux fautes de frappe)
+    searchEntreprises(query: String!, filters: EntrepriseSearchFilters, limit: Int = 20, offset: Int = 0, cursor: String, fuzzy: Boolean = true, sourceId: ID = "insee"): EntrepriseSearchResult!
+    
+    # Établissements géocodés dans un cercle, un rectangle ou le contour d'une commune
+    etablissementsWithin(area: GeoAreaInput!, query: SireneQueryInput, limit: Int = 100, cursor: String, sourceId: ID = "insee"): EtablissementPage!
+    # Les mêmes en FeatureCollection GeoJSON, pour l'affichage cartographique
+    etablissementsGeoJson(area: GeoAreaInput!, query: SireneQueryInput, limit: Int = 1000, cursor: String, sourceId: ID = "insee"): JSON!
+    
+    # Nomenclature d'activités NAF rév. 2 (code de n'importe quel niveau, recherche par libellé)
+    naf(code: String!): NafActivity
+    nafNomenclature(code: String, search: String, limit: Int): [NafActivity!]!
     
     # Données INSEE BDM
-    bdmData(seriesId: String!, startDate: String, endDate: String): BdmResponse!
-    bdmSeries: [BdmSeries!]!
+    bdmData(seriesId: String!, startDate: String, endDate: String, transform: BdmTransformInput): BdmResponse!
+    bdmAligned(seriesIds: [String!]!, startDate: String, endDate: String, transform: BdmTransformInput, join: BdmJoin = INNER): BdmAlignedSeries!
+    bdmSeries(sourceId: ID = "insee"): [BdmSeries!]!
+    bdmDataflows(sourceId: ID = "insee"): [BdmDataflow!]!
     
     # Données locales INSEE
     donneesLocales(geoCode: String!, indicatorId: String!, year: Int): DonneesLocalesResponse!
+    donneesLocalesRollup(indicatorId: String!, level: TerritoryLevel!, year: Int, code: String, aggregation: RollupAggregation = SUM): DonneesLocalesRollup!
+    
+    # Code Officiel Géographique (config/cog)
+    territory(level: TerritoryLevel!, code: String!, sourceId: ID = "cog"): Territory
+    territoryChildren(level: TerritoryLevel!, code: String!, sourceId: ID = "cog"): [Territory!]!
+    communeResolution(code: String!, since: String, sourceId: ID = "cog"): CommuneResolution!
+    
+    # Suivi des récoltes
+    harvestRuns(sourceId: ID, status: String, trigger: String, limit: Int, cursor: String): HarvestRunPage!
+    harvestRun(runId: ID!): HarvestRun
+    
+    # Reprises d'historique
+    backfill(backfillId: ID!): Backfill
+    backfills(sourceId: ID, status: String, limit: Int, cursor: String): BackfillPage!
+    
+    # Tâches planifiées (config/<source>/schedule.json)
+    schedules(sourceId: ID): [ScheduledJob!]!
     
     # Statistiques
     stats: Stats!
+    cacheMetrics: [CacheMetrics!]!
   }
 
   type Mutation {
@@ -28,6 +66,14 @@ const typeDefs = gql`
     harvestSource(sourceId: ID!, params: JSON): HarvestResult!
     harvestAll: [HarvestResult!]!
     
+    # Reprise d'historique, exécutée en arrière-plan (suivi via backfill)
+    startBackfill(input: BackfillInput!): Backfill!
+    resumeBackfill(backfillId: ID!): Backfill!
+    
+    # Planification
+    runScheduledJob(jobId: ID!): ScheduledRun!
+    reloadSchedules: [ScheduledJob!]!
+    
     # Gestion des données
     updateData(sourceId: ID!, query: JSON!, update: JSON!): UpdateResult!
     deleteData(sourceId: ID!, query: JSON!): DeleteResult!
@@ -39,12 +85,21 @@ const typeDefs = gql`
     description: String
     type: String!
     connector: String!
+    capabilities: [String!]
     config: JSON
     persistence: PersistenceConfig
     schedule: ScheduleConfig
     transform: TransformConfig
   }
 
+  type Connector {
+    type: String!
+    name: String!
+    description: String
+    capabilities: [String!]!
+    origin: String!
+  }
+
   type PersistenceConfig {
     strategy: String!
     collection: String!
@@ -98,10 +153,38 @@ const typeDefs = gql`
     siret: String!
     siren: String!
     uniteLegale: UniteLegale!
+    activitePrincipaleNaf: NafActivity
     adresseEtablissement: AdresseEtablissement
+    position: GeoPoint
+    geocodage: Geocodage
     periodesEtablissement: [PeriodeEtablissement!]
   }
 
+  # Point GeoJSON : coordonnées [longitude, latitude] en WGS 84
+  type GeoPoint {
+    type: String!
+    coordinates: [Float!]!
+  }
+
+  # Qualité du géocodage de l'adresse (score de 0 à 1, précision housenumber, street, municipality...)
+  type Geocodage {
+    score: Float
+    type: String
+    label: String
+    geocoder: String
+    date: String
+  }
+
+  type EtablissementVersion {
+    siret: String!
+    version: Int!
+    validFrom: String!
+    validTo: String
+    changedFields: [String!]!
+    runId: String
+    etablissement: Etablissement!
+  }
+
   type UniteLegale {
     siren: String!
     denominationUniteLegale: String
@@ -114,6 +197,7 @@ const typeDefs = gql`
     categorieUniteLegale: String
     activitePrincipaleUniteLegale: String
     nomenclatureActivitePrincipaleUniteLegale: String
+    activitePrincipaleNaf: NafActivity
     trancheEffectifsUniteLegale: String
     effectifsUniteLegale: Int
     caractereEmployeurUniteLegale: String
@@ -154,6 +238,19 @@ const typeDefs = gql`
     changementCaractereEmployeurEtablissement: Boolean
   }
 
+  input QueryOptionsInput {
+    projection: [String!]
+    sort: JSON
+    limit: Int
+    offset: Int
+    cursor: String
+  }
+
+  type DataPage {
+    items: [JSON!]!
+    nextCursor: String
+  }
+
   input SireneQueryInput {
     siret: String
     siren: String
@@ -163,12 +260,107 @@ const typeDefs = gql`
     dateCreationUniteLegale: String
     activitePrincipaleUniteLegale: String
     trancheEffectifsUniteLegale: String
+    # Filtres sur la nomenclature NAF rév. 2 (section "J", division "62", libellé "logiciel")
+    sectionNaf: String
+    divisionNaf: String
+    libelleNaf: String
+  }
+
+  # Zone géographique : une seule des trois formes
+  input GeoAreaInput {
+    near: GeoCircleInput
+    # [ouest, sud, est, nord] en degrés
+    bbox: [Float!]
+    # Code INSEE de la commune, dont le contour est fourni par la source cog
+    commune: String
+  }
+
+  input GeoCircleInput {
+    longitude: Float!
+    latitude: Float!
+    # Rayon en mètres
+    radius: Float!
+  }
+
+  type EtablissementPage {
+    items: [Etablissement!]!
+    nextCursor: String
+  }
+
+  # Recherche d'entreprises : chaque filtre accepte plusieurs valeurs
+  input EntrepriseSearchFilters {
+    sectionNaf: [String!]
+    departement: [String!]
+    trancheEffectifs: [String!]
+    etatAdministratif: [String!]
+  }
+
+  type EntrepriseSearchResult {
+    total: Int!
+    hits: [EntrepriseHit!]!
+    facets: EntrepriseFacets!
+    nextCursor: String
+  }
+
+  type EntrepriseHit {
+    siret: String
+    siren: String
+    score: Float!
+    denomination: String
+    sigle: String
+    enseigne: String
+    adresse: String
+    codeCommune: String
+    sectionNaf: String
+    departement: String
+    trancheEffectifs: String
+    etatAdministratif: String
+    etablissement: Etablissement
+  }
+
+  type EntrepriseFacets {
+    sectionNaf: [FacetValue!]!
+    departement: [FacetValue!]!
+    trancheEffectifs: [FacetValue!]!
+    etatAdministratif: [FacetValue!]!
+  }
+
+  type FacetValue {
+    value: String!
+    count: Int!
+  }
+
+  # Activité NAF rév. 2 et sa hiérarchie, de la section jusqu'au niveau du code
+  enum NafLevel {
+    SECTION
+    DIVISION
+    GROUPE
+    CLASSE
+    SOUS_CLASSE
+  }
+
+  type NafItem {
+    code: String!
+    libelle: String!
+  }
+
+  type NafActivity {
+    nomenclature: String!
+    level: NafLevel!
+    code: String!
+    libelle: String!
+    section: NafItem!
+    division: NafItem
+    groupe: NafItem
+    classe: NafItem
+    sousClasse: NafItem
   }
 
   # Types pour les données BDM
   type BdmResponse {
     seriesId: String!
-    metadata: BdmMetadata!
+    frequency: String
+    metadata: BdmMetadata
     data: [BdmDataPoint!]!
   }
 
@@ -179,12 +371,75 @@ const typeDefs = gql`
     unit: String
     frequency: String
     lastUpdate: String
+    dataflow: String
+    # Attributs SDMX de la série (IDBANK, FREQ, UNIT_MULT...) et libellés des codes
+    attributes: JSON
+    labels: JSON
   }
 
   type BdmDataPoint {
     date: String!
-    value: Float!
+    # null pour une observation manquante (OBS_STATUS « O »)
+    value: Float
     status: String
+    # Attributs SDMX de l'observation (OBS_STATUS, OBS_QUAL, OBS_TYPE...)
+    attributes: JSON
+  }
+
+  # Périodes SDMX : A (2024), S (2024-S1), Q (2024-Q1), M (2024-03)
+  enum BdmFrequency {
+    A
+    S
+    Q
+    M
+  }
+
+  enum BdmAggregation {
+    SUM
+    MEAN
+    FIRST
+    LAST
+  }
+
+  enum BdmGrowth {
+    PERIOD
+    YEAR
+  }
+
+  enum BdmJoin {
+    INNER
+    OUTER
+  }
+
+  # Appliqués dans cet ordre : changement de fréquence, rebasage, moyenne mobile, évolution
+  input BdmTransformInput {
+    frequency: BdmFrequency
+    aggregation: BdmAggregation = MEAN
+    # Période de base de l'indice 100 : une année (moyenne de ses observations) ou une période
+    rebase: String
+    rollingWindow: Int
+    # Évolution en % sur la période précédente ou sur un an
+    growth: BdmGrowth
+  }
+
+  type BdmAlignedRow {
+    date: String!
+    # Une valeur par série, dans l'ordre de seriesIds
+    values: [Float]!
+  }
+
+  type BdmAlignedSeries {
+    seriesIds: [String!]!
+    frequency: String
+    rows: [BdmAlignedRow!]!
+  }
+
+  type BdmDataflow {
+    id: String!
+    agencyId: String
+    version: String
+    name: String
+    structure: String
   }
 
   type BdmSeries {
@@ -194,6 +449,12 @@ const typeDefs = gql`
     unit: String
     frequency: String
     lastUpdate: String
+    dataflow: String
+    enabled: Boolean!
+    lastObservation: String
+    harvestStatus: String!
+    lastHarvestedAt: String
+    harvestError: String
   }
 
   # Types pour les données locales
@@ -211,15 +472,178 @@ const typeDefs = gql`
     status: String
   }
 
+  enum TerritoryLevel {
+    COMMUNE
+    EPCI
+    DEPARTEMENT
+    REGION
+  }
+
+  enum RollupAggregation {
+    SUM
+    MEAN
+  }
+
+  # Territoire du COG ; type (COM, ARM, COMD, COMA) et parent ne concernent que les communes
+  type Territory {
+    level: TerritoryLevel!
+    code: String!
+    libelle: String!
+    type: String
+    departement: String
+    region: String
+    parent: String
+    chefLieu: String
+    communes: [String!]
+    millesime: Int
+  }
+
+  # Codes actuels d'une commune connue sous un code plus ancien (fusions, rétablissements, changements de code)
+  type CommuneResolution {
+    code: String!
+    since: String
+    codes: [String!]!
+    changed: Boolean!
+    communes: [Territory!]!
+  }
+
+  type DonneesLocalesRollupRow {
+    code: String!
+    libelle: String
+    value: Float!
+    communes: Int!
+  }
+
+  type DonneesLocalesRollup {
+    indicatorId: String!
+    level: TerritoryLevel!
+    year: Int
+    aggregation: RollupAggregation!
+    rows: [DonneesLocalesRollupRow!]!
+    unmatched: [String!]!
+  }
+
   # Types pour les résultats de récolte
   type HarvestResult {
     source: String!
+    runId: ID
     timestamp: String!
     dataCount: Int!
+    pages: Int
+    records: HarvestRecords
+    watermark: JSON
     success: Boolean!
     error: String
   }
 
+  type HarvestRecords {
+    inserted: Int!
+    updated: Int!
+    unchanged: Int!
+    failed: Int!
+  }
+
+  type HarvestError {
+    message: String!
+    collection: String
+    at: String
+  }
+
+  type HarvestRun {
+    runId: ID!
+    sourceId: ID!
+    trigger: String!
+    params: JSON
+    status: String!
+    startedAt: String!
+    finishedAt: String
+    durationMs: Int
+    pages: Int
+    dataCount: Int
+    records: HarvestRecords!
+    errors: [HarvestError!]!
+    watermark: JSON
+  }
+
+  type HarvestRunPage {
+    items: [HarvestRun!]!
+    nextCursor: String
+  }
+
+  input BackfillInput {
+    sourceId: ID!
+    dataset: String
+    from: String!
+    to: String!
+    chunk: String
+    seriesIds: [String!]
+    params: JSON
+  }
+
+  type BackfillChunk {
+    from: String!
+    to: String!
+    seriesId: String
+    status: String!
+    attempts: Int!
+    runId: ID
+    dataCount: Int
+    error: String
+  }
+
+  type Backfill {
+    backfillId: ID!
+    sourceId: ID!
+    dataset: String
+    from: String!
+    to: String!
+    chunk: String!
+    seriesIds: [String!]
+    status: String!
+    progress: Float!
+    totalChunks: Int!
+    completedChunks: Int!
+    failedChunks: Int!
+    dataCount: Int!
+    error: String
+    chunks: [BackfillChunk!]!
+    createdAt: String!
+    updatedAt: String
+    finishedAt: String
+  }
+
+  type BackfillPage {
+    items: [Backfill!]!
+    nextCursor: String
+  }
+
+  type ScheduledRun {
+    startedAt: String!
+    finishedAt: String
+    status: String!
+    attempts: Int
+    runId: ID
+    error: String
+  }
+
+  type ScheduledJob {
+    id: ID!
+    sourceId: ID!
+    task: String!
+    type: String!
+    cron: String
+    timezone: String!
+    enabled: Boolean!
+    description: String
+    retryOnFailure: Boolean!
+    maxAttempts: Int!
+    scheduled: Boolean!
+    running: Boolean!
+    error: String
+    nextRun: String
+    lastRun: ScheduledRun
+  }
+
   type UpdateResult {
     modifiedCount: Int!
     success: Boolean!
@@ -240,10 +664,18 @@ const typeDefs = gql`
     sourcesStatus: [SourceStatus!]!
   }
 
+  type CacheMetrics {
+    collection: String!
+    hits: Int!
+    misses: Int!
+    hitRate: Float!
+  }
+
   type SourceStatus {
     sourceId: ID!
     sourceName: String!
     lastHarvest: String
+    lastRunStatus: String
     recordCount: Int!
     status: String!
   }
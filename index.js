@@ -6,10 +6,10 @@ import bodyParser from 'body-parser';
 import { ApolloServer } from '@apollo/server';
 import { expressMiddleware } from '@apollo/server/express4';
 import dotenv from 'dotenv';
-import cron from 'node-cron';
 import typeDefs from './graphql/schema.js';
 import resolvers from './graphql/resolvers.js';
 import { sourceManager } from './src/sources/index.js';
+import { Scheduler } from './src/scheduler/Scheduler.js';
 import logger from './src/utils/logger.js';
 
 // Charger les variables d'environnement
@@ -93,6 +93,10 @@ app.post("/login", passport.authenticate("local"), (req, res) => {
 
 app.use('/api/users', (await import('./routes/api/users.js')).default);
 app.use('/api/profiles', (await import('./routes/api/profiles.js')).default);
+app.use('/api/harvest/runs', (await import('./routes/api/harvestRuns.js')).default);
+app.use('/api/harvest/jobs', (await import('./routes/api/harvestJobs.js')).default);
+app.use('/api/territoires', (await import('./routes/api/territoires.js')).default);
+app.use('/api/etablissements', (await import('./routes/api/etablissements.js')).default);
 
 // Routes pour la gestion des sources
 app.get('/api/sources', async (req, res) => {
@@ -105,70 +109,54 @@ app.get('/api/sources', async (req, res) => {
   }
 });
 
+// Les récoltes sont mises en file et exécutées par les workers (worker.js)
 app.post('/api/sources/:sourceId/harvest', async (req, res) => {
   try {
     const { sourceId } = req.params;
-    const params = req.body;
+    if (!sourceManager.getSourceConfig(sourceId)) {
+      return res.status(404).json({ error: `Source introuvable: ${sourceId}` });
+    }
     
-    const result = await sourceManager.harvestSourceById(sourceId, params);
-    res.json(result);
+    const job = await sourceManager.enqueueHarvest(sourceId, req.body || {}, { trigger: 'api' });
+    res.status(202).location(`/api/harvest/jobs/${job.jobId}`).json(job);
   } catch (error) {
-    logger.error('Erreur lors de la récolte', error);
+    logger.error('Erreur lors de la mise en file de la récolte', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.post('/api/harvest/all', async (req, res) => {
   try {
-    const results = await sourceManager.harvestAll();
-    res.json(results);
+    const jobs = [];
+    for (const source of sourceManager.getSources()) {
+      jobs.push(await sourceManager.enqueueHarvest(source.id, {}, { trigger: 'api' }));
+    }
+    res.status(202).json(jobs);
   } catch (error) {
-    logger.error('Erreur lors de la récolte globale', error);
+    logger.error('Erreur lors de la mise en file de la récolte globale', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Configuration des tâches cron
-function initializeCronJobs() {
+// Planification des récoltes à partir des fichiers config/<source>/schedule.json
+async function initializeScheduler() {
   try {
-    // Récolte automatique des données INSEE SIRENE
-    cron.schedule('0 2 * * *', async () => {
-      logger.info('Début de la récolte automatique SIRENE');
-      try {
-        await sourceManager.harvestSourceById('insee-sirene');
-        logger.info('Récolte automatique SIRENE terminée');
-      } catch (error) {
-        logger.error('Erreur lors de la récolte automatique SIRENE', error);
-      }
-    }, {
-      timezone: 'Europe/Paris'
-    });
-
-    // Récolte automatique des données INSEE BDM
-    cron.schedule('0 3 * * *', async () => {
-      logger.info('Début de la récolte automatique BDM');
-      try {
-        await sourceManager.harvestSourceById('insee-bdm');
-        logger.info('Récolte automatique BDM terminée');
-      } catch (error) {
-        logger.error('Erreur lors de la récolte automatique BDM', error);
-      }
-    }, {
-      timezone: 'Europe/Paris'
-    });
-
-    logger.info('Tâches cron configurées');
+    await Scheduler.getInstance().start();
+    logger.info('Planificateur démarré');
   } catch (error) {
-    logger.error('Erreur lors de la configuration des tâches cron', error);
+    logger.error('Erreur lors du démarrage du planificateur', error);
   }
 }
 
 // Route de santé
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    version: process.env.npm_package_version || '2.0.0'
+    version: process.env.npm_package_version || '2.0.0',
+    instance: sourceManager.harvestLock?.instanceId || null,
+    // Récoltes en cours sur l'ensemble des instances, avec le détenteur de chaque verrou
+    harvestLocks: sourceManager.initialized ? await sourceManager.getHarvestLocks() : []
   });
 });
 
@@ -193,8 +181,8 @@ async function initializeApp() {
     // Initialiser GraphQL
     await initializeGraphQL();
     
-    // Configurer les tâches cron
-    initializeCronJobs();
+    // Démarrer les tâches planifiées
+    await initializeScheduler();
     
     const PORT = process.env.PORT || 5000;
     
@@ -212,6 +200,7 @@ async function initializeApp() {
 process.on('SIGINT', async () => {
   logger.info('Arrêt de l\'application...');
   try {
+    Scheduler.getInstance().stop();
     await sourceManager.close();
     await mongoose.connection.close();
     logger.info('Application arrêtée proprement');
@@ -0,0 +1,55 @@
+import express from 'express';
+import { sourceManager } from '../../src/sources/index.js';
+import { QueryError } from '../../src/persistence/query.js';
+import logger from '../../src/utils/logger.js';
+
+const router = express.Router();
+
+function parseNumbers(value) {
+  return String(value).split(',').map(Number);
+}
+
+// lon, lat et radius (mètres) | bbox=ouest,sud,est,nord | commune=<code INSEE>
+function parseArea({ lon, lat, radius, bbox, commune }) {
+  const areas = [lon !== undefined || lat !== undefined || radius !== undefined, bbox !== undefined, commune !== undefined];
+  if (areas.filter(Boolean).length !== 1) {
+    throw new QueryError('Une zone et une seule est attendue : lon, lat et radius, bbox ou commune');
+  }
+  if (commune) return { commune };
+  if (bbox) return { bbox: parseNumbers(bbox) };
+  return { center: [Number(lon), Number(lat)], radius: Number(radius) };
+}
+
+// @route   GET /api/etablissements?lon=-4.1&lat=47.99&radius=500 | ?bbox=-4.2,47.9,-4.0,48.1 | ?commune=29232
+// @desc    Établissements géocodés dans la zone (filtres sectionNaf, divisionNaf ; pagination limit/cursor).
+//          format=geojson, ou Accept: application/geo+json, renvoie une FeatureCollection
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { sectionNaf, divisionNaf, limit, cursor, format, sourceId } = req.query;
+    const geojson = format === 'geojson' || req.accepts(['application/json', 'application/geo+json']) === 'application/geo+json';
+    const query = {
+      ...(sectionNaf && { sectionNaf: sectionNaf.toUpperCase() }),
+      ...(divisionNaf && { divisionNaf })
+    };
+
+    const result = await sourceManager.findWithin(parseArea(req.query), {
+      query,
+      ...(limit && { limit: Number(limit) }),
+      ...(cursor && { cursor }),
+      ...(geojson && { format: 'geojson' })
+    }, {
+      ...(sourceId && { sourceId })
+    });
+
+    if (geojson) {
+      res.type('application/geo+json');
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Erreur lors de la recherche géographique d\'établissements', error);
+    res.status(error instanceof QueryError ? 400 : 500).json({ error: error.message });
+  }
+});
+
+export default router;
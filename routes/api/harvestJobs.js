@@ -0,0 +1,81 @@
+import express from 'express';
+import { sourceManager } from '../../src/sources/index.js';
+import { QueryError } from '../../src/persistence/query.js';
+import { JobStateError } from '../../src/harvest/HarvestQueue.js';
+import logger from '../../src/utils/logger.js';
+
+const router = express.Router();
+
+function notFound(res, jobId) {
+  return res.status(404).json({ error: `Tâche de récolte introuvable: ${jobId}` });
+}
+
+// @route   GET /api/harvest/jobs
+// @desc    Liste les tâches de récolte en file, les plus récentes d'abord (filtres sourceId, status ; pagination limit/cursor)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { sourceId, status, limit, cursor } = req.query;
+    const page = await sourceManager.getHarvestJobs({
+      ...(sourceId && { sourceId }),
+      ...(status && { status })
+    }, {
+      ...(limit && { limit: Number(limit) }),
+      ...(cursor && { cursor })
+    });
+    res.json(page);
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des tâches de récolte', error);
+    res.status(error instanceof QueryError ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/harvest/jobs/:jobId
+// @desc    État d'une tâche de récolte (queued, running, succeeded, failed, cancelled)
+// @access  Public
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await sourceManager.getHarvestJob(req.params.jobId);
+    if (!job) {
+      return notFound(res, req.params.jobId);
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de la tâche ${req.params.jobId}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/harvest/jobs/:jobId/cancel
+// @desc    Annule une tâche en attente, ou demande l'arrêt d'une tâche en cours
+// @access  Public
+router.post('/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await sourceManager.cancelHarvestJob(req.params.jobId);
+    if (!job) {
+      return notFound(res, req.params.jobId);
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error(`Erreur lors de l'annulation de la tâche ${req.params.jobId}`, error);
+    res.status(error instanceof JobStateError ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/harvest/jobs/:jobId/retry
+// @desc    Remet en file une tâche échouée ou annulée
+// @access  Public
+router.post('/:jobId/retry', async (req, res) => {
+  try {
+    const job = await sourceManager.retryHarvestJob(req.params.jobId);
+    if (!job) {
+      return notFound(res, req.params.jobId);
+    }
+    res.status(202).json(job);
+  } catch (error) {
+    logger.error(`Erreur lors de la relance de la tâche ${req.params.jobId}`, error);
+    res.status(error instanceof JobStateError ? 409 : 500).json({ error: error.message });
+  }
+});
+
+export default router;
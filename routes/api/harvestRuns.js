@@ -0,0 +1,47 @@
+import express from 'express';
+import { sourceManager } from '../../src/sources/index.js';
+import { QueryError } from '../../src/persistence/query.js';
+import logger from '../../src/utils/logger.js';
+
+const router = express.Router();
+
+// @route   GET /api/harvest/runs
+// @desc    Liste les récoltes, les plus récentes d'abord (filtres sourceId, status, trigger ; pagination limit/cursor)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { sourceId, status, trigger, limit, cursor } = req.query;
+    const filter = {
+      ...(sourceId && { sourceId }),
+      ...(status && { status }),
+      ...(trigger && { trigger })
+    };
+
+    const page = await sourceManager.getHarvestRuns(filter, {
+      ...(limit && { limit: Number(limit) }),
+      ...(cursor && { cursor })
+    });
+    res.json(page);
+  } catch (error) {
+    logger.error('Erreur lors de la récupération des récoltes', error);
+    res.status(error instanceof QueryError ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/harvest/runs/:runId
+// @desc    Détail d'une récolte
+// @access  Public
+router.get('/:runId', async (req, res) => {
+  try {
+    const run = await sourceManager.getHarvestRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: `Récolte introuvable: ${req.params.runId}` });
+    }
+    res.json(run);
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération de la récolte ${req.params.runId}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,81 @@
+import express from 'express';
+import { sourceManager } from '../../src/sources/index.js';
+import { LEVELS } from '../../src/sources/cog/geography.js';
+import logger from '../../src/utils/logger.js';
+
+const router = express.Router();
+
+function checkLevel(req, res, next) {
+  if (!LEVELS[req.params.level]) {
+    return res.status(400).json({ error: `Niveau géographique inconnu: ${req.params.level} (${Object.keys(LEVELS).join(', ')})` });
+  }
+  next();
+}
+
+// @route   GET /api/territoires/donnees-locales/:indicatorId?level=departement&year=2021&aggregation=sum
+// @desc    Agrège les valeurs communales d'un indicateur Données Locales par territoire du COG
+// @access  Public
+router.get('/donnees-locales/:indicatorId', async (req, res) => {
+  try {
+    const { level = 'departement', year, aggregation = 'sum', code } = req.query;
+    if (!LEVELS[level]) {
+      return res.status(400).json({ error: `Niveau géographique inconnu: ${level} (${Object.keys(LEVELS).join(', ')})` });
+    }
+
+    const rollup = await sourceManager.rollUpDonneesLocales({
+      indicatorId: req.params.indicatorId,
+      level,
+      aggregation,
+      ...(year && { year: Number(year) })
+    });
+    res.json(code ? { ...rollup, rows: rollup.rows.filter(row => row.code === code) } : rollup);
+  } catch (error) {
+    logger.error(`Erreur lors de l'agrégation des données locales ${req.params.indicatorId}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/territoires/communes/:code/resolution?since=2019-01-01
+// @desc    Codes actuels d'une commune connue sous un code plus ancien
+// @access  Public
+router.get('/communes/:code/resolution', async (req, res) => {
+  try {
+    const geography = await sourceManager.getGeography();
+    res.json(await geography.resolveCommune(req.params.code, { since: req.query.since }));
+  } catch (error) {
+    logger.error(`Erreur lors de la résolution du code commune ${req.params.code}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/territoires/:level/:code
+// @desc    Territoire du COG (commune, epci, departement, region)
+// @access  Public
+router.get('/:level/:code', checkLevel, async (req, res) => {
+  try {
+    const geography = await sourceManager.getGeography();
+    const territory = await geography.getTerritory(req.params.level, req.params.code);
+    if (!territory) {
+      return res.status(404).json({ error: `Territoire introuvable: ${req.params.level} ${req.params.code}` });
+    }
+    res.json(territory);
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération du territoire ${req.params.level} ${req.params.code}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/territoires/:level/:code/enfants
+// @desc    Subdivisions d'un territoire (départements d'une région, communes d'un département ou d'un EPCI...)
+// @access  Public
+router.get('/:level/:code/enfants', checkLevel, async (req, res) => {
+  try {
+    const geography = await sourceManager.getGeography();
+    res.json(await geography.getChildren(req.params.level, req.params.code));
+  } catch (error) {
+    logger.error(`Erreur lors de la récupération des subdivisions de ${req.params.level} ${req.params.code}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -34,6 +34,12 @@ export class ConfigManager {
     }
   }
 
+  // Re-reads the whole tree so that removed sources disappear as well
+  async reloadConfiguration() {
+    this.sourceConfigs.clear();
+    return await this.loadConfiguration();
+  }
+
   async loadGlobalConfig() {
     try {
       const globalConfigPath = path.join(this.configPath, 'global.json');
@@ -81,7 +87,8 @@ export class ConfigManager {
         persistence: null,
         schedule: null,
         transform: null,
-        health: null
+        health: null,
+        catalogue: null
       };
 
       // Load connection configuration
@@ -90,6 +97,11 @@ export class ConfigManager {
         const connectionData = await fs.readFile(connectionPath, 'utf8');
         sourceConfig.connection = JSON.parse(connectionData);
         sourceConfig.connection = this.replaceEnvVars(sourceConfig.connection);
+        
+        // A source may delegate to a shared connector, e.g. "connector": "rest"
+        if (sourceConfig.connection.connector) {
+          sourceConfig.type = sourceConfig.connection.connector;
+        }
       } catch (error) {
         logger.warn(`No connection configuration found for ${sourceName}`, { error: error.message });
       }
@@ -130,6 +142,17 @@ export class ConfigManager {
         logger.warn(`No health configuration found for ${sourceName}`, { error: error.message });
       }
 
+      // Load catalogue configuration (optional: series or datasets tracked by the source)
+      try {
+        const cataloguePath = path.join(sourceConfigPath, 'catalogue.json');
+        const catalogueData = await fs.readFile(cataloguePath, 'utf8');
+        sourceConfig.catalogue = JSON.parse(catalogueData);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Invalid catalogue configuration for ${sourceName}`, { error: error.message });
+        }
+      }
+
       this.sourceConfigs.set(sourceName, sourceConfig);
       logger.info(`Source configuration loaded for ${sourceName}`);
     } catch (error) {
@@ -214,6 +237,14 @@ export class ConfigManager {
         );
       }
 
+      // Save catalogue configuration
+      if (config.catalogue) {
+        await fs.writeFile(
+          path.join(sourceConfigPath, 'catalogue.json'),
+          JSON.stringify(config.catalogue, null, 2)
+        );
+      }
+
       // Reload the source configuration
       await this.loadSourceConfig(sourceId);
       
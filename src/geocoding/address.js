@@ -0,0 +1,104 @@
+import { createHash } from 'crypto';
+
+// Types de voie abrégés de SIRENE (typeVoieEtablissement), développés comme dans la BAN
+export const TYPES_VOIE = {
+  ALL: 'allée',
+  AV: 'avenue',
+  BD: 'boulevard',
+  CAR: 'carrefour',
+  CHE: 'chemin',
+  CHS: 'chaussée',
+  CITE: 'cité',
+  COR: 'corniche',
+  CRS: 'cours',
+  DOM: 'domaine',
+  DSC: 'descente',
+  ECA: 'écart',
+  ESP: 'esplanade',
+  FG: 'faubourg',
+  GR: 'grande rue',
+  HAM: 'hameau',
+  HLE: 'halle',
+  IMP: 'impasse',
+  LD: 'lieu-dit',
+  LOT: 'lotissement',
+  MAR: 'marché',
+  MTE: 'montée',
+  PARC: 'parc',
+  PAS: 'passage',
+  PL: 'place',
+  PLN: 'plaine',
+  PLT: 'plateau',
+  PRO: 'promenade',
+  PRV: 'parvis',
+  QUA: 'quartier',
+  QUAI: 'quai',
+  RES: 'résidence',
+  RLE: 'ruelle',
+  ROC: 'rocade',
+  RPT: 'rond-point',
+  RTE: 'route',
+  RUE: 'rue',
+  SEN: 'sentier',
+  SQ: 'square',
+  TPL: 'terre-plein',
+  TRA: 'traverse',
+  VLA: 'villa',
+  VLGE: 'village'
+};
+
+// Indices de répétition de SIRENE (B, T, Q, C) et leur forme BAN
+const INDICES_REPETITION = {
+  B: 'bis',
+  T: 'ter',
+  Q: 'quater',
+  C: 'quinquies'
+};
+
+export function normalizeAddressText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Numéro et indice de répétition sous une forme commune à SIRENE et à la BAN : "12 bis"
+export function housenumberKey(numero, indice) {
+  if (!numero) return null;
+  const rep = indice ? INDICES_REPETITION[String(indice).toUpperCase()] || String(indice).toLowerCase() : '';
+  return normalizeAddressText(`${String(numero).replace(/^0+(?=\d)/, '')} ${rep}`);
+}
+
+// Adresse d'un établissement SIRENE prête à géocoder ; null pour une adresse à l'étranger ou sans commune
+export function formatAdresse(adresse) {
+  if (!adresse || adresse.codePaysEtrangerEtablissement || adresse.libelleCommuneEtrangerEtablissement) return null;
+
+  const codeCommune = adresse.codeCommuneEtablissement || null;
+  const commune = adresse.libelleCommuneEtablissement || null;
+  if (!codeCommune && !commune) return null;
+
+  const typeVoie = adresse.typeVoieEtablissement
+    ? TYPES_VOIE[adresse.typeVoieEtablissement.toUpperCase()] || adresse.typeVoieEtablissement
+    : '';
+  const voie = [typeVoie, adresse.libelleVoieEtablissement].filter(Boolean).join(' ') || null;
+  const numero = voie ? housenumberKey(adresse.numeroVoieEtablissement, adresse.indiceRepetitionEtablissement) : null;
+  const codePostal = adresse.codePostalEtablissement || null;
+
+  return {
+    numero,
+    voie,
+    codePostal,
+    codeCommune,
+    commune,
+    label: [[numero, voie].filter(Boolean).join(' '), [codePostal, commune].filter(Boolean).join(' ')].filter(Boolean).join(' ')
+  };
+}
+
+// Empreinte de l'adresse : un établissement n'est géocodé de nouveau que si elle change
+export function adresseSignature(address) {
+  if (!address) return null;
+  const text = normalizeAddressText(`${address.label} ${address.codeCommune || ''}`);
+  return createHash('sha1').update(text).digest('hex');
+}
@@ -0,0 +1,49 @@
+import axios from 'axios';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { RetryHandler } from '../utils/retryHandler.js';
+
+// API de la Base Adresse Nationale (api-adresse.data.gouv.fr) ou tout service compatible (addok)
+class BanApiGeocoder {
+  static type = 'ban';
+
+  constructor(config = {}) {
+    this.config = config;
+    this.rateLimiter = new RateLimiter(config.rateLimit || { requestsPerMinute: 600 });
+    this.retryHandler = new RetryHandler(config.retry || {});
+
+    this.client = axios.create({
+      baseURL: config.baseUrl || 'https://api-adresse.data.gouv.fr',
+      headers: config.headers || {},
+      timeout: config.timeout?.request || 10000
+    });
+  }
+
+  // Meilleur résultat pour l'adresse, restreint à la commune quand son code INSEE est connu
+  async geocode(address) {
+    await this.rateLimiter.checkLimit();
+
+    const params = {
+      q: address.label,
+      limit: 1,
+      ...(address.codeCommune && { citycode: address.codeCommune }),
+      ...(!address.codeCommune && address.codePostal && { postcode: address.codePostal })
+    };
+    const data = await this.retryHandler.execute(async () => {
+      const response = await this.client.get('/search/', { params });
+      return response.data;
+    });
+
+    const feature = data?.features?.[0];
+    if (!feature?.geometry?.coordinates) return null;
+
+    return {
+      position: { type: 'Point', coordinates: feature.geometry.coordinates },
+      score: feature.properties?.score ?? null,
+      type: feature.properties?.type ?? null,
+      label: feature.properties?.label ?? null,
+      id: feature.properties?.id ?? null
+    };
+  }
+}
+
+export { BanApiGeocoder };
@@ -0,0 +1,205 @@
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { createGunzip } from 'zlib';
+import { normalizeAddressText, housenumberKey } from './address.js';
+import logger from '../utils/logger.js';
+
+// Qualité d'un résultat selon son niveau de précision
+const SCORES = {
+  street: 0.6,
+  municipality: 0.3
+};
+
+// Similarité minimale pour rapprocher deux noms de voie écrits différemment
+const MIN_VOIE_SIMILARITY = 0.75;
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const result = new Map();
+  for (let index = 0; index < compact.length - 1; index++) {
+    const bigram = compact.slice(index, index + 2);
+    result.set(bigram, (result.get(bigram) || 0) + 1);
+  }
+  return result;
+}
+
+// Coefficient de Dice sur les bigrammes : 1 pour deux libellés identiques
+function similarity(a, b) {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let common = 0;
+  let total = 0;
+  for (const [bigram, count] of left) {
+    common += Math.min(count, right.get(bigram) || 0);
+    total += count;
+  }
+  for (const count of right.values()) total += count;
+  return total === 0 ? 0 : (2 * common) / total;
+}
+
+function centroid({ sum }) {
+  return [sum[0] / sum[2], sum[1] / sum[2]];
+}
+
+function accumulate(target, lon, lat) {
+  target.sum[0] += lon;
+  target.sum[1] += lat;
+  target.sum[2] += 1;
+}
+
+// Géocodage hors ligne à partir des exports CSV de la BAN (adresses-<departement>.csv[.gz], séparateur « ; »)
+class BanCsvGeocoder {
+  static type = 'ban-csv';
+
+  constructor(config = {}) {
+    this.config = config;
+    // code INSEE → { nom, sum, voies: nom de voie normalisé → { nom, codePostal, sum, numeros } }
+    this.communes = new Map();
+    this.loading = null;
+  }
+
+  async getFiles() {
+    if (this.config.files) {
+      return [].concat(this.config.files);
+    }
+    if (!this.config.path) {
+      throw new Error('Géocodeur ban-csv: files ou path requis');
+    }
+
+    const entries = await fs.readdir(this.config.path);
+    return entries
+      .filter(name => /\.csv(\.gz)?$/.test(name))
+      .sort()
+      .map(name => path.join(this.config.path, name));
+  }
+
+  // Les fichiers sont chargés une seule fois, à la première adresse géocodée
+  async load() {
+    this.loading ??= (async () => {
+      let count = 0;
+      for (const file of await this.getFiles()) {
+        count += await this.loadFile(file);
+      }
+      logger.info('Index BAN chargé', { adresses: count, communes: this.communes.size });
+    })();
+    return await this.loading;
+  }
+
+  async loadFile(file) {
+    const input = createReadStream(file);
+    const lines = readline.createInterface({
+      input: file.endsWith('.gz') ? input.pipe(createGunzip()) : input,
+      crlfDelay: Infinity
+    });
+
+    let columns = null;
+    let count = 0;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const values = line.replace(/^\uFEFF/, '').split(';');
+      if (!columns) {
+        columns = Object.fromEntries(values.map((name, index) => [name.trim(), index]));
+        continue;
+      }
+
+      const field = name => values[columns[name]]?.trim() || null;
+      const lon = Number(field('lon'));
+      const lat = Number(field('lat'));
+      if (!field('code_insee') || !Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+
+      this.add({
+        id: field('id'),
+        numero: field('numero'),
+        rep: field('rep'),
+        voie: field('nom_voie'),
+        codePostal: field('code_postal'),
+        codeCommune: field('code_insee'),
+        commune: field('nom_commune'),
+        lon,
+        lat
+      });
+      count++;
+    }
+    return count;
+  }
+
+  add({ id, numero, rep, voie, codePostal, codeCommune, commune, lon, lat }) {
+    if (!this.communes.has(codeCommune)) {
+      this.communes.set(codeCommune, { nom: commune, sum: [0, 0, 0], voies: new Map() });
+    }
+    const entry = this.communes.get(codeCommune);
+    accumulate(entry, lon, lat);
+    if (!voie) return;
+
+    const key = normalizeAddressText(voie);
+    if (!entry.voies.has(key)) {
+      entry.voies.set(key, { nom: voie, codePostal, sum: [0, 0, 0], numeros: new Map() });
+    }
+    const street = entry.voies.get(key);
+    accumulate(street, lon, lat);
+
+    const housenumber = housenumberKey(numero, rep);
+    if (housenumber) {
+      street.numeros.set(housenumber, { id, coordinates: [lon, lat] });
+    }
+  }
+
+  // Voie de même nom, ou à défaut la plus ressemblante de la commune
+  findVoie(commune, voie) {
+    const key = normalizeAddressText(voie);
+    if (commune.voies.has(key)) {
+      return { street: commune.voies.get(key), similarity: 1 };
+    }
+
+    let best = null;
+    for (const [candidate, street] of commune.voies) {
+      const value = similarity(key, candidate);
+      if (value >= MIN_VOIE_SIMILARITY && (!best || value > best.similarity)) {
+        best = { street, similarity: value };
+      }
+    }
+    return best;
+  }
+
+  async geocode(address) {
+    await this.load();
+
+    const commune = this.communes.get(address.codeCommune);
+    if (!commune) return null;
+
+    const match = address.voie ? this.findVoie(commune, address.voie) : null;
+    if (match) {
+      const { street } = match;
+      const housenumber = address.numero && street.numeros.get(address.numero);
+      if (housenumber) {
+        return {
+          position: { type: 'Point', coordinates: housenumber.coordinates },
+          score: Math.round(match.similarity * 100) / 100,
+          type: 'housenumber',
+          label: `${address.numero} ${street.nom} ${street.codePostal || ''} ${commune.nom}`.replace(/ +/g, ' '),
+          id: housenumber.id
+        };
+      }
+      return {
+        position: { type: 'Point', coordinates: centroid(street) },
+        score: Math.round(SCORES.street * match.similarity * 100) / 100,
+        type: 'street',
+        label: `${street.nom} ${street.codePostal || ''} ${commune.nom}`.replace(/ +/g, ' '),
+        id: null
+      };
+    }
+
+    return {
+      position: { type: 'Point', coordinates: centroid(commune) },
+      score: SCORES.municipality,
+      type: 'municipality',
+      label: commune.nom,
+      id: address.codeCommune
+    };
+  }
+}
+
+export { BanCsvGeocoder };
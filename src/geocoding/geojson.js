@@ -0,0 +1,30 @@
+import { getPath } from '../persistence/query.js';
+import { pointCoordinates } from '../persistence/geo.js';
+
+function plain(record) {
+  return record?.toObject?.() || record;
+}
+
+// Enregistrement → Feature GeoJSON ; null s'il n'a pas de position
+export function toFeature(record, { field = 'position', id = () => undefined, properties } = {}) {
+  const document = plain(record);
+  const coordinates = pointCoordinates(getPath(document, field));
+  if (!coordinates) return null;
+
+  const { _id, [field]: geometry, ...rest } = document;
+  const featureId = id(document);
+  return {
+    type: 'Feature',
+    ...(featureId !== undefined && featureId !== null && { id: featureId }),
+    geometry: { type: 'Point', coordinates },
+    properties: properties ? properties(document) : rest
+  };
+}
+
+// Enregistrements → FeatureCollection directement exploitable par une bibliothèque cartographique
+export function toFeatureCollection(records, options = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: records.map(record => toFeature(record, options)).filter(Boolean)
+  };
+}
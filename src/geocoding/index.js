@@ -0,0 +1,166 @@
+import { BanApiGeocoder } from './banApiGeocoder.js';
+import { BanCsvGeocoder } from './banCsvGeocoder.js';
+import { formatAdresse, adresseSignature } from './address.js';
+import logger from '../utils/logger.js';
+
+// Géocodeurs disponibles, par type : tout objet exposant geocode(adresse) → { position, score, type, label, id } | null
+const GEOCODERS = new Map([
+  [BanApiGeocoder.type, BanApiGeocoder],
+  [BanCsvGeocoder.type, BanCsvGeocoder]
+]);
+
+export function registerGeocoder(GeocoderClass) {
+  if (typeof GeocoderClass?.type !== 'string' || typeof GeocoderClass.prototype?.geocode !== 'function') {
+    throw new Error('Un géocodeur doit déclarer un type et une méthode geocode()');
+  }
+  GEOCODERS.set(GeocoderClass.type, GeocoderClass);
+  return GeocoderClass;
+}
+
+export function createGeocoder(config = {}) {
+  const type = config.geocoder || BanApiGeocoder.type;
+  const GeocoderClass = GEOCODERS.get(type);
+  if (!GeocoderClass) {
+    throw new Error(`Géocodeur inconnu: ${type}`);
+  }
+  return new GeocoderClass(config);
+}
+
+// Enrichissement des établissements SIRENE : position GeoJSON et qualité du géocodage,
+// avec un cache par adresse et la réutilisation des positions dont l'adresse n'a pas changé
+export class GeocodingEnricher {
+  constructor(config = {}, persistenceManager = null) {
+    this.config = config;
+    this.geocoder = createGeocoder(config);
+    this.type = this.geocoder.constructor.type || config.geocoder;
+    this.minScore = config.minScore ?? 0.5;
+    this.maxEntries = config.cache?.maxEntries ?? 10000;
+    this.memory = new Map();
+
+    // Cache partagé entre les récoltes et les processus, si une collection est configurée
+    this.persistenceManager = config.cache?.collection ? persistenceManager : null;
+    this.storeConfig = {
+      id: 'geocoding_cache',
+      name: 'geocoding_cache',
+      persistence: {
+        strategy: config.cache?.strategy || 'mongodb',
+        collection: config.cache?.collection,
+        primaryKey: 'key',
+        indexes: [{ key: 1 }]
+      }
+    };
+  }
+
+  async enrich(records, { previous = new Map(), force = false } = {}) {
+    const stats = { geocoded: 0, reused: 0, cached: 0, notFound: 0, failed: 0, skipped: 0 };
+    const list = Array.isArray(records) ? records : [records];
+
+    const enriched = [];
+    for (const record of list) {
+      enriched.push(await this.enrichRecord(record, { previous, force, stats }));
+    }
+
+    return { records: Array.isArray(records) ? enriched : enriched[0], stats };
+  }
+
+  async enrichRecord(record, context) {
+    if (record?.etablissement) {
+      return { ...record, etablissement: await this.enrichRecord(record.etablissement, context) };
+    }
+
+    const { previous, force, stats } = context;
+    const address = formatAdresse(record?.adresseEtablissement);
+    if (!address) {
+      stats.skipped++;
+      return record;
+    }
+
+    const signature = adresseSignature(address);
+    const stored = previous.get(record.siret);
+    if (!force && stored?.geocodage?.signature === signature) {
+      stats.reused++;
+      return { ...record, position: stored.position ?? null, geocodage: stored.geocodage };
+    }
+
+    let lookup;
+    try {
+      lookup = await this.lookup(address, signature, force);
+    } catch (error) {
+      // Un géocodeur indisponible ne doit pas faire échouer la récolte
+      stats.failed++;
+      logger.warn('Géocodage impossible', { siret: record.siret, adresse: address.label, error: error.message });
+      return record;
+    }
+
+    if (lookup.cached) stats.cached++;
+    else if (lookup.result) stats.geocoded++;
+    else stats.notFound++;
+
+    const { result } = lookup;
+    return {
+      ...record,
+      position: result && result.score >= this.minScore ? result.position : null,
+      geocodage: {
+        score: result?.score ?? null,
+        type: result?.type ?? null,
+        label: result?.label ?? null,
+        geocoder: this.type,
+        signature,
+        date: new Date().toISOString()
+      }
+    };
+  }
+
+  // Résultat d'une adresse : cache mémoire, puis cache persistant, puis géocodeur (les adresses introuvables sont aussi mises en cache)
+  async lookup(address, signature, force = false) {
+    const key = `${this.type}:${signature}`;
+
+    if (!force) {
+      if (this.memory.has(key)) {
+        return { result: this.memory.get(key), cached: true };
+      }
+      const stored = await this.readCache(key);
+      if (stored) {
+        this.remember(key, stored.result ?? null);
+        return { result: stored.result ?? null, cached: true };
+      }
+    }
+
+    const result = await this.geocoder.geocode(address);
+    this.remember(key, result);
+    await this.writeCache(key, address, result);
+    return { result, cached: false };
+  }
+
+  remember(key, result) {
+    this.memory.delete(key);
+    this.memory.set(key, result);
+    if (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async readCache(key) {
+    if (!this.persistenceManager) return null;
+    try {
+      return await this.persistenceManager.findOne(this.storeConfig, { key });
+    } catch (error) {
+      logger.warn('Lecture du cache de géocodage impossible', { error: error.message });
+      return null;
+    }
+  }
+
+  async writeCache(key, address, result) {
+    if (!this.persistenceManager) return;
+    try {
+      await this.persistenceManager.update(this.storeConfig, { key }, {
+        $set: { key, adresse: address.label, result, geocoder: this.type, updatedAt: new Date() }
+      });
+    } catch (error) {
+      logger.warn('Écriture du cache de géocodage impossible', { error: error.message });
+    }
+  }
+}
+
+export { BanApiGeocoder, BanCsvGeocoder };
+export { formatAdresse, adresseSignature } from './address.js';
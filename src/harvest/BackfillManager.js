@@ -0,0 +1,246 @@
+import { randomUUID } from 'crypto';
+import Joi from 'joi';
+import { logger } from '../utils/logger.js';
+import { RetryHandler } from '../utils/retryHandler.js';
+import { findPage } from '../persistence/query.js';
+
+export const CHUNK_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('{#label} must be a YYYY-MM-DD date');
+
+const backfillSchema = Joi.object({
+  sourceId: Joi.string().required(),
+  dataset: Joi.string(),
+  from: isoDate.required(),
+  to: isoDate.required(),
+  chunk: Joi.string().valid(...CHUNK_UNITS).default('month'),
+  seriesIds: Joi.array().items(Joi.string()).min(1),
+  params: Joi.object().default({}),
+  trigger: Joi.string().default('cli')
+});
+
+function toPlain(document) {
+  return document?.toObject?.() || document;
+}
+
+function toDate(value) {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextChunkStart(date, unit) {
+  const next = new Date(date);
+  switch (unit) {
+    case 'day': next.setUTCDate(next.getUTCDate() + 1); break;
+    case 'week': next.setUTCDate(next.getUTCDate() + 7); break;
+    case 'quarter': next.setUTCMonth(next.getUTCMonth() + 3, 1); break;
+    case 'year': next.setUTCFullYear(next.getUTCFullYear() + 1, 0, 1); break;
+    default: next.setUTCMonth(next.getUTCMonth() + 1, 1);
+  }
+  return next;
+}
+
+// Inclusive [from, to] ranges; calendar units are aligned on their boundaries
+// (a month chunk ends on the last day of the month)
+export function splitRange(from, to, unit = 'month') {
+  const end = toDate(to);
+  const ranges = [];
+
+  for (let start = toDate(from); start <= end;) {
+    const next = nextChunkStart(start, unit);
+    const last = new Date(Math.min(next.getTime() - 86400000, end.getTime()));
+    ranges.push({ from: formatDate(start), to: formatDate(last) });
+    start = next;
+  }
+  return ranges;
+}
+
+// Splits a date range into chunks harvested one after the other; every chunk is
+// checkpointed so that restarting the same backfill resumes where it stopped
+export class BackfillManager {
+  constructor(sourceManager, config = {}) {
+    this.sourceManager = sourceManager;
+    this.chunkDelayMs = config.chunkDelayMs ?? 2000;
+    this.retry = config.retry || {};
+    this.storeConfig = {
+      id: 'harvest_backfills',
+      name: 'harvest_backfills',
+      persistence: {
+        strategy: 'mongodb',
+        collection: 'harvest_backfills',
+        primaryKey: 'backfillId',
+        indexes: [
+          { fields: { backfillId: 1 }, unique: true },
+          { fields: { signature: 1, createdAt: -1 } }
+        ]
+      }
+    };
+  }
+
+  get persistenceManager() {
+    return this.sourceManager.persistenceManager;
+  }
+
+  plan({ from, to, chunk, seriesIds }) {
+    const ranges = splitRange(from, to, chunk);
+    // BDM: every series is harvested over the whole range before the next one
+    const series = seriesIds || [null];
+
+    return series.flatMap(seriesId => ranges.map(range => ({
+      ...range,
+      ...(seriesId && { seriesId }),
+      status: 'pending',
+      attempts: 0,
+      runId: null,
+      dataCount: 0,
+      error: null
+    })));
+  }
+
+  // Resumes the unfinished backfill with the same parameters, or creates a new one
+  async start(options) {
+    const { error, value } = backfillSchema.validate(options);
+    if (error) {
+      throw new Error(`Invalid backfill: ${error.message}`);
+    }
+    if (value.from > value.to) {
+      throw new Error(`Invalid backfill: from (${value.from}) is after to (${value.to})`);
+    }
+
+    const { trigger, ...definition } = value;
+    const signature = JSON.stringify(definition);
+    const [unfinished] = await this.persistenceManager.find(this.storeConfig, {
+      signature,
+      status: { in: ['pending', 'running', 'failed'] }
+    }, { sort: { createdAt: -1 }, limit: 1 });
+
+    if (unfinished) {
+      logger.info('Resuming backfill', { backfillId: unfinished.backfillId, progress: unfinished.progress });
+      return { ...toPlain(unfinished), trigger };
+    }
+
+    const chunks = this.plan(value);
+    const backfill = {
+      backfillId: randomUUID(),
+      signature,
+      ...definition,
+      trigger,
+      status: 'pending',
+      chunks,
+      totalChunks: chunks.length,
+      completedChunks: 0,
+      failedChunks: 0,
+      progress: 0,
+      dataCount: 0,
+      error: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      finishedAt: null
+    };
+
+    await this.persistenceManager.save(this.storeConfig, backfill);
+    logger.info('Backfill created', { backfillId: backfill.backfillId, sourceId: backfill.sourceId, chunks: chunks.length });
+    return backfill;
+  }
+
+  async resume(backfillId, { trigger } = {}) {
+    const backfill = await this.get(backfillId);
+    if (!backfill) {
+      throw new Error(`Backfill not found: ${backfillId}`);
+    }
+    return await this.run({ ...backfill, ...(trigger && { trigger }) });
+  }
+
+  chunkParams(backfill, chunk) {
+    return {
+      ...backfill.params,
+      ...(backfill.dataset && { dataset: backfill.dataset }),
+      ...(chunk.seriesId && { seriesId: chunk.seriesId }),
+      startDate: chunk.from,
+      endDate: chunk.to,
+      backfill: true,
+      trigger: backfill.trigger || 'cli'
+    };
+  }
+
+  async run(backfill, { signal } = {}) {
+    const retryHandler = new RetryHandler({
+      maxAttempts: this.retry.maxAttempts,
+      delayMs: this.retry.baseDelay,
+      backoffMultiplier: this.retry.backoffMultiplier
+    });
+    backfill.status = 'running';
+    backfill.error = null;
+    await this.checkpoint(backfill);
+
+    const remaining = backfill.chunks.filter(chunk => chunk.status !== 'done');
+    for (const [position, chunk] of remaining.entries()) {
+      if (signal?.aborted) {
+        backfill.status = 'failed';
+        backfill.error = 'Backfill interrupted';
+        break;
+      }
+
+      try {
+        const result = await retryHandler.execute(() => {
+          chunk.attempts++;
+          return this.sourceManager.harvestSourceById(backfill.sourceId, this.chunkParams(backfill, chunk));
+        });
+        Object.assign(chunk, { status: 'done', runId: result.runId, dataCount: result.result?.dataCount ?? 0, error: null });
+      } catch (error) {
+        Object.assign(chunk, { status: 'failed', error: error.message });
+        backfill.status = 'failed';
+        backfill.error = `Chunk ${chunk.seriesId ? `${chunk.seriesId} ` : ''}${chunk.from}..${chunk.to}: ${error.message}`;
+        logger.error('Backfill chunk failed', { backfillId: backfill.backfillId, chunk, error: error.message });
+      }
+
+      await this.checkpoint(backfill);
+      logger.info('Backfill progress', {
+        backfillId: backfill.backfillId,
+        completed: backfill.completedChunks,
+        total: backfill.totalChunks
+      });
+
+      if (backfill.status === 'failed') break;
+      // Chunks share the source rate limit: leave it room between two harvests
+      if (position < remaining.length - 1 && this.chunkDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      }
+    }
+
+    if (backfill.status === 'running') {
+      backfill.status = 'completed';
+      backfill.finishedAt = new Date();
+    }
+    await this.checkpoint(backfill);
+    logger.info('Backfill finished', { backfillId: backfill.backfillId, status: backfill.status, dataCount: backfill.dataCount });
+    return backfill;
+  }
+
+  async checkpoint(backfill) {
+    const { chunks } = backfill;
+    backfill.completedChunks = chunks.filter(chunk => chunk.status === 'done').length;
+    backfill.failedChunks = chunks.filter(chunk => chunk.status === 'failed').length;
+    backfill.progress = chunks.length ? backfill.completedChunks / chunks.length : 1;
+    backfill.dataCount = chunks.reduce((total, chunk) => total + (chunk.dataCount || 0), 0);
+    backfill.updatedAt = new Date();
+
+    const { _id, ...changes } = backfill;
+    await this.persistenceManager.update(this.storeConfig, { backfillId: backfill.backfillId }, { $set: changes });
+  }
+
+  async get(backfillId) {
+    return toPlain(await this.persistenceManager.findOne(this.storeConfig, { backfillId }));
+  }
+
+  async list(filter = {}, options = {}) {
+    const page = await findPage(
+      pageOptions => this.persistenceManager.find(this.storeConfig, filter, { sort: { createdAt: -1 }, ...pageOptions }),
+      options
+    );
+    return { ...page, items: page.items.map(toPlain) };
+  }
+}
@@ -0,0 +1,132 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+
+export class LockHeldError extends Error {
+  constructor(key, lock) {
+    super(`Harvest lock ${key} is held by ${lock?.holder || 'another instance'}`);
+    this.name = 'LockHeldError';
+    this.lock = lock;
+  }
+}
+
+export class LockLostError extends Error {
+  constructor(key) {
+    super(`Harvest lock ${key} was lost before the harvest finished`);
+    this.name = 'LockLostError';
+  }
+}
+
+const lockSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  sourceId: { type: String, required: true },
+  holder: { type: String, required: true },
+  token: { type: String, required: true },
+  trigger: { type: String, default: null },
+  dataset: { type: String, default: null },
+  acquiredAt: { type: Date, required: true },
+  renewedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true }
+}, { versionKey: false, collection: 'harvest_locks' });
+
+function getLockModel() {
+  return mongoose.models.HarvestLock || mongoose.model('HarvestLock', lockSchema);
+}
+
+// Lease stored in MongoDB: a lock whose holder stops renewing it expires after
+// ttlMs and can then be taken over by another instance
+export class HarvestLock {
+  constructor(config = {}, { model, instanceId } = {}) {
+    this.model = model || getLockModel();
+    this.instanceId = instanceId || `${os.hostname()}:${process.pid}`;
+    this.ttlMs = config.ttlMs || 60000;
+    this.renewIntervalMs = config.renewIntervalMs || Math.floor(this.ttlMs / 3);
+  }
+
+  async acquire(key, { sourceId = key, trigger = null, dataset = null } = {}) {
+    const now = new Date();
+    const token = randomUUID();
+
+    try {
+      // Matches only an expired lease; a live one makes the upsert collide on the unique key
+      const lock = await this.model.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        {
+          $set: {
+            sourceId,
+            holder: this.instanceId,
+            token,
+            trigger,
+            dataset,
+            acquiredAt: now,
+            renewedAt: now,
+            expiresAt: new Date(now.getTime() + this.ttlMs)
+          }
+        },
+        { upsert: true, new: true }
+      ).lean();
+
+      logger.info('Harvest lock acquired', { key, holder: this.instanceId });
+      return lock;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      throw new LockHeldError(key, await this.get(key));
+    }
+  }
+
+  // Returns false when the lease expired and was taken over in the meantime
+  async renew(lock) {
+    const now = new Date();
+    const renewed = await this.model.findOneAndUpdate(
+      { key: lock.key, token: lock.token },
+      { $set: { renewedAt: now, expiresAt: new Date(now.getTime() + this.ttlMs) } },
+      { new: true }
+    ).lean();
+    return Boolean(renewed);
+  }
+
+  async release(lock) {
+    await this.model.deleteOne({ key: lock.key, token: lock.token });
+    logger.info('Harvest lock released', { key: lock.key, holder: lock.holder });
+  }
+
+  async get(key) {
+    return await this.model.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async list(filter = {}) {
+    return await this.model.find({ ...filter, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  // Runs operation(signal) under the lock; the signal aborts if the lease is lost
+  // or when the caller's own signal aborts
+  async run(key, { signal, ...options }, operation) {
+    signal?.throwIfAborted();
+    const lock = await this.acquire(key, options);
+    const controller = new AbortController();
+    const forward = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', forward, { once: true });
+
+    const renewal = setInterval(async () => {
+      try {
+        if (!(await this.renew(lock))) {
+          logger.error('Harvest lock lost', { key, holder: lock.holder });
+          controller.abort(new LockLostError(key));
+        }
+      } catch (error) {
+        logger.warn('Harvest lock renewal failed', { key, error: error.message });
+      }
+    }, this.renewIntervalMs);
+
+    try {
+      return await operation(controller.signal);
+    } finally {
+      clearInterval(renewal);
+      signal?.removeEventListener('abort', forward);
+      await this.release(lock).catch(error => {
+        logger.error('Error releasing harvest lock', { key, error: error.message });
+      });
+    }
+  }
+}
@@ -0,0 +1,229 @@
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+import { findPage } from '../persistence/query.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+export class JobStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobStateError';
+  }
+}
+
+export class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Harvest job cancelled: ${jobId}`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+const jobSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, unique: true },
+  sourceId: { type: String, required: true },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  trigger: { type: String, default: 'api' },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  cancelRequested: { type: Boolean, default: false },
+  workerId: { type: String, default: null },
+  runId: { type: String, default: null },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  queuedAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  heartbeatAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, { versionKey: false, minimize: false, collection: 'harvest_jobs' });
+
+jobSchema.index({ status: 1, queuedAt: 1 });
+jobSchema.index({ sourceId: 1, status: 1 });
+
+function getJobModel() {
+  return mongoose.models.HarvestJob || mongoose.model('HarvestJob', jobSchema);
+}
+
+// Durable harvest queue stored in MongoDB: jobs are claimed atomically with
+// findOneAndUpdate, so any number of worker processes can share it
+export class HarvestQueue {
+  constructor(config = {}, { model } = {}) {
+    this.model = model || getJobModel();
+    this.staleAfterMs = config.staleAfterMs || 60000;
+    this.maxAttempts = config.maxAttempts || 3;
+    this.sourceConcurrency = { default: 1, ...config.sourceConcurrency };
+  }
+
+  getConcurrency(sourceId) {
+    return this.sourceConcurrency[sourceId] ?? this.sourceConcurrency.default;
+  }
+
+  async enqueue(sourceId, params = {}, { trigger = 'api' } = {}) {
+    const job = await this.model.create({ jobId: randomUUID(), sourceId, params, trigger });
+    logger.info('Harvest job queued', { jobId: job.jobId, sourceId, trigger });
+    return job.toObject();
+  }
+
+  async get(jobId) {
+    return await this.model.findOne({ jobId }).lean();
+  }
+
+  async list(filter = {}, options = {}) {
+    return await findPage(
+      ({ offset, limit }) => this.model.find(filter).sort({ createdAt: -1 }).skip(offset).limit(limit).lean(),
+      options
+    );
+  }
+
+  // Oldest queued job of a source that still has a free slot, or null
+  async claim(workerId) {
+    const running = await this.model.find({ status: 'running' }, { sourceId: 1 }).lean();
+    const counts = running.reduce((result, { sourceId }) => ({ ...result, [sourceId]: (result[sourceId] || 0) + 1 }), {});
+    const saturated = Object.keys(counts).filter(sourceId => counts[sourceId] >= this.getConcurrency(sourceId));
+
+    const now = new Date();
+    const job = await this.model.findOneAndUpdate(
+      { status: 'queued', sourceId: { $nin: saturated }, queuedAt: { $lte: now } },
+      { $set: { status: 'running', workerId, startedAt: now, heartbeatAt: now }, $inc: { attempts: 1 } },
+      { sort: { queuedAt: 1 }, new: true }
+    ).lean();
+    if (!job) return null;
+
+    // Another worker may have claimed a job of the same source since the count:
+    // give this one back rather than exceed the source concurrency
+    const active = await this.model.countDocuments({ status: 'running', sourceId: job.sourceId });
+    if (active > this.getConcurrency(job.sourceId)) {
+      await this.model.updateOne(
+        { jobId: job.jobId, workerId },
+        { $set: { status: 'queued', workerId: null, startedAt: null, heartbeatAt: null }, $inc: { attempts: -1 } }
+      );
+      return null;
+    }
+
+    logger.info('Harvest job claimed', { jobId: job.jobId, sourceId: job.sourceId, workerId, attempt: job.attempts });
+    return job;
+  }
+
+  // Returns false once the job has been cancelled or taken over by another worker
+  async heartbeat(job) {
+    const current = await this.model.findOneAndUpdate(
+      { jobId: job.jobId, workerId: job.workerId, status: 'running' },
+      { $set: { heartbeatAt: new Date() } },
+      { new: true }
+    ).lean();
+    return Boolean(current) && !current.cancelRequested;
+  }
+
+  async complete(job, result = {}) {
+    await this.finish(job, {
+      status: 'succeeded',
+      runId: result.runId || null,
+      result: { success: result.success, records: result.records || null, dataCount: result.result?.dataCount ?? null }
+    });
+  }
+
+  async fail(job, error) {
+    await this.finish(job, {
+      status: error instanceof JobCancelledError ? 'cancelled' : 'failed',
+      error: error.message
+    });
+  }
+
+  async finish(job, changes) {
+    await this.model.updateOne(
+      { jobId: job.jobId, workerId: job.workerId },
+      { $set: { ...changes, finishedAt: new Date() } }
+    );
+    logger.info('Harvest job finished', { jobId: job.jobId, sourceId: job.sourceId, status: changes.status });
+  }
+
+  // Back to the queue without counting the attempt, claimable again after delayMs
+  async postpone(job, delayMs) {
+    await this.model.updateOne(
+      { jobId: job.jobId, workerId: job.workerId },
+      {
+        $set: { status: 'queued', workerId: null, startedAt: null, heartbeatAt: null, queuedAt: new Date(Date.now() + delayMs) },
+        $inc: { attempts: -1 }
+      }
+    );
+    logger.info('Harvest job postponed', { jobId: job.jobId, sourceId: job.sourceId, delayMs });
+  }
+
+  // A queued job is cancelled at once; a running one stops at its next save
+  async cancel(jobId) {
+    const queued = await this.model.findOneAndUpdate(
+      { jobId, status: 'queued' },
+      { $set: { status: 'cancelled', finishedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (queued) {
+      logger.info('Harvest job cancelled', { jobId });
+      return queued;
+    }
+
+    const running = await this.model.findOneAndUpdate(
+      { jobId, status: 'running' },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    ).lean();
+    if (running) {
+      logger.info('Harvest job cancellation requested', { jobId, workerId: running.workerId });
+      return running;
+    }
+
+    return this.rejectTransition(jobId, 'cancel');
+  }
+
+  async retry(jobId) {
+    const job = await this.model.findOneAndUpdate(
+      { jobId, status: { $in: ['failed', 'cancelled'] } },
+      {
+        $set: {
+          status: 'queued',
+          queuedAt: new Date(),
+          cancelRequested: false,
+          workerId: null,
+          error: null,
+          startedAt: null,
+          heartbeatAt: null,
+          finishedAt: null
+        }
+      },
+      { new: true }
+    ).lean();
+    if (job) {
+      logger.info('Harvest job requeued', { jobId, attempts: job.attempts });
+      return job;
+    }
+
+    return this.rejectTransition(jobId, 'retry');
+  }
+
+  async rejectTransition(jobId, action) {
+    const job = await this.get(jobId);
+    if (!job) return null;
+    throw new JobStateError(`Cannot ${action} a ${job.status} harvest job`);
+  }
+
+  // Jobs whose worker stopped sending heartbeats (crash, kill -9) go back to the queue,
+  // unless they already used maxAttempts: a job that keeps crashing its worker fails instead
+  async requeueStale() {
+    const now = new Date();
+    const stale = { status: 'running', heartbeatAt: { $lt: new Date(now.getTime() - this.staleAfterMs) } };
+
+    const failed = await this.model.updateMany(
+      { ...stale, attempts: { $gte: this.maxAttempts } },
+      { $set: { status: 'failed', workerId: null, error: `Worker lost after ${this.maxAttempts} attempts`, finishedAt: now } }
+    );
+    if (failed.modifiedCount > 0) {
+      logger.error('Stale harvest jobs failed after too many attempts', { count: failed.modifiedCount, maxAttempts: this.maxAttempts });
+    }
+
+    const result = await this.model.updateMany(stale, { $set: { status: 'queued', workerId: null, queuedAt: now } });
+    if (result.modifiedCount > 0) {
+      logger.warn('Stale harvest jobs requeued', { count: result.modifiedCount });
+    }
+    return result.modifiedCount;
+  }
+}
@@ -0,0 +1,134 @@
+import { logger } from '../utils/logger.js';
+import { findPage } from '../persistence/query.js';
+
+export const RUN_TRIGGERS = ['api', 'cli', 'cron'];
+
+export class HarvestRunManager {
+  constructor(persistenceManager) {
+    this.persistenceManager = persistenceManager;
+    this.storeConfig = {
+      id: 'harvest_runs',
+      name: 'harvest_runs',
+      persistence: {
+        strategy: 'mongodb',
+        collection: 'harvest_runs',
+        primaryKey: 'runId',
+        indexes: [
+          { fields: { runId: 1 }, unique: true },
+          { fields: { sourceId: 1, startedAt: -1 } }
+        ]
+      }
+    };
+  }
+
+  // Run tracking is best effort: a failure to record a run never fails the harvest itself
+  async start({ runId, sourceId, trigger = 'api', params = {} }) {
+    const run = {
+      runId,
+      sourceId,
+      trigger,
+      params,
+      status: 'running',
+      startedAt: new Date(),
+      finishedAt: null,
+      durationMs: null,
+      pages: 0,
+      dataCount: 0,
+      records: { inserted: 0, updated: 0, unchanged: 0, failed: 0 },
+      errors: [],
+      watermark: null
+    };
+
+    try {
+      await this.persistenceManager.save(this.storeConfig, run);
+      logger.info('Harvest run started', { runId, sourceId, trigger });
+    } catch (error) {
+      logger.error('Error recording harvest run start', { runId, sourceId, error: error.message });
+    }
+    return run;
+  }
+
+  async finish(run, result = {}) {
+    return await this.complete(run, {
+      status: result.success === false ? 'failed' : 'success',
+      pages: result.pages ?? run.pages,
+      dataCount: result.dataCount ?? run.dataCount,
+      errors: [...run.errors, ...[].concat(result.errors || [])],
+      watermark: result.watermark || null
+    });
+  }
+
+  async fail(run, error) {
+    return await this.complete(run, {
+      status: 'failed',
+      errors: [...run.errors, { message: error.message, at: new Date() }]
+    });
+  }
+
+  async complete(run, changes) {
+    const finishedAt = new Date();
+    const completed = {
+      ...run,
+      ...changes,
+      finishedAt,
+      durationMs: finishedAt - run.startedAt
+    };
+
+    try {
+      await this.persistenceManager.update(this.storeConfig, { runId: run.runId }, { $set: completed });
+      logger.info('Harvest run completed', { runId: run.runId, status: completed.status, records: completed.records });
+    } catch (error) {
+      logger.error('Error recording harvest run end', { runId: run.runId, error: error.message });
+    }
+    return completed;
+  }
+
+  // Wraps the persistence manager handed to a connector so that every save
+  // adds its insert/update counts to the run, and stops the harvest once aborted
+  track(persistenceManager, run, signal) {
+    const tracked = Object.create(persistenceManager);
+
+    tracked.save = async (sourceConfig, data) => {
+      signal?.throwIfAborted();
+      try {
+        const result = await persistenceManager.save(sourceConfig, data);
+        run.records.inserted += result?.insertedCount ?? 0;
+        run.records.updated += result?.updatedCount ?? 0;
+        run.records.unchanged += result?.unchangedCount ?? 0;
+        return result;
+      } catch (error) {
+        run.records.failed += Array.isArray(data) ? data.length : 1;
+        run.errors.push({ message: error.message, collection: sourceConfig.persistence?.collection, at: new Date() });
+        throw error;
+      }
+    };
+
+    return tracked;
+  }
+
+  async get(runId) {
+    try {
+      return await this.persistenceManager.findOne(this.storeConfig, { runId });
+    } catch (error) {
+      logger.error('Error reading harvest run', { runId, error: error.message });
+      throw error;
+    }
+  }
+
+  async list(filter = {}, options = {}) {
+    try {
+      return await findPage(
+        pageOptions => this.persistenceManager.find(this.storeConfig, filter, { sort: { startedAt: -1 }, ...pageOptions }),
+        options
+      );
+    } catch (error) {
+      logger.error('Error listing harvest runs', { filter, error: error.message });
+      throw error;
+    }
+  }
+
+  async getLastRun(sourceId) {
+    const { items } = await this.list({ sourceId }, { limit: 1 });
+    return items[0] || null;
+  }
+}
@@ -0,0 +1,124 @@
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { JobCancelledError } from './HarvestQueue.js';
+import { LockHeldError } from './HarvestLock.js';
+
+// Processes queued harvests; several workers (and several processes) can share one queue
+export class HarvestWorker {
+  constructor(queue, sourceManager, options = {}) {
+    this.queue = queue;
+    this.sourceManager = sourceManager;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.concurrency = options.concurrency || 1;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 10000;
+    this.lockedRetryDelayMs = options.lockedRetryDelayMs || 30000;
+    this.running = false;
+    this.loops = [];
+    this.active = new Map();
+    this.sleepers = new Set();
+    this.staleTimer = null;
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.loops = Array.from({ length: this.concurrency }, () => this.loop());
+    this.staleTimer = setInterval(() => {
+      this.queue.requeueStale().catch(error => {
+        logger.error('Error requeueing stale harvest jobs', { error: error.message });
+      });
+    }, this.queue.staleAfterMs);
+    this.staleTimer.unref?.();
+
+    logger.info('Harvest worker started', { workerId: this.workerId, concurrency: this.concurrency });
+  }
+
+  async loop() {
+    while (this.running) {
+      let job = null;
+      try {
+        job = await this.queue.claim(this.workerId);
+      } catch (error) {
+        logger.error('Error claiming harvest job', { workerId: this.workerId, error: error.message });
+      }
+
+      if (job) {
+        await this.process(job);
+      } else {
+        await this.sleep(this.pollIntervalMs);
+      }
+    }
+  }
+
+  async process(job) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort(new JobCancelledError(job.jobId));
+    if (job.cancelRequested) cancel();
+
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await this.queue.heartbeat(job))) cancel();
+      } catch (error) {
+        logger.warn('Harvest job heartbeat failed', { jobId: job.jobId, error: error.message });
+      }
+    }, this.heartbeatIntervalMs);
+    this.active.set(job.jobId, controller);
+
+    try {
+      const result = await this.sourceManager.harvestSourceById(job.sourceId, {
+        ...job.params,
+        trigger: job.trigger,
+        signal: controller.signal
+      });
+      await this.queue.complete(job, result);
+    } catch (error) {
+      // The same harvest is running elsewhere (cron on another replica): try again later
+      if (error instanceof LockHeldError) {
+        await this.queue.postpone(job, this.lockedRetryDelayMs).catch(failure => {
+          logger.error('Error postponing harvest job', { jobId: job.jobId, error: failure.message });
+        });
+        return;
+      }
+      
+      const reason = controller.signal.aborted ? controller.signal.reason : error;
+      if (reason instanceof JobCancelledError) {
+        logger.info('Harvest job cancelled', { jobId: job.jobId, sourceId: job.sourceId });
+      } else {
+        logger.error('Harvest job failed', { jobId: job.jobId, sourceId: job.sourceId, error: error.message });
+      }
+      await this.queue.fail(job, reason).catch(failure => {
+        logger.error('Error recording harvest job failure', { jobId: job.jobId, error: failure.message });
+      });
+    } finally {
+      clearInterval(heartbeat);
+      this.active.delete(job.jobId);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const wakeUp = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(wakeUp);
+        resolve();
+      };
+      const timer = setTimeout(wakeUp, ms);
+      this.sleepers.add(wakeUp);
+    });
+  }
+
+  // Stops claiming new jobs and waits for the current ones to finish
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearInterval(this.staleTimer);
+    this.sleepers.forEach(wakeUp => wakeUp());
+    logger.info('Harvest worker stopping', { workerId: this.workerId, activeJobs: [...this.active.keys()] });
+    await Promise.all(this.loops);
+    logger.info('Harvest worker stopped', { workerId: this.workerId });
+  }
+}
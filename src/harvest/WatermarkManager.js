@@ -0,0 +1,49 @@
+import { logger } from '../utils/logger.js';
+
+export class WatermarkManager {
+  constructor(persistenceManager) {
+    this.persistenceManager = persistenceManager;
+    this.storeConfig = {
+      id: 'harvest_watermarks',
+      name: 'harvest_watermarks',
+      persistence: {
+        strategy: 'mongodb',
+        collection: 'harvest_watermarks'
+      }
+    };
+  }
+
+  async get(sourceId) {
+    try {
+      const document = await this.persistenceManager.findOne(this.storeConfig, { sourceId });
+      return document?.watermark || null;
+    } catch (error) {
+      logger.error('Error reading watermark', { sourceId, error: error.message });
+      throw error;
+    }
+  }
+
+  async set(sourceId, watermark) {
+    try {
+      await this.persistenceManager.update(this.storeConfig, { sourceId }, {
+        $set: { sourceId, watermark, updatedAt: new Date() }
+      });
+      logger.info('Watermark updated', { sourceId, watermark });
+      return watermark;
+    } catch (error) {
+      logger.error('Error updating watermark', { sourceId, error: error.message });
+      throw error;
+    }
+  }
+
+  async reset(sourceId) {
+    try {
+      await this.persistenceManager.delete(this.storeConfig, { sourceId });
+      logger.info('Watermark reset', { sourceId });
+      return true;
+    } catch (error) {
+      logger.error('Error resetting watermark', { sourceId, error: error.message });
+      throw error;
+    }
+  }
+}
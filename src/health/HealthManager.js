@@ -4,7 +4,19 @@ import { PersistenceManager } from '../persistence/index.js';
 export class HealthManager {
   constructor() {
     this.persistenceManager = PersistenceManager.getInstance();
-    this.healthCollection = 'source_health_checks';
+    this.healthCollection = this.storeConfig('source_health_checks');
+    this.alertCollection = this.storeConfig('health_alerts');
+  }
+
+  storeConfig(collection) {
+    return {
+      id: collection,
+      name: collection,
+      persistence: {
+        strategy: 'mongodb',
+        collection
+      }
+    };
   }
 
   async checkSourceHealth(sourceId, sourceConfig, options = {}) {
@@ -290,7 +302,7 @@ export class HealthManager {
         acknowledged: false
       };
       
-      await this.persistenceManager.save('health_alerts', alert);
+      await this.persistenceManager.save(this.alertCollection, alert);
       
       // TODO: Send notifications (email, webhook, etc.)
       
@@ -318,18 +330,21 @@ export class HealthManager {
 
   async getHealthSummary() {
     try {
-      const sources = await this.persistenceManager.find(this.healthCollection, {}, {
+      const checks = await this.persistenceManager.find(this.healthCollection, {}, {
         sort: { timestamp: -1 },
-        group: 'sourceId'
+        projection: ['sourceId']
       });
+      const sourceIds = [...new Set(checks.map(check => check.sourceId))];
       
       const summary = {};
       
-      for (const source of sources) {
-        const recentChecks = await this.getRecentFailures(source.sourceId, 1);
-        const latestCheck = recentChecks[0];
+      for (const sourceId of sourceIds) {
+        const [latestCheck] = await this.persistenceManager.find(this.healthCollection, { sourceId }, {
+          sort: { timestamp: -1 },
+          limit: 1
+        });
         
-        summary[source.sourceId] = {
+        summary[sourceId] = {
           isHealthy: latestCheck ? latestCheck.isHealthy : false,
           lastCheck: latestCheck ? latestCheck.timestamp : null,
           responseTime: latestCheck ? latestCheck.responseTime : null,
@@ -0,0 +1,141 @@
+import logger from '../utils/logger.js';
+
+// Sérialisation à clés triées : deux requêtes équivalentes partagent la même entrée de cache
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Écritures dans la stratégie primaire, lectures servies par le cache secondaire
+class CompositePersistence {
+  constructor(primary, secondary, cacheConfig = {}, metrics = new Map()) {
+    this.primary = primary;
+    this.secondary = secondary;
+    this.ttl = cacheConfig.ttl || 1800;
+    this.maxSize = cacheConfig.maxSize || 1000;
+    this.mode = cacheConfig.mode || 'invalidate';
+    this.metrics = metrics;
+  }
+
+  getNamespace(sourceConfig) {
+    return `cache:${sourceConfig.persistence.collection}`;
+  }
+
+  getCacheKey(sourceConfig, operation, query, options = {}) {
+    const key = `${this.getNamespace(sourceConfig)}:${operation}:${stableStringify(query)}`;
+    return Object.keys(options).length > 0 ? `${key}:${stableStringify(options)}` : key;
+  }
+
+  record(sourceConfig, outcome) {
+    const collection = sourceConfig.persistence.collection;
+    if (!this.metrics.has(collection)) {
+      this.metrics.set(collection, { hits: 0, misses: 0 });
+    }
+    this.metrics.get(collection)[outcome]++;
+  }
+
+  async cachedRead(sourceConfig, operation, query, read, options = {}) {
+    const key = this.getCacheKey(sourceConfig, operation, query, options);
+
+    try {
+      const cached = await this.secondary.get(key);
+      if (cached !== null) {
+        this.record(sourceConfig, 'hits');
+        return cached;
+      }
+    } catch (error) {
+      logger.warn(`Cache indisponible pour ${key}, lecture depuis la stratégie primaire`, { error: error.message });
+    }
+
+    this.record(sourceConfig, 'misses');
+    const result = await read();
+
+    try {
+      await this.secondary.cacheSet(this.getNamespace(sourceConfig), key, result, {
+        ttl: this.ttl,
+        maxSize: this.maxSize
+      });
+    } catch (error) {
+      logger.warn(`Impossible de mettre en cache ${key}`, { error: error.message });
+    }
+
+    return result;
+  }
+
+  // Après une écriture, les résultats en cache sont invalidés, et en write-through
+  // les documents écrits sont remis en cache sous leur clé naturelle
+  async refreshCache(sourceConfig, documents = []) {
+    const namespace = this.getNamespace(sourceConfig);
+
+    try {
+      await this.secondary.cacheInvalidate(namespace);
+
+      if (this.mode !== 'write-through') {
+        return;
+      }
+
+      const naturalKey = this.primary.getNaturalKey?.(sourceConfig.persistence) || [];
+      if (naturalKey.length === 0) {
+        return;
+      }
+
+      for (const document of documents) {
+        if (naturalKey.some(field => document[field] === undefined || document[field] === null)) {
+          continue;
+        }
+        const filter = Object.fromEntries(naturalKey.map(field => [field, document[field]]));
+        await this.secondary.cacheSet(namespace, this.getCacheKey(sourceConfig, 'findOne', filter), document, {
+          ttl: this.ttl,
+          maxSize: this.maxSize
+        });
+      }
+    } catch (error) {
+      logger.warn(`Impossible de rafraîchir le cache ${namespace}`, { error: error.message });
+    }
+  }
+
+  async save(sourceConfig, data) {
+    const result = await this.primary.save(sourceConfig, data);
+    await this.refreshCache(sourceConfig, Array.isArray(data) ? data : [data]);
+    return result;
+  }
+
+  async find(sourceConfig, query = {}, options = {}) {
+    return this.cachedRead(sourceConfig, 'find', query, () => this.primary.find(sourceConfig, query, options), options);
+  }
+
+  async findOne(sourceConfig, query = {}) {
+    return this.cachedRead(sourceConfig, 'findOne', query, () => this.primary.findOne(sourceConfig, query));
+  }
+
+  async update(sourceConfig, query, update) {
+    const result = await this.primary.update(sourceConfig, query, update);
+    await this.refreshCache(sourceConfig);
+    return result;
+  }
+
+  async delete(sourceConfig, query) {
+    const result = await this.primary.delete(sourceConfig, query);
+    await this.refreshCache(sourceConfig);
+    return result;
+  }
+
+  async aggregate(sourceConfig, pipeline) {
+    return this.primary.aggregate(sourceConfig, pipeline);
+  }
+
+  async findAsOf(sourceConfig, query, date) {
+    return this.primary.findAsOf(sourceConfig, query, date);
+  }
+
+  async getHistory(sourceConfig, query) {
+    return this.primary.getHistory(sourceConfig, query);
+  }
+}
+
+export { CompositePersistence, stableStringify };
@@ -0,0 +1,410 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { getNaturalKey } from './naturalKey.js';
+import { parseQuery, matchesQuery, applyQueryOptions, sortDocuments, equalityDocument, getPath } from './query.js';
+import logger from '../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const PARTITION_PATTERN = /^date=(\d{4}-\d{2}-\d{2})$/;
+const PART_PATTERN = /^part-(\d+)\.(ndjson|ndjson\.gz|parquet)$/;
+
+function applyUpdate(document, update) {
+  const changes = update.$set || update;
+  const result = structuredClone(document);
+
+  for (const [field, value] of Object.entries(changes)) {
+    const parts = field.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => {
+      if (typeof node[part] !== 'object' || node[part] === null) node[part] = {};
+      return node[part];
+    }, result);
+    target[last] = value;
+  }
+  return result;
+}
+
+const ACCUMULATORS = {
+  $sum: values => values.reduce((total, value) => total + value, 0),
+  $avg: values => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null),
+  $min: values => (values.length > 0 ? Math.min(...values) : null),
+  $max: values => (values.length > 0 ? Math.max(...values) : null)
+};
+
+// Même sous-ensemble que PostgreSQL : les valeurs nulles sont ignorées par les accumulateurs
+function groupDocuments(documents, { _id: key, ...accumulators }) {
+  const groups = new Map();
+
+  for (const document of documents) {
+    const value = key ? getPath(document, key.replace(/^\$/, '')) ?? null : null;
+    const id = JSON.stringify(value);
+    if (!groups.has(id)) groups.set(id, { _id: value, documents: [] });
+    groups.get(id).documents.push(document);
+  }
+
+  return [...groups.values()].map(({ _id, documents: members }) => {
+    const result = { _id };
+    for (const [name, accumulator] of Object.entries(accumulators)) {
+      const [operator, argument] = Object.entries(accumulator)[0];
+      if (!ACCUMULATORS[operator]) {
+        throw new Error(`Accumulateur non supporté par la stratégie file: ${operator}`);
+      }
+      const values = operator === '$sum' && typeof argument === 'number'
+        ? members.map(() => argument)
+        : members
+          .map(document => getPath(document, argument.replace(/^\$/, '')))
+          .filter(value => value !== undefined && value !== null && value !== '')
+          .map(Number)
+          .filter(value => !Number.isNaN(value));
+      result[name] = ACCUMULATORS[operator](values);
+    }
+    return result;
+  });
+}
+
+// Fichiers partitionnés par date de récolte : <baseDir>/<collection>/date=YYYY-MM-DD/part-N.ndjson
+class FilePersistence {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || 'data';
+    this.rotated = new Map();
+  }
+
+  setBaseDir(baseDir) {
+    this.baseDir = baseDir;
+  }
+
+  getNaturalKey(persistence) {
+    return getNaturalKey(persistence);
+  }
+
+  getOptions(persistence) {
+    return {
+      format: 'ndjson',
+      maxRecordsPerPart: 10000,
+      compressAfterDays: 7,
+      deleteAfterDays: null,
+      ...persistence.file
+    };
+  }
+
+  getCollectionDir(sourceConfig) {
+    return path.join(this.baseDir, sourceConfig.persistence.collection);
+  }
+
+  async listParts(sourceConfig) {
+    const collectionDir = this.getCollectionDir(sourceConfig);
+    const partitions = await fs.readdir(collectionDir).catch(() => []);
+    const parts = [];
+
+    for (const partition of partitions.filter(name => PARTITION_PATTERN.test(name)).sort()) {
+      const files = await fs.readdir(path.join(collectionDir, partition));
+      files
+        .filter(file => PART_PATTERN.test(file))
+        .sort((a, b) => Number(a.match(PART_PATTERN)[1]) - Number(b.match(PART_PATTERN)[1]))
+        .forEach(file => parts.push(path.join(collectionDir, partition, file)));
+    }
+    return parts;
+  }
+
+  async *readPart(file) {
+    if (file.endsWith('.parquet')) {
+      yield* this.readParquet(file);
+      return;
+    }
+
+    const input = file.endsWith('.gz') ? createReadStream(file).pipe(zlib.createGunzip()) : createReadStream(file);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  async writePart(file, documents, format) {
+    if (format === 'parquet') {
+      return this.writeParquet(file, documents);
+    }
+    await fs.writeFile(file, documents.map(document => JSON.stringify(document)).join('\n') + '\n');
+  }
+
+  async loadParquet() {
+    try {
+      return (await import('@dsnp/parquetjs')).default;
+    } catch (error) {
+      throw new Error('Le format parquet nécessite le paquet @dsnp/parquetjs');
+    }
+  }
+
+  // Colonnes déduites des documents ; les valeurs imbriquées sont sérialisées en JSON
+  async writeParquet(file, documents) {
+    const { ParquetSchema, ParquetWriter } = await this.loadParquet();
+    const fields = {};
+    const jsonFields = new Set();
+
+    for (const document of documents) {
+      for (const [field, value] of Object.entries(document)) {
+        if (value === null || value === undefined || fields[field]) continue;
+        if (typeof value === 'number') fields[field] = { type: 'DOUBLE', optional: true };
+        else if (typeof value === 'boolean') fields[field] = { type: 'BOOLEAN', optional: true };
+        else if (typeof value === 'string') fields[field] = { type: 'UTF8', optional: true };
+        else {
+          fields[field] = { type: 'UTF8', optional: true };
+          jsonFields.add(field);
+        }
+      }
+    }
+
+    const writer = await ParquetWriter.openFile(new ParquetSchema(fields), file);
+    writer.setMetadata('json_fields', [...jsonFields].join(','));
+
+    for (const document of documents) {
+      const row = {};
+      for (const [field, value] of Object.entries(document)) {
+        if (value === null || value === undefined) continue;
+        row[field] = jsonFields.has(field) ? JSON.stringify(value) : value;
+      }
+      await writer.appendRow(row);
+    }
+    await writer.close();
+  }
+
+  async *readParquet(file) {
+    const { ParquetReader } = await this.loadParquet();
+    const reader = await ParquetReader.openFile(file);
+    const jsonFields = (reader.getMetadata().json_fields || '').split(',').filter(Boolean);
+
+    try {
+      const cursor = reader.getCursor();
+      let row;
+      while ((row = await cursor.next())) {
+        for (const field of jsonFields) {
+          if (typeof row[field] === 'string') row[field] = JSON.parse(row[field]);
+        }
+        yield row;
+      }
+    } finally {
+      await reader.close();
+    }
+  }
+
+  // Les partitions anciennes sont compressées en gzip puis supprimées selon la rétention
+  async rotate(sourceConfig, now = new Date()) {
+    const { compressAfterDays, deleteAfterDays } = this.getOptions(sourceConfig.persistence);
+    const collectionDir = this.getCollectionDir(sourceConfig);
+    const partitions = await fs.readdir(collectionDir).catch(() => []);
+    const result = { compressed: 0, deleted: 0 };
+
+    for (const partition of partitions) {
+      const match = partition.match(PARTITION_PATTERN);
+      if (!match) continue;
+
+      const age = (now - new Date(`${match[1]}T00:00:00Z`)) / DAY;
+      const partitionDir = path.join(collectionDir, partition);
+
+      if (deleteAfterDays && age > deleteAfterDays) {
+        await fs.rm(partitionDir, { recursive: true, force: true });
+        result.deleted++;
+        continue;
+      }
+
+      if (compressAfterDays !== null && age > compressAfterDays) {
+        for (const file of await fs.readdir(partitionDir)) {
+          if (!file.endsWith('.ndjson')) continue;
+          const source = path.join(partitionDir, file);
+          await pipeline(createReadStream(source), zlib.createGzip(), createWriteStream(`${source}.gz`));
+          await fs.rm(source);
+          result.compressed++;
+        }
+      }
+    }
+
+    if (result.compressed || result.deleted) {
+      logger.info(`Rotation des partitions de ${sourceConfig.persistence.collection}`, result);
+    }
+    return result;
+  }
+
+  async save(sourceConfig, data) {
+    const collectionName = sourceConfig.persistence.collection;
+    const { format, maxRecordsPerPart } = this.getOptions(sourceConfig.persistence);
+    const documents = Array.isArray(data) ? data : [data];
+    const today = new Date().toISOString().slice(0, 10);
+    const partitionDir = path.join(this.getCollectionDir(sourceConfig), `date=${today}`);
+    const extension = format === 'parquet' ? 'parquet' : 'ndjson';
+
+    try {
+      await fs.mkdir(partitionDir, { recursive: true });
+
+      const existing = (await fs.readdir(partitionDir))
+        .map(file => file.match(PART_PATTERN))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+      let part = existing.length > 0 ? Math.max(...existing) + 1 : 0;
+      const files = [];
+
+      for (let start = 0; start < documents.length; start += maxRecordsPerPart) {
+        const file = path.join(partitionDir, `part-${part++}.${extension}`);
+        await this.writePart(file, documents.slice(start, start + maxRecordsPerPart), format);
+        files.push(file);
+      }
+
+      // Une rotation par collection et par jour suffit
+      if (this.rotated.get(collectionName) !== today) {
+        this.rotated.set(collectionName, today);
+        await this.rotate(sourceConfig);
+      }
+
+      logger.info(`${documents.length} documents écrits dans ${partitionDir}`);
+      return { insertedCount: documents.length, files };
+    } catch (error) {
+      logger.error(`Erreur lors de l'écriture des fichiers de ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  // Parcourt toutes les partitions ; la version la plus récente d'une clé naturelle l'emporte
+  async find(sourceConfig, query = {}, options = {}) {
+    const collectionName = sourceConfig.persistence.collection;
+    const parsed = parseQuery(query, options);
+    const naturalKey = this.getNaturalKey(sourceConfig.persistence);
+    const latest = new Map();
+    let position = 0;
+
+    try {
+      for (const file of await this.listParts(sourceConfig)) {
+        for await (const document of this.readPart(file)) {
+          const hasKey = naturalKey.length > 0 && naturalKey.every(field => document[field] !== undefined);
+          const key = hasKey ? JSON.stringify(naturalKey.map(field => document[field])) : position;
+          position++;
+          latest.delete(key);
+          latest.set(key, document);
+        }
+      }
+
+      const results = applyQueryOptions([...latest.values()].filter(document => matchesQuery(document, parsed)), parsed);
+      logger.info(`${results.length} documents trouvés dans ${collectionName}`);
+      return results;
+    } catch (error) {
+      logger.error(`Erreur lors de la lecture des fichiers de ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  // Agrégation en mémoire sur la dernière version de chaque document
+  async aggregate(sourceConfig, pipeline) {
+    const collectionName = sourceConfig.persistence.collection;
+
+    try {
+      let documents = await this.find(sourceConfig);
+
+      for (const stage of pipeline) {
+        const [operator, spec] = Object.entries(stage)[0];
+
+        switch (operator) {
+          case '$match': {
+            const parsed = parseQuery(spec);
+            documents = documents.filter(document => matchesQuery(document, parsed));
+            break;
+          }
+          case '$group':
+            documents = groupDocuments(documents, spec);
+            break;
+          case '$sort':
+            documents = sortDocuments(documents, Object.entries(spec)
+              .map(([field, direction]) => ({ field, direction: direction < 0 ? -1 : 1 })));
+            break;
+          case '$limit':
+            documents = documents.slice(0, parseInt(spec, 10));
+            break;
+          default:
+            throw new Error(`Étape d'agrégation non supportée par la stratégie file: ${operator}`);
+        }
+      }
+      return documents;
+    } catch (error) {
+      logger.error(`Erreur lors de l'agrégation dans ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  async findOne(sourceConfig, query = {}) {
+    const results = await this.find(sourceConfig, query);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  // Réécrit les parts contenant des documents concernés par la requête
+  async rewrite(sourceConfig, query, transform) {
+    const { format } = this.getOptions(sourceConfig.persistence);
+    const parsed = parseQuery(query);
+    let count = 0;
+
+    for (const file of await this.listParts(sourceConfig)) {
+      const documents = [];
+      let changed = false;
+
+      for await (const document of this.readPart(file)) {
+        if (matchesQuery(document, parsed)) {
+          changed = true;
+          count++;
+          const replacement = transform(document);
+          if (replacement) documents.push(replacement);
+        } else {
+          documents.push(document);
+        }
+      }
+
+      if (!changed) continue;
+
+      if (documents.length === 0) {
+        await fs.rm(file);
+      } else if (file.endsWith('.gz')) {
+        const content = documents.map(document => JSON.stringify(document)).join('\n') + '\n';
+        await fs.writeFile(file, zlib.gzipSync(content));
+      } else {
+        await this.writePart(file, documents, file.endsWith('.parquet') ? 'parquet' : format);
+      }
+    }
+    return count;
+  }
+
+  async update(sourceConfig, query, update) {
+    const collectionName = sourceConfig.persistence.collection;
+
+    try {
+      const modifiedCount = await this.rewrite(sourceConfig, query, document => applyUpdate(document, update));
+
+      // Comme pour MongoDB, la mise à jour crée le document s'il n'existe pas
+      if (modifiedCount === 0) {
+        await this.save(sourceConfig, applyUpdate(equalityDocument(query), update));
+        return { modifiedCount: 0, upsertedCount: 1 };
+      }
+
+      logger.info(`${modifiedCount} documents mis à jour dans ${collectionName}`);
+      return { modifiedCount, upsertedCount: 0 };
+    } catch (error) {
+      logger.error(`Erreur lors de la mise à jour des fichiers de ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  async delete(sourceConfig, query) {
+    const collectionName = sourceConfig.persistence.collection;
+
+    try {
+      const deletedCount = await this.rewrite(sourceConfig, query, () => null);
+      logger.info(`${deletedCount} documents supprimés de ${collectionName}`);
+      return { deletedCount };
+    } catch (error) {
+      logger.error(`Erreur lors de la suppression dans les fichiers de ${collectionName}`, error);
+      throw error;
+    }
+  }
+}
+
+export { FilePersistence };
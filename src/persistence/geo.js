@@ -0,0 +1,73 @@
+// Calculs sur des points GeoJSON en WGS 84 ([longitude, latitude]), communs aux stratégies de persistance
+
+// Rayon terrestre retenu par MongoDB pour convertir une distance en radians ($centerSphere)
+const EARTH_RADIUS = 6378100;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Coordonnées d'un point GeoJSON ou d'un couple [longitude, latitude]
+function pointCoordinates(value) {
+  const coordinates = value?.type === 'Point' ? value.coordinates : value;
+  return Array.isArray(coordinates) && coordinates.length >= 2 && coordinates.slice(0, 2).every(Number.isFinite)
+    ? coordinates
+    : null;
+}
+
+// Distance orthodromique en mètres (formule de haversine)
+function distance([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Lancer de rayon : un point sur le bord n'est pas garanti à l'intérieur
+function insideRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Premier anneau : contour extérieur, les suivants : trous
+function insidePolygon(point, [outer, ...holes]) {
+  return insideRing(point, outer) && !holes.some(hole => insideRing(point, hole));
+}
+
+function bboxPolygon([minLon, minLat, maxLon, maxLat]) {
+  return {
+    type: 'Polygon',
+    coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]
+  };
+}
+
+// Zone d'une condition geoWithin : { center, radius } (mètres), { bbox } ou { geometry } (Polygon, MultiPolygon)
+function withinShape(value, shape) {
+  const point = pointCoordinates(value);
+  if (!point) return false;
+
+  if (shape.center) {
+    return distance(point, shape.center) <= shape.radius;
+  }
+  if (shape.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = shape.bbox;
+    return point[0] >= minLon && point[0] <= maxLon && point[1] >= minLat && point[1] <= maxLat;
+  }
+  const polygons = shape.geometry.type === 'MultiPolygon' ? shape.geometry.coordinates : [shape.geometry.coordinates];
+  return polygons.some(polygon => insidePolygon(point, polygon));
+}
+
+export {
+  EARTH_RADIUS,
+  pointCoordinates,
+  distance,
+  bboxPolygon,
+  withinShape
+};
@@ -1,28 +1,63 @@
 import mongoose from 'mongoose';
 import { MongoPersistence } from './mongoPersistence.js';
 import { RedisPersistence } from './redisPersistence.js';
+import { PostgresPersistence } from './postgresPersistence.js';
+import { FilePersistence } from './filePersistence.js';
+import { CompositePersistence } from './compositePersistence.js';
 import logger from '../utils/logger.js';
 
+// persistence.json nomme « mongo » la stratégie enregistrée sous « mongodb »
+const STRATEGY_ALIASES = {
+  mongo: 'mongodb',
+  postgresql: 'postgres'
+};
+
 class PersistenceManager {
+  static instance = null;
+
   constructor() {
     this.strategies = new Map();
     this.connections = new Map();
+    this.cacheMetrics = new Map();
+  }
+
+  static getInstance() {
+    if (!PersistenceManager.instance) {
+      PersistenceManager.instance = new PersistenceManager();
+    }
+    return PersistenceManager.instance;
   }
 
-  async initialize(config) {
+  async initialize(config = {}) {
     // Initialiser MongoDB
     if (config.mongodb) {
       await this.initializeMongoDB(config.mongodb);
     }
 
-    // Initialiser Redis
+    // Initialiser Redis : cache et index secondaires, dont l'absence ne bloque pas le démarrage
     if (config.redis) {
-      await this.initializeRedis(config.redis);
+      await this.initializeRedis(config.redis).catch(() => {
+        logger.warn('Redis indisponible : les lectures sont servies par la stratégie primaire');
+      });
+    }
+
+    // Initialiser PostgreSQL
+    if (config.postgres) {
+      await this.initializePostgres(config.postgres);
     }
 
     // Enregistrer les stratégies
     this.registerStrategy('mongodb', new MongoPersistence());
     this.registerStrategy('redis', new RedisPersistence());
+    this.registerStrategy('postgres', new PostgresPersistence());
+    this.registerStrategy('file', new FilePersistence(config.file));
+
+    if (this.connections.has('redis')) {
+      this.getStrategy('redis').setClient(this.connections.get('redis'));
+    }
+    if (this.connections.has('postgres')) {
+      this.getStrategy('postgres').setPool(this.connections.get('postgres'));
+    }
   }
 
   async initializeMongoDB(config) {
@@ -44,9 +79,19 @@ class PersistenceManager {
   async initializeRedis(config) {
     try {
       const Redis = (await import('redis')).default;
-      const client = Redis.createClient(config);
+      let connected = false;
+      const client = Redis.createClient({
+        ...config,
+        socket: {
+          // Sans serveur au démarrage, connect() échoue au lieu de réessayer indéfiniment
+          reconnectStrategy: retries => (connected ? Math.min(retries * 100, 3000) : new Error('Connexion Redis impossible')),
+          ...config.socket
+        }
+      });
+      client.on('error', error => logger.warn('Erreur Redis', { error: error.message }));
       
       await client.connect();
+      connected = true;
       this.connections.set('redis', client);
       logger.info('Redis connecté avec succès');
     } catch (error) {
@@ -55,43 +100,117 @@ class PersistenceManager {
     }
   }
 
+  async initializePostgres(config) {
+    try {
+      const { Pool } = (await import('pg')).default;
+      const pool = new Pool(config);
+
+      await pool.query('SELECT 1');
+      this.connections.set('postgres', pool);
+      logger.info('PostgreSQL connecté avec succès');
+    } catch (error) {
+      logger.error('Erreur de connexion PostgreSQL', error);
+      throw error;
+    }
+  }
+
   registerStrategy(name, strategy) {
     this.strategies.set(name, strategy);
   }
 
   getStrategy(name) {
-    const strategy = this.strategies.get(name);
+    const strategy = this.strategies.get(STRATEGY_ALIASES[name] || name);
     if (!strategy) {
       throw new Error(`Stratégie de persistance inconnue: ${name}`);
     }
     return strategy;
   }
 
+  // Stratégie explicite (persistence.strategy), sinon couple primaire/secondaire de persistence.json
+  resolveStrategy(sourceConfig) {
+    const persistence = sourceConfig.persistence || {};
+    // Une stratégie explicite différente de la primaire court-circuite le cache
+    if (persistence.strategy && persistence.strategy !== persistence.strategies?.primary) {
+      return this.getStrategy(persistence.strategy);
+    }
+
+    const { primary, secondary } = persistence.strategies || {};
+    if (!primary) {
+      throw new Error(`Aucune stratégie de persistance configurée pour ${sourceConfig.id}`);
+    }
+
+    const primaryStrategy = this.getStrategy(primary);
+    if (!secondary || persistence.cache?.enabled === false) {
+      return primaryStrategy;
+    }
+
+    // Sans connexion au cache, les lectures sont servies directement par la stratégie primaire
+    const secondaryStrategy = this.getStrategy(secondary);
+    if (!secondaryStrategy.isAvailable?.()) {
+      return primaryStrategy;
+    }
+
+    return new CompositePersistence(primaryStrategy, secondaryStrategy, persistence.cache, this.cacheMetrics);
+  }
+
   async save(sourceConfig, data) {
-    const strategy = this.getStrategy(sourceConfig.persistence.strategy);
+    const strategy = this.resolveStrategy(sourceConfig);
     return strategy.save(sourceConfig, data);
   }
 
-  async find(sourceConfig, query = {}) {
-    const strategy = this.getStrategy(sourceConfig.persistence.strategy);
-    return strategy.find(sourceConfig, query);
+  async find(sourceConfig, query = {}, options = {}) {
+    const strategy = this.resolveStrategy(sourceConfig);
+    return strategy.find(sourceConfig, query, options);
   }
 
   async findOne(sourceConfig, query = {}) {
-    const strategy = this.getStrategy(sourceConfig.persistence.strategy);
+    const strategy = this.resolveStrategy(sourceConfig);
     return strategy.findOne(sourceConfig, query);
   }
 
   async update(sourceConfig, query, update) {
-    const strategy = this.getStrategy(sourceConfig.persistence.strategy);
+    const strategy = this.resolveStrategy(sourceConfig);
     return strategy.update(sourceConfig, query, update);
   }
 
   async delete(sourceConfig, query) {
-    const strategy = this.getStrategy(sourceConfig.persistence.strategy);
+    const strategy = this.resolveStrategy(sourceConfig);
     return strategy.delete(sourceConfig, query);
   }
 
+  async aggregate(sourceConfig, pipeline) {
+    const strategy = this.resolveStrategy(sourceConfig);
+    if (typeof strategy.aggregate !== 'function') {
+      throw new Error(`Agrégation non supportée par la stratégie de ${sourceConfig.id}`);
+    }
+    return strategy.aggregate(sourceConfig, pipeline);
+  }
+
+  getCacheMetrics() {
+    return Array.from(this.cacheMetrics.entries()).map(([collection, { hits, misses }]) => ({
+      collection,
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+    }));
+  }
+
+  getHistoryStrategy(sourceConfig) {
+    const strategy = this.resolveStrategy(sourceConfig);
+    if (typeof strategy.findAsOf !== 'function') {
+      throw new Error(`Historique non supporté par la stratégie de ${sourceConfig.id}`);
+    }
+    return strategy;
+  }
+
+  async findAsOf(sourceConfig, query, date) {
+    return this.getHistoryStrategy(sourceConfig).findAsOf(sourceConfig, query, date);
+  }
+
+  async getHistory(sourceConfig, query) {
+    return this.getHistoryStrategy(sourceConfig).getHistory(sourceConfig, query);
+  }
+
   async close() {
     for (const [name, connection] of this.connections) {
       try {
@@ -99,6 +218,8 @@ class PersistenceManager {
           await connection.close();
         } else if (name === 'redis') {
           await connection.quit();
+        } else if (name === 'postgres') {
+          await connection.end();
         }
         logger.info(`${name} déconnecté`);
       } catch (error) {
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { getNaturalKey } from './naturalKey.js';
+import { parseQuery } from './query.js';
+import { EARTH_RADIUS, bboxPolygon } from './geo.js';
 import logger from '../utils/logger.js';
 
 class MongoPersistence {
@@ -54,6 +57,166 @@ class MongoPersistence {
     }
   }
 
+  getNaturalKey(persistence) {
+    return getNaturalKey(persistence);
+  }
+
+  keyFilter(document, naturalKey) {
+    return Object.fromEntries(naturalKey.map(field => [field, document[field]]));
+  }
+
+  hasNaturalKey(document, naturalKey) {
+    return naturalKey.every(field => document[field] !== undefined && document[field] !== null);
+  }
+
+  getHistoryModel(persistence) {
+    if (!persistence.history?.enabled) {
+      throw new Error(`Historique non activé pour la collection ${persistence.collection}`);
+    }
+    return this.getModel(persistence.history.collection || `${persistence.collection}_history`);
+  }
+
+  diffFields(previous = {}, current, ignored) {
+    const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    return [...fields].filter(field =>
+      !ignored.includes(field) && JSON.stringify(previous[field]) !== JSON.stringify(current[field])
+    );
+  }
+
+  // Historise les versions successives de chaque document (validFrom/validTo)
+  async recordHistory(sourceConfig, documents, naturalKey, now) {
+    const { persistence } = sourceConfig;
+    const historyModel = this.getHistoryModel(persistence);
+    const ignored = ['_id', 'createdAt', 'updatedAt', ...(persistence.history.ignore || [])];
+
+    // Seule la dernière occurrence d'une clé dans le lot est historisée
+    const latest = new Map();
+    for (const document of documents) {
+      if (this.hasNaturalKey(document, naturalKey)) {
+        latest.set(JSON.stringify(this.keyFilter(document, naturalKey)), document);
+      }
+    }
+    if (latest.size === 0) {
+      return 0;
+    }
+
+    await this.createIndexes(historyModel, [{
+      fields: { ...Object.fromEntries(naturalKey.map(field => [field, 1])), version: 1 },
+      unique: true
+    }]);
+
+    const filters = [...latest.values()].map(document => this.keyFilter(document, naturalKey));
+    const openVersions = await historyModel.find({ $or: filters, validTo: null }).lean();
+    const openByKey = new Map(openVersions.map(version => [JSON.stringify(this.keyFilter(version, naturalKey)), version]));
+
+    const closed = [];
+    const versions = [];
+
+    for (const [key, document] of latest) {
+      const { _id, createdAt, updatedAt, ...data } = document;
+      const previous = openByKey.get(key);
+      const changedFields = this.diffFields(previous?.data, data, ignored);
+
+      if (previous && changedFields.length === 0) {
+        continue;
+      }
+      if (previous) {
+        closed.push({ updateOne: { filter: { _id: previous._id }, update: { $set: { validTo: now } } } });
+      }
+
+      versions.push({
+        ...this.keyFilter(document, naturalKey),
+        version: (previous?.version || 0) + 1,
+        validFrom: now,
+        validTo: null,
+        changedFields,
+        runId: sourceConfig.runId || null,
+        data
+      });
+    }
+
+    if (closed.length > 0) {
+      await historyModel.bulkWrite(closed, { ordered: false });
+    }
+    if (versions.length > 0) {
+      await historyModel.insertMany(versions, { ordered: false });
+    }
+
+    logger.info(`${versions.length} versions historisées pour ${persistence.collection}`);
+    return versions.length;
+  }
+
+  // Les champs hors clé naturelle sont recherchés dans la version archivée
+  buildHistoryFilter(query, naturalKey) {
+    return Object.fromEntries(Object.entries(query).map(([field, value]) =>
+      [naturalKey.includes(field) ? field : `data.${field}`, value]
+    ));
+  }
+
+  async findAsOf(sourceConfig, query, date) {
+    const historyModel = this.getHistoryModel(sourceConfig.persistence);
+    const naturalKey = this.getNaturalKey(sourceConfig.persistence);
+    const asOf = new Date(date);
+
+    const version = await historyModel.findOne({
+      ...this.buildHistoryFilter(query, naturalKey),
+      validFrom: { $lte: asOf },
+      $or: [{ validTo: null }, { validTo: { $gt: asOf } }]
+    }).sort({ validFrom: -1 }).lean();
+
+    return version ? version.data : null;
+  }
+
+  async getHistory(sourceConfig, query) {
+    const historyModel = this.getHistoryModel(sourceConfig.persistence);
+    const naturalKey = this.getNaturalKey(sourceConfig.persistence);
+
+    return await historyModel
+      .find(this.buildHistoryFilter(query, naturalKey))
+      .sort({ version: 1 })
+      .lean();
+  }
+
+  buildUpsertOperation(document, naturalKey, now) {
+    const { _id, createdAt, updatedAt, ...fields } = document;
+
+    if (!this.hasNaturalKey(fields, naturalKey)) {
+      return { insertOne: { document: { ...fields, createdAt: now } } };
+    }
+
+    const filter = this.keyFilter(fields, naturalKey);
+
+    // Sans horodatage automatique, un document identique n'est pas compté comme modifié
+    return {
+      updateOne: {
+        filter,
+        update: { $set: fields, $setOnInsert: { createdAt: now } },
+        upsert: true,
+        timestamps: false
+      }
+    };
+  }
+
+  async upsertMany(model, sourceConfig, documents, naturalKey) {
+    const collectionName = sourceConfig.persistence.collection;
+    const now = new Date();
+    const operations = documents.map(document => this.buildUpsertOperation(document, naturalKey, now));
+    const result = await model.bulkWrite(operations, { ordered: false });
+
+    const counts = {
+      insertedCount: (result.upsertedCount || 0) + (result.insertedCount || 0),
+      updatedCount: result.modifiedCount || 0,
+      unchangedCount: (result.matchedCount || 0) - (result.modifiedCount || 0)
+    };
+
+    if (sourceConfig.persistence.history?.enabled) {
+      counts.versionedCount = await this.recordHistory(sourceConfig, documents, naturalKey, now);
+    }
+
+    logger.info(`Documents enregistrés dans ${collectionName}`, { key: naturalKey, ...counts });
+    return counts;
+  }
+
   async save(sourceConfig, data) {
     const collectionName = sourceConfig.persistence.collection;
     const model = this.getModel(collectionName);
@@ -66,7 +229,15 @@ class MongoPersistence {
       await this.setupTTL(model, sourceConfig.persistence.ttl);
     }
 
+    const naturalKey = this.getNaturalKey(sourceConfig.persistence);
+
     try {
+      // Upsert sur la clé naturelle : une nouvelle récolte ne crée pas de doublon
+      if (naturalKey.length > 0) {
+        const documents = Array.isArray(data) ? data : [data];
+        return await this.upsertMany(model, sourceConfig, documents, naturalKey);
+      }
+
       if (Array.isArray(data)) {
         // Insertion en lot
         const result = await model.insertMany(data, { 
@@ -88,12 +259,43 @@ class MongoPersistence {
     }
   }
 
-  async find(sourceConfig, query = {}) {
+  // Zone geoWithin : cercle sphérique ou polygone GeoJSON, servis par un index 2dsphere
+  buildGeoWithin({ center, radius, bbox, geometry }) {
+    if (center) {
+      return { $centerSphere: [center, radius / EARTH_RADIUS] };
+    }
+    return { $geometry: bbox ? bboxPolygon(bbox) : geometry };
+  }
+
+  // Traduction du langage de requête commun en filtre MongoDB
+  buildFilter(query) {
+    const filter = {};
+    for (const { field, operator, value, flags } of query.conditions) {
+      const condition = operator === 'regex'
+        ? { $regex: value, ...(flags && { $options: flags }) }
+        : operator === 'geoWithin'
+          ? { $geoWithin: this.buildGeoWithin(value) }
+          : { [`$${operator}`]: value };
+      filter[field] = { ...filter[field], ...condition };
+    }
+    return filter;
+  }
+
+  async find(sourceConfig, query = {}, options = {}) {
     const collectionName = sourceConfig.persistence.collection;
     const model = this.getModel(collectionName);
+    const parsed = parseQuery(query, options);
 
     try {
-      const results = await model.find(query);
+      const projection = parsed.projection && Object.fromEntries(parsed.projection.map(field => [field, 1]));
+      let cursor = model.find(this.buildFilter(parsed), projection);
+      if (parsed.sort.length > 0) {
+        cursor = cursor.sort(Object.fromEntries(parsed.sort.map(({ field, direction }) => [field, direction])));
+      }
+      if (parsed.offset) cursor = cursor.skip(parsed.offset);
+      if (parsed.limit) cursor = cursor.limit(parsed.limit);
+
+      const results = await cursor;
       logger.info(`${results.length} documents trouvés dans ${collectionName}`);
       return results;
     } catch (error) {
@@ -107,7 +309,7 @@ class MongoPersistence {
     const model = this.getModel(collectionName);
 
     try {
-      const result = await model.findOne(query);
+      const result = await model.findOne(this.buildFilter(parseQuery(query)));
       return result;
     } catch (error) {
       logger.error(`Erreur lors de la recherche dans ${collectionName}`, error);
@@ -120,7 +322,7 @@ class MongoPersistence {
     const model = this.getModel(collectionName);
 
     try {
-      const result = await model.updateMany(query, update, { 
+      const result = await model.updateMany(this.buildFilter(parseQuery(query)), update, { 
         upsert: true,
         new: true 
       });
@@ -137,7 +339,7 @@ class MongoPersistence {
     const model = this.getModel(collectionName);
 
     try {
-      const result = await model.deleteMany(query);
+      const result = await model.deleteMany(this.buildFilter(parseQuery(query)));
       logger.info(`${result.deletedCount} documents supprimés de ${collectionName}`);
       return result;
     } catch (error) {
@@ -0,0 +1,9 @@
+// Clé naturelle d'une collection : clé primaire déclarée, sinon premier index unique
+export function getNaturalKey(persistence = {}) {
+  if (persistence.primaryKey) {
+    return [].concat(persistence.primaryKey);
+  }
+
+  const uniqueIndex = (persistence.indexes || []).find(index => index.unique);
+  return uniqueIndex ? Object.keys(uniqueIndex.fields) : [];
+}
@@ -0,0 +1,460 @@
+import { randomUUID } from 'crypto';
+import { getNaturalKey } from './naturalKey.js';
+import { QueryError, parseQuery, project, equalityDocument } from './query.js';
+import { EARTH_RADIUS } from './geo.js';
+import logger from '../utils/logger.js';
+
+const BATCH_SIZE = 500;
+
+const ACCUMULATORS = {
+  $sum: 'sum',
+  $avg: 'avg',
+  $min: 'min',
+  $max: 'max'
+};
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// adresse.codeCommune -> data->'adresse'->>'codeCommune'
+function jsonPath(field) {
+  const parts = field.split('.').map(quoteLiteral);
+  const last = parts.pop();
+  return ['data', ...parts].join('->') + `->>${last}`;
+}
+
+// adresse.codeCommune -> data->'adresse'->'codeCommune' (valeur JSONB)
+function jsonValue(field) {
+  return ['data', ...field.split('.').map(quoteLiteral)].join('->');
+}
+
+// { 'adresse.codeCommune': v } -> { adresse: { codeCommune: v } } pour l'inclusion JSONB
+function nestedDocument(field, value) {
+  return field.split('.').reduceRight((nested, part) => ({ [part]: nested }), value);
+}
+
+function textValue(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// Applique $set/$unset (chemins pointés acceptés) à un document JSON
+function applyUpdate(document, update) {
+  const result = structuredClone(document);
+  const changes = update.$set || (update.$unset ? {} : update);
+
+  for (const [path, value] of Object.entries(changes)) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => {
+      if (typeof node[part] !== 'object' || node[part] === null) node[part] = {};
+      return node[part];
+    }, result);
+    target[last] = value;
+  }
+
+  for (const path of Object.keys(update.$unset || {})) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => node?.[part], result);
+    if (target) delete target[last];
+  }
+
+  return result;
+}
+
+function columnName(field) {
+  return field.replace(/\W/g, '_');
+}
+
+// position -> longitude et latitude du point GeoJSON, en nombres (expressions des index 2dsphere)
+function geoCoordinates(field) {
+  const coordinates = `${jsonValue(field)}->'coordinates'`;
+  return [0, 1].map(index => `((${coordinates}->>${index})::double precision)`);
+}
+
+function isGeoIndex(index) {
+  return Object.values(index.fields).includes('2dsphere');
+}
+
+// Enregistrements stockés en JSONB, index de persistence.json portés par des colonnes générées
+class PostgresPersistence {
+  constructor() {
+    this.pool = null;
+    this.tables = new Set();
+  }
+
+  setPool(pool) {
+    this.pool = pool;
+  }
+
+  getPool() {
+    if (!this.pool) {
+      throw new Error('Pool PostgreSQL non initialisé');
+    }
+    return this.pool;
+  }
+
+  getNaturalKey(persistence) {
+    return getNaturalKey(persistence);
+  }
+
+  getTableName(sourceConfig) {
+    return quoteIdentifier(sourceConfig.persistence.collection);
+  }
+
+  async ensureTable(sourceConfig) {
+    const { persistence } = sourceConfig;
+    const collection = persistence.collection;
+    if (this.tables.has(collection)) {
+      return;
+    }
+
+    const pool = this.getPool();
+    const table = this.getTableName(sourceConfig);
+    const naturalKey = this.getNaturalKey(persistence);
+    const indexes = [...(persistence.indexes || [])];
+
+    // La clé naturelle doit porter un index unique pour servir de cible à ON CONFLICT
+    if (naturalKey.length > 0 && !indexes.some(index => index.unique && Object.keys(index.fields).join() === naturalKey.join())) {
+      indexes.unshift({ fields: Object.fromEntries(naturalKey.map(field => [field, 1])), unique: true });
+    }
+
+    try {
+      await pool.query(`CREATE TABLE IF NOT EXISTS ${table} (
+        id BIGSERIAL PRIMARY KEY,
+        data JSONB NOT NULL,
+        revision INTEGER NOT NULL DEFAULT 1,
+        write_id TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )`);
+
+      const fields = new Set(indexes.filter(index => !isGeoIndex(index)).flatMap(index => Object.keys(index.fields)));
+      for (const field of fields) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${quoteIdentifier(columnName(field))} TEXT GENERATED ALWAYS AS (${jsonPath(field)}) STORED`);
+      }
+
+      for (const index of indexes) {
+        // Sans PostGIS, un index 2dsphere indexe la longitude et la latitude du point
+        if (isGeoIndex(index)) {
+          for (const [field] of Object.entries(index.fields).filter(([, type]) => type === '2dsphere')) {
+            const name = quoteIdentifier(`${collection}_${columnName(field)}_geo_idx`);
+            await pool.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${table} (${geoCoordinates(field).join(', ')})`);
+          }
+          continue;
+        }
+
+        const columns = Object.keys(index.fields).map(columnName);
+        const name = quoteIdentifier(`${collection}_${columns.join('_')}_idx`);
+        await pool.query(`CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${name} ON ${table} (${columns.map(quoteIdentifier).join(', ')})`);
+      }
+
+      this.tables.add(collection);
+      logger.info(`Table ${collection} prête dans PostgreSQL`);
+    } catch (error) {
+      logger.error(`Erreur lors de la création de la table ${collection}`, error);
+      throw error;
+    }
+  }
+
+  // Traduction du langage de requête commun : égalités par inclusion JSONB (data @> {...}),
+  // comparaisons numériques par conversion, les autres sur la valeur texte
+  buildWhere(filter = {}, params = []) {
+    const query = filter.conditions ? filter : parseQuery(filter);
+    const clauses = [];
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    for (const { field, operator, value, flags } of query.conditions) {
+      const text = jsonPath(field);
+
+      switch (operator) {
+        case 'eq':
+          clauses.push(`data @> ${param(JSON.stringify(nestedDocument(field, value)))}::jsonb`);
+          break;
+        case 'ne':
+          clauses.push(`NOT (data @> ${param(JSON.stringify(nestedDocument(field, value)))}::jsonb)`);
+          break;
+        case 'in':
+        case 'nin': {
+          if (value.length === 0) {
+            clauses.push(operator === 'in' ? 'FALSE' : 'TRUE');
+            break;
+          }
+          const list = value.map(item => param(textValue(item))).join(', ');
+          clauses.push(operator === 'in' ? `${text} IN (${list})` : `(${text} IS NULL OR ${text} NOT IN (${list}))`);
+          break;
+        }
+        case 'exists':
+          clauses.push(`${jsonValue(field)} IS ${value ? 'NOT ' : ''}NULL`);
+          break;
+        case 'regex':
+          clauses.push(`${text} ${flags?.includes('i') ? '~*' : '~'} ${param(value)}`);
+          break;
+        case 'geoWithin':
+          clauses.push(this.buildGeoWithin(field, value, param));
+          break;
+        default: {
+          const sql = { gt: '>', gte: '>=', lt: '<', lte: '<=' }[operator];
+          clauses.push(typeof value === 'number'
+            ? `(${text})::double precision ${sql} ${param(value)}`
+            : `${text} ${sql} ${param(textValue(value))}`);
+        }
+      }
+    }
+
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  // Cercle et rectangle sur les coordonnées du point ; le cercle est d'abord borné par un rectangle pour profiter de l'index
+  buildGeoWithin(field, { center, radius, bbox, geometry }, param) {
+    if (geometry) {
+      throw new QueryError(`Recherche par polygone non supportée par PostgreSQL sans PostGIS: ${field}`);
+    }
+
+    const [lon, lat] = geoCoordinates(field);
+    if (bbox) {
+      return `${lon} BETWEEN ${param(bbox[0])} AND ${param(bbox[2])} AND ${lat} BETWEEN ${param(bbox[1])} AND ${param(bbox[3])}`;
+    }
+
+    const [centerLon, centerLat] = center;
+    const deltaLat = (radius / EARTH_RADIUS) * (180 / Math.PI);
+    const deltaLon = deltaLat / Math.max(Math.cos((centerLat * Math.PI) / 180), 1e-6);
+    const [x, y] = [param(centerLon), param(centerLat)];
+    const haversine = `2 * ${EARTH_RADIUS} * asin(least(1, sqrt(` +
+      `power(sin(radians(${lat} - ${y}) / 2), 2) + ` +
+      `cos(radians(${y})) * cos(radians(${lat})) * power(sin(radians(${lon} - ${x}) / 2), 2))))`;
+
+    return `${lon} BETWEEN ${param(centerLon - deltaLon)} AND ${param(centerLon + deltaLon)} AND ` +
+      `${lat} BETWEEN ${param(centerLat - deltaLat)} AND ${param(centerLat + deltaLat)} AND ` +
+      `${haversine} <= ${param(radius)}`;
+  }
+
+  async save(sourceConfig, data) {
+    await this.ensureTable(sourceConfig);
+
+    const collectionName = sourceConfig.persistence.collection;
+    const table = this.getTableName(sourceConfig);
+    const naturalKey = this.getNaturalKey(sourceConfig.persistence);
+    let documents = (Array.isArray(data) ? data : [data]).map(({ _id, createdAt, updatedAt, ...fields }) => fields);
+
+    // Une même clé ne peut être mise à jour deux fois par le même INSERT ... ON CONFLICT
+    if (naturalKey.length > 0) {
+      const latest = new Map();
+      documents.forEach((document, position) => {
+        const hasKey = naturalKey.every(field => document[field] !== undefined && document[field] !== null);
+        latest.set(hasKey ? JSON.stringify(naturalKey.map(field => document[field])) : position, document);
+      });
+      documents = [...latest.values()];
+    }
+
+    const conflict = naturalKey.length > 0
+      ? `ON CONFLICT (${naturalKey.map(field => quoteIdentifier(columnName(field))).join(', ')})
+         DO UPDATE SET data = EXCLUDED.data, revision = ${table}.revision + 1, write_id = EXCLUDED.write_id, updated_at = now()
+         WHERE ${table}.data <> EXCLUDED.data`
+      : '';
+    const counts = { insertedCount: 0, updatedCount: 0, unchangedCount: 0 };
+
+    try {
+      for (let start = 0; start < documents.length; start += BATCH_SIZE) {
+        const batch = documents.slice(start, start + BATCH_SIZE);
+        const writeId = randomUUID();
+        const values = batch.map((_, position) => `($${position + 2}::jsonb, $1)`).join(', ');
+        const result = await this.getPool().query(
+          `INSERT INTO ${table} (data, write_id) VALUES ${values} ${conflict} RETURNING revision, write_id`,
+          [writeId, ...batch.map(document => JSON.stringify(document))]
+        );
+
+        // Seules les lignes portant le jeton de ce lot ont été écrites
+        const written = result.rows.filter(row => row.write_id === writeId);
+        const inserted = written.filter(row => row.revision === 1).length;
+        counts.insertedCount += inserted;
+        counts.updatedCount += written.length - inserted;
+        counts.unchangedCount += batch.length - written.length;
+      }
+
+      logger.info(`Documents enregistrés dans ${collectionName}`, { key: naturalKey, ...counts });
+      return counts;
+    } catch (error) {
+      logger.error(`Erreur lors de la sauvegarde dans ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  async find(sourceConfig, query = {}, options = {}) {
+    await this.ensureTable(sourceConfig);
+
+    const collectionName = sourceConfig.persistence.collection;
+    const parsed = parseQuery(query, options);
+    const { where, params } = this.buildWhere(parsed);
+    const orderBy = [
+      ...parsed.sort.map(({ field, direction }) => `${jsonValue(field)} ${direction < 0 ? 'DESC' : 'ASC'}`),
+      'id'
+    ].join(', ');
+    const limit = parsed.limit ? ` LIMIT ${parsed.limit}` : '';
+    const offset = parsed.offset ? ` OFFSET ${parsed.offset}` : '';
+
+    try {
+      const result = await this.getPool().query(`SELECT data FROM ${this.getTableName(sourceConfig)} ${where} ORDER BY ${orderBy}${limit}${offset}`, params);
+      logger.info(`${result.rows.length} documents trouvés dans ${collectionName}`);
+      return result.rows.map(row => project(row.data, parsed.projection));
+    } catch (error) {
+      logger.error(`Erreur lors de la recherche dans ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  async findOne(sourceConfig, query = {}) {
+    await this.ensureTable(sourceConfig);
+
+    const collectionName = sourceConfig.persistence.collection;
+    const { where, params } = this.buildWhere(query);
+
+    try {
+      const result = await this.getPool().query(`SELECT data FROM ${this.getTableName(sourceConfig)} ${where} ORDER BY id LIMIT 1`, params);
+      return result.rows.length > 0 ? result.rows[0].data : null;
+    } catch (error) {
+      logger.error(`Erreur lors de la recherche dans ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  // Comme pour MongoDB, la mise à jour crée le document s'il n'existe pas
+  async update(sourceConfig, query, update) {
+    await this.ensureTable(sourceConfig);
+
+    const collectionName = sourceConfig.persistence.collection;
+    const table = this.getTableName(sourceConfig);
+    const { where, params } = this.buildWhere(query);
+    const client = await this.getPool().connect();
+
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`SELECT id, data FROM ${table} ${where} FOR UPDATE`, params);
+
+      for (const row of rows) {
+        await client.query(
+          `UPDATE ${table} SET data = $1::jsonb, revision = revision + 1, updated_at = now() WHERE id = $2`,
+          [JSON.stringify(applyUpdate(row.data, update)), row.id]
+        );
+      }
+
+      if (rows.length === 0) {
+        await client.query(`INSERT INTO ${table} (data) VALUES ($1::jsonb)`, [JSON.stringify(applyUpdate(equalityDocument(query), update))]);
+      }
+      await client.query('COMMIT');
+
+      logger.info(`${rows.length} documents mis à jour dans ${collectionName}`);
+      return { modifiedCount: rows.length, upsertedCount: rows.length === 0 ? 1 : 0 };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Erreur lors de la mise à jour dans ${collectionName}`, error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async delete(sourceConfig, query) {
+    await this.ensureTable(sourceConfig);
+
+    const collectionName = sourceConfig.persistence.collection;
+    const { where, params } = this.buildWhere(query);
+
+    try {
+      const result = await this.getPool().query(`DELETE FROM ${this.getTableName(sourceConfig)} ${where}`, params);
+      logger.info(`${result.rowCount} documents supprimés de ${collectionName}`);
+      return { deletedCount: result.rowCount };
+    } catch (error) {
+      logger.error(`Erreur lors de la suppression dans ${collectionName}`, error);
+      throw error;
+    }
+  }
+
+  fieldExpression(reference, numeric = false) {
+    const expression = jsonPath(reference.replace(/^\$/, ''));
+    return numeric ? `(${expression})::double precision` : expression;
+  }
+
+  // Sous-ensemble des pipelines MongoDB : $match, $group ($sum, $avg, $min, $max), $sort, $limit
+  buildAggregate(sourceConfig, pipeline) {
+    const params = [];
+    let where = '';
+    let select = 'data';
+    let groupBy = '';
+    let orderBy = '';
+    let limit = '';
+
+    for (const stage of pipeline) {
+      const [operator, spec] = Object.entries(stage)[0];
+
+      switch (operator) {
+        case '$match':
+          ({ where } = this.buildWhere(spec, params));
+          break;
+        case '$group': {
+          const { _id: key, ...accumulators } = spec;
+          const columns = [key ? `${this.fieldExpression(key)} AS "_id"` : 'NULL AS "_id"'];
+
+          for (const [name, accumulator] of Object.entries(accumulators)) {
+            const [accumulatorOperator, argument] = Object.entries(accumulator)[0];
+            const fn = ACCUMULATORS[accumulatorOperator];
+            if (!fn) {
+              throw new Error(`Accumulateur non supporté par PostgreSQL: ${accumulatorOperator}`);
+            }
+            const expression = accumulatorOperator === '$sum' && typeof argument === 'number'
+              ? `count(*)::double precision * ${Number(argument)}`
+              : `${fn}(${this.fieldExpression(argument, true)})::double precision`;
+            columns.push(`${expression} AS ${quoteIdentifier(name)}`);
+          }
+
+          select = columns.join(', ');
+          groupBy = key ? `GROUP BY ${this.fieldExpression(key)}` : '';
+          break;
+        }
+        case '$sort': {
+          const grouped = Boolean(groupBy) || select !== 'data';
+          orderBy = 'ORDER BY ' + Object.entries(spec)
+            .map(([field, direction]) => `${grouped ? quoteIdentifier(field) : this.fieldExpression(field)} ${direction < 0 ? 'DESC' : 'ASC'}`)
+            .join(', ');
+          break;
+        }
+        case '$limit':
+          limit = `LIMIT ${parseInt(spec, 10)}`;
+          break;
+        default:
+          throw new Error(`Étape d'agrégation non supportée par PostgreSQL: ${operator}`);
+      }
+    }
+
+    return {
+      sql: `SELECT ${select} FROM ${this.getTableName(sourceConfig)} ${where} ${groupBy} ${orderBy} ${limit}`,
+      params,
+      grouped: select !== 'data'
+    };
+  }
+
+  async aggregate(sourceConfig, pipeline) {
+    await this.ensureTable(sourceConfig);
+
+    const collectionName = sourceConfig.persistence.collection;
+
+    try {
+      const { sql, params, grouped } = this.buildAggregate(sourceConfig, pipeline);
+      const result = await this.getPool().query(sql, params);
+      return grouped ? result.rows : result.rows.map(row => row.data);
+    } catch (error) {
+      logger.error(`Erreur lors de l'agrégation dans ${collectionName}`, error);
+      throw error;
+    }
+  }
+}
+
+export { PostgresPersistence };
@@ -0,0 +1,341 @@
+import Joi from 'joi';
+import { pointCoordinates, withinShape } from './geo.js';
+
+// Langage de requête commun à toutes les stratégies de persistance :
+//   filtre  { champ: valeur } ou { champ: { eq, ne, in, nin, gt, gte, lt, lte, regex, flags, exists, geoWithin } }
+//   geoWithin { center: [lon, lat], radius (mètres) } | { bbox: [ouest, sud, est, nord] } | { geometry: Polygon GeoJSON }
+//   options { projection, sort, limit, offset, cursor }
+// Les opérateurs MongoDB préfixés ($gte, $in, $regex, $options...) sont acceptés comme alias.
+
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'regex', 'exists', 'geoWithin'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_LIMIT = 10000;
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+const direction = Joi.alternatives(Joi.number().valid(1, -1), Joi.string().valid('asc', 'desc'));
+
+const optionsSchema = Joi.object({
+  projection: Joi.alternatives(
+    Joi.array().items(Joi.string()),
+    Joi.object().pattern(Joi.string(), Joi.valid(1, true)),
+    Joi.string()
+  ),
+  sort: Joi.alternatives(
+    Joi.string(),
+    Joi.object().pattern(Joi.string(), direction),
+    Joi.array().items(Joi.object({ field: Joi.string().required(), direction: direction.default(1) }))
+  ),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT),
+  offset: Joi.number().integer().min(0),
+  cursor: Joi.string()
+});
+
+function getPath(document, field) {
+  return field.split('.').reduce((value, part) => value?.[part], document);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function operatorName(key) {
+  return key === '$options' ? 'flags' : key.replace(/^\$/, '');
+}
+
+function isComparable(value) {
+  return typeof value === 'number' || typeof value === 'string' || value instanceof Date;
+}
+
+function isPosition(coordinates) {
+  return Boolean(coordinates) && Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90;
+}
+
+function parseGeoShape(field, shape) {
+  const invalid = detail => new QueryError(`Zone geoWithin invalide pour ${field}: ${detail}`);
+  if (!isPlainObject(shape)) {
+    throw invalid('objet attendu');
+  }
+
+  if (shape.center !== undefined) {
+    const center = pointCoordinates(shape.center);
+    if (!isPosition(center)) {
+      throw invalid('center doit être [longitude, latitude]');
+    }
+    if (typeof shape.radius !== 'number' || !(shape.radius > 0)) {
+      throw invalid('radius doit être une distance positive en mètres');
+    }
+    return { center: center.slice(0, 2), radius: shape.radius };
+  }
+
+  if (shape.bbox !== undefined) {
+    const { bbox } = shape;
+    if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(Number.isFinite) ||
+      !isPosition(bbox.slice(0, 2)) || !isPosition(bbox.slice(2)) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+      throw invalid('bbox doit être [ouest, sud, est, nord]');
+    }
+    return { bbox };
+  }
+
+  if (shape.geometry !== undefined) {
+    const { type, coordinates } = shape.geometry || {};
+    if (!['Polygon', 'MultiPolygon'].includes(type) || !Array.isArray(coordinates) || coordinates.length === 0) {
+      throw invalid('geometry doit être un Polygon ou un MultiPolygon GeoJSON');
+    }
+    return { geometry: { type, coordinates } };
+  }
+
+  throw invalid('center et radius, bbox ou geometry attendus');
+}
+
+function parseConditions(field, value) {
+  if (!field || field.startsWith('$')) {
+    throw new QueryError(`Champ de filtre invalide: ${field || '(vide)'}`);
+  }
+
+  if (value instanceof RegExp) {
+    return [{ field, operator: 'regex', value: value.source, flags: value.flags }];
+  }
+
+  const keys = isPlainObject(value) ? Object.keys(value) : [];
+  const operators = keys.map(operatorName);
+  if (keys.length === 0 || !operators.some(operator => OPERATORS.includes(operator))) {
+    return [{ field, operator: 'eq', value }];
+  }
+
+  const unknown = operators.filter(operator => !OPERATORS.includes(operator) && operator !== 'flags');
+  if (unknown.length > 0) {
+    throw new QueryError(`Opérateur non supporté pour ${field}: ${unknown.join(', ')}`);
+  }
+
+  const flags = value.flags ?? value.$options;
+  return keys
+    .filter(key => operatorName(key) !== 'flags')
+    .map(key => {
+      const operator = operatorName(key);
+      const operand = value[key];
+
+      if ((operator === 'in' || operator === 'nin') && !Array.isArray(operand)) {
+        throw new QueryError(`L'opérateur ${operator} de ${field} attend une liste`);
+      }
+      if (RANGE_OPERATORS.includes(operator) && !isComparable(operand)) {
+        throw new QueryError(`L'opérateur ${operator} de ${field} attend un nombre, une chaîne ou une date`);
+      }
+      if (operator === 'exists' && typeof operand !== 'boolean') {
+        throw new QueryError(`L'opérateur exists de ${field} attend un booléen`);
+      }
+      if (operator === 'geoWithin') {
+        return { field, operator, value: parseGeoShape(field, operand) };
+      }
+      if (operator === 'regex') {
+        const source = operand instanceof RegExp ? operand.source : operand;
+        const regexFlags = operand instanceof RegExp ? operand.flags : flags || '';
+        try {
+          new RegExp(source, regexFlags);
+        } catch (error) {
+          throw new QueryError(`Expression régulière invalide pour ${field}: ${error.message}`);
+        }
+        return { field, operator, value: source, flags: regexFlags };
+      }
+      return { field, operator, value: operand };
+    });
+}
+
+function parseSort(sort) {
+  if (!sort) return [];
+  const normalize = value => (value === -1 || value === 'desc' ? -1 : 1);
+
+  if (typeof sort === 'string') {
+    return sort.split(',').map(field => field.trim()).filter(Boolean).map(field => (
+      field.startsWith('-') ? { field: field.slice(1), direction: -1 } : { field, direction: 1 }
+    ));
+  }
+  if (Array.isArray(sort)) {
+    return sort.map(({ field, direction }) => ({ field, direction: normalize(direction) }));
+  }
+  return Object.entries(sort).map(([field, value]) => ({ field, direction: normalize(value) }));
+}
+
+function parseProjection(projection) {
+  if (!projection) return null;
+  if (typeof projection === 'string') return projection.split(',').map(field => field.trim()).filter(Boolean);
+  return Array.isArray(projection) ? projection : Object.keys(projection);
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch (error) {
+    // Traité ci-dessous
+  }
+  throw new QueryError('Curseur invalide');
+}
+
+// Forme normalisée que chaque stratégie traduit dans son propre langage
+function parseQuery(filter = {}, options = {}) {
+  if (!isPlainObject(filter)) {
+    throw new QueryError('Le filtre doit être un objet');
+  }
+
+  const { error, value } = optionsSchema.validate(options, { stripUnknown: false });
+  if (error) {
+    throw new QueryError(`Options de requête invalides: ${error.message}`);
+  }
+
+  return {
+    conditions: Object.entries(filter)
+      .filter(([, condition]) => condition !== undefined)
+      .flatMap(([field, condition]) => parseConditions(field, condition)),
+    projection: parseProjection(value.projection),
+    sort: parseSort(value.sort),
+    limit: value.limit ?? null,
+    offset: value.cursor ? decodeCursor(value.cursor) : value.offset ?? 0
+  };
+}
+
+function normalize(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function compareValues(left, right) {
+  const a = normalize(left);
+  const b = normalize(right);
+  if (a === undefined || a === null || b === undefined || b === null) return null;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'number' || typeof b === 'number') {
+    const difference = Number(a) - Number(b);
+    return Number.isNaN(difference) ? null : difference;
+  }
+  return null;
+}
+
+function equals(actual, expected) {
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(item => equals(item, expected));
+  }
+  return JSON.stringify(normalize(actual)) === JSON.stringify(normalize(expected));
+}
+
+function matchesCondition(document, { field, operator, value, flags }) {
+  const actual = getPath(document, field);
+
+  switch (operator) {
+    case 'eq':
+      return equals(actual, value);
+    case 'ne':
+      return !equals(actual, value);
+    case 'in':
+      return value.some(item => equals(actual, item));
+    case 'nin':
+      return !value.some(item => equals(actual, item));
+    case 'exists':
+      return (actual !== undefined) === value;
+    case 'regex':
+      return typeof actual === 'string' && new RegExp(value, flags).test(actual);
+    case 'geoWithin':
+      return withinShape(actual, value);
+    default: {
+      const comparison = compareValues(actual, value);
+      if (comparison === null) return false;
+      return { gt: comparison > 0, gte: comparison >= 0, lt: comparison < 0, lte: comparison <= 0 }[operator];
+    }
+  }
+}
+
+// Évaluation en mémoire, pour les stratégies sans moteur de requête (fichiers, Redis)
+function matchesQuery(document, query) {
+  return query.conditions.every(condition => matchesCondition(document, condition));
+}
+
+function project(document, projection) {
+  if (!projection) return document;
+  const result = {};
+
+  for (const field of projection) {
+    const value = getPath(document, field);
+    if (value === undefined) continue;
+    const parts = field.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((node, part) => (node[part] ??= {}), result);
+    target[last] = value;
+  }
+  return result;
+}
+
+function sortDocuments(documents, sort) {
+  if (sort.length === 0) return documents;
+
+  return [...documents].sort((a, b) => {
+    for (const { field, direction } of sort) {
+      const left = getPath(a, field);
+      const right = getPath(b, field);
+      if (left === right) continue;
+      // Les valeurs absentes sont classées en dernier
+      if (left === undefined || left === null) return 1;
+      if (right === undefined || right === null) return -1;
+      const comparison = compareValues(left, right);
+      if (comparison) return comparison * direction;
+    }
+    return 0;
+  });
+}
+
+function applyQueryOptions(documents, query) {
+  const { sort, offset, limit, projection } = query;
+  return sortDocuments(documents, sort)
+    .slice(offset, limit ? offset + limit : undefined)
+    .map(document => project(document, projection));
+}
+
+// Document de départ d'un upsert : seules les égalités du filtre sont reprises, comme dans MongoDB
+function equalityDocument(filter) {
+  const document = {};
+  for (const { field, value } of parseQuery(filter).conditions.filter(({ operator }) => operator === 'eq')) {
+    const parts = field.split('.');
+    const last = parts.pop();
+    parts.reduce((node, part) => (node[part] ??= {}), document)[last] = value;
+  }
+  return document;
+}
+
+// Lit une page de résultats ; le curseur renvoyé désigne la page suivante
+async function findPage(read, options = {}) {
+  const { offset, limit } = parseQuery({}, options);
+  const pageSize = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_LIMIT - 1);
+  const { cursor, ...rest } = options;
+
+  const items = await read({ ...rest, offset, limit: pageSize + 1 });
+  return {
+    items: items.slice(0, pageSize),
+    nextCursor: items.length > pageSize ? encodeCursor(offset + pageSize) : null
+  };
+}
+
+export {
+  QueryError,
+  OPERATORS,
+  MAX_LIMIT,
+  parseQuery,
+  matchesQuery,
+  applyQueryOptions,
+  sortDocuments,
+  project,
+  equalityDocument,
+  getPath,
+  encodeCursor,
+  decodeCursor,
+  findPage
+};
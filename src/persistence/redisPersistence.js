@@ -1,5 +1,25 @@
+import { randomUUID } from 'crypto';
+import { getNaturalKey } from './naturalKey.js';
+import { parseQuery, matchesQuery, applyQueryOptions, equalityDocument, getPath } from './query.js';
 import logger from '../utils/logger.js';
 
+const MGET_BATCH_SIZE = 500;
+
+function encodeValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Score d'intervalle : nombres et dates ISO
+function toScore(value) {
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
 class RedisPersistence {
   constructor() {
     this.client = null;
@@ -9,47 +29,187 @@ class RedisPersistence {
     this.client = client;
   }
 
+  getCollection(sourceConfig) {
+    return sourceConfig.persistence.collection || 'data';
+  }
+
+  getNaturalKey(persistence) {
+    return getNaturalKey(persistence);
+  }
+
+  // TTL en secondes (persistence.json) ou { enabled, days } (sources.json)
+  getTtl(persistence) {
+    const { ttl } = persistence;
+    if (typeof ttl === 'number') return ttl;
+    if (ttl && typeof ttl === 'object') return ttl.enabled ? ttl.days * 24 * 60 * 60 : null;
+    return 3600;
+  }
+
+  getIndexedFields(persistence) {
+    return [...new Set((persistence.indexes || []).flatMap(index => Object.keys(index.fields)))];
+  }
+
+  generateKey(sourceConfig, data) {
+    const naturalKey = this.getNaturalKey(sourceConfig.persistence);
+    const hasKey = naturalKey.length > 0 && naturalKey.every(field => getPath(data, field) !== undefined);
+    const id = hasKey
+      ? naturalKey.map(field => getPath(data, field)).join(':')
+      : data.id || data._id || randomUUID();
+    return `${this.getCollection(sourceConfig)}:doc:${id}`;
+  }
+
+  // Index d'égalité (SET par valeur) et d'intervalle (ZSET par score) des champs indexés
+  indexCommands(multi, sourceConfig, key, document, action) {
+    const collection = this.getCollection(sourceConfig);
+    const add = action === 'add';
+
+    if (add) multi.zAdd(`${collection}:all`, { score: 0, value: key });
+    else multi.zRem(`${collection}:all`, key);
+
+    for (const field of this.getIndexedFields(sourceConfig.persistence)) {
+      const value = getPath(document, field);
+      if (value === undefined || value === null) continue;
+
+      const setKey = `${collection}:idx:${field}:${encodeValue(value)}`;
+      if (add) multi.sAdd(setKey, key);
+      else multi.sRem(setKey, key);
+
+      const score = toScore(value);
+      if (score !== null) {
+        if (add) multi.zAdd(`${collection}:range:${field}`, { score, value: key });
+        else multi.zRem(`${collection}:range:${field}`, key);
+      }
+    }
+  }
+
+  // Les clés expirées (TTL) encore référencées sont retirées de l'ensemble de la collection
+  async loadDocuments(keys, collection = null) {
+    const documents = [];
+    const expired = [];
+    for (let start = 0; start < keys.length; start += MGET_BATCH_SIZE) {
+      const batch = keys.slice(start, start + MGET_BATCH_SIZE);
+      const values = await this.client.mGet(batch);
+      values.forEach((value, position) => {
+        if (value) documents.push({ key: batch[position], document: JSON.parse(value) });
+        else expired.push(batch[position]);
+      });
+    }
+    if (collection && expired.length > 0) {
+      await this.client.zRem(`${collection}:all`, expired);
+    }
+    return documents;
+  }
+
   async save(sourceConfig, data) {
     if (!this.client) {
       throw new Error('Client Redis non initialisé');
     }
 
-    const key = this.generateKey(sourceConfig, data);
-    const ttl = sourceConfig.persistence.ttl || 3600;
+    const collection = this.getCollection(sourceConfig);
+    const ttl = this.getTtl(sourceConfig.persistence);
+    const documents = (Array.isArray(data) ? data : [data]).map(({ _id, ...fields }) => ({
+      key: this.generateKey(sourceConfig, { _id, ...fields }),
+      document: fields
+    }));
 
     try {
-      const serializedData = JSON.stringify(data);
-      await this.client.setEx(key, ttl, serializedData);
-      logger.info(`Données sauvegardées dans Redis avec la clé ${key}`);
-      return { key, ttl };
+      // Les entrées d'index de la version précédente sont retirées avant réindexation
+      const previous = new Map(
+        (await this.loadDocuments(documents.map(({ key }) => key))).map(({ key, document }) => [key, document])
+      );
+      const multi = this.client.multi();
+
+      for (const { key, document } of documents) {
+        if (previous.has(key)) {
+          this.indexCommands(multi, sourceConfig, key, previous.get(key), 'remove');
+        }
+        if (ttl) multi.setEx(key, ttl, JSON.stringify(document));
+        else multi.set(key, JSON.stringify(document));
+        this.indexCommands(multi, sourceConfig, key, document, 'add');
+      }
+      await multi.exec();
+
+      const counts = {
+        insertedCount: documents.filter(({ key }) => !previous.has(key)).length,
+        updatedCount: documents.filter(({ key }) => previous.has(key)).length
+      };
+      logger.info(`Données sauvegardées dans Redis pour ${collection}`, counts);
+      return { ...counts, keys: documents.map(({ key }) => key), ttl };
     } catch (error) {
-      logger.error(`Erreur lors de la sauvegarde Redis pour la clé ${key}`, error);
+      logger.error(`Erreur lors de la sauvegarde Redis pour ${collection}`, error);
       throw error;
     }
   }
 
-  async find(sourceConfig, query = {}) {
+  // Clés candidates : intersection des index d'égalité et d'intervalle des champs indexés
+  async findCandidateKeys(sourceConfig, query) {
+    const collection = this.getCollection(sourceConfig);
+    const indexed = this.getIndexedFields(sourceConfig.persistence);
+    const equalitySets = [];
+    const ranges = new Map();
+
+    for (const { field, operator, value } of query.conditions) {
+      if (!indexed.includes(field)) continue;
+
+      if (operator === 'eq') {
+        equalitySets.push(`${collection}:idx:${field}:${encodeValue(value)}`);
+      } else if (['gt', 'gte', 'lt', 'lte'].includes(operator) && toScore(value) !== null) {
+        const range = ranges.get(field) || { min: '-inf', max: '+inf' };
+        if (operator === 'gt') range.min = `(${toScore(value)}`;
+        if (operator === 'gte') range.min = toScore(value);
+        if (operator === 'lt') range.max = `(${toScore(value)}`;
+        if (operator === 'lte') range.max = toScore(value);
+        ranges.set(field, range);
+      }
+    }
+
+    if (equalitySets.length === 0 && ranges.size === 0) {
+      return null;
+    }
+
+    const rangeResults = [];
+    for (const [field, { min, max }] of ranges) {
+      rangeResults.push(new Set(await this.client.zRangeByScore(`${collection}:range:${field}`, min, max)));
+    }
+
+    let keys = equalitySets.length > 0 ? await this.client.sInter(equalitySets) : [...rangeResults.shift()];
+    for (const range of rangeResults) {
+      keys = keys.filter(key => range.has(key));
+    }
+    return keys.sort();
+  }
+
+  // Documents correspondant au filtre, avec leur clé Redis
+  async findEntries(sourceConfig, query) {
+    const collection = this.getCollection(sourceConfig);
+    const keys = await this.findCandidateKeys(sourceConfig, query)
+      ?? await this.client.zRange(`${collection}:all`, 0, -1);
+    return (await this.loadDocuments(keys, collection)).filter(({ document }) => matchesQuery(document, query));
+  }
+
+  async find(sourceConfig, query = {}, options = {}) {
     if (!this.client) {
       throw new Error('Client Redis non initialisé');
     }
 
+    const collection = this.getCollection(sourceConfig);
+    const parsed = parseQuery(query, options);
+
     try {
-      const pattern = this.generatePattern(sourceConfig, query);
-      const keys = await this.client.keys(pattern);
-      
-      if (keys.length === 0) {
-        return [];
-      }
+      let results;
 
-      const results = [];
-      for (const key of keys) {
-        const data = await this.client.get(key);
-        if (data) {
-          results.push(JSON.parse(data));
-        }
+      if (parsed.conditions.length === 0 && parsed.sort.length === 0) {
+        // Sans filtre ni tri, la pagination se fait directement sur l'ensemble trié des clés
+        const stop = parsed.limit ? parsed.offset + parsed.limit - 1 : -1;
+        const keys = await this.client.zRange(`${collection}:all`, parsed.offset, stop);
+        const documents = (await this.loadDocuments(keys, collection)).map(({ document }) => document);
+        results = applyQueryOptions(documents, { ...parsed, offset: 0, limit: null });
+      } else {
+        const documents = (await this.findEntries(sourceConfig, parsed)).map(({ document }) => document);
+        results = applyQueryOptions(documents, parsed);
       }
 
-      logger.info(`${results.length} documents trouvés dans Redis`);
+      logger.info(`${results.length} documents trouvés dans Redis pour ${collection}`);
       return results;
     } catch (error) {
       logger.error('Erreur lors de la recherche Redis', error);
@@ -58,7 +218,7 @@ class RedisPersistence {
   }
 
   async findOne(sourceConfig, query = {}) {
-    const results = await this.find(sourceConfig, query);
+    const results = await this.find(sourceConfig, query, { limit: 1 });
     return results.length > 0 ? results[0] : null;
   }
 
@@ -68,58 +228,65 @@ class RedisPersistence {
     }
 
     try {
-      const existingData = await this.findOne(sourceConfig, query);
-      if (!existingData) {
-        return await this.save(sourceConfig, update);
+      const changes = update.$set || update;
+      const existing = await this.find(sourceConfig, query);
+
+      if (existing.length === 0) {
+        await this.save(sourceConfig, { ...equalityDocument(query), ...changes });
+        return { modifiedCount: 0, upsertedCount: 1 };
       }
 
-      const updatedData = { ...existingData, ...update };
-      return await this.save(sourceConfig, updatedData);
+      await this.save(sourceConfig, existing.map(document => ({ ...document, ...changes })));
+      return { modifiedCount: existing.length, upsertedCount: 0 };
     } catch (error) {
       logger.error('Erreur lors de la mise à jour Redis', error);
       throw error;
     }
   }
 
-  async delete(sourceConfig, query) {
+  async delete(sourceConfig, query = {}) {
     if (!this.client) {
       throw new Error('Client Redis non initialisé');
     }
 
+    const collection = this.getCollection(sourceConfig);
+    const parsed = parseQuery(query);
+
     try {
-      const pattern = this.generatePattern(sourceConfig, query);
-      const keys = await this.client.keys(pattern);
-      
-      if (keys.length > 0) {
-        await this.client.del(keys);
-        logger.info(`${keys.length} clés supprimées de Redis`);
+      // Vider une collection : SCAN plutôt que KEYS pour ne pas bloquer Redis
+      if (parsed.conditions.length === 0) {
+        let deletedCount = 0;
+        const keys = [];
+        for await (const key of this.client.scanIterator({ MATCH: `${collection}:*`, COUNT: 500 })) {
+          keys.push(key);
+          if (key.startsWith(`${collection}:doc:`)) deletedCount++;
+        }
+        for (let start = 0; start < keys.length; start += MGET_BATCH_SIZE) {
+          await this.client.del(keys.slice(start, start + MGET_BATCH_SIZE));
+        }
+        logger.info(`${deletedCount} documents supprimés de Redis pour ${collection}`);
+        return { deletedCount };
       }
-      
-      return { deletedCount: keys.length };
+
+      const documents = await this.findEntries(sourceConfig, parsed);
+
+      if (documents.length > 0) {
+        const multi = this.client.multi();
+        for (const { key, document } of documents) {
+          this.indexCommands(multi, sourceConfig, key, document, 'remove');
+          multi.del(key);
+        }
+        await multi.exec();
+      }
+
+      logger.info(`${documents.length} documents supprimés de Redis pour ${collection}`);
+      return { deletedCount: documents.length };
     } catch (error) {
       logger.error('Erreur lors de la suppression Redis', error);
       throw error;
     }
   }
 
-  generateKey(sourceConfig, data) {
-    const prefix = sourceConfig.persistence.collection || 'data';
-    const id = data.id || data._id || Date.now();
-    return `${prefix}:${id}`;
-  }
-
-  generatePattern(sourceConfig, query) {
-    const prefix = sourceConfig.persistence.collection || 'data';
-    
-    if (Object.keys(query).length === 0) {
-      return `${prefix}:*`;
-    }
-
-    // Générer un pattern basé sur les critères de recherche
-    const conditions = Object.entries(query).map(([key, value]) => `${key}:${value}`);
-    return `${prefix}:*:${conditions.join(':')}`;
-  }
-
   async get(key) {
     if (!this.client) {
       throw new Error('Client Redis non initialisé');
@@ -149,6 +316,43 @@ class RedisPersistence {
     }
   }
 
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  // Entrées de cache indexées par date d'écriture pour borner leur nombre (maxSize)
+  async cacheSet(namespace, key, data, { ttl = 3600, maxSize } = {}) {
+    if (!this.client) {
+      throw new Error('Client Redis non initialisé');
+    }
+
+    const index = `${namespace}:keys`;
+    await this.client.setEx(key, ttl, JSON.stringify(data));
+    await this.client.zAdd(index, { score: Date.now(), value: key });
+
+    const overflow = maxSize ? (await this.client.zCard(index)) - maxSize : 0;
+    if (overflow > 0) {
+      const evicted = await this.client.zRange(index, 0, overflow - 1);
+      await this.client.del(evicted);
+      await this.client.zRem(index, evicted);
+    }
+    return { key, ttl };
+  }
+
+  async cacheInvalidate(namespace) {
+    if (!this.client) {
+      throw new Error('Client Redis non initialisé');
+    }
+
+    const index = `${namespace}:keys`;
+    const keys = await this.client.zRange(index, 0, -1);
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+    await this.client.del(index);
+    return { deletedCount: keys.length };
+  }
+
   async exists(key) {
     if (!this.client) {
       throw new Error('Client Redis non initialisé');
@@ -0,0 +1,358 @@
+import fs from 'fs';
+import nodeCron from 'node-cron';
+import cronParser from 'cron-parser';
+import { logger } from '../utils/logger.js';
+import { RetryHandler } from '../utils/retryHandler.js';
+import { SourceManager } from '../sources/index.js';
+import { LockHeldError } from '../harvest/HarvestLock.js';
+
+// Tasks with this name check the source instead of harvesting a dataset
+const HEALTH_CHECK_TASK = 'healthCheck';
+const DEFAULT_TIMEZONE = 'Europe/Paris';
+const RELOAD_DEBOUNCE_MS = 500;
+const LOCKED_RETRY_DELAY_MS = 60000;
+const MAX_LOCK_WAIT_MS = 6 * 60 * 60 * 1000;
+
+export class Scheduler {
+  static instance = null;
+
+  constructor(sourceManager = SourceManager.getInstance(), options = {}) {
+    this.sourceManager = sourceManager;
+    this.cron = options.cron || nodeCron;
+    this.jobs = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.sleepers = new Set();
+    this.started = false;
+  }
+
+  static getInstance() {
+    if (!Scheduler.instance) {
+      Scheduler.instance = new Scheduler();
+    }
+    return Scheduler.instance;
+  }
+
+  getSettings() {
+    const globalConfig = this.sourceManager.configManager.getGlobalConfig() || {};
+    return {
+      enabled: true,
+      timezone: DEFAULT_TIMEZONE,
+      watch: true,
+      lockedRetryDelayMs: LOCKED_RETRY_DELAY_MS,
+      maxLockWaitMs: MAX_LOCK_WAIT_MS,
+      ...globalConfig.scheduler,
+      retry: globalConfig.retry || {}
+    };
+  }
+
+  // One job per task of every source's schedule.json
+  buildJobs(sourceConfigs, settings = this.getSettings()) {
+    const jobs = [];
+
+    for (const [sourceId, sourceConfig] of Object.entries(sourceConfigs)) {
+      const schedule = sourceConfig.schedule;
+      if (!schedule?.tasks) continue;
+
+      for (const [task, taskConfig] of Object.entries(schedule.tasks)) {
+        const retryOnFailure = Boolean(taskConfig.retryOnFailure);
+        const params = taskConfig.params || {};
+        jobs.push({
+          id: `${sourceId}:${task}`,
+          sourceId,
+          task,
+          type: task === HEALTH_CHECK_TASK ? 'health' : 'harvest',
+          cron: taskConfig.cron,
+          timezone: taskConfig.timezone || schedule.timezone || settings.timezone,
+          enabled: schedule.enabled !== false && taskConfig.enabled !== false,
+          description: taskConfig.description || null,
+          params,
+          paramsError: this.validateParams(sourceConfig, task, params),
+          retryOnFailure,
+          maxAttempts: retryOnFailure ? 1 + (taskConfig.maxRetries ?? 3) : 1,
+          retryDelayMs: taskConfig.retryDelayMs || settings.retry.baseDelay || 1000,
+          backoffMultiplier: settings.retry.backoffMultiplier || 2,
+          lockedRetryDelayMs: settings.lockedRetryDelayMs,
+          maxLockWaitMs: settings.maxLockWaitMs
+        });
+      }
+    }
+
+    return jobs;
+  }
+
+  // Connectors may declare a Joi schema per task (static taskSchemas): a task that
+  // would fail on every tick is rejected when the schedule is loaded
+  validateParams(sourceConfig, task, params) {
+    const schema = this.sourceManager.getConnector?.(sourceConfig.type)?.taskSchemas?.[task];
+    const { error } = schema ? schema.validate(params) : {};
+    return error ? `Invalid params: ${error.message}` : null;
+  }
+
+  async start() {
+    await this.sourceManager.ensureInitialized();
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      logger.info('Scheduler disabled in global configuration');
+      return;
+    }
+
+    this.started = true;
+    this.scheduleJobs(this.buildJobs(this.sourceManager.configManager.getAllSourceConfigs(), settings));
+
+    if (settings.watch) {
+      this.watchConfiguration();
+    }
+  }
+
+  // Keeps the state of unchanged jobs, replaces modified ones and drops removed ones
+  scheduleJobs(definitions) {
+    const incoming = new Map(definitions.map(definition => [definition.id, definition]));
+
+    for (const [id, job] of this.jobs) {
+      const definition = incoming.get(id);
+      if (!definition || JSON.stringify(definition) !== JSON.stringify(job.definition)) {
+        job.handle?.stop();
+        this.jobs.delete(id);
+      }
+    }
+
+    for (const definition of definitions) {
+      if (this.jobs.has(definition.id)) continue;
+
+      const job = { definition, handle: null, running: false, lastRun: null, error: null };
+      this.jobs.set(definition.id, job);
+
+      if (!definition.enabled) continue;
+
+      if (definition.paramsError) {
+        job.error = definition.paramsError;
+        logger.error('Scheduled job not started', { jobId: definition.id, error: job.error });
+        continue;
+      }
+
+      if (!definition.cron || !this.cron.validate(definition.cron)) {
+        job.error = `Invalid cron expression: ${definition.cron}`;
+        logger.error('Scheduled job not started', { jobId: definition.id, error: job.error });
+        continue;
+      }
+
+      job.handle = this.cron.schedule(definition.cron, () => this.runJob(definition.id), {
+        timezone: definition.timezone
+      });
+    }
+
+    logger.info('Scheduled jobs configured', {
+      jobs: [...this.jobs.values()].filter(job => job.handle).map(job => job.definition.id)
+    });
+  }
+
+  async reload() {
+    await this.sourceManager.reloadConfiguration();
+    this.scheduleJobs(this.buildJobs(this.sourceManager.configManager.getAllSourceConfigs()));
+    return this.getJobs();
+  }
+
+  watchConfiguration() {
+    const configPath = this.sourceManager.configManager.configPath;
+
+    try {
+      this.watcher = fs.watch(configPath, { recursive: true }, (eventType, filename) => {
+        if (!filename?.endsWith('.json')) return;
+
+        // Editors write several events per save: reload once they settle
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          logger.info('Configuration changed, reloading schedules', { filename });
+          this.reload().catch(error => {
+            logger.error('Error reloading schedules', { error: error.message });
+          });
+        }, RELOAD_DEBOUNCE_MS);
+      });
+    } catch (error) {
+      logger.warn('Configuration watching unavailable', { configPath, error: error.message });
+    }
+  }
+
+  // Outside of a started scheduler (CLI, tests), jobs are described from the configuration only
+  async loadJobs() {
+    await this.sourceManager.ensureInitialized();
+    if (this.started || this.jobs.size > 0) return;
+
+    for (const definition of this.buildJobs(this.sourceManager.configManager.getAllSourceConfigs())) {
+      this.jobs.set(definition.id, { definition, handle: null, running: false, lastRun: null, error: definition.paramsError });
+    }
+  }
+
+  async runJob(jobId) {
+    await this.loadJobs();
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Unknown scheduled job: ${jobId}`);
+    }
+
+    // A slow run must not overlap with the next tick
+    if (job.running) {
+      logger.warn('Scheduled job still running, tick skipped', { jobId });
+      return job.lastRun;
+    }
+
+    const { definition } = job;
+    if (definition.paramsError) {
+      throw new Error(`Scheduled job ${jobId} rejected: ${definition.paramsError}`);
+    }
+    const retryHandler = new RetryHandler({
+      maxAttempts: definition.maxAttempts,
+      delayMs: definition.retryDelayMs,
+      backoffMultiplier: definition.backoffMultiplier
+    });
+    const lastRun = { startedAt: new Date(), finishedAt: null, status: 'running', attempts: 0, runId: null, error: null };
+
+    job.running = true;
+    job.lastRun = lastRun;
+    logger.info('Scheduled job started', { jobId });
+
+    try {
+      const result = await retryHandler.execute(async () => {
+        lastRun.attempts++;
+        return await this.executeUnlocked(definition, lastRun.startedAt);
+      });
+      if (result?.skipped) {
+        lastRun.status = 'skipped';
+        logger.info('Scheduled job skipped, the same harvest is already running', { jobId, holder: result.holder, dataset: result.dataset });
+      } else {
+        lastRun.status = 'success';
+        lastRun.runId = result?.runId || null;
+      }
+    } catch (error) {
+      lastRun.status = 'failed';
+      lastRun.error = error.message;
+      logger.error('Scheduled job failed', { jobId, attempts: lastRun.attempts, error: error.message });
+    } finally {
+      lastRun.finishedAt = new Date();
+      job.running = false;
+    }
+
+    logger.info('Scheduled job completed', { jobId, status: lastRun.status, attempts: lastRun.attempts });
+    return lastRun;
+  }
+
+  // The lock is taken per source: a harvest of another dataset of the source (a long SIRENE
+  // run past the BDM tick) delays this one, whereas the same dataset means another
+  // instance fired the same tick and this run is skipped
+  async executeUnlocked(definition, startedAt = new Date()) {
+    const deadline = startedAt.getTime() + definition.maxLockWaitMs;
+
+    for (;;) {
+      try {
+        return await this.execute(definition);
+      } catch (error) {
+        if (!(error instanceof LockHeldError)) throw error;
+
+        const { holder = null, dataset = null, trigger = null } = error.lock || {};
+        if (error.lock && dataset === definition.task) {
+          return { skipped: true, holder, dataset };
+        }
+        if (Date.now() + definition.lockedRetryDelayMs > deadline) {
+          throw new Error(`Harvest lock ${definition.sourceId} still held by ${holder} (dataset ${dataset}) after ${definition.maxLockWaitMs} ms`);
+        }
+
+        logger.info('Scheduled job waiting for the harvest lock of its source', {
+          jobId: definition.id, holder, dataset, trigger, retryInMs: definition.lockedRetryDelayMs
+        });
+        await this.sleep(definition.lockedRetryDelayMs);
+        // Stopped or reloaded with another definition while waiting
+        if (this.jobs.get(definition.id)?.definition !== definition) {
+          return { skipped: true, holder, dataset };
+        }
+      }
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const wakeUp = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(wakeUp);
+        resolve();
+      };
+      const timer = setTimeout(wakeUp, ms);
+      this.sleepers.add(wakeUp);
+    });
+  }
+
+  async execute({ type, sourceId, task, params }) {
+    if (type === 'health') {
+      return await this.sourceManager.checkSourceHealth(sourceId);
+    }
+    return await this.sourceManager.harvestSourceById(sourceId, { ...params, dataset: task, trigger: 'cron' });
+  }
+
+  getNextRun(definition, from = new Date()) {
+    if (!definition.enabled || !definition.cron) return null;
+
+    try {
+      return cronParser.parseExpression(definition.cron, { tz: definition.timezone, currentDate: from }).next().toDate();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Without an in-process run (e.g. from the CLI), the last run comes from the harvest run log
+  async getLastRun(job) {
+    if (job.lastRun || job.definition.type !== 'harvest') {
+      return job.lastRun;
+    }
+
+    try {
+      const { items: [run] } = await this.sourceManager.getHarvestRuns(
+        { sourceId: job.definition.sourceId, trigger: 'cron', 'params.dataset': job.definition.task },
+        { limit: 1 }
+      );
+      return run ? { startedAt: run.startedAt, finishedAt: run.finishedAt, status: run.status, runId: run.runId } : null;
+    } catch (error) {
+      logger.warn('Unable to read the last run of a scheduled job', { jobId: job.definition.id, error: error.message });
+      return null;
+    }
+  }
+
+  async getJobs() {
+    await this.loadJobs();
+
+    const jobs = [];
+    for (const job of this.jobs.values()) {
+      const { definition } = job;
+      jobs.push({
+        id: definition.id,
+        sourceId: definition.sourceId,
+        task: definition.task,
+        type: definition.type,
+        cron: definition.cron,
+        timezone: definition.timezone,
+        enabled: definition.enabled,
+        description: definition.description,
+        retryOnFailure: definition.retryOnFailure,
+        maxAttempts: definition.maxAttempts,
+        scheduled: Boolean(job.handle),
+        running: job.running,
+        error: job.error,
+        nextRun: job.error ? null : this.getNextRun(definition),
+        lastRun: await this.getLastRun(job)
+      });
+    }
+    return jobs;
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.handle?.stop();
+    }
+    this.jobs.clear();
+    this.sleepers.forEach(wakeUp => wakeUp());
+    this.watcher?.close();
+    this.watcher = null;
+    clearTimeout(this.reloadTimer);
+    this.started = false;
+    logger.info('Scheduler stopped');
+  }
+}
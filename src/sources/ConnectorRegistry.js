@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+
+const SOURCES_DIR = path.dirname(fileURLToPath(import.meta.url));
+const REQUIRED_METHODS = ['harvest', 'getData', 'getDataById', 'updateData', 'deleteData'];
+
+export class ConnectorRegistry {
+  constructor() {
+    this.connectors = new Map();
+    this.origins = new Map();
+    this.rejected = [];
+  }
+
+  validate(ConnectorClass) {
+    const errors = [];
+
+    if (typeof ConnectorClass !== 'function') {
+      return ['connector must be a class'];
+    }
+
+    if (typeof ConnectorClass.type !== 'string' || ConnectorClass.type.length === 0) {
+      errors.push('static type must be a non-empty string');
+    }
+
+    if (!Array.isArray(ConnectorClass.capabilities)) {
+      errors.push('static capabilities must be an array');
+    }
+
+    if (typeof ConnectorClass.configSchema?.validate !== 'function') {
+      errors.push('static configSchema must be a Joi schema');
+    }
+
+    for (const method of REQUIRED_METHODS) {
+      if (typeof ConnectorClass.prototype?.[method] !== 'function') {
+        errors.push(`missing method ${method}()`);
+      }
+    }
+
+    return errors;
+  }
+
+  register(ConnectorClass, origin = 'builtin') {
+    const errors = this.validate(ConnectorClass);
+    if (errors.length > 0) {
+      throw new Error(`Invalid connector ${ConnectorClass?.name || ConnectorClass}: ${errors.join(', ')}`);
+    }
+
+    const { type } = ConnectorClass;
+    const existing = this.connectors.get(type);
+    if (existing && existing !== ConnectorClass) {
+      throw new Error(`Connector type already registered: ${type} (${this.origins.get(type)})`);
+    }
+
+    this.connectors.set(type, ConnectorClass);
+    this.origins.set(type, origin);
+    logger.debug('Connector registered', { type, origin });
+    return ConnectorClass;
+  }
+
+  async discover(options = {}) {
+    const { pluginsDir, packages = [] } = options;
+
+    await this.discoverDirectory(SOURCES_DIR, 'builtin');
+
+    if (pluginsDir) {
+      await this.discoverDirectory(path.resolve(pluginsDir), 'plugin');
+    }
+
+    for (const packageName of packages) {
+      await this.loadModule(packageName, `package:${packageName}`);
+    }
+
+    return this.list();
+  }
+
+  async discoverDirectory(directory, origin) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.debug('Connector directory not found, skipping', { directory });
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+
+      const indexPath = path.join(directory, entry.name, 'index.js');
+      try {
+        await fs.access(indexPath);
+      } catch {
+        continue;
+      }
+
+      await this.loadModule(pathToFileURL(indexPath).href, origin);
+    }
+  }
+
+  async loadModule(specifier, origin) {
+    try {
+      const module = await import(specifier);
+      const candidates = this.getCandidates(module);
+
+      if (candidates.length === 0) {
+        throw new Error('module does not export a connector');
+      }
+
+      for (const ConnectorClass of candidates) {
+        this.register(ConnectorClass, origin);
+      }
+    } catch (error) {
+      logger.error('Connector rejected', { specifier, origin, error: error.message });
+      this.rejected.push({ specifier, origin, error: error.message });
+    }
+  }
+
+  // A module exposes its connector as `connector`, as default export,
+  // or as any exported class declaring a static `type`
+  getCandidates(module) {
+    if (module.connector) {
+      return [module.connector];
+    }
+    if (module.default) {
+      return [module.default];
+    }
+    return Object.values(module).filter(value => typeof value === 'function' && value.type);
+  }
+
+  has(type) {
+    return this.connectors.has(type);
+  }
+
+  get(type) {
+    const ConnectorClass = this.connectors.get(type);
+    if (!ConnectorClass) {
+      throw new Error(`Connector not found for type: ${type}`);
+    }
+    return ConnectorClass;
+  }
+
+  validateConfig(type, sourceConfig) {
+    const ConnectorClass = this.get(type);
+    const { error } = ConnectorClass.configSchema.validate(sourceConfig.connection || sourceConfig.config || {}, {
+      abortEarly: false
+    });
+
+    return {
+      valid: !error,
+      errors: error ? error.details.map(detail => detail.message) : []
+    };
+  }
+
+  list() {
+    return Array.from(this.connectors.entries()).map(([type, ConnectorClass]) => ({
+      type,
+      name: ConnectorClass.name,
+      description: ConnectorClass.description || null,
+      capabilities: ConnectorClass.capabilities,
+      origin: this.origins.get(type)
+    }));
+  }
+}
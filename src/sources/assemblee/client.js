@@ -1,8 +1,78 @@
-const axios = require('axios');
+import axios from 'axios';
+import AdmZip from 'adm-zip';
+import { RateLimiter } from '../../utils/rateLimiter.js';
+import { RetryHandler } from '../../utils/retryHandler.js';
+import logger from '../../utils/logger.js';
 
-async function fetchAssemblee(endpoint) {
-  const response = await axios.get(endpoint, { proxy: false });
-  return response.data;
+class AssembleeClient {
+  constructor(config) {
+    this.config = config;
+    this.baseUrl = config.baseUrl;
+    this.dumps = config.dumps || {};
+    this.rateLimiter = new RateLimiter(config.rateLimit || {});
+    this.retryHandler = new RetryHandler(config.retry || {});
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: config.headers || {},
+      timeout: config.timeout?.request || 120000,
+      responseType: 'arraybuffer'
+    });
+  }
+
+  async download(path) {
+    await this.rateLimiter.checkLimit();
+
+    return this.retryHandler.execute(async () => {
+      const response = await this.client.get(path);
+      return Buffer.from(response.data);
+    });
+  }
+
+  // Les dumps sont publiés soit en JSON unique, soit en archive zip
+  // contenant un fichier JSON par objet (acteur, organe, scrutin...).
+  // Les fichiers de l'archive sont décompressés et lus un par un
+  *parseDump(buffer) {
+    const isZip = buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+    if (!isZip) {
+      yield JSON.parse(buffer.toString('utf8'));
+      return;
+    }
+
+    const zip = new AdmZip(buffer);
+    for (const entry of zip.getEntries()) {
+      if (!entry.isDirectory && entry.entryName.endsWith('.json')) {
+        yield JSON.parse(entry.getData().toString('utf8'));
+      }
+    }
+  }
+
+  async downloadDump(dataset) {
+    const path = this.dumps[dataset];
+    if (!path) {
+      throw new Error(`Aucun dump configuré pour le jeu de données Assemblée: ${dataset}`);
+    }
+
+    logger.info(`Téléchargement du dump Assemblée ${dataset}`, { path });
+    return await this.download(path);
+  }
+
+  async getDump(dataset) {
+    return this.parseDump(await this.downloadDump(dataset));
+  }
+
+  async getDeputes() {
+    return this.getDump('deputes');
+  }
+
+  async getScrutins() {
+    return this.getDump('scrutins');
+  }
+
+  async getAmendements() {
+    return this.getDump('amendements');
+  }
 }
 
-module.exports = { fetchAssemblee };
+export { AssembleeClient };
@@ -1,9 +1,149 @@
-const { fetchAssemblee } = require('./client');
-const { transformAssemblee } = require('./transform');
+import Joi from 'joi';
+import { AssembleeClient } from './client.js';
+import { transformDeputes, transformScrutins, transformAmendements, indexOrganes } from './transform.js';
+import { DataTransformer } from '../insee/transform.js';
+import { buildDatasetConfig } from '../datasetConfig.js';
+import logger from '../../utils/logger.js';
 
-async function harvestAssemblee(endpoint) {
-  const raw = await fetchAssemblee(endpoint);
-  return transformAssemblee(raw);
+const NORMALIZERS = {
+  deputes: transformDeputes,
+  scrutins: transformScrutins,
+  amendements: transformAmendements
+};
+
+// Préfixes des identifiants open data (PA1008, VTANR5L17V1, AMANR5L17PO...)
+const UID_PREFIXES = {
+  PA: 'deputes',
+  VT: 'scrutins',
+  AM: 'amendements'
+};
+
+class AssembleeConnector {
+  static type = 'assemblee';
+  static description = 'Assemblée nationale : députés, scrutins et amendements';
+  static capabilities = ['harvest', 'query', 'update', 'delete'];
+  static configSchema = Joi.object({
+    baseUrl: Joi.string().uri().required(),
+    batchSize: Joi.number().integer().positive(),
+    dumps: Joi.object()
+      .pattern(Joi.string().valid(...Object.keys(NORMALIZERS)), Joi.string())
+      .min(1)
+      .required()
+  }).unknown(true);
+
+  constructor(sourceConfig, persistenceManager) {
+    this.sourceConfig = sourceConfig;
+    this.persistenceManager = persistenceManager;
+    this.client = new AssembleeClient(sourceConfig.connection);
+    this.transformer = new DataTransformer();
+    this.batchSize = sourceConfig.connection.batchSize || 500;
+  }
+
+  getDatasets() {
+    return Object.keys(NORMALIZERS).filter(dataset => this.client.dumps[dataset]);
+  }
+
+  // Chaque jeu de données a sa propre collection dans persistence.json
+  getDatasetConfig(dataset) {
+    if (!NORMALIZERS[dataset]) {
+      throw new Error(`Jeu de données Assemblée non supporté: ${dataset}`);
+    }
+    return buildDatasetConfig(this.sourceConfig, dataset);
+  }
+
+  async harvest(params = {}) {
+    try {
+      logger.info(`Début de la récolte pour ${this.sourceConfig.name}`, { params });
+
+      const datasets = params.dataset ? [params.dataset] : this.getDatasets();
+      const counts = {};
+
+      for (const dataset of datasets) {
+        counts[dataset] = await this.harvestDataset(dataset, params);
+      }
+
+      return {
+        source: this.sourceConfig.name,
+        timestamp: new Date().toISOString(),
+        dataCount: Object.values(counts).reduce((total, count) => total + count, 0),
+        datasets: counts,
+        success: true
+      };
+    } catch (error) {
+      logger.error(`Erreur lors de la récolte pour ${this.sourceConfig.name}`, error);
+      throw error;
+    }
+  }
+
+  // Les dumps d'amendements comptent des dizaines de milliers d'objets : les fichiers
+  // sont normalisés au fil de la lecture de l'archive et sauvegardés par lots
+  async harvestDataset(dataset, params = {}) {
+    const datasetConfig = this.getDatasetConfig(dataset);
+    const buffer = await this.client.downloadDump(dataset);
+    const organes = dataset === 'deputes' ? indexOrganes(this.client.parseDump(buffer)) : undefined;
+
+    let pending = [];
+    let count = 0;
+
+    for (const document of this.client.parseDump(buffer)) {
+      pending = pending.concat(NORMALIZERS[dataset]([document], organes));
+      if (params.limit) {
+        pending = pending.slice(0, params.limit - count);
+      }
+
+      while (pending.length >= this.batchSize) {
+        count += await this.saveBatch(dataset, datasetConfig, pending.splice(0, this.batchSize));
+      }
+
+      if (params.limit && count + pending.length >= params.limit) {
+        break;
+      }
+    }
+
+    if (pending.length > 0) {
+      count += await this.saveBatch(dataset, datasetConfig, pending);
+    }
+
+    logger.info(`Données Assemblée ${dataset} sauvegardées`, { count });
+    return count;
+  }
+
+  async saveBatch(dataset, datasetConfig, records) {
+    // Transformer les données si configuré
+    const rules = this.sourceConfig.transform?.[dataset]?.rules;
+    const data = this.sourceConfig.transform?.enabled && rules
+      ? this.transformer.transform(records, rules)
+      : records;
+
+    await this.persistenceManager.save(datasetConfig, data);
+    return records.length;
+  }
+
+  async getData(query = {}, options = {}) {
+    const { dataset = 'deputes', ...filter } = query;
+    return await this.persistenceManager.find(this.getDatasetConfig(dataset), filter, options);
+  }
+
+  async getDataById(id) {
+    const dataset = UID_PREFIXES[String(id).slice(0, 2)] || 'deputes';
+    return await this.persistenceManager.findOne(this.getDatasetConfig(dataset), { uid: id });
+  }
+
+  async updateData(query, update) {
+    const { dataset = 'deputes', ...filter } = query;
+    return await this.persistenceManager.update(this.getDatasetConfig(dataset), filter, update);
+  }
+
+  async deleteData(query) {
+    const { dataset = 'deputes', ...filter } = query;
+    return await this.persistenceManager.delete(this.getDatasetConfig(dataset), filter);
+  }
+}
+
+// Fonction de compatibilité avec l'ancienne API
+async function harvestAssemblee(sourceConfig, persistenceManager, params = {}) {
+  const connector = new AssembleeConnector(sourceConfig, persistenceManager);
+  return await connector.harvest(params);
 }
 
-module.exports = { harvestAssemblee };
+export { AssembleeConnector, harvestAssemblee };
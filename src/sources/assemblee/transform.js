@@ -1,6 +1,189 @@
-function transformAssemblee(data) {
-  // Placeholder transformation logic
-  return data;
+// Helpers pour le format open data de l'Assemblée nationale :
+// les listes à un seul élément sont sérialisées en objet, les valeurs
+// nulles en { "@xsi:nil": "true" } et certains identifiants en { "#text": ... }
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
 }
 
-module.exports = { transformAssemblee };
+function value(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw === 'object') {
+    if (raw['@xsi:nil'] === 'true') return null;
+    if ('#text' in raw) return raw['#text'];
+  }
+  return raw;
+}
+
+function toInt(raw) {
+  const parsed = parseInt(value(raw), 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Extrait les objets d'un type donné, que le dump soit un export unique
+// ({ export: { acteurs: { acteur: [...] } } }) ou un fichier par objet ({ acteur: {...} })
+function collect(documents, key) {
+  const plural = `${key}s`;
+
+  return documents.flatMap(document => {
+    const root = document.export || document;
+    if (root[key]) return asArray(root[key]);
+    if (root[plural]) return asArray(root[plural][key]);
+    return [];
+  });
+}
+
+function normalizeDepute(acteur, organes) {
+  const mandats = asArray(acteur.mandats?.mandat);
+  const assemblee = mandats.filter(mandat => mandat.typeOrgane === 'ASSEMBLEE');
+  const mandat = assemblee.find(m => !value(m.dateFin)) || assemblee[0];
+
+  if (!mandat) {
+    return null;
+  }
+
+  const groupeMandat = mandats.find(m => m.typeOrgane === 'GP' && !value(m.dateFin));
+  const groupeRef = value(asArray(groupeMandat?.organes?.organeRef)[0]);
+  const groupe = groupeRef ? organes.get(groupeRef) : null;
+  const ident = acteur.etatCivil?.ident || {};
+  const lieu = mandat.election?.lieu || {};
+
+  return {
+    uid: value(acteur.uid),
+    civilite: value(ident.civ),
+    prenom: value(ident.prenom),
+    nom: value(ident.nom),
+    dateNaissance: value(acteur.etatCivil?.infoNaissance?.dateNais),
+    profession: value(acteur.profession?.libelleCourant),
+    legislature: toInt(mandat.legislature),
+    mandatRef: value(mandat.uid),
+    region: value(lieu.region),
+    departement: value(lieu.departement),
+    numDepartement: value(lieu.numDepartement),
+    numCirconscription: value(lieu.numCirco),
+    dateDebutMandat: value(mandat.dateDebut),
+    dateFinMandat: value(mandat.dateFin),
+    actif: !value(mandat.dateFin),
+    groupe: groupeRef ? {
+      uid: groupeRef,
+      libelle: value(groupe?.libelle),
+      libelleAbrege: value(groupe?.libelleAbrege)
+    } : null
+  };
+}
+
+const POSITIONS = {
+  pours: 'pour',
+  contres: 'contre',
+  abstentions: 'abstention',
+  nonVotants: 'nonVotant'
+};
+
+function normalizeVotes(groupe) {
+  const decompte = groupe.vote?.decompteNominatif || {};
+
+  return Object.entries(POSITIONS).flatMap(([key, position]) =>
+    asArray(decompte[key]?.votant).map(votant => ({
+      acteurRef: value(votant.acteurRef),
+      mandatRef: value(votant.mandatRef),
+      groupeRef: value(groupe.organeRef),
+      position,
+      parDelegation: value(votant.parDelegation) === 'true'
+    }))
+  );
+}
+
+function normalizeScrutin(scrutin) {
+  const synthese = scrutin.syntheseVote || {};
+  const decompte = synthese.decompte || {};
+  const groupes = asArray(scrutin.ventilationVotes?.organe?.groupes?.groupe);
+
+  return {
+    uid: value(scrutin.uid),
+    numero: toInt(scrutin.numero),
+    legislature: toInt(scrutin.legislature),
+    organeRef: value(scrutin.organeRef),
+    seanceRef: value(scrutin.seanceRef),
+    dateScrutin: value(scrutin.dateScrutin),
+    titre: value(scrutin.titre),
+    objet: value(scrutin.objet?.libelle),
+    typeVote: value(scrutin.typeVote?.libelleTypeVote),
+    typeMajorite: value(scrutin.typeVote?.typeMajorite),
+    sort: value(scrutin.sort?.code),
+    nombreVotants: toInt(synthese.nombreVotants),
+    suffragesExprimes: toInt(synthese.suffragesExprimes),
+    nbrSuffragesRequis: toInt(synthese.nbrSuffragesRequis),
+    pour: toInt(decompte.pour),
+    contre: toInt(decompte.contre),
+    abstentions: toInt(decompte.abstentions),
+    nonVotants: toInt(decompte.nonVotants),
+    groupes: groupes.map(groupe => {
+      const voix = groupe.vote?.decompteVoix || {};
+      return {
+        organeRef: value(groupe.organeRef),
+        nombreMembres: toInt(groupe.nombreMembresGroupe),
+        positionMajoritaire: value(groupe.vote?.positionMajoritaire),
+        pour: toInt(voix.pour),
+        contre: toInt(voix.contre),
+        abstentions: toInt(voix.abstentions),
+        nonVotants: toInt(voix.nonVotants)
+      };
+    }),
+    votes: groupes.flatMap(normalizeVotes)
+  };
+}
+
+function normalizeAmendement(amendement) {
+  const identification = amendement.identification || {};
+  const auteur = amendement.signataires?.auteur || {};
+  const cycleDeVie = amendement.cycleDeVie || {};
+  const contenu = amendement.corps?.contenuAuteur || {};
+  const sort = cycleDeVie.sort;
+
+  return {
+    uid: value(amendement.uid),
+    numero: value(identification.numeroLong),
+    numeroOrdreDepot: toInt(identification.numeroOrdreDepot),
+    legislature: toInt(amendement.legislature),
+    texteLegislatifRef: value(amendement.texteLegislatifRef),
+    examenRef: value(amendement.examenRef),
+    typeAuteur: value(auteur.typeAuteur),
+    auteurRef: value(auteur.acteurRef),
+    groupeRef: value(auteur.groupePolitiqueRef),
+    cosignataires: asArray(amendement.signataires?.cosignataires?.acteurRef).map(value),
+    article: value(amendement.pointeurFragmentTexte?.division?.titre),
+    dispositif: value(contenu.dispositif),
+    exposeSommaire: value(contenu.exposeSommaire),
+    dateDepot: value(cycleDeVie.dateDepot),
+    datePublication: value(cycleDeVie.datePublication),
+    etat: value(cycleDeVie.etatDesTraitements?.etat?.libelle),
+    sousEtat: value(cycleDeVie.etatDesTraitements?.sousEtat?.libelle),
+    sort: typeof sort === 'object' ? value(sort?.libelle ?? sort) : value(sort)
+  };
+}
+
+// Les acteurs référencent leur groupe politique, publié dans un autre fichier du dump :
+// les organes sont indexés au préalable, un document à la fois
+export function indexOrganes(documents) {
+  const organes = new Map();
+  for (const document of documents) {
+    for (const organe of collect([document], 'organe')) {
+      organes.set(value(organe.uid), organe);
+    }
+  }
+  return organes;
+}
+
+export function transformDeputes(documents, organes = indexOrganes(documents)) {
+  return collect(documents, 'acteur')
+    .map(acteur => normalizeDepute(acteur, organes))
+    .filter(Boolean);
+}
+
+export function transformScrutins(documents) {
+  return collect(documents, 'scrutin').map(normalizeScrutin);
+}
+
+export function transformAmendements(documents) {
+  return collect(documents, 'amendement').map(normalizeAmendement);
+}
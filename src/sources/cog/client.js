@@ -0,0 +1,66 @@
+import axios from 'axios';
+import { RateLimiter } from '../../utils/rateLimiter.js';
+import { RetryHandler } from '../../utils/retryHandler.js';
+import { parseCsv } from './transform.js';
+import logger from '../../utils/logger.js';
+
+class CogClient {
+  constructor(config) {
+    this.config = config;
+    this.baseUrl = config.baseUrl;
+    this.files = config.files || {};
+    this.rateLimiter = new RateLimiter(config.rateLimit || {});
+    this.retryHandler = new RetryHandler(config.retry || {});
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: config.headers || {},
+      timeout: config.timeout?.request || 120000,
+      responseType: 'text'
+    });
+  }
+
+  async download(path) {
+    await this.rateLimiter.checkLimit();
+
+    return this.retryHandler.execute(async () => {
+      const response = await this.client.get(path);
+      return response.data;
+    });
+  }
+
+  // Les fichiers du COG sont des CSV ; la composition des EPCI peut venir d'une API JSON (geo.api.gouv.fr)
+  parseFile(content) {
+    if (typeof content !== 'string') {
+      return Array.isArray(content) ? content : [];
+    }
+    return /^\s*[[{]/.test(content) ? JSON.parse(content) : parseCsv(content);
+  }
+
+  async getFile(dataset) {
+    const path = this.files[dataset];
+    if (!path) {
+      throw new Error(`Aucun fichier COG configuré pour le jeu de données: ${dataset}`);
+    }
+
+    logger.info(`Téléchargement du fichier COG ${dataset}`, { path });
+    return this.parseFile(await this.download(path));
+  }
+
+  // Contour GeoJSON d'une commune ; l'URL configurée (contours) contient {code}
+  async getCommuneContour(code) {
+    if (!this.config.contours) {
+      throw new Error('Aucune URL de contours configurée (contours dans config/cog/connection.json)');
+    }
+
+    try {
+      const feature = this.parseFile(await this.download(this.config.contours.replace('{code}', encodeURIComponent(code))));
+      return feature?.geometry || null;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+}
+
+export { CogClient };
@@ -0,0 +1,90 @@
+// Niveaux géographiques du COG et champ de la commune qui désigne son territoire de rattachement
+const LEVELS = {
+  commune: 'code',
+  epci: 'epci',
+  departement: 'departement',
+  region: 'region'
+};
+
+const ROLLUP_AGGREGATIONS = {
+  sum: values => values.reduce((total, value) => total + value, 0),
+  mean: values => values.reduce((total, value) => total + value, 0) / values.length
+};
+
+function checkLevel(level) {
+  if (!LEVELS[level]) {
+    throw new Error(`Niveau géographique inconnu: ${level} (${Object.keys(LEVELS).join(', ')})`);
+  }
+}
+
+// Codes actuels d'une commune à partir de son code à une date donnée : les événements
+// postérieurs sont rejoués dans l'ordre (fusion : plusieurs codes vers un seul,
+// rétablissement : un code vers plusieurs). Les communes déléguées ou associées sont ignorées.
+function communeResolver(mouvements, { since } = {}) {
+  const changes = new Map();
+
+  for (const mouvement of mouvements) {
+    if (mouvement.typeAvant !== 'COM' || mouvement.typeApres !== 'COM') continue;
+    if (since && mouvement.dateEffet <= since) continue;
+
+    const byCode = changes.get(mouvement.dateEffet) || new Map();
+    byCode.set(mouvement.codeAvant, [...(byCode.get(mouvement.codeAvant) || []), mouvement.codeApres]);
+    changes.set(mouvement.dateEffet, byCode);
+  }
+  const dates = [...changes.keys()].sort();
+
+  return code => {
+    let codes = [code];
+    for (const date of dates) {
+      const byCode = changes.get(date);
+      codes = [...new Set(codes.flatMap(current => byCode.get(current) || [current]))];
+    }
+    return codes.sort();
+  };
+}
+
+function resolveCommuneCode(code, mouvements, options = {}) {
+  return communeResolver(mouvements, options)(code);
+}
+
+// Agrège des valeurs communales ({ codeGeo, value }) au niveau demandé. `communes` associe
+// le code actuel d'une commune à { departement, region, epci } ; `resolve` donne les codes
+// actuels d'un code ancien. Une commune rétablie depuis n'est comptée qu'une fois, sur son
+// premier code actuel connu.
+function rollUp(values, { level, communes, resolve = code => [code], aggregation = 'sum' }) {
+  checkLevel(level);
+  if (!ROLLUP_AGGREGATIONS[aggregation]) {
+    throw new Error(`Agrégation inconnue: ${aggregation} (${Object.keys(ROLLUP_AGGREGATIONS).join(', ')})`);
+  }
+
+  const groups = new Map();
+  const unmatched = [];
+
+  for (const { codeGeo, value } of values) {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) continue;
+
+    const current = resolve(codeGeo).find(code => communes.has(code));
+    const target = current && (level === 'commune' ? current : communes.get(current)[LEVELS[level]]);
+    if (!target) {
+      unmatched.push(codeGeo);
+      continue;
+    }
+
+    const group = groups.get(target) || { values: [], communes: new Set() };
+    group.values.push(Number(value));
+    group.communes.add(codeGeo);
+    groups.set(target, group);
+  }
+
+  const rows = [...groups.entries()]
+    .map(([code, group]) => ({
+      code,
+      value: Math.round(ROLLUP_AGGREGATIONS[aggregation](group.values) * 1e6) / 1e6,
+      communes: group.communes.size
+    }))
+    .sort((a, b) => (a.code < b.code ? -1 : 1));
+
+  return { rows, unmatched: [...new Set(unmatched)].sort() };
+}
+
+export { LEVELS, ROLLUP_AGGREGATIONS, checkLevel, communeResolver, resolveCommuneCode, rollUp };
@@ -0,0 +1,250 @@
+import Joi from 'joi';
+import { CogClient } from './client.js';
+import {
+  transformCommunes,
+  transformDepartements,
+  transformRegions,
+  transformEpci,
+  transformMouvements
+} from './transform.js';
+import { LEVELS, checkLevel, communeResolver, rollUp } from './geography.js';
+import { DataTransformer } from '../insee/transform.js';
+import { buildDatasetConfig } from '../datasetConfig.js';
+import logger from '../../utils/logger.js';
+
+const NORMALIZERS = {
+  regions: transformRegions,
+  departements: transformDepartements,
+  communes: transformCommunes,
+  epci: transformEpci,
+  mouvements: transformMouvements
+};
+
+// Jeu de données qui porte les territoires de chaque niveau
+const LEVEL_DATASETS = {
+  commune: 'communes',
+  epci: 'epci',
+  departement: 'departements',
+  region: 'regions'
+};
+
+function plain(doc) {
+  return doc?.toObject?.() || doc;
+}
+
+class CogConnector {
+  static type = 'cog';
+  static description = 'Code Officiel Géographique : communes, EPCI, départements, régions et historique des communes';
+  static capabilities = ['harvest', 'query', 'update', 'delete', 'geography'];
+  static configSchema = Joi.object({
+    baseUrl: Joi.string().uri().required(),
+    millesime: Joi.number().integer(),
+    batchSize: Joi.number().integer().positive(),
+    files: Joi.object()
+      .pattern(Joi.string().valid(...Object.keys(NORMALIZERS)), Joi.string())
+      .min(1)
+      .required()
+  }).unknown(true);
+
+  constructor(sourceConfig, persistenceManager) {
+    this.sourceConfig = sourceConfig;
+    this.persistenceManager = persistenceManager;
+    this.client = new CogClient(sourceConfig.connection);
+    this.transformer = new DataTransformer();
+    this.batchSize = sourceConfig.connection.batchSize || 1000;
+    this.millesime = sourceConfig.connection.millesime || null;
+  }
+
+  getDatasets() {
+    return Object.keys(NORMALIZERS).filter(dataset => this.client.files[dataset]);
+  }
+
+  getDatasetConfig(dataset) {
+    if (!NORMALIZERS[dataset]) {
+      throw new Error(`Jeu de données COG non supporté: ${dataset}`);
+    }
+    return buildDatasetConfig(this.sourceConfig, dataset);
+  }
+
+  async harvest(params = {}) {
+    try {
+      logger.info(`Début de la récolte pour ${this.sourceConfig.name}`, { params });
+
+      const datasets = params.dataset ? [params.dataset] : this.getDatasets();
+      const counts = {};
+
+      for (const dataset of datasets) {
+        counts[dataset] = await this.harvestDataset(dataset, params);
+      }
+
+      return {
+        source: this.sourceConfig.name,
+        timestamp: new Date().toISOString(),
+        dataCount: Object.values(counts).reduce((total, count) => total + count, 0),
+        datasets: counts,
+        success: true
+      };
+    } catch (error) {
+      logger.error(`Erreur lors de la récolte pour ${this.sourceConfig.name}`, error);
+      throw error;
+    }
+  }
+
+  async harvestDataset(dataset, params = {}) {
+    const datasetConfig = this.getDatasetConfig(dataset);
+    const rows = await this.client.getFile(dataset);
+
+    let records = NORMALIZERS[dataset](rows).map(record => ({
+      ...record,
+      ...(this.millesime && { millesime: this.millesime })
+    }));
+    if (params.limit) {
+      records = records.slice(0, params.limit);
+    }
+
+    const rules = this.sourceConfig.transform?.[dataset]?.rules;
+    if (this.sourceConfig.transform?.enabled && rules) {
+      records = this.transformer.transform(records, rules);
+    }
+
+    for (let i = 0; i < records.length; i += this.batchSize) {
+      await this.persistenceManager.save(datasetConfig, records.slice(i, i + this.batchSize));
+    }
+
+    logger.info(`Données COG ${dataset} sauvegardées`, { count: records.length });
+    return records.length;
+  }
+
+  async find(dataset, filter = {}, options = {}) {
+    const docs = await this.persistenceManager.find(this.getDatasetConfig(dataset), filter, options);
+    return docs.map(plain);
+  }
+
+  // Un code de commune peut aussi désigner une commune déléguée : la commune (COM) est prioritaire
+  async getTerritory(level, code) {
+    checkLevel(level);
+    const dataset = LEVEL_DATASETS[level];
+    const candidates = await this.find(dataset, { code });
+    const territory = candidates.find(candidate => !candidate.type || candidate.type === 'COM') || candidates[0];
+    return territory ? { level, ...territory } : null;
+  }
+
+  // Région → départements, département ou EPCI → communes, commune → arrondissements
+  // municipaux, communes déléguées et associées
+  async getChildren(level, code) {
+    checkLevel(level);
+    let children;
+
+    switch (level) {
+      case 'region':
+        return (await this.find('departements', { region: code }, { sort: { code: 1 } }))
+          .map(departement => ({ level: 'departement', ...departement }));
+      case 'departement':
+        children = await this.find('communes', { departement: code, type: 'COM' }, { sort: { code: 1 } });
+        break;
+      case 'epci': {
+        const epci = await this.getTerritory('epci', code);
+        if (!epci) return [];
+        children = await this.find('communes', { code: { in: epci.communes }, type: 'COM' }, { sort: { code: 1 } });
+        break;
+      }
+      default:
+        children = await this.find('communes', { parent: code }, { sort: { code: 1 } });
+    }
+
+    return children.map(commune => ({ level: 'commune', ...commune }));
+  }
+
+  // Événements postérieurs à `since` (AAAA-MM-JJ) : par défaut tout l'historique publié
+  // Polygone (ou multipolygone) GeoJSON de la commune, null si elle est inconnue
+  async getCommuneContour(code) {
+    return await this.client.getCommuneContour(code);
+  }
+
+  async getCommuneResolver({ since } = {}) {
+    const mouvements = await this.find('mouvements', {
+      typeAvant: 'COM',
+      typeApres: 'COM',
+      ...(since && { dateEffet: { gt: since } })
+    });
+    return communeResolver(mouvements, { since });
+  }
+
+  async resolveCommune(code, { since } = {}) {
+    const resolve = await this.getCommuneResolver({ since });
+    const codes = resolve(code);
+    const communes = await this.find('communes', { code: { in: codes }, type: 'COM' }, { sort: { code: 1 } });
+
+    return {
+      code,
+      since: since || null,
+      codes,
+      changed: codes.length !== 1 || codes[0] !== code,
+      communes: communes.map(commune => ({ level: 'commune', ...commune }))
+    };
+  }
+
+  // Valeurs communales ({ codeGeo, value }) agrégées par territoire du niveau demandé.
+  // `year` désigne la géographie des données : les codes sont ramenés à la géographie actuelle
+  // avec les événements intervenus depuis le 1er janvier de cette année.
+  async rollUp(values, { level, year, aggregation = 'sum' } = {}) {
+    checkLevel(level);
+    const since = year ? `${year}-01-01` : null;
+
+    const [records, resolveCode, epcis] = await Promise.all([
+      this.find('communes', {}, { projection: ['code', 'type', 'departement', 'region', 'parent'] }),
+      this.getCommuneResolver({ since }),
+      level === 'epci' ? this.find('epci', {}, { projection: ['code', 'communes'] }) : []
+    ]);
+
+    const epciByCommune = new Map(epcis.flatMap(epci => epci.communes.map(commune => [commune, epci.code])));
+    const communes = new Map();
+    const parents = new Map();
+    for (const record of records) {
+      if (record.type === 'COM') {
+        communes.set(record.code, { ...record, epci: epciByCommune.get(record.code) || null });
+      } else if (record.parent) {
+        parents.set(record.code, record.parent);
+      }
+    }
+
+    // Les arrondissements municipaux et communes déléguées comptent dans leur commune de rattachement
+    const resolve = code => resolveCode(code).map(current => (communes.has(current) ? current : parents.get(current) || current));
+    const { rows, unmatched } = rollUp(values, { level, communes, resolve, aggregation });
+
+    const territories = await this.find(LEVEL_DATASETS[level], {
+      code: { in: rows.map(row => row.code) },
+      ...(level === 'commune' && { type: 'COM' })
+    }, { projection: ['code', 'libelle'] });
+    const labels = new Map(territories.map(territory => [territory.code, territory.libelle]));
+
+    return {
+      level,
+      year: year || null,
+      aggregation,
+      rows: rows.map(row => ({ ...row, libelle: labels.get(row.code) || null })),
+      unmatched
+    };
+  }
+
+  async getData(query = {}, options = {}) {
+    const { dataset = 'communes', ...filter } = query;
+    return await this.persistenceManager.find(this.getDatasetConfig(dataset), filter, options);
+  }
+
+  async getDataById(id) {
+    return await this.persistenceManager.findOne(this.getDatasetConfig('communes'), { code: id, type: 'COM' });
+  }
+
+  async updateData(query, update) {
+    const { dataset = 'communes', ...filter } = query;
+    return await this.persistenceManager.update(this.getDatasetConfig(dataset), filter, update);
+  }
+
+  async deleteData(query) {
+    const { dataset = 'communes', ...filter } = query;
+    return await this.persistenceManager.delete(this.getDatasetConfig(dataset), filter);
+  }
+}
+
+export { CogConnector, LEVELS };
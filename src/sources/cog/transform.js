@@ -0,0 +1,129 @@
+// Fichiers du Code Officiel Géographique publiés par l'INSEE (v_commune_AAAA.csv, v_departement_AAAA.csv...) :
+// CSV séparé par des virgules, entête en majuscules, champs entre guillemets quand le libellé contient une virgule
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const content = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...lines] = rows.filter(line => line.some(cell => cell !== ''));
+  if (!header) return [];
+
+  return lines.map(line => Object.fromEntries(header.map((column, index) => [column.trim(), line[index] ?? ''])));
+}
+
+function value(raw) {
+  return raw === undefined || raw === '' ? null : raw;
+}
+
+function transformCommunes(rows) {
+  return rows.map(row => ({
+    code: row.COM,
+    type: row.TYPECOM,
+    libelle: row.LIBELLE,
+    departement: value(row.DEP),
+    region: value(row.REG),
+    arrondissement: value(row.ARR),
+    canton: value(row.CAN),
+    // Commune de rattachement des arrondissements municipaux, communes déléguées et associées
+    parent: value(row.COMPARENT)
+  }));
+}
+
+function transformDepartements(rows) {
+  return rows.map(row => ({
+    code: row.DEP,
+    region: row.REG,
+    chefLieu: value(row.CHEFLIEU),
+    libelle: row.LIBELLE
+  }));
+}
+
+function transformRegions(rows) {
+  return rows.map(row => ({
+    code: row.REG,
+    chefLieu: value(row.CHEFLIEU),
+    libelle: row.LIBELLE
+  }));
+}
+
+// Composition des EPCI : une ligne par commune, soit issue de geo.api.gouv.fr
+// ({ code, epci: { code, nom } }), soit de la table d'appartenance INSEE (CODGEO, EPCI, LIBEPCI)
+function transformEpci(rows) {
+  const epcis = new Map();
+
+  for (const row of rows) {
+    const code = row.epci?.code || value(row.EPCI);
+    const commune = row.code || row.CODGEO;
+    // Les communes hors EPCI (îles mono-communales) portent le code ZZZZZZZZZ
+    if (!code || code === 'ZZZZZZZZZ' || !commune) continue;
+
+    if (!epcis.has(code)) {
+      epcis.set(code, { code, libelle: row.epci?.nom || row.LIBEPCI || code, communes: [] });
+    }
+    epcis.get(code).communes.push(commune);
+  }
+
+  return [...epcis.values()].map(epci => ({ ...epci, communes: [...new Set(epci.communes)].sort() }));
+}
+
+// v_mvt_commune_AAAA.csv : une ligne par commune avant/après pour chaque événement (MOD)
+// 10 changement de nom, 20 création, 21 rétablissement, 30 suppression, 31 fusion simple,
+// 32 création de commune nouvelle, 33 fusion-association, 34 transformation de fusion-association
+// en fusion simple, 41 changement de code dû à un changement de département, 50 changement de code
+// dû à un transfert de chef-lieu, 70 transformation de commune associée en commune déléguée
+function transformMouvements(rows) {
+  return rows.map(row => ({
+    mod: row.MOD,
+    dateEffet: row.DATE_EFF,
+    typeAvant: row.TYPECOM_AV,
+    codeAvant: row.COM_AV,
+    libelleAvant: row.LIBELLE_AV,
+    typeApres: row.TYPECOM_AP,
+    codeApres: row.COM_AP,
+    libelleApres: row.LIBELLE_AP
+  }));
+}
+
+export {
+  parseCsv,
+  transformCommunes,
+  transformDepartements,
+  transformRegions,
+  transformEpci,
+  transformMouvements
+};
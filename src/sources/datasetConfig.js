@@ -0,0 +1,29 @@
+// Construit la configuration de persistance d'un jeu de données
+// (persistence.json > collections.<dataset>) au format attendu par les stratégies
+export function buildDatasetConfig(sourceConfig, dataset) {
+  const persistence = sourceConfig.persistence || {};
+  const collection = persistence.collections?.[dataset] || {};
+  const { primaryKey } = collection;
+  const keyFields = [].concat(primaryKey || []);
+  const indexes = [...(collection.indexes || [])];
+
+  // La clé primaire déclarée (simple ou composée) implique un index unique
+  const hasPrimaryIndex = indexes.some(index => index.unique && Object.keys(index.fields).join() === keyFields.join());
+  if (keyFields.length > 0 && !hasPrimaryIndex) {
+    indexes.unshift({ fields: Object.fromEntries(keyFields.map(field => [field, 1])), unique: true });
+  }
+
+  return {
+    ...sourceConfig,
+    persistence: {
+      strategy: persistence.strategy || persistence.strategies?.primary,
+      strategies: persistence.strategies,
+      cache: persistence.cache,
+      collection: collection.name || `${sourceConfig.id}_${dataset}`,
+      indexes,
+      primaryKey,
+      ...(collection.ttl && { ttl: collection.ttl }),
+      ...(collection.history && { history: collection.history })
+    }
+  };
+}
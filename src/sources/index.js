@@ -1,8 +1,19 @@
+import { randomUUID } from 'crypto';
 import { logger } from '../utils/logger.js';
 import { PersistenceManager } from '../persistence/index.js';
 import { ConfigManager } from '../config/ConfigManager.js';
 import { HealthManager } from '../health/HealthManager.js';
-import { InseeConnector } from './insee/index.js';
+import { ConnectorRegistry } from './ConnectorRegistry.js';
+import { WatermarkManager } from '../harvest/WatermarkManager.js';
+import { HarvestRunManager, RUN_TRIGGERS } from '../harvest/HarvestRunManager.js';
+import { HarvestQueue } from '../harvest/HarvestQueue.js';
+import { HarvestLock } from '../harvest/HarvestLock.js';
+import { BackfillManager } from '../harvest/BackfillManager.js';
+import { QueryError, findPage, encodeCursor, decodeCursor } from '../persistence/query.js';
+import { donneesLocalesValues } from './insee/transform.js';
+
+// Dataset whose finished harvest runs refresh the in-memory search index
+const SEARCH_DATASET = 'sirene';
 
 export class SourceManager {
   static instance = null;
@@ -11,7 +22,17 @@ export class SourceManager {
     this.configManager = new ConfigManager();
     this.healthManager = new HealthManager();
     this.persistenceManager = null;
-    this.connectors = new Map();
+    this.watermarkManager = null;
+    this.harvestRunManager = null;
+    this.harvestQueue = null;
+    this.harvestLock = null;
+    this.backfillManager = null;
+    this.registry = new ConnectorRegistry();
+    this.connectors = this.registry.connectors;
+    // Search indexes by source, with the harvest run they were built after
+    this.searchIndexes = new Map();
+    // Commune contours fetched from the geography source, by source and commune code
+    this.contours = new Map();
     this.initialized = false;
   }
 
@@ -34,8 +55,20 @@ export class SourceManager {
       await this.configManager.loadConfiguration();
 
       // Initialize persistence manager
+      const { redis, postgres, file } = this.configManager.getGlobalConfig()?.database || {};
       this.persistenceManager = PersistenceManager.getInstance();
-      await this.persistenceManager.initialize();
+      await this.persistenceManager.initialize({
+        // Redis backs the read cache of the composite strategy and the secondary indexes
+        ...(redis?.url && redis.enabled !== false && { redis: { url: redis.url, ...redis.options } }),
+        ...(postgres?.enabled && { postgres: { connectionString: postgres.url } }),
+        file
+      });
+      this.watermarkManager = new WatermarkManager(this.persistenceManager);
+      this.harvestRunManager = new HarvestRunManager(this.persistenceManager);
+      const { queue, locks, backfill, retry } = this.configManager.getGlobalConfig() || {};
+      this.harvestQueue = new HarvestQueue(queue);
+      this.harvestLock = locks?.enabled === false ? null : new HarvestLock(locks);
+      this.backfillManager = new BackfillManager(this, { ...backfill, retry });
 
       // Register connectors
       await this.registerConnectors();
@@ -50,14 +83,13 @@ export class SourceManager {
 
   async registerConnectors() {
     try {
-      // Register INSEE connector
-      this.connectors.set('insee', InseeConnector);
-      
-      // Add other connectors here as needed
-      // this.connectors.set('assemblee', AssembleeConnector);
+      // Discover connectors from src/sources/, the plugins directory and npm packages
+      const globalConfig = this.configManager.getGlobalConfig() || {};
+      await this.registry.discover(globalConfig.connectors || {});
       
       logger.info('Connectors registered successfully', { 
-        connectors: Array.from(this.connectors.keys()) 
+        connectors: Array.from(this.connectors.keys()),
+        rejected: this.registry.rejected.map(rejection => rejection.specifier)
       });
     } catch (error) {
       logger.error('Error registering connectors', { error: error.message });
@@ -66,11 +98,12 @@ export class SourceManager {
   }
 
   getConnector(sourceType) {
-    const ConnectorClass = this.connectors.get(sourceType);
-    if (!ConnectorClass) {
-      throw new Error(`Connector not found for type: ${sourceType}`);
-    }
-    return ConnectorClass;
+    return this.registry.get(sourceType);
+  }
+
+  async getConnectors() {
+    await this.ensureInitialized();
+    return this.registry.list();
   }
 
   async harvestAll(options = {}) {
@@ -100,21 +133,63 @@ export class SourceManager {
   async harvestSource(sourceId, sourceConfig, options = {}) {
     await this.ensureInitialized();
     
+    const { full = false, force = false, backfill = false, trigger = 'api', signal, ...params } = options;
+    if (!RUN_TRIGGERS.includes(trigger)) {
+      throw new Error(`Unknown harvest trigger: ${trigger}`);
+    }
+    
+    const harvest = { full, force, backfill, trigger, params };
+    if (!this.harvestLock) {
+      return await this.runHarvest(sourceId, sourceConfig, { ...harvest, signal });
+    }
+    
+    // Only one instance at a time harvests a given source, whatever the trigger and dataset:
+    // the datasets of a source share its watermark document, which each run writes back whole
+    return await this.harvestLock.run(sourceId, { sourceId, trigger, dataset: params.dataset ?? null, signal }, lockSignal => (
+      this.runHarvest(sourceId, sourceConfig, { ...harvest, signal: lockSignal })
+    ));
+  }
+
+  async runHarvest(sourceId, sourceConfig, { full, force, backfill, trigger, signal, params }) {
+    // The run id tags every record version written during this harvest
+    const runId = randomUUID();
+    const run = await this.harvestRunManager.start({
+      runId,
+      sourceId,
+      trigger,
+      params: { ...params, full, force, ...(backfill && { backfill }) }
+    });
+    
     try {
       const ConnectorClass = this.getConnector(sourceConfig.type);
-      const connector = new ConnectorClass(sourceConfig, this.persistenceManager);
+      const persistence = this.harvestRunManager.track(this.persistenceManager, run, signal);
+      const connector = new ConnectorClass({ ...sourceConfig, runId }, persistence);
+      
+      // A full harvest ignores the watermark left by the previous run; a backfill
+      // chunk covers an explicit past range and neither reads nor moves it
+      const watermark = full || force || backfill ? null : await this.watermarkManager.get(sourceId);
       
-      const result = await connector.harvest(options);
+      signal?.throwIfAborted();
+      const result = await connector.harvest({ ...params, watermark });
       
-      logger.info('Source harvested successfully', { sourceId, result });
+      if (result?.watermark && !backfill) {
+        await this.watermarkManager.set(sourceId, result.watermark);
+      }
+      
+      const completed = await this.harvestRunManager.finish(run, result || {});
+      
+      logger.info('Source harvested successfully', { sourceId, runId, incremental: Boolean(watermark), result });
       return {
         sourceId,
+        runId,
         timestamp: new Date().toISOString(),
         success: true,
+        records: completed.records,
         result
       };
     } catch (error) {
-      logger.error(`Error harvesting source ${sourceId}`, { error: error.message });
+      await this.harvestRunManager.fail(run, error);
+      logger.error(`Error harvesting source ${sourceId}`, { runId, error: error.message });
       throw error;
     }
   }
@@ -130,7 +205,103 @@ export class SourceManager {
     return await this.harvestSource(sourceId, sourceConfig, options);
   }
 
-  async getData(sourceId, query = {}) {
+  // Queued harvests are run by worker processes (worker.js) instead of the caller
+  async enqueueHarvest(sourceId, params = {}, { trigger = 'api' } = {}) {
+    await this.ensureInitialized();
+    
+    if (!this.configManager.getSourceConfig(sourceId)) {
+      throw new Error(`Source not found: ${sourceId}`);
+    }
+    if (!RUN_TRIGGERS.includes(trigger)) {
+      throw new Error(`Unknown harvest trigger: ${trigger}`);
+    }
+    
+    return await this.harvestQueue.enqueue(sourceId, params, { trigger });
+  }
+
+  async getHarvestJobs(filter = {}, options = {}) {
+    await this.ensureInitialized();
+    return await this.harvestQueue.list(filter, options);
+  }
+
+  async getHarvestJob(jobId) {
+    await this.ensureInitialized();
+    return await this.harvestQueue.get(jobId);
+  }
+
+  async cancelHarvestJob(jobId) {
+    await this.ensureInitialized();
+    return await this.harvestQueue.cancel(jobId);
+  }
+
+  async retryHarvestJob(jobId) {
+    await this.ensureInitialized();
+    return await this.harvestQueue.retry(jobId);
+  }
+
+  // Harvests a past date range chunk by chunk, resuming an unfinished identical backfill
+  async backfill(options, { signal } = {}) {
+    await this.ensureInitialized();
+    
+    if (!this.configManager.getSourceConfig(options.sourceId)) {
+      throw new Error(`Source not found: ${options.sourceId}`);
+    }
+    
+    const backfill = await this.backfillManager.start(options);
+    return await this.backfillManager.run(backfill, { signal });
+  }
+
+  async startBackfill(options) {
+    await this.ensureInitialized();
+    
+    if (!this.configManager.getSourceConfig(options.sourceId)) {
+      throw new Error(`Source not found: ${options.sourceId}`);
+    }
+    
+    return await this.backfillManager.start(options);
+  }
+
+  async resumeBackfill(backfillId, options = {}) {
+    await this.ensureInitialized();
+    return await this.backfillManager.resume(backfillId, options);
+  }
+
+  async getBackfill(backfillId) {
+    await this.ensureInitialized();
+    return await this.backfillManager.get(backfillId);
+  }
+
+  async getBackfills(filter = {}, options = {}) {
+    await this.ensureInitialized();
+    return await this.backfillManager.list(filter, options);
+  }
+
+  async getWatermark(sourceId) {
+    await this.ensureInitialized();
+    return await this.watermarkManager.get(sourceId);
+  }
+
+  async getHarvestRuns(filter = {}, options = {}) {
+    await this.ensureInitialized();
+    return await this.harvestRunManager.list(filter, options);
+  }
+
+  async getHarvestRun(runId) {
+    await this.ensureInitialized();
+    return await this.harvestRunManager.get(runId);
+  }
+
+  async getLastHarvestRun(sourceId) {
+    await this.ensureInitialized();
+    return await this.harvestRunManager.getLastRun(sourceId);
+  }
+
+  async resetWatermark(sourceId) {
+    await this.ensureInitialized();
+    return await this.watermarkManager.reset(sourceId);
+  }
+
+  async getData(sourceId, query = {}, options = {}) {
     await this.ensureInitialized();
     
     const sourceConfig = this.configManager.getSourceConfig(sourceId);
@@ -141,7 +312,11 @@ export class SourceManager {
     const ConnectorClass = this.getConnector(sourceConfig.type);
     const connector = new ConnectorClass(sourceConfig, this.persistenceManager);
     
-    return await connector.getData(query);
+    return await connector.getData(query, options);
+  }
+
+  async getDataPage(sourceId, query = {}, options = {}) {
+    return await findPage(pageOptions => this.getData(sourceId, query, pageOptions), options);
   }
 
   async getDataById(sourceId, documentId) {
@@ -158,6 +333,146 @@ export class SourceManager {
     return await connector.getDataById(documentId);
   }
 
+  async getDataAsOf(sourceId, query, date) {
+    const connector = await this.getHistoryConnector(sourceId);
+    return await connector.getDataAsOf(query, date);
+  }
+
+  async getDataHistory(sourceId, query) {
+    const connector = await this.getHistoryConnector(sourceId);
+    return await connector.getDataHistory(query);
+  }
+
+  async getHistoryConnector(sourceId) {
+    return await this.getCapableConnector(sourceId, 'history');
+  }
+
+  // Tracked series or datasets of the source (config/<source>/catalogue.json) with their harvest state
+  async getCatalogue(sourceId, dataset) {
+    const connector = await this.getCapableConnector(sourceId, 'catalogue');
+    const watermark = await this.watermarkManager.get(sourceId);
+    return await connector.getCatalogue(dataset, { watermark });
+  }
+
+  // Territories, children and commune code history from the COG reference (config/cog)
+  async getGeography(sourceId = 'cog') {
+    return await this.getCapableConnector(sourceId, 'geography');
+  }
+
+  // Commune-level Données Locales values of one indicator, aggregated over the COG territories of `level`
+  async rollUpDonneesLocales({ indicatorId, year, level, aggregation }, { sourceId = 'insee', dataset = 'donneesLocales', geographySourceId = 'cog' } = {}) {
+    const geography = await this.getGeography(geographySourceId);
+    const records = await this.getData(sourceId, { indicatorId, ...(year && { year }) }, { dataset });
+    const result = await geography.rollUp(donneesLocalesValues(records, indicatorId), { level, year, aggregation });
+    return { indicatorId, ...result };
+  }
+
+  // Local company search over harvested SIRENE records, with the full record of each hit on the page
+  async searchEntreprises(text, { filters = {}, limit = 20, offset = 0, cursor, fuzzy = true } = {}, { sourceId = 'insee' } = {}) {
+    const connector = await this.getCapableConnector(sourceId, 'search');
+    const index = await this.getSearchIndex(sourceId, connector);
+    const start = cursor ? decodeCursor(cursor) : offset;
+    const result = index.search(text, { filters, limit, offset: start, fuzzy });
+
+    const sirets = result.hits.map(hit => hit.siret).filter(Boolean);
+    const records = sirets.length > 0
+      ? await connector.getData({ siret: { in: sirets } }, { dataset: 'sirene', limit: sirets.length })
+      : [];
+    const bySiret = new Map(records.map(record => record?.toObject?.() || record).map(record => [record.siret, record]));
+
+    return {
+      ...result,
+      hits: result.hits.map(hit => ({ ...hit, etablissement: bySiret.get(hit.siret) || null })),
+      nextCursor: start + limit < result.total ? encodeCursor(start + limit) : null
+    };
+  }
+
+  // Geocodes the stored establishments of the source; only records whose address changed are updated unless forced
+  async geocodeSource(sourceId = 'insee', { force = false, pageSize } = {}) {
+    const connector = await this.getCapableConnector(sourceId, 'geocode');
+    return await connector.geocodeStored({ force, ...(pageSize && { pageSize }) });
+  }
+
+  // Records of a source inside an area: { center: [lon, lat], radius } in meters, { bbox: [west, south, east, north] }
+  // or { commune } (contour from the geography source); format 'geojson' returns a FeatureCollection
+  async findWithin(area, { query = {}, limit, offset, cursor, sort, format } = {}, { sourceId = 'insee', geographySourceId = 'cog' } = {}) {
+    const connector = await this.getCapableConnector(sourceId, 'spatial');
+    const shape = area.commune
+      ? { geometry: await this.getCommuneContour(area.commune, geographySourceId) }
+      : area;
+
+    const page = await findPage(
+      options => connector.findWithin(shape, { query, ...options }),
+      { ...(limit && { limit }), ...(offset && { offset }), ...(cursor && { cursor }), ...(sort && { sort }) }
+    );
+    const items = page.items.map(item => item?.toObject?.() || item);
+
+    return format === 'geojson'
+      ? { ...connector.toGeoJson(items), nextCursor: page.nextCursor }
+      : { items, nextCursor: page.nextCursor };
+  }
+
+  async getCommuneContour(code, geographySourceId = 'cog') {
+    const key = `${geographySourceId}:${code}`;
+    if (!this.contours.has(key)) {
+      const geography = await this.getGeography(geographySourceId);
+      const contour = await geography.getCommuneContour(code);
+      if (!contour) {
+        throw new QueryError(`Commune not found: ${code}`);
+      }
+      this.contours.set(key, contour);
+    }
+    return this.contours.get(key);
+  }
+
+  // The index is kept in memory and follows the finished runs of the SIRENE dataset, including
+  // runs executed by workers in other processes. When every run since the index was built is a
+  // complete incremental one, only the establishments processed since then are replaced in place;
+  // any other run (search, date range, partial or failed) rebuilds it from the stored records
+  async getSearchIndex(sourceId, connector) {
+    const filter = { sourceId, 'params.dataset': SEARCH_DATASET, status: { in: ['success', 'failed'] } };
+    const { items: [lastRun] } = await this.getHarvestRuns(filter, { limit: 1 });
+    const version = lastRun?.runId || null;
+    const cached = this.searchIndexes.get(sourceId);
+    if (cached && cached.version === version) {
+      return await cached.index;
+    }
+
+    const entry = { version, startedAt: lastRun?.startedAt || null, since: lastRun?.watermark?.dateDernierTraitement || null };
+    const incremental = cached?.since && cached.startedAt && await this.onlyIncrementalRunsSince(filter, cached.startedAt);
+    entry.index = incremental
+      ? cached.index.then(index => connector.updateSearchIndex(index, { since: cached.since }))
+      : connector.buildSearchIndex();
+    this.searchIndexes.set(sourceId, entry);
+    try {
+      return await entry.index;
+    } catch (error) {
+      this.searchIndexes.delete(sourceId);
+      throw error;
+    }
+  }
+
+  async onlyIncrementalRunsSince(filter, startedAt) {
+    const { items, nextCursor } = await this.getHarvestRuns({ ...filter, startedAt: { gt: startedAt } }, { limit: 100 });
+    return !nextCursor && items.every(run => run.watermark?.dateDernierTraitement);
+  }
+
+  async getCapableConnector(sourceId, capability) {
+    await this.ensureInitialized();
+    
+    const sourceConfig = this.configManager.getSourceConfig(sourceId);
+    if (!sourceConfig) {
+      throw new Error(`Source not found: ${sourceId}`);
+    }
+    
+    const ConnectorClass = this.getConnector(sourceConfig.type);
+    if (!ConnectorClass.capabilities?.includes(capability)) {
+      throw new Error(`Connector ${sourceConfig.type} does not support ${capability}`);
+    }
+    
+    return new ConnectorClass(sourceConfig, this.persistenceManager);
+  }
+
   async updateData(sourceId, query, update) {
     await this.ensureInitialized();
     
@@ -186,6 +501,12 @@ export class SourceManager {
     return await connector.deleteData(query);
   }
 
+  async reloadConfiguration() {
+    await this.ensureInitialized();
+    await this.configManager.reloadConfiguration();
+    return this.configManager.getAllSourceConfigs();
+  }
+
   async checkSourceHealth(sourceId, options = {}) {
     await this.ensureInitialized();
     
@@ -194,7 +515,8 @@ export class SourceManager {
       throw new Error(`Source not found: ${sourceId}`);
     }
     
-    return await this.healthManager.checkSourceHealth(sourceId, sourceConfig, options);
+    const healthStatus = await this.healthManager.checkSourceHealth(sourceId, sourceConfig, options);
+    return { ...healthStatus, locks: await this.getHarvestLocks(sourceId) };
   }
 
   async checkAllSourcesHealth(options = {}) {
@@ -205,7 +527,8 @@ export class SourceManager {
     
     for (const [sourceId, sourceConfig] of Object.entries(sourceConfigs)) {
       try {
-        results[sourceId] = await this.healthManager.checkSourceHealth(sourceId, sourceConfig, options);
+        const healthStatus = await this.healthManager.checkSourceHealth(sourceId, sourceConfig, options);
+        results[sourceId] = { ...healthStatus, locks: await this.getHarvestLocks(sourceId) };
       } catch (error) {
         logger.error(`Error checking health for ${sourceId}`, { error: error.message });
         results[sourceId] = {
@@ -220,6 +543,22 @@ export class SourceManager {
     return results;
   }
 
+  // Harvests currently running somewhere, as seen through their leases; never fails a health check
+  async getHarvestLocks(sourceId) {
+    await this.ensureInitialized();
+    if (!this.harvestLock) return [];
+    
+    try {
+      const locks = await this.harvestLock.list(sourceId ? { sourceId } : {});
+      return locks.map(({ key, sourceId, holder, trigger, dataset, acquiredAt, renewedAt, expiresAt }) => ({
+        key, sourceId, holder, trigger, dataset, acquiredAt, renewedAt, expiresAt
+      }));
+    } catch (error) {
+      logger.warn('Unable to read harvest locks', { sourceId, error: error.message });
+      return [];
+    }
+  }
+
   async getHealthHistory(sourceId, days = 7) {
     await this.ensureInitialized();
     return await this.healthManager.getHealthHistory(sourceId, days);
@@ -227,7 +566,18 @@ export class SourceManager {
 
   async getHealthSummary() {
     await this.ensureInitialized();
-    return await this.healthManager.getHealthSummary();
+    const summary = await this.healthManager.getHealthSummary();
+    const locks = await this.getHarvestLocks();
+    
+    for (const lock of locks) {
+      summary[lock.sourceId] = { ...summary[lock.sourceId], locks: [...(summary[lock.sourceId]?.locks || []), lock] };
+    }
+    return summary;
+  }
+
+  async getCacheMetrics() {
+    await this.ensureInitialized();
+    return this.persistenceManager.getCacheMetrics();
   }
 
   async getSourceStats(sourceId) {
@@ -256,12 +606,17 @@ export class SourceManager {
 
   getSources() {
     const sourceConfigs = this.configManager.getAllSourceConfigs();
-    return Object.entries(sourceConfigs).map(([id, config]) => ({
-      id,
-      name: config.name,
-      type: config.type,
-      description: config.description || `${config.type} data source`
-    }));
+    return Object.entries(sourceConfigs).map(([id, config]) => {
+      const ConnectorClass = this.connectors.get(config.type);
+      return {
+        id,
+        name: config.name,
+        type: config.type,
+        connector: config.type,
+        description: config.description || ConnectorClass?.description || `${config.type} data source`,
+        capabilities: ConnectorClass?.capabilities || []
+      };
+    });
   }
 
   getSourceConfig(sourceId) {
@@ -285,7 +640,15 @@ export class SourceManager {
 
   async validateSource(sourceId) {
     await this.ensureInitialized();
-    return this.configManager.validateSourceConfig(sourceId);
+    this.configManager.validateSourceConfig(sourceId);
+    
+    const sourceConfig = this.configManager.getSourceConfig(sourceId);
+    const { valid, errors } = this.registry.validateConfig(sourceConfig.type, sourceConfig);
+    if (!valid) {
+      throw new Error(`Connector configuration validation failed for ${sourceId}: ${errors.join(', ')}`);
+    }
+    
+    return true;
   }
 
   async ensureInitialized() {
@@ -303,7 +666,7 @@ export class SourceManager {
 }
 
 // Singleton instance
-const sourceManager = new SourceManager();
+const sourceManager = SourceManager.getInstance();
 
 // Compatibility functions with old API
 async function harvestAll() {
@@ -313,4 +676,4 @@ async function harvestAll() {
   return await sourceManager.harvestAll();
 }
 
-export { SourceManager, sourceManager, harvestAll };
+export { sourceManager, harvestAll };
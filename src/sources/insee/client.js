@@ -1,13 +1,22 @@
 import axios from 'axios';
-import { RateLimiter } from '../utils/rateLimiter.js';
-import { RetryHandler } from '../utils/retryHandler.js';
-import logger from '../utils/logger.js';
+import { RateLimiter } from '../../utils/rateLimiter.js';
+import { RetryHandler } from '../../utils/retryHandler.js';
+import logger from '../../utils/logger.js';
+import { parseSdmxData, parseSdmxStructure } from './sdmx.js';
+
+const SDMX_MEDIA_TYPES = {
+  'sdmx-ml': 'application/vnd.sdmx.structurespecificdata+xml;version=2.1',
+  'sdmx-json': 'application/vnd.sdmx.data+json;version=1.0.0',
+  structure: 'application/vnd.sdmx.structure+xml;version=2.1'
+};
 
 class InseeClient {
   constructor(config) {
     this.config = config;
     this.baseUrl = config.baseUrl;
     this.token = config.authentication.token;
+    this.pagination = config.pagination || {};
+    this.endpoints = config.endpoints || {};
     this.rateLimiter = new RateLimiter(config.rateLimit);
     this.retryHandler = new RetryHandler(config.retry || {});
     
@@ -46,38 +55,100 @@ class InseeClient {
     throw error;
   }
 
-  async request(endpoint, params = {}) {
+  async request(endpoint, params = {}, options = {}) {
     await this.rateLimiter.checkLimit();
     
     return this.retryHandler.execute(async () => {
-      const response = await this.client.get(endpoint, { params });
+      const response = await this.client.get(endpoint, { params, ...options });
       return response.data;
     });
   }
 
+  // Parcourt les résultats SIRENE avec le mécanisme curseur / curseurSuivant,
+  // la dernière page étant celle dont le curseur suivant est identique au curseur
+  async *paginate(endpoint, params = {}, options = {}) {
+    const { pageSize = 1000, maxPages = Infinity } = options;
+    let curseur = '*';
+
+    for (let page = 0; page < maxPages; page++) {
+      let data;
+      try {
+        data = await this.request(endpoint, { ...params, nombre: pageSize, curseur });
+      } catch (error) {
+        // SIRENE répond 404 lorsqu'aucun élément ne correspond
+        if (error.response?.status === 404) return;
+        throw error;
+      }
+
+      yield data;
+
+      if (this.isLastPage(data, curseur)) return;
+      curseur = data.header.curseurSuivant;
+    }
+  }
+
+  isLastPage(data, curseur = data.header?.curseur) {
+    const curseurSuivant = data.header?.curseurSuivant;
+    return !curseurSuivant || curseurSuivant === curseur;
+  }
+
   // Méthodes spécifiques pour les différentes APIs INSEE
   async getSiret(siret, params = {}) {
-    return this.request('/siret', { q: `siret:${siret}`, ...params });
+    return this.request(this.path('sirene', '/siret'), { q: `siret:${siret}`, ...params });
   }
 
   async getSiren(siren, params = {}) {
-    return this.request('/siren', { q: `siren:${siren}`, ...params });
+    return this.request(this.path('sirene', '/siren'), { q: `siren:${siren}`, ...params });
   }
 
   async getUnitesLegales(params = {}) {
-    return this.request('/unitesLegales', params);
+    return this.request(this.path('sirene', '/unitesLegales'), params);
+  }
+
+  // Chemin relatif à la base de l'API (endpoints.<api>.base) lorsque baseUrl est la racine commune
+  path(api, resource) {
+    return `${this.endpoints[api]?.base || ''}${resource}`;
+  }
+
+  // La BDM répond en SDMX : SDMX-ML par défaut, SDMX-JSON si endpoints.bdm.format vaut « sdmx-json »
+  async requestSdmx(resource, params = {}, type = this.endpoints.bdm?.format || 'sdmx-ml') {
+    return this.request(this.path('bdm', resource), params, {
+      headers: { Accept: SDMX_MEDIA_TYPES[type] },
+      responseType: type === 'sdmx-json' ? 'json' : 'text'
+    });
+  }
+
+  get bdmAgency() {
+    return this.endpoints.bdm?.agency || 'FR1';
+  }
+
+  // Séries identifiées par leur idBank (plusieurs séparés par « + »), période SDMX startPeriod / endPeriod
+  async getBdmSeries(idBanks, params = {}) {
+    return parseSdmxData(await this.requestSdmx(`/data/SERIES_BDM/${[].concat(idBanks).join('+')}`, params));
+  }
+
+  // Toutes les séries d'un flux BDM correspondant au filtre SDMX (ex. « M..FE »)
+  async getBdmDataflow(dataflow, key, params = {}) {
+    return parseSdmxData(await this.requestSdmx(`/data/${dataflow}/${key}`, params));
+  }
+
+  async getBdmDataflows() {
+    const structure = parseSdmxStructure(await this.requestSdmx(`/dataflow/${this.bdmAgency}/all`, {}, 'structure'));
+    return structure.dataflows;
   }
 
-  async getBdmData(seriesId, params = {}) {
-    return this.request('/data', { seriesId, ...params });
+  // Structure d'un flux avec ses listes de codes (libellés des dimensions et attributs)
+  async getBdmDataStructure(id) {
+    return parseSdmxStructure(await this.requestSdmx(`/datastructure/${this.bdmAgency}/${id}`, { references: 'children' }, 'structure'));
   }
 
-  async getBdmMetadata(seriesId) {
-    return this.request('/metadata', { seriesId });
+  async getBdmCodelist(id) {
+    const structure = parseSdmxStructure(await this.requestSdmx(`/codelist/${this.bdmAgency}/${id}`, {}, 'structure'));
+    return structure.codelists[0] || null;
   }
 
   async getDonneesLocales(geoCode, indicatorId, params = {}) {
-    return this.request('/geo', { 
+    return this.request(this.path('donneesLocales', '/geo'), { 
       geoCode, 
       indicatorId, 
       ...params 
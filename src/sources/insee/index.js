@@ -1,34 +1,87 @@
+import Joi from 'joi';
 import { InseeClient } from './client.js';
 import { DataTransformer, transformInseeSirene, transformInseeBdm } from './transform.js';
+import { buildDatasetConfig } from '../datasetConfig.js';
+import { toBdmSeries } from './sdmx.js';
+import { enrichSireneNaf } from './naf.js';
+import { SireneSearchIndex, searchDocument } from './search.js';
+import { GeocodingEnricher } from '../../geocoding/index.js';
+import { toFeatureCollection } from '../../geocoding/geojson.js';
 import logger from '../../utils/logger.js';
 
+// Jeux de données d'une source « insee » unique, tels que nommés dans schedule.json
+const DATASETS = {
+  sirene: 'insee-sirene',
+  bdm: 'insee-bdm',
+  donneesLocales: 'insee-donnees-locales'
+};
+
 class InseeConnector {
+  static type = 'insee';
+  static description = 'INSEE : SIRENE, BDM et Données Locales';
+  static capabilities = ['harvest', 'query', 'update', 'delete', 'history', 'catalogue', 'search', 'geocode', 'spatial'];
+  static configSchema = Joi.object({
+    baseUrl: Joi.string().uri().required(),
+    authentication: Joi.object({
+      type: Joi.string().valid('bearer').required(),
+      token: Joi.string().required()
+    }).required(),
+    rateLimit: Joi.object({
+      requestsPerMinute: Joi.number().integer().positive(),
+      requestsPerHour: Joi.number().integer().positive()
+    })
+  }).unknown(true);
+  // Paramètres requis par les tâches planifiées (schedule.json > tasks.<jeu de données>.params)
+  static taskSchemas = {
+    donneesLocales: Joi.object({
+      indicatorId: Joi.string().required(),
+      geoCode: Joi.string(),
+      geoCodes: Joi.alternatives(Joi.array().items(Joi.string()).min(1), Joi.string()),
+      year: Joi.number().integer()
+    }).or('geoCode', 'geoCodes').unknown(true)
+  };
+
   constructor(sourceConfig, persistenceManager) {
     this.sourceConfig = sourceConfig;
     this.persistenceManager = persistenceManager;
-    this.client = new InseeClient(sourceConfig.config);
+    this.client = new InseeClient(sourceConfig.config || sourceConfig.connection);
     this.transformer = new DataTransformer(sourceConfig.transform?.rules || []);
+    // Géocodage des adresses d'établissements (transform.json > geocoding)
+    this.geocoding = sourceConfig.transform?.geocoding?.enabled
+      ? new GeocodingEnricher(sourceConfig.transform.geocoding, persistenceManager)
+      : null;
   }
 
   async harvest(params = {}) {
     try {
       logger.info(`Début de la récolte pour ${this.sourceConfig.name}`, { params });
+      const api = DATASETS[params.dataset] || this.sourceConfig.id;
+
+      // Les recherches SIRENE sont paginées et sauvegardées page par page
+      if (api === 'insee-sirene' && !params.siret && !params.siren) {
+        return await this.harvestSirenePages(params);
+      }
+
+      // Les séries BDM (une seule ou tout le catalogue) sont sauvegardées série par série
+      if (api === 'insee-bdm') {
+        return await this.harvestBdmSeries(params);
+      }
 
       let data;
+      let datasetConfig = this.sourceConfig;
       
       // Récupérer les données selon le type de source
-      switch (this.sourceConfig.id) {
+      switch (api) {
         case 'insee-sirene':
-          data = await this.harvestSirene(params);
-          break;
-        case 'insee-bdm':
-          data = await this.harvestBdm(params);
+          data = await this.geocode(enrichSireneNaf(await this.harvestSirene(params)));
+          datasetConfig = this.getDatasetConfig('sirene');
           break;
         case 'insee-donnees-locales':
           data = await this.harvestDonneesLocales(params);
+          datasetConfig = this.getDatasetConfig('donneesLocales');
           break;
         default:
-          throw new Error(`Type de source INSEE non supporté: ${this.sourceConfig.id}`);
+          throw new Error(`Type de source INSEE non supporté: ${api}`);
       }
 
       // Transformer les données si configuré
@@ -38,7 +91,7 @@ class InseeConnector {
 
       // Sauvegarder les données
       if (data && (Array.isArray(data) ? data.length > 0 : Object.keys(data).length > 0)) {
-        await this.persistenceManager.save(this.sourceConfig, data);
+        await this.persistenceManager.save(datasetConfig, data);
         logger.info(`Données sauvegardées pour ${this.sourceConfig.name}`, {
           count: Array.isArray(data) ? data.length : 1
         });
@@ -48,6 +101,7 @@ class InseeConnector {
         source: this.sourceConfig.name,
         timestamp: new Date().toISOString(),
         dataCount: Array.isArray(data) ? data.length : 1,
+        pages: 1,
         success: true
       };
 
@@ -58,69 +112,462 @@ class InseeConnector {
   }
 
   async harvestSirene(params = {}) {
-    const { siret, siren, query, limit = 100 } = params;
+    const { siret, siren } = params;
     
     if (siret) {
       return await this.client.getSiret(siret);
     }
     
-    if (siren) {
-      return await this.client.getSiren(siren);
+    return await this.client.getSiren(siren);
+  }
+
+  async harvestSirenePages(params = {}) {
+    const { query, limit, watermark } = params;
+    const maxPages = params.maxPages || this.client.pagination.maxPages;
+    // L'API SIRENE plafonne le nombre d'éléments par page à 1000
+    const pageSize = Math.min(params.pageSize || this.client.pagination.pageSize || 1000, limit || 1000, 1000);
+
+    // Par défaut, récupérer les établissements traités depuis la dernière récolte :
+    // la collection insee_sirene est indexée sur le SIRET
+    const since = watermark?.dateDernierTraitement || this.client.config.incremental?.initialDate || '2023-01-01';
+    // Une plage de dates explicite (reprise d'historique) filtre sur la date de création par défaut
+    const range = params.startDate || params.endDate
+      ? `${params.dateField || 'dateCreationEtablissement'}:[${params.startDate || '*'} TO ${params.endDate || '*'}]`
+      : null;
+    const incremental = !query && !range;
+    const endpoint = this.client.path('sirene', '/siret');
+    const queryParams = { q: query || range || `dateDernierTraitementEtablissement:[${since} TO *]` };
+
+    const datasetConfig = this.getDatasetConfig('sirene');
+    let pages = 0;
+    let records = 0;
+    let lastProcessed = watermark?.dateDernierTraitement;
+    // Les pages du curseur ne sont pas triées par date de traitement : le filigrane
+    // n'avance que si toutes les pages ont été lues (ni limit ni maxPages atteints)
+    let complete = true;
+
+    for await (const page of this.client.paginate(endpoint, queryParams, { pageSize, maxPages })) {
+      const items = page.etablissements || [];
+      let data = items;
+      if (limit) {
+        data = data.slice(0, limit - records);
+      }
+      complete = data.length === items.length && this.client.isLastPage(page);
+
+      for (const record of data) {
+        const processed = record.dateDernierTraitementEtablissement;
+        if (processed && (!lastProcessed || processed > lastProcessed)) {
+          lastProcessed = processed;
+        }
+      }
+
+      data = await this.geocode(enrichSireneNaf(data));
+      if (this.sourceConfig.transform?.enabled) {
+        data = this.transformer.transform(data);
+      }
+
+      if (data.length > 0) {
+        await this.persistenceManager.save(datasetConfig, data);
+      }
+
+      pages++;
+      records += data.length;
+      logger.info(`Page ${pages} SIRENE sauvegardée pour ${this.sourceConfig.name}`, {
+        count: data.length,
+        total: page.header?.total
+      });
+
+      if (limit && records >= limit) {
+        break;
+      }
     }
-    
-    if (query) {
-      return await this.client.search(query, { nombre: limit });
+
+    const result = {
+      source: this.sourceConfig.name,
+      timestamp: new Date().toISOString(),
+      dataCount: records,
+      pages,
+      success: true
+    };
+
+    // Les recherches ponctuelles et les plages de dates ne déplacent pas le filigrane de la source
+    if (incremental && complete && lastProcessed) {
+      result.watermark = { ...watermark, dateDernierTraitement: lastProcessed };
+    } else if (incremental && !complete) {
+      logger.info(`Récolte SIRENE partielle pour ${this.sourceConfig.name} : filigrane conservé`, { pages, records });
     }
-    
-    // Par défaut, récupérer les unités légales récentes
-    return await this.client.getUnitesLegales({ 
-      nombre: limit,
-      dateCreationUniteLegale: 'gte:2023-01-01'
-    });
+
+    return result;
   }
 
   async harvestBdm(params = {}) {
-    const { seriesId, startDate, endDate } = params;
+    const { seriesId, endDate, watermark } = params;
     
     if (!seriesId) {
       throw new Error('seriesId requis pour la récolte BDM');
     }
 
+    // Reprendre après la dernière observation connue de la série
+    const startDate = params.startDate || watermark?.series?.[seriesId];
+
     const queryParams = {};
-    if (startDate) queryParams.startDate = startDate;
-    if (endDate) queryParams.endDate = endDate;
+    if (startDate) queryParams.startPeriod = startDate;
+    if (endDate) queryParams.endPeriod = endDate;
 
-    const data = await this.client.getBdmData(seriesId, queryParams);
-    const metadata = await this.client.getBdmMetadata(seriesId);
+    const [series] = await this.client.getBdmSeries(seriesId, queryParams);
+    const { metadata, values } = series
+      ? toBdmSeries(series)
+      : { metadata: { id: seriesId, title: seriesId }, values: [] };
 
     return {
       seriesId,
       metadata,
-      data: data.values || []
+      data: values
+    };
+  }
+
+  // Catalogue BDM (config/insee/catalogue.json) : séries suivies par idBank ou par filtre de flux
+  getSeriesCatalogue() {
+    return (this.sourceConfig.catalogue?.bdm || []).map(entry => {
+      if (!entry.idBank && !(entry.dataflow && entry.key)) {
+        throw new Error(`Entrée du catalogue BDM invalide (idBank ou dataflow et key requis) : ${JSON.stringify(entry)}`);
+      }
+      return { ...entry, id: entry.idBank || `${entry.dataflow}/${entry.key}`, enabled: entry.enabled !== false };
+    });
+  }
+
+  async harvestBdmSeries(params = {}) {
+    const entries = params.dataflow
+      ? [{ id: `${params.dataflow}/${params.key || 'all'}`, dataflow: params.dataflow, key: params.key || 'all' }]
+      : params.seriesId
+        ? [{ id: params.seriesId, idBank: params.seriesId }]
+        : this.getSeriesCatalogue().filter(entry => entry.enabled);
+
+    if (entries.length === 0) {
+      throw new Error('seriesId, dataflow ou catalogue BDM (config/insee/catalogue.json) requis pour la récolte BDM');
+    }
+
+    const datasetConfig = this.getDatasetConfig('bdm');
+    const previous = params.watermark || {};
+    const watermark = { ...previous, series: { ...previous.series } };
+    const series = [];
+    let failures = 0;
+
+    // Une série en échec n'empêche pas la récolte des suivantes
+    for (const entry of entries) {
+      try {
+        const harvested = entry.dataflow
+          ? await this.fetchBdmDataflow(entry, params)
+          : [await this.fetchBdmSeries(entry, params)];
+
+        for (const item of harvested) {
+          const record = await this.saveBdmSeries(datasetConfig, item);
+          if (record.lastObservation) {
+            watermark.series[record.idBank] = record.lastObservation;
+          }
+          series.push({ idBank: record.idBank, status: 'success', dataCount: item.values.length, lastObservation: record.lastObservation });
+        }
+
+        // Un flux reprend à la plus ancienne des dernières observations de ses séries
+        const observations = harvested.map(item => watermark.series[item.idBank]).filter(Boolean).sort();
+        if (entry.dataflow && observations.length > 0) {
+          watermark.dataflows = { ...watermark.dataflows, [entry.id]: observations[0] };
+        }
+      } catch (error) {
+        failures++;
+        logger.error(`Erreur lors de la récolte de la série BDM ${entry.id}`, { error: error.message });
+        await this.recordBdmFailure(datasetConfig, entry, error);
+        series.push({ idBank: entry.id, status: 'failed', dataCount: 0, error: error.message });
+      }
+    }
+
+    if (failures === entries.length) {
+      throw new Error(`Échec de la récolte de toutes les séries BDM : ${series[0].error}`);
+    }
+
+    logger.info(`Séries BDM récoltées pour ${this.sourceConfig.name}`, { series: series.length, failures });
+
+    return {
+      source: this.sourceConfig.name,
+      timestamp: new Date().toISOString(),
+      dataCount: series.reduce((total, item) => total + item.dataCount, 0),
+      pages: entries.length,
+      success: failures === 0,
+      series,
+      ...(Object.keys(watermark.series).length > 0 && { watermark })
+    };
+  }
+
+  async fetchBdmSeries(entry, params) {
+    const { metadata, data } = await this.harvestBdm({ ...params, seriesId: entry.idBank });
+    return { idBank: entry.idBank, metadata, values: data };
+  }
+
+  async fetchBdmDataflow(entry, params) {
+    const startDate = params.startDate || params.watermark?.dataflows?.[entry.id];
+    const series = await this.client.getBdmDataflow(entry.dataflow, entry.key, {
+      ...(startDate && { startPeriod: startDate }),
+      ...(params.endDate && { endPeriod: params.endDate })
+    });
+
+    // Les listes de codes ne servent qu'aux libellés : leur absence n'empêche pas la récolte
+    const structure = await this.client.getBdmDataStructure(entry.structure || entry.dataflow).catch(error => {
+      logger.warn(`Structure SDMX indisponible pour le flux ${entry.dataflow}`, { error: error.message });
+      return null;
+    });
+
+    return series
+      .filter(item => item.idBank)
+      .map(item => toBdmSeries(item, { dataflow: entry.id, structure }));
+  }
+
+  // Flux publiés par la BDM, récoltables via une entrée { dataflow, key } du catalogue
+  async getDataflows() {
+    return await this.client.getBdmDataflows();
+  }
+
+  // Une récolte incrémentale ne renvoie que les dernières observations : elles complètent les précédentes
+  async saveBdmSeries(datasetConfig, { idBank, dataflow, metadata, values }) {
+    const existing = await this.persistenceManager.findOne(datasetConfig, { idBank });
+    const observations = new Map(((existing?.toObject?.() || existing)?.data || []).map(point => [point.date, point]));
+    values.forEach(point => observations.set(point.date, point));
+    const data = [...observations.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+    let record = {
+      idBank,
+      seriesId: idBank,
+      ...(dataflow && { dataflow }),
+      metadata,
+      data,
+      lastObservation: data.length > 0 ? data[data.length - 1].date : null,
+      harvest: { status: 'success', harvestedAt: new Date().toISOString(), dataCount: values.length, error: null }
     };
+
+    if (this.sourceConfig.transform?.enabled) {
+      record = this.transformer.transform(record);
+    }
+
+    await this.persistenceManager.save(datasetConfig, record);
+    return record;
+  }
+
+  async recordBdmFailure(datasetConfig, entry, error) {
+    // L'échec d'un flux n'est rattaché à aucune série : il figure seulement dans le résultat de la récolte
+    if (!entry.idBank) return;
+
+    try {
+      await this.persistenceManager.update(datasetConfig, { idBank: entry.idBank }, {
+        $set: { harvest: { status: 'failed', harvestedAt: new Date().toISOString(), dataCount: 0, error: error.message } }
+      });
+    } catch (failure) {
+      logger.warn(`Impossible d'enregistrer l'échec de la série BDM ${entry.idBank}`, { error: failure.message });
+    }
+  }
+
+  // Séries du catalogue avec leur dernière observation et l'état de leur dernière récolte
+  async getCatalogue(dataset = 'bdm', { watermark } = {}) {
+    if (dataset !== 'bdm') {
+      throw new Error(`Aucun catalogue pour le jeu de données ${dataset}`);
+    }
+
+    const entries = this.getSeriesCatalogue();
+    const datasetConfig = this.getDatasetConfig('bdm');
+    const projection = ['idBank', 'dataflow', 'metadata', 'lastObservation', 'harvest'];
+    const idBanks = entries.filter(entry => entry.idBank).map(entry => entry.idBank);
+    const dataflows = entries.filter(entry => entry.dataflow).map(entry => entry.id);
+
+    const stored = [
+      ...(idBanks.length > 0 ? await this.persistenceManager.find(datasetConfig, { idBank: { in: idBanks } }, { projection }) : []),
+      ...(dataflows.length > 0 ? await this.persistenceManager.find(datasetConfig, { dataflow: { in: dataflows } }, { projection }) : [])
+    ].map(document => document?.toObject?.() || document);
+
+    const describe = (entry, record = {}) => ({
+      id: record.idBank || entry.id,
+      dataflow: entry.dataflow ? entry.id : null,
+      enabled: entry.enabled,
+      title: record.metadata?.title || entry.description || record.idBank || entry.id,
+      description: record.metadata?.description || entry.description,
+      unit: record.metadata?.unit,
+      frequency: record.metadata?.frequency,
+      lastUpdate: record.metadata?.lastUpdate,
+      lastObservation: record.lastObservation || watermark?.series?.[record.idBank || entry.id] || null,
+      harvestStatus: record.harvest?.status || 'pending',
+      lastHarvestedAt: record.harvest?.harvestedAt || null,
+      harvestError: record.harvest?.error || null
+    });
+
+    return entries.flatMap(entry => {
+      if (!entry.dataflow) {
+        return [describe(entry, stored.find(record => record.idBank === entry.idBank))];
+      }
+      const members = stored.filter(record => record.dataflow === entry.id);
+      return members.length > 0 ? members.map(record => describe(entry, record)) : [describe(entry)];
+    });
+  }
+
+  // persistence.json décrit une collection par jeu de données ; une configuration à plat est utilisée telle quelle
+  getDatasetConfig(dataset) {
+    return this.sourceConfig.persistence?.collections
+      ? buildDatasetConfig(this.sourceConfig, dataset)
+      : this.sourceConfig;
   }
 
   async harvestDonneesLocales(params = {}) {
     const { geoCode, indicatorId, year } = params;
-    
-    if (!geoCode || !indicatorId) {
-      throw new Error('geoCode et indicatorId requis pour les données locales');
+    // Plusieurs communes à la fois (ex. les communes d'un département listées par la source cog)
+    const geoCodes = params.geoCodes
+      ? (Array.isArray(params.geoCodes) ? params.geoCodes : String(params.geoCodes).split(','))
+      : [];
+
+    if ((!geoCode && geoCodes.length === 0) || !indicatorId) {
+      throw new Error('geoCode (ou geoCodes) et indicatorId requis pour les données locales');
     }
 
     const queryParams = {};
     if (year) queryParams.year = year;
 
-    return await this.client.getDonneesLocales(geoCode, indicatorId, queryParams);
+    // Chaque réponse porte sa clé naturelle (geoCode, indicatorId, year) : une nouvelle récolte met à jour au lieu de dupliquer.
+    // Sans year demandé, l'API renvoie le dernier millésime, repris de la réponse
+    const records = [];
+    for (const code of (geoCodes.length > 0 ? geoCodes : [geoCode]).map(value => String(value).trim()).filter(Boolean)) {
+      const response = await this.client.getDonneesLocales(code, indicatorId, queryParams);
+      const millesime = year ?? response?.year ?? response?.millesime ?? response?.annee;
+      if (!millesime) {
+        throw new Error(`Millésime absent de la réponse Données Locales pour ${code} (${indicatorId}) : préciser year`);
+      }
+      records.push({ geoCode: code, indicatorId, ...response, year: Number(millesime) });
+    }
+    return records;
   }
 
-  async getData(query = {}) {
-    return await this.persistenceManager.find(this.sourceConfig, query);
+  // Établissements SIRENE sauvegardés, par lots triés sur le SIRET : chaque lot reprend après
+  // le dernier SIRET lu, sans décalage qui sauterait ou répéterait des documents
+  async *sireneBatches(pageSize = 1000, query = {}) {
+    const datasetConfig = this.getDatasetConfig('sirene');
+    let last = null;
+
+    for (;;) {
+      const records = (await this.persistenceManager.find(datasetConfig, { ...query, ...(last && { siret: { gt: last } }) }, { sort: 'siret', limit: pageSize }))
+        .map(document => document?.toObject?.() || document);
+      if (records.length > 0) yield records;
+
+      last = records[records.length - 1]?.siret;
+      if (records.length < pageSize || !last) return;
+    }
+  }
+
+  // Index de recherche sur les établissements SIRENE déjà sauvegardés, lus page par page
+  async buildSearchIndex({ pageSize = 1000 } = {}) {
+    const index = new SireneSearchIndex();
+
+    for await (const records of this.sireneBatches(pageSize)) {
+      index.add(records);
+    }
+
+    logger.info(`Index de recherche SIRENE construit pour ${this.sourceConfig.name}`, { documents: index.size });
+    return index;
+  }
+
+  // Remplace dans l'index les établissements traités depuis le filigrane de la récolte incrémentale
+  // qui avait précédé sa construction : les récoltes suivantes les ont demandés à partir de cette date
+  async updateSearchIndex(index, { since, pageSize = 1000 } = {}) {
+    let updated = 0;
+
+    for await (const records of this.sireneBatches(pageSize, { dateDernierTraitementEtablissement: { gte: since } })) {
+      index.add(records);
+      updated += records.length;
+    }
+
+    logger.info(`Index de recherche SIRENE mis à jour pour ${this.sourceConfig.name}`, { since, updated, documents: index.size });
+    return index;
+  }
+
+  // Position des établissements, réutilisée tant que leur adresse enregistrée n'a pas changé
+  async geocode(records, { force = false } = {}) {
+    if (!this.geocoding) return records;
+
+    const sirets = [].concat(records).map(record => (record?.etablissement || record)?.siret).filter(Boolean);
+    const previous = new Map();
+    if (!force && sirets.length > 0) {
+      try {
+        const stored = await this.persistenceManager.find(this.getDatasetConfig('sirene'), { siret: { in: sirets } }, {
+          projection: ['siret', 'position', 'geocodage']
+        });
+        stored.map(document => document?.toObject?.() || document).forEach(record => previous.set(record.siret, record));
+      } catch (error) {
+        logger.warn(`Positions enregistrées indisponibles pour ${this.sourceConfig.name}`, { error: error.message });
+      }
+    }
+
+    const { records: geocoded, stats } = await this.geocoding.enrich(records, { previous, force });
+    logger.info(`Géocodage SIRENE pour ${this.sourceConfig.name}`, stats);
+    return geocoded;
+  }
+
+  // Géocode les établissements déjà sauvegardés : seuls ceux dont l'adresse a changé (ou tous avec force) sont mis à jour
+  async geocodeStored({ force = false, pageSize = 1000 } = {}) {
+    if (!this.geocoding) {
+      throw new Error(`Géocodage non activé pour ${this.sourceConfig.name} (transform.json > geocoding)`);
+    }
+
+    const datasetConfig = this.getDatasetConfig('sirene');
+    const totals = { records: 0, updated: 0, geocoded: 0, reused: 0, cached: 0, notFound: 0, failed: 0, skipped: 0 };
+
+    for await (const records of this.sireneBatches(pageSize)) {
+      const previous = new Map(records.filter(record => record.siret).map(record => [record.siret, record]));
+      const { records: geocoded, stats } = await this.geocoding.enrich(records, { previous, force });
+
+      for (const [index, record] of geocoded.entries()) {
+        if (!record.geocodage || record.geocodage === records[index].geocodage) continue;
+        await this.persistenceManager.update(datasetConfig, { siret: record.siret }, {
+          $set: { position: record.position, geocodage: record.geocodage }
+        });
+        totals.updated++;
+      }
+
+      totals.records += records.length;
+      Object.keys(stats).forEach(key => { totals[key] += stats[key]; });
+    }
+
+    logger.info(`Établissements géocodés pour ${this.sourceConfig.name}`, totals);
+    return totals;
+  }
+
+  // Établissements SIRENE dont la position est dans la zone (condition geoWithin du langage de requête)
+  async findWithin(shape, { query = {}, field = 'position', ...options } = {}) {
+    return await this.getData({ ...query, [field]: { geoWithin: shape } }, { dataset: 'sirene', ...options });
+  }
+
+  // FeatureCollection pour l'affichage cartographique : résumé de l'établissement et qualité de sa position
+  toGeoJson(records) {
+    return toFeatureCollection(records, {
+      id: record => record.siret,
+      properties: record => {
+        const { fields, ...summary } = searchDocument(record) || {};
+        return { ...summary, geocodage: record.geocodage ? { score: record.geocodage.score, type: record.geocodage.type } : null };
+      }
+    });
+  }
+
+  async getData(query = {}, options = {}) {
+    const { dataset, ...findOptions } = options;
+    const config = dataset ? this.getDatasetConfig(dataset) : this.sourceConfig;
+    return await this.persistenceManager.find(config, query, findOptions);
   }
 
   async getDataById(id) {
     return await this.persistenceManager.findOne(this.sourceConfig, { _id: id });
   }
 
+  // L'historique est tenu sur la collection des établissements (persistence.json > collections.sirene.history)
+  async getDataAsOf(query, date) {
+    return await this.persistenceManager.findAsOf(this.getDatasetConfig('sirene'), query, date);
+  }
+
+  async getDataHistory(query) {
+    return await this.persistenceManager.getHistory(this.getDatasetConfig('sirene'), query);
+  }
+
   async updateData(query, update) {
     return await this.persistenceManager.update(this.sourceConfig, query, update);
   }
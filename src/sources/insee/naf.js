@@ -0,0 +1,140 @@
+import { readFileSync } from 'fs';
+
+// Nomenclature d'activités française, révision 2 (sections, divisions, groupes, classes, sous-classes)
+const nomenclature = JSON.parse(readFileSync(new URL('./nafRev2.json', import.meta.url), 'utf8'));
+
+const NOMENCLATURE = 'NAFRev2';
+
+// Niveaux sous la section, identifiés par la longueur du code : 62, 62.0, 62.01, 62.01Z
+const LEVELS = [
+  ['division', 'divisions', 2],
+  ['groupe', 'groupes', 4],
+  ['classe', 'classes', 5],
+  ['sousClasse', 'sousClasses', 6]
+];
+
+const sections = new Map(nomenclature.sections.map(section => [section.code, section]));
+const sectionByDivision = new Map(nomenclature.sections.flatMap(section => section.divisions.map(division => [division, section])));
+
+function toAscii(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// "6201Z", "62.01z" ou " 62.01Z " → "62.01Z" ; "j" → "J"
+export function normalizeNafCode(code) {
+  if (typeof code !== 'string') return null;
+
+  const compact = code.replace(/[\s.]/g, '').toUpperCase();
+  if (sections.has(compact)) return compact;
+
+  const match = compact.match(/^(\d{2})(\d{0,2})([A-Z]?)$/);
+  if (!match || (match[3] && match[2].length < 2)) return null;
+  return match[2] ? `${match[1]}.${match[2]}${match[3]}` : match[1];
+}
+
+// Hiérarchie d'un code NAF rév. 2, de la section jusqu'au niveau du code
+export function lookupNaf(code) {
+  const normalized = normalizeNafCode(code);
+  if (!normalized) return null;
+
+  if (sections.has(normalized)) {
+    const { libelle } = sections.get(normalized);
+    return { nomenclature: NOMENCLATURE, level: 'section', code: normalized, libelle, section: { code: normalized, libelle } };
+  }
+
+  const section = sectionByDivision.get(normalized.slice(0, 2));
+  if (!section) return null;
+
+  const activity = { nomenclature: NOMENCLATURE, section: { code: section.code, libelle: section.libelle } };
+  for (const [level, table, length] of LEVELS) {
+    if (length > normalized.length) break;
+
+    const prefix = normalized.slice(0, length);
+    const libelle = nomenclature[table][prefix];
+    if (!libelle) return null;
+    Object.assign(activity, { level, code: prefix, libelle, [level]: { code: prefix, libelle } });
+  }
+  return activity;
+}
+
+// Sous-classes rattachées à un code de n'importe quel niveau, filtrées par libellé (sans accents, tous les mots)
+export function findNaf({ code, search, limit } = {}) {
+  let codes = Object.keys(nomenclature.sousClasses);
+
+  if (code) {
+    const parent = lookupNaf(code);
+    if (!parent) return [];
+    codes = parent.level === 'section'
+      ? codes.filter(candidate => sectionByDivision.get(candidate.slice(0, 2))?.code === parent.code)
+      : codes.filter(candidate => candidate.startsWith(parent.code));
+  }
+
+  if (search) {
+    const words = toAscii(search).split(/[^a-z0-9]+/).filter(Boolean);
+    codes = codes.filter(candidate => {
+      const activity = lookupNaf(candidate);
+      const labels = toAscii(`${activity.sousClasse.libelle} ${activity.classe.libelle}`);
+      return words.every(word => labels.includes(word));
+    });
+  }
+
+  return (limit ? codes.slice(0, limit) : codes).map(lookupNaf);
+}
+
+// Seules les activités codées en NAF rév. 2 sont rattachées à la nomenclature
+function nafActivity(code, nomenclatureCode) {
+  if (!code || (nomenclatureCode && nomenclatureCode !== NOMENCLATURE)) return null;
+
+  const activity = lookupNaf(code);
+  return activity?.level === 'sousClasse' ? activity : null;
+}
+
+function currentPeriod(periods) {
+  return Array.isArray(periods) ? periods.find(period => !period.dateFin) || periods[0] : undefined;
+}
+
+// Champs à plat, indexables, pour filtrer par section ou division
+function flatNaf(activity) {
+  return activity ? { sectionNaf: activity.section.code, divisionNaf: activity.division.code } : {};
+}
+
+function enrichUniteLegale(uniteLegale) {
+  const period = currentPeriod(uniteLegale.periodesUniteLegale);
+  const activity = nafActivity(
+    uniteLegale.activitePrincipaleUniteLegale ?? period?.activitePrincipaleUniteLegale,
+    uniteLegale.nomenclatureActivitePrincipaleUniteLegale ?? period?.nomenclatureActivitePrincipaleUniteLegale
+  );
+  return activity ? { ...uniteLegale, activitePrincipaleNaf: activity } : uniteLegale;
+}
+
+// Ajoute la hiérarchie NAF aux établissements et unités légales SIRENE (activitePrincipaleNaf, sectionNaf, divisionNaf)
+// Les enregistrements sans activité NAF rév. 2 sont laissés tels quels
+export function enrichSireneNaf(record) {
+  if (Array.isArray(record)) return record.map(enrichSireneNaf);
+  if (!record || typeof record !== 'object') return record;
+
+  // Réponses unitaires de l'API (siret:..., siren:...) : l'enregistrement est enveloppé
+  if (record.etablissement) {
+    const etablissement = enrichSireneNaf(record.etablissement);
+    return { ...record, etablissement, ...flatNaf(etablissement.activitePrincipaleNaf) };
+  }
+
+  if (!record.siret) {
+    if (record.uniteLegale) {
+      const uniteLegale = enrichUniteLegale(record.uniteLegale);
+      return { ...record, uniteLegale, ...flatNaf(uniteLegale.activitePrincipaleNaf) };
+    }
+    const uniteLegale = enrichUniteLegale(record);
+    return { ...uniteLegale, ...flatNaf(uniteLegale.activitePrincipaleNaf) };
+  }
+
+  // Un établissement relève de sa propre activité, à défaut de celle de son unité légale
+  const uniteLegale = record.uniteLegale && enrichUniteLegale(record.uniteLegale);
+  const period = currentPeriod(record.periodesEtablissement);
+  const activity = nafActivity(
+    period?.activitePrincipaleEtablissement ?? record.activitePrincipaleEtablissement,
+    period?.nomenclatureActivitePrincipaleEtablissement ?? record.nomenclatureActivitePrincipaleEtablissement
+  ) || uniteLegale?.activitePrincipaleNaf;
+
+  return { ...record, ...(uniteLegale && { uniteLegale }), ...(activity && { activitePrincipaleNaf: activity }), ...flatNaf(activity) };
+}
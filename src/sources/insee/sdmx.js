@@ -0,0 +1,188 @@
+import { load } from 'cheerio';
+
+// Lecture des messages SDMX 2.1 publiés par la BDM : SDMX-ML (données « structure specific »
+// ou génériques, messages de structure) et SDMX-JSON (données)
+
+const SERIES_ID_ATTRIBUTE = 'IDBANK';
+
+function localName(element) {
+  return element.name?.split(':').pop();
+}
+
+function childElements(element, name) {
+  return (element.children || []).filter(child => child.type === 'tag' && (!name || localName(child) === name));
+}
+
+function firstChild(element, name) {
+  return childElements(element, name)[0];
+}
+
+function descendants(element, name) {
+  return childElements(element).flatMap(child => (localName(child) === name ? [child] : descendants(child, name)));
+}
+
+function textOf(element) {
+  return (element?.children || []).map(child => (child.type === 'text' ? child.data : textOf(child))).join('').trim();
+}
+
+// Libellé dans la langue demandée, à défaut le premier disponible
+function nameOf(element, lang = 'fr') {
+  const names = childElements(element, 'Name');
+  const localized = names.find(name => name.attribs['xml:lang'] === lang) || names[0];
+  return localized ? textOf(localized) : undefined;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '' || value === 'NaN') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function observation(date, value, attributes) {
+  return { date, value: toNumber(value), status: attributes.OBS_STATUS || null, attributes };
+}
+
+function series(attributes, observations) {
+  return {
+    idBank: attributes[SERIES_ID_ATTRIBUTE] || null,
+    attributes,
+    observations: observations.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+  };
+}
+
+function valuesOf(element) {
+  return Object.fromEntries(childElements(element, 'Value').map(value => [value.attribs.id, value.attribs.value]));
+}
+
+function parseXmlData(xml) {
+  const $ = load(xml, { xml: true });
+  const [root] = $.root().children().toArray();
+  if (!root) {
+    throw new Error('Message SDMX vide');
+  }
+  if (localName(root) === 'Error') {
+    throw new Error(`Erreur SDMX : ${textOf(root)}`);
+  }
+
+  return descendants(root, 'Series').map(element => {
+    // Format générique : clé, attributs et observations en éléments
+    if (firstChild(element, 'SeriesKey')) {
+      const attributes = { ...valuesOf(firstChild(element, 'SeriesKey')), ...valuesOf(firstChild(element, 'Attributes') || {}) };
+      const observations = childElements(element, 'Obs').map(obs => observation(
+        firstChild(obs, 'ObsDimension')?.attribs.value,
+        firstChild(obs, 'ObsValue')?.attribs.value,
+        valuesOf(firstChild(obs, 'Attributes') || {})
+      ));
+      return series(attributes, observations);
+    }
+
+    // Format « structure specific » (celui de la BDM) : dimensions et attributs en attributs XML
+    const observations = childElements(element, 'Obs').map(obs => {
+      const { TIME_PERIOD, OBS_VALUE, ...attributes } = obs.attribs;
+      return observation(TIME_PERIOD, OBS_VALUE, attributes);
+    });
+    return series({ ...element.attribs }, observations);
+  });
+}
+
+// SDMX-JSON : les valeurs sont des index vers les listes de la structure du message
+function parseJsonData(json) {
+  const message = json.data || json;
+  const structure = message.structure || message.structures?.[0] || {};
+  const seriesDimensions = structure.dimensions?.series || [];
+  const observationDimension = structure.dimensions?.observation?.[0];
+  const seriesAttributes = structure.attributes?.series || [];
+  const observationAttributes = structure.attributes?.observation || [];
+
+  const decode = (definitions, indexes = []) => Object.fromEntries(definitions
+    .map((definition, position) => [definition.id, definition.values?.[indexes[position]]?.id])
+    .filter(([, value]) => value !== undefined));
+
+  return (message.dataSets || []).flatMap(dataSet => Object.entries(dataSet.series || {}).map(([key, item]) => {
+    const attributes = {
+      ...decode(seriesDimensions, key.split(':').map(Number)),
+      ...decode(seriesAttributes, item.attributes)
+    };
+    const observations = Object.entries(item.observations || {}).map(([index, [value, ...attributeIndexes]]) => (
+      observation(observationDimension?.values?.[Number(index)]?.id, value, decode(observationAttributes, attributeIndexes))
+    ));
+    return series(attributes, observations);
+  }));
+}
+
+export function parseSdmxData(body) {
+  if (typeof body === 'object' && body !== null && !Buffer.isBuffer(body)) {
+    return parseJsonData(body);
+  }
+
+  const text = body.toString().trim();
+  return text.startsWith('{') ? parseJsonData(JSON.parse(text)) : parseXmlData(text);
+}
+
+export function parseSdmxStructure(xml) {
+  const $ = load(xml.toString(), { xml: true });
+  const [root] = $.root().children().toArray();
+  if (!root) {
+    throw new Error('Message de structure SDMX vide');
+  }
+
+  const reference = element => firstChild(element, 'Ref')?.attribs.id;
+  const representation = element => {
+    const enumeration = descendants(element, 'Enumeration')[0];
+    return enumeration ? reference(enumeration) : undefined;
+  };
+
+  return {
+    dataflows: descendants(root, 'Dataflow').map(element => ({
+      id: element.attribs.id,
+      agencyId: element.attribs.agencyID,
+      version: element.attribs.version,
+      name: nameOf(element),
+      structure: reference(firstChild(element, 'Structure') || {})
+    })),
+    codelists: descendants(root, 'Codelist').map(element => ({
+      id: element.attribs.id,
+      name: nameOf(element),
+      codes: childElements(element, 'Code').map(code => ({ id: code.attribs.id, name: nameOf(code) }))
+    })),
+    dataStructures: descendants(root, 'DataStructure').map(element => ({
+      id: element.attribs.id,
+      name: nameOf(element),
+      dimensions: descendants(element, 'Dimension').map(dimension => ({
+        id: dimension.attribs.id,
+        position: Number(dimension.attribs.position),
+        codelist: representation(dimension)
+      })),
+      attributes: descendants(element, 'Attribute').map(attribute => ({
+        id: attribute.attribs.id,
+        codelist: representation(attribute)
+      }))
+    }))
+  };
+}
+
+// Série SDMX -> forme BdmMetadata / BdmDataPoint ; les codes sont traduits par les listes de codes connues
+export function toBdmSeries({ idBank, attributes, observations }, { dataflow, structure } = {}) {
+  const labels = {};
+  for (const component of [...(structure?.dataStructures?.[0]?.dimensions || []), ...(structure?.dataStructures?.[0]?.attributes || [])]) {
+    const codelist = structure.codelists.find(list => list.id === component.codelist);
+    const code = codelist?.codes.find(item => item.id === attributes[component.id]);
+    if (code?.name) labels[component.id] = code.name;
+  }
+
+  return {
+    idBank,
+    ...(dataflow && { dataflow }),
+    metadata: {
+      id: idBank,
+      title: attributes.TITLE_FR || attributes.TITLE_EN || idBank,
+      description: attributes.TITLE_EN,
+      unit: labels.UNIT_MEASURE || attributes.UNIT_MEASURE,
+      frequency: labels.FREQ || attributes.FREQ,
+      lastUpdate: attributes.LAST_UPDATE,
+      attributes,
+      ...(Object.keys(labels).length > 0 && { labels })
+    },
+    values: observations
+  };
+}
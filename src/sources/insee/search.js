@@ -0,0 +1,295 @@
+import { enrichSireneNaf } from './naf.js';
+
+// Recherche locale sur les établissements SIRENE récoltés : dénominations, sigles, enseignes et adresses,
+// sans accents, tolérante aux fautes de frappe, avec classement et facettes
+
+export const FACETS = ['sectionNaf', 'departement', 'trancheEffectifs', 'etatAdministratif'];
+
+// Poids des champs dans le classement : un mot de la dénomination compte plus qu'un mot de l'adresse
+const FIELD_WEIGHTS = {
+  denomination: 3,
+  sigle: 3,
+  enseigne: 2,
+  adresse: 1
+};
+
+// Qualité de la correspondance entre un mot de la requête et un mot indexé
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.6
+};
+
+const STOP_WORDS = new Set(['a', 'au', 'aux', 'd', 'de', 'des', 'du', 'en', 'et', 'l', 'la', 'le', 'les', 'sur']);
+
+export function normalizeText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function tokenize(text) {
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  const significant = tokens.filter(token => !STOP_WORDS.has(token));
+  return significant.length > 0 ? significant : tokens;
+}
+
+// Nombre de fautes tolérées selon la longueur du mot
+function allowedEdits(token) {
+  if (token.length <= 3) return 0;
+  return token.length <= 7 ? 1 : 2;
+}
+
+function deletions(term) {
+  const variants = new Set();
+  for (let index = 0; index < term.length; index++) {
+    variants.add(term.slice(0, index) + term.slice(index + 1));
+  }
+  return variants;
+}
+
+// Distance de Damerau-Levenshtein restreinte (une transposition compte pour une faute)
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function currentPeriod(periods) {
+  return Array.isArray(periods) ? periods.find(period => !period.dateFin) || periods[0] || {} : {};
+}
+
+function compact(values) {
+  return [...new Set(values.filter(value => typeof value === 'string' && value.trim() && value !== '[ND]'))];
+}
+
+function departementOf(codeCommune) {
+  if (!codeCommune) return null;
+  return codeCommune.startsWith('97') ? codeCommune.slice(0, 3) : codeCommune.slice(0, 2);
+}
+
+// Résumé indexé d'un établissement (ou d'une unité légale) SIRENE
+export function searchDocument(record) {
+  const source = record?.etablissement || (!record?.siret && record?.uniteLegale) || record;
+  if (!source || (!source.siret && !source.siren)) return null;
+
+  const enriched = enrichSireneNaf(source);
+  const uniteLegale = source.siret ? source.uniteLegale || {} : source;
+  const periodeUniteLegale = currentPeriod(uniteLegale.periodesUniteLegale);
+  const periodeEtablissement = currentPeriod(source.periodesEtablissement);
+  const adresse = source.adresseEtablissement || {};
+
+  const personne = compact([uniteLegale.prenomUsuelUniteLegale || uniteLegale.prenom1UniteLegale, uniteLegale.nomUsageUniteLegale || uniteLegale.nomUniteLegale]).join(' ');
+  const denominations = compact([
+    uniteLegale.denominationUniteLegale ?? periodeUniteLegale.denominationUniteLegale,
+    personne || periodeUniteLegale.nomUniteLegale,
+    uniteLegale.denominationUsuelle1UniteLegale ?? periodeUniteLegale.denominationUsuelle1UniteLegale,
+    uniteLegale.denominationUsuelle2UniteLegale ?? periodeUniteLegale.denominationUsuelle2UniteLegale,
+    uniteLegale.denominationUsuelle3UniteLegale ?? periodeUniteLegale.denominationUsuelle3UniteLegale
+  ]);
+  const enseignes = compact([
+    periodeEtablissement.enseigne1Etablissement,
+    periodeEtablissement.enseigne2Etablissement,
+    periodeEtablissement.enseigne3Etablissement,
+    periodeEtablissement.denominationUsuelleEtablissement
+  ]);
+  const adresseLigne = compact([
+    [adresse.numeroVoieEtablissement, adresse.indiceRepetitionEtablissement, adresse.typeVoieEtablissement, adresse.libelleVoieEtablissement].filter(Boolean).join(' '),
+    [adresse.codePostalEtablissement, adresse.libelleCommuneEtablissement].filter(Boolean).join(' ')
+  ]).join(', ');
+
+  return {
+    id: source.siret || source.siren,
+    siret: source.siret || null,
+    siren: source.siren || uniteLegale.siren || null,
+    denomination: denominations[0] || enseignes[0] || null,
+    sigle: uniteLegale.sigleUniteLegale || null,
+    enseigne: enseignes[0] || null,
+    adresse: adresseLigne || null,
+    codeCommune: adresse.codeCommuneEtablissement || null,
+    sectionNaf: enriched.sectionNaf || null,
+    departement: departementOf(adresse.codeCommuneEtablissement),
+    trancheEffectifs: source.trancheEffectifsEtablissement || uniteLegale.trancheEffectifsUniteLegale || null,
+    etatAdministratif: periodeEtablissement.etatAdministratifEtablissement || source.etatAdministratifEtablissement ||
+      periodeUniteLegale.etatAdministratifUniteLegale || uniteLegale.etatAdministratifUniteLegale || null,
+    fields: {
+      denomination: denominations.join(' '),
+      sigle: uniteLegale.sigleUniteLegale || '',
+      enseigne: enseignes.join(' '),
+      adresse: adresseLigne
+    }
+  };
+}
+
+function matchesFilters(document, filters) {
+  return Object.entries(filters).every(([facet, value]) => {
+    if (value === undefined || value === null) return true;
+    const accepted = Array.isArray(value) ? value : [value];
+    return accepted.length === 0 || accepted.includes(document[facet]);
+  });
+}
+
+function countFacets(documents) {
+  return Object.fromEntries(FACETS.map(facet => {
+    const counts = new Map();
+    for (const document of documents) {
+      const value = document[facet];
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [facet, [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : 1))];
+  }));
+}
+
+export class SireneSearchIndex {
+  constructor() {
+    this.documents = new Map();
+    // mot → (identifiant → poids du meilleur champ)
+    this.postings = new Map();
+    // mot amputé d'une lettre → mots indexés, pour retrouver les mots proches sans parcourir le vocabulaire
+    this.variants = new Map();
+    this.terms = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(records) {
+    for (const record of [].concat(records)) {
+      const document = searchDocument(record?.toObject?.() || record);
+      if (!document) continue;
+
+      this.remove(document.id);
+      const { fields, ...summary } = document;
+      const terms = new Map();
+      for (const [field, text] of Object.entries(fields)) {
+        for (const token of tokenize(text)) {
+          terms.set(token, Math.max(terms.get(token) || 0, FIELD_WEIGHTS[field]));
+        }
+      }
+
+      this.documents.set(document.id, { ...summary, key: normalizeText(summary.denomination) });
+      this.terms.set(document.id, terms);
+      for (const [term, weight] of terms) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          for (const variant of deletions(term)) {
+            if (!this.variants.has(variant)) this.variants.set(variant, new Set());
+            this.variants.get(variant).add(term);
+          }
+        }
+        this.postings.get(term).set(document.id, weight);
+      }
+    }
+    return this;
+  }
+
+  remove(id) {
+    const terms = this.terms.get(id);
+    if (!terms) return;
+
+    for (const term of terms.keys()) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        for (const variant of deletions(term)) {
+          this.variants.get(variant)?.delete(term);
+          if (this.variants.get(variant)?.size === 0) this.variants.delete(variant);
+        }
+      }
+    }
+    this.terms.delete(id);
+    this.documents.delete(id);
+  }
+
+  // Mots indexés correspondant à un mot de la requête, avec la qualité de la correspondance
+  matchTerms(token, { prefix = false, fuzzy = true } = {}) {
+    const matches = new Map();
+    if (this.postings.has(token)) matches.set(token, MATCH_QUALITY.exact);
+
+    if (prefix && token.length >= 3) {
+      for (const term of this.postings.keys()) {
+        if (term.length > token.length && term.startsWith(token)) matches.set(term, MATCH_QUALITY.prefix);
+      }
+    }
+
+    const edits = allowedEdits(token);
+    if (fuzzy && edits > 0) {
+      const candidates = new Set([...(this.variants.get(token) || []), ...deletions(token)]);
+      for (const variant of deletions(token)) {
+        for (const term of this.variants.get(variant) || []) candidates.add(term);
+      }
+      for (const term of candidates) {
+        if (matches.has(term) || !this.postings.has(term)) continue;
+        const distance = editDistance(token, term, edits);
+        if (distance <= edits) matches.set(term, MATCH_QUALITY.fuzzy - 0.15 * (distance - 1));
+      }
+    }
+    return matches;
+  }
+
+  search(text, { filters = {}, limit = 20, offset = 0, fuzzy = true } = {}) {
+    const tokens = tokenize(text);
+    let scored;
+
+    if (tokens.length === 0) {
+      scored = [...this.documents.values()].map(document => ({ document, score: 0 }));
+    } else {
+      // Chaque mot de la requête doit correspondre ; le dernier peut être le début d'un mot (saisie en cours)
+      let scores = null;
+      tokens.forEach((token, position) => {
+        const tokenScores = new Map();
+        for (const [term, quality] of this.matchTerms(token, { prefix: position === tokens.length - 1, fuzzy })) {
+          for (const [id, weight] of this.postings.get(term)) {
+            if (scores && !scores.has(id)) continue;
+            tokenScores.set(id, Math.max(tokenScores.get(id) || 0, weight * quality));
+          }
+        }
+        // Un mot rare de la requête compte plus qu'un mot présent partout
+        const idf = Math.log(1 + this.documents.size / Math.max(tokenScores.size, 1));
+        scores = new Map([...tokenScores].map(([id, score]) => [id, score * idf + (scores?.get(id) || 0)]));
+      });
+
+      const phrase = normalizeText(text);
+      scored = [...scores].map(([id, score]) => {
+        const document = this.documents.get(id);
+        // Une dénomination identique à la requête, puis une dénomination qui commence par elle, passent devant
+        const boost = document.key === phrase ? 2 : document.key.startsWith(phrase) ? 1.5 : 1;
+        return { document, score: score * boost };
+      });
+    }
+
+    const matched = scored.filter(({ document }) => matchesFilters(document, filters));
+    matched.sort((a, b) => b.score - a.score || (a.document.key < b.document.key ? -1 : a.document.key > b.document.key ? 1 : 0));
+
+    return {
+      total: matched.length,
+      hits: matched.slice(offset, offset + limit).map(({ document: { key, ...document }, score }) => ({
+        ...document,
+        score: Math.round(score * 1000) / 1000
+      })),
+      facets: countFacets(matched.map(({ document }) => document))
+    };
+  }
+}
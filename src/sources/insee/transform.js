@@ -1,4 +1,5 @@
 import logger from '../../utils/logger.js';
+import { enrichSireneNaf } from './naf.js';
 
 class DataTransformer {
   constructor(rules = []) {
@@ -159,7 +160,7 @@ export function transformInseeSirene(data) {
     }
   ]);
 
-  return transformer.transform(data);
+  return enrichSireneNaf(transformer.transform(data));
 }
 
 export function transformInseeBdm(data) {
@@ -178,4 +179,17 @@ export function transformInseeBdm(data) {
   return transformer.transform(data);
 }
 
+// Valeur communale d'un indicateur : enregistrement à plat (codeGeo, valeur)
+// ou réponse de l'API sauvegardée telle quelle (geoCode, data: [{ indicator, value }])
+export function donneesLocalesValues(records, indicatorId) {
+  return records.map(record => {
+    const doc = record?.toObject?.() || record;
+    const point = (doc.data || []).find(item => item.indicator === indicatorId) || doc.data?.[0];
+    return {
+      codeGeo: doc.codeGeo || doc.geoCode,
+      value: doc.valeur ?? point?.value ?? null
+    };
+  }).filter(value => value.codeGeo);
+}
+
 export { DataTransformer };
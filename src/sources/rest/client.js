@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { RateLimiter } from '../../utils/rateLimiter.js';
+import { RetryHandler } from '../../utils/retryHandler.js';
+import { queryJsonPath, getJsonPath } from '../../utils/jsonPath.js';
+import logger from '../../utils/logger.js';
+
+// <https://api/items?page=2>; rel="next", <https://api/items?page=9>; rel="last"
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+  return links;
+}
+
+class GenericRestClient {
+  constructor(config) {
+    this.config = config;
+    this.baseUrl = config.baseUrl;
+    this.rateLimiter = new RateLimiter(config.rateLimit || {});
+    this.retryHandler = new RetryHandler(config.retry || {});
+    this.authParams = {};
+
+    const headers = { Accept: 'application/json', ...config.headers };
+    const auth = config.authentication || { type: 'none' };
+    let basicAuth;
+
+    switch (auth.type) {
+      case 'bearer':
+        headers.Authorization = `Bearer ${auth.token}`;
+        break;
+      case 'basic':
+        basicAuth = { username: auth.username, password: auth.password };
+        break;
+      case 'apiKey':
+        if (auth.in === 'query') {
+          this.authParams[auth.name] = auth.key;
+        } else {
+          headers[auth.name || 'X-API-Key'] = auth.key;
+        }
+        break;
+      default:
+        break;
+    }
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers,
+      auth: basicAuth,
+      timeout: config.timeout?.request || 30000
+    });
+  }
+
+  async request(url, params = {}) {
+    await this.rateLimiter.checkLimit();
+
+    return this.retryHandler.execute(async () => {
+      const response = await this.client.get(url, { params: { ...params, ...this.authParams } });
+      return { data: response.data, headers: response.headers };
+    });
+  }
+
+  extractRecords(data, recordPath) {
+    const matches = queryJsonPath(data, recordPath);
+    if (matches.length === 1 && Array.isArray(matches[0])) {
+      return matches[0];
+    }
+    return matches.filter(match => match !== null && match !== undefined);
+  }
+
+  // Parcourt les pages d'un endpoint et les restitue au fil de l'eau
+  async *paginate(endpoint, params = {}) {
+    const pagination = endpoint.pagination || { type: 'none' };
+    const { size, maxPages = Infinity } = pagination;
+
+    let url = endpoint.path;
+    let query = { ...endpoint.params, ...params };
+    let page = pagination.startPage ?? 1;
+    let offset = 0;
+    let cursor = pagination.initialCursor;
+
+    for (let pageCount = 0; pageCount < maxPages; pageCount++) {
+      const pageParams = { ...query };
+
+      switch (pagination.type) {
+        case 'page':
+          pageParams[pagination.pageParam || 'page'] = page;
+          if (size) pageParams[pagination.sizeParam || 'size'] = size;
+          break;
+        case 'offset':
+          pageParams[pagination.offsetParam || 'offset'] = offset;
+          if (size) pageParams[pagination.limitParam || 'limit'] = size;
+          break;
+        case 'cursor':
+          if (cursor !== undefined) pageParams[pagination.cursorParam || 'cursor'] = cursor;
+          if (size) pageParams[pagination.sizeParam || 'size'] = size;
+          break;
+        case 'link':
+          if (size && pageCount === 0) pageParams[pagination.sizeParam || 'size'] = size;
+          break;
+        default:
+          break;
+      }
+
+      const { data, headers } = await this.request(url, pageParams);
+      const records = this.extractRecords(data, endpoint.recordPath);
+
+      logger.debug(`Page ${pageCount + 1} récupérée pour ${endpoint.path}`, { count: records.length });
+
+      if (records.length === 0) {
+        return;
+      }
+      yield records;
+
+      switch (pagination.type) {
+        case 'page':
+          if (size && records.length < size) return;
+          page++;
+          break;
+        case 'offset':
+          if (size && records.length < size) return;
+          offset += records.length;
+          break;
+        case 'cursor': {
+          const next = getJsonPath(data, pagination.cursorPath);
+          if (next === undefined || next === null || next === cursor) return;
+          cursor = next;
+          break;
+        }
+        case 'link': {
+          // L'URL suivante porte déjà tous les paramètres de la requête
+          const next = pagination.nextPath
+            ? getJsonPath(data, pagination.nextPath)
+            : parseLinkHeader(headers.link).next;
+          if (!next) return;
+          url = next;
+          query = {};
+          break;
+        }
+        default:
+          return;
+      }
+    }
+  }
+}
+
+export { GenericRestClient, parseLinkHeader };
@@ -0,0 +1,143 @@
+import Joi from 'joi';
+import { GenericRestClient } from './client.js';
+import { DataTransformer } from '../insee/transform.js';
+import { buildDatasetConfig } from '../datasetConfig.js';
+import logger from '../../utils/logger.js';
+
+const paginationSchema = Joi.object({
+  type: Joi.string().valid('none', 'page', 'offset', 'cursor', 'link').required(),
+  size: Joi.number().integer().positive(),
+  maxPages: Joi.number().integer().positive(),
+  startPage: Joi.number().integer().min(0),
+  pageParam: Joi.string(),
+  sizeParam: Joi.string(),
+  offsetParam: Joi.string(),
+  limitParam: Joi.string(),
+  cursorParam: Joi.string(),
+  cursorPath: Joi.string().when('type', { is: 'cursor', then: Joi.required() }),
+  initialCursor: Joi.any(),
+  nextPath: Joi.string()
+});
+
+const endpointSchema = Joi.object({
+  path: Joi.string().required(),
+  params: Joi.object(),
+  recordPath: Joi.string().default('$'),
+  pagination: paginationSchema
+});
+
+class GenericRestConnector {
+  static type = 'rest';
+  static description = 'API REST JSON générique décrite par connection.json';
+  static capabilities = ['harvest', 'query', 'update', 'delete'];
+  static configSchema = Joi.object({
+    connector: Joi.string().valid('rest'),
+    baseUrl: Joi.string().uri().required(),
+    authentication: Joi.object({
+      type: Joi.string().valid('none', 'bearer', 'basic', 'apiKey').required(),
+      token: Joi.string().when('type', { is: 'bearer', then: Joi.required() }),
+      username: Joi.string().when('type', { is: 'basic', then: Joi.required() }),
+      password: Joi.string().when('type', { is: 'basic', then: Joi.required() }),
+      key: Joi.string().when('type', { is: 'apiKey', then: Joi.required() }),
+      name: Joi.string(),
+      in: Joi.string().valid('header', 'query')
+    }),
+    endpoints: Joi.object().pattern(Joi.string(), endpointSchema).min(1).required()
+  }).unknown(true);
+
+  constructor(sourceConfig, persistenceManager) {
+    this.sourceConfig = sourceConfig;
+    this.persistenceManager = persistenceManager;
+    this.client = new GenericRestClient(sourceConfig.connection);
+    this.transformer = new DataTransformer();
+    this.endpoints = sourceConfig.connection.endpoints || {};
+  }
+
+  getEndpoint(dataset) {
+    const endpoint = this.endpoints[dataset];
+    if (!endpoint) {
+      throw new Error(`Endpoint non configuré pour ${this.sourceConfig.name}: ${dataset}`);
+    }
+    return endpoint;
+  }
+
+  getDatasetConfig(dataset = Object.keys(this.endpoints)[0]) {
+    this.getEndpoint(dataset);
+    return buildDatasetConfig(this.sourceConfig, dataset);
+  }
+
+  async harvest(params = {}) {
+    try {
+      logger.info(`Début de la récolte pour ${this.sourceConfig.name}`, { params });
+
+      const datasets = params.dataset ? [params.dataset] : Object.keys(this.endpoints);
+      const counts = {};
+
+      for (const dataset of datasets) {
+        counts[dataset] = await this.harvestDataset(dataset, params);
+      }
+
+      return {
+        source: this.sourceConfig.name,
+        timestamp: new Date().toISOString(),
+        dataCount: Object.values(counts).reduce((total, count) => total + count, 0),
+        datasets: counts,
+        success: true
+      };
+    } catch (error) {
+      logger.error(`Erreur lors de la récolte pour ${this.sourceConfig.name}`, error);
+      throw error;
+    }
+  }
+
+  async harvestDataset(dataset, params = {}) {
+    const endpoint = this.getEndpoint(dataset);
+    const datasetConfig = this.getDatasetConfig(dataset);
+    const rules = this.sourceConfig.transform?.[dataset]?.rules;
+    let count = 0;
+
+    // Chaque page est sauvegardée dès sa réception
+    for await (let records of this.client.paginate(endpoint, params.query)) {
+      if (params.limit) {
+        records = records.slice(0, params.limit - count);
+      }
+
+      if (this.sourceConfig.transform?.enabled && rules) {
+        records = this.transformer.transform(records, rules);
+      }
+
+      await this.persistenceManager.save(datasetConfig, records);
+      count += records.length;
+
+      if (params.limit && count >= params.limit) {
+        break;
+      }
+    }
+
+    logger.info(`Données ${dataset} sauvegardées pour ${this.sourceConfig.name}`, { count });
+    return count;
+  }
+
+  async getData(query = {}, options = {}) {
+    const { dataset, ...filter } = query;
+    return await this.persistenceManager.find(this.getDatasetConfig(dataset), filter, options);
+  }
+
+  async getDataById(id) {
+    const datasetConfig = this.getDatasetConfig();
+    const primaryKey = datasetConfig.persistence.primaryKey || '_id';
+    return await this.persistenceManager.findOne(datasetConfig, { [primaryKey]: id });
+  }
+
+  async updateData(query, update) {
+    const { dataset, ...filter } = query;
+    return await this.persistenceManager.update(this.getDatasetConfig(dataset), filter, update);
+  }
+
+  async deleteData(query) {
+    const { dataset, ...filter } = query;
+    return await this.persistenceManager.delete(this.getDatasetConfig(dataset), filter);
+  }
+}
+
+export { GenericRestConnector };
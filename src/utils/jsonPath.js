@@ -0,0 +1,44 @@
+// Sous-ensemble de JSONPath suffisant pour les réponses d'API :
+// $.a.b, $.a[0], $.a[*].b, $['clé-avec-tirets']
+const TOKEN_PATTERN = /\.\*|\[\*\]|\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+
+function tokenize(path) {
+  const expression = path.startsWith('$') ? path.slice(1) : `.${path}`;
+  const tokens = [];
+  let consumed = 0;
+
+  for (const match of expression.matchAll(TOKEN_PATTERN)) {
+    if (match.index !== consumed) {
+      break;
+    }
+    tokens.push(match[1] ?? match[2] ?? match[3] ?? '*');
+    consumed += match[0].length;
+  }
+
+  if (consumed !== expression.length) {
+    throw new Error(`Expression JSONPath non supportée: ${path}`);
+  }
+
+  return tokens;
+}
+
+export function queryJsonPath(data, path) {
+  if (!path || path === '$') {
+    return [data];
+  }
+
+  let nodes = [data];
+  for (const token of tokenize(path)) {
+    nodes = nodes.flatMap(node => {
+      if (node === null || typeof node !== 'object') return [];
+      if (token === '*') return Array.isArray(node) ? node : Object.values(node);
+      return node[token] === undefined ? [] : [node[token]];
+    });
+  }
+
+  return nodes;
+}
+
+export function getJsonPath(data, path) {
+  return queryJsonPath(data, path)[0];
+}
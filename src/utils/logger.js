@@ -24,5 +24,6 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+export { logger };
 export default logger;
 
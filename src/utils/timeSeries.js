@@ -0,0 +1,205 @@
+// Calculs sur séries temporelles à périodes SDMX : 2024 (A), 2024-S1 (S), 2024-Q1 (Q), 2024-03 (M)
+
+const PERIODS_PER_YEAR = { A: 1, S: 2, Q: 4, M: 12 };
+const PERIOD_PATTERNS = [
+  [/^(\d{4})$/, 'A'],
+  [/^(\d{4})-S([12])$/, 'S'],
+  [/^(\d{4})-[QT]([1-4])$/, 'Q'],
+  [/^(\d{4})-(\d{2})$/, 'M']
+];
+
+export const AGGREGATIONS = ['sum', 'mean', 'first', 'last'];
+
+export function parsePeriod(period) {
+  for (const [pattern, frequency] of PERIOD_PATTERNS) {
+    const match = pattern.exec(period);
+    if (match) {
+      const index = match[2] ? Number(match[2]) - 1 : 0;
+      return { frequency, year: Number(match[1]), index };
+    }
+  }
+  throw new Error(`Période non supportée: ${period}`);
+}
+
+export function formatPeriod({ frequency, year, index }) {
+  switch (frequency) {
+    case 'A': return `${year}`;
+    case 'S': return `${year}-S${index + 1}`;
+    case 'Q': return `${year}-Q${index + 1}`;
+    default: return `${year}-${String(index + 1).padStart(2, '0')}`;
+  }
+}
+
+// Rang de la période depuis l'an 0, pour retrouver la période n rangs plus tôt malgré les trous
+function ordinal({ frequency, year, index }) {
+  return year * PERIODS_PER_YEAR[frequency] + index;
+}
+
+function frequencyOf(points) {
+  const frequencies = new Set(points.map(point => parsePeriod(point.date).frequency));
+  if (frequencies.size > 1) {
+    throw new Error(`Série à fréquences multiples: ${[...frequencies].join(', ')}`);
+  }
+  return [...frequencies][0];
+}
+
+function round(value) {
+  return value === null || !Number.isFinite(value) ? null : Math.round(value * 1e6) / 1e6;
+}
+
+const aggregate = {
+  sum: values => values.reduce((total, value) => total + value, 0),
+  mean: values => values.reduce((total, value) => total + value, 0) / values.length,
+  first: values => values[0],
+  last: values => values[values.length - 1]
+};
+
+// Vers une fréquence plus basse seulement ; les périodes incomplètes sont écartées
+// pour ne pas comparer une somme de deux mois à une somme de trois
+export function convertFrequency(points, target, aggregation = 'mean') {
+  const source = frequencyOf(points);
+  if (!PERIODS_PER_YEAR[target]) {
+    throw new Error(`Fréquence inconnue: ${target}`);
+  }
+  if (!aggregate[aggregation]) {
+    throw new Error(`Agrégation inconnue: ${aggregation} (${AGGREGATIONS.join(', ')})`);
+  }
+  if (!source || source === target) return points;
+
+  const ratio = PERIODS_PER_YEAR[source] / PERIODS_PER_YEAR[target];
+  if (!Number.isInteger(ratio) || ratio < 1) {
+    throw new Error(`Conversion impossible de la fréquence ${source} vers ${target}`);
+  }
+
+  const groups = new Map();
+  for (const point of points) {
+    const { year, index } = parsePeriod(point.date);
+    const period = formatPeriod({ frequency: target, year, index: Math.floor(index / ratio) });
+    groups.set(period, [...(groups.get(period) || []), point]);
+  }
+
+  return [...groups.entries()]
+    .filter(([, group]) => group.length === ratio)
+    .map(([date, group]) => {
+      const sorted = [...group].sort((a, b) => (a.date < b.date ? -1 : 1));
+      const values = sorted.map(point => point.value);
+      return { date, value: values.includes(null) ? null : round(aggregate[aggregation](values)) };
+    })
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+// Indice base 100 : la moyenne des valeurs de la période de base (« 2015 » couvre toute l'année)
+export function rebase(points, basePeriod) {
+  const base = parsePeriod(basePeriod);
+  const values = points
+    .filter(point => {
+      const period = parsePeriod(point.date);
+      return base.frequency === 'A' ? period.year === base.year : point.date === formatPeriod(base);
+    })
+    .map(point => point.value)
+    .filter(value => value !== null);
+
+  if (values.length === 0) {
+    throw new Error(`Aucune observation pour la période de base ${basePeriod}`);
+  }
+
+  const reference = aggregate.mean(values);
+  if (reference === 0) {
+    throw new Error(`Valeur nulle pour la période de base ${basePeriod}`);
+  }
+  return points.map(point => ({ ...point, value: point.value === null ? null : round(point.value / reference * 100) }));
+}
+
+// Moyenne des `window` dernières périodes, null tant que la fenêtre n'est pas complète
+export function rollingMean(points, window) {
+  if (!Number.isInteger(window) || window < 1) {
+    throw new Error(`Fenêtre de moyenne mobile invalide: ${window}`);
+  }
+
+  const byOrdinal = new Map(points.map(point => [ordinal(parsePeriod(point.date)), point.value]));
+  return points.map(point => {
+    const current = ordinal(parsePeriod(point.date));
+    const values = Array.from({ length: window }, (_, offset) => byOrdinal.get(current - offset));
+    const complete = values.every(value => value !== undefined && value !== null);
+    return { ...point, value: complete ? round(aggregate.mean(values)) : null };
+  });
+}
+
+// Évolution en % par rapport à la période précédente ou à la même période de l'année précédente
+export function growth(points, basis = 'period') {
+  if (!['period', 'year'].includes(basis)) {
+    throw new Error(`Base d'évolution inconnue: ${basis}`);
+  }
+
+  const byOrdinal = new Map(points.map(point => [ordinal(parsePeriod(point.date)), point.value]));
+  return points.map(point => {
+    const period = parsePeriod(point.date);
+    const lag = basis === 'year' ? PERIODS_PER_YEAR[period.frequency] : 1;
+    const previous = byOrdinal.get(ordinal(period) - lag);
+    const value = previous && point.value !== null ? round((point.value / previous - 1) * 100) : null;
+    return { ...point, value };
+  });
+}
+
+// Enchaînement dans un ordre fixe : fréquence, rebasage, moyenne mobile puis évolution
+export function transformSeries(points, transform = {}) {
+  let result = points.map(({ date, value, status }) => ({ date, value: value ?? null, ...(status && { status }) }));
+
+  if (transform.frequency) {
+    result = convertFrequency(result, transform.frequency, transform.aggregation);
+  }
+  if (transform.rebase) {
+    result = rebase(result, transform.rebase);
+  }
+  if (transform.rollingWindow) {
+    result = rollingMean(result, transform.rollingWindow);
+  }
+  if (transform.growth) {
+    result = growth(result, transform.growth);
+  }
+  return result;
+}
+
+// Premier et dernier mois couverts par une période, ou par une date AAAA-MM-JJ
+function monthRange(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return [value.slice(0, 7), value.slice(0, 7)];
+  }
+
+  const { frequency, year, index } = parsePeriod(value);
+  const length = 12 / PERIODS_PER_YEAR[frequency];
+  const month = offset => `${year}-${String(index * length + offset + 1).padStart(2, '0')}`;
+  return [month(0), month(length - 1)];
+}
+
+// Une période est retenue si elle recoupe l'intervalle, quelle que soit sa fréquence (2024 recoupe 2024-06)
+export function filterPeriods(points, { startDate, endDate } = {}) {
+  const start = startDate && monthRange(startDate)[0];
+  const end = endDate && monthRange(endDate)[1];
+
+  return points.filter(point => {
+    const [first, last] = monthRange(point.date);
+    return (!start || last >= start) && (!end || first <= end);
+  });
+}
+
+// Calendrier commun : sans fréquence imposée, les séries sont ramenées à la plus basse d'entre elles
+export function alignSeries(seriesList, { frequency, aggregation = 'mean', join = 'inner' } = {}) {
+  const target = frequency || seriesList
+    .map(({ points }) => frequencyOf(points))
+    .filter(Boolean)
+    .sort((a, b) => PERIODS_PER_YEAR[a] - PERIODS_PER_YEAR[b])[0];
+
+  const converted = seriesList.map(({ points }) => new Map(
+    (target ? convertFrequency(points, target, aggregation) : points).map(point => [point.date, point.value])
+  ));
+
+  const periods = [...new Set(converted.flatMap(values => [...values.keys()]))]
+    .filter(period => join === 'outer' || converted.every(values => values.has(period)))
+    .sort();
+
+  return {
+    frequency: target || null,
+    rows: periods.map(date => ({ date, values: converted.map(values => values.get(date) ?? null) }))
+  };
+}
@@ -0,0 +1,321 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import nock from 'nock';
+import AdmZip from 'adm-zip';
+import { AssembleeClient } from '../src/sources/assemblee/client.js';
+import { AssembleeConnector } from '../src/sources/assemblee/index.js';
+import { transformDeputes, transformScrutins, transformAmendements } from '../src/sources/assemblee/transform.js';
+
+describe('Assemblée nationale Connector', () => {
+  let connector;
+  let mockPersistenceManager;
+
+  const mockSourceConfig = {
+    id: 'assemblee',
+    name: 'assemblee',
+    type: 'assemblee',
+    connection: {
+      baseUrl: 'https://data.assemblee-nationale.fr',
+      rateLimit: {
+        requestsPerMinute: 30
+      },
+      dumps: {
+        deputes: '/deputes.json.zip',
+        scrutins: '/scrutins.json'
+      }
+    },
+    persistence: {
+      strategies: { primary: 'mongodb' },
+      collections: {
+        deputes: { name: 'assemblee_deputes' },
+        scrutins: { name: 'assemblee_scrutins' }
+      }
+    },
+    transform: {
+      enabled: true,
+      scrutins: {
+        rules: [
+          { field: 'dateScrutin', type: 'date', format: 'YYYY-MM-DD' }
+        ]
+      }
+    }
+  };
+
+  const acteur = {
+    acteur: {
+      uid: { '#text': 'PA1008' },
+      etatCivil: {
+        ident: { civ: 'Mme', prenom: 'Marie', nom: 'Dupont' },
+        infoNaissance: { dateNais: '1975-03-12' }
+      },
+      profession: { libelleCourant: 'Enseignante' },
+      mandats: {
+        mandat: [
+          {
+            uid: 'PM1',
+            typeOrgane: 'ASSEMBLEE',
+            legislature: '17',
+            dateDebut: '2024-07-18',
+            dateFin: null,
+            election: {
+              lieu: { region: 'Bretagne', departement: 'Finistère', numDepartement: '29', numCirco: '3' }
+            }
+          },
+          {
+            uid: 'PM2',
+            typeOrgane: 'GP',
+            dateFin: { '@xsi:nil': 'true' },
+            organes: { organeRef: 'PO800490' }
+          }
+        ]
+      }
+    }
+  };
+
+  const organe = {
+    organe: { uid: 'PO800490', codeType: 'GP', libelle: 'Groupe Écologiste', libelleAbrege: 'ECO' }
+  };
+
+  const scrutins = {
+    scrutins: {
+      scrutin: {
+        uid: 'VTANR5L17V42',
+        numero: '42',
+        legislature: '17',
+        dateScrutin: '2024-10-15',
+        titre: 'l\'ensemble du projet de loi',
+        sort: { code: 'adopté' },
+        typeVote: { libelleTypeVote: 'scrutin public ordinaire', typeMajorite: 'majorité absolue des suffrages exprimés' },
+        syntheseVote: {
+          nombreVotants: '3',
+          suffragesExprimes: '2',
+          decompte: { pour: '2', contre: '0', abstentions: '1', nonVotants: '0' }
+        },
+        ventilationVotes: {
+          organe: {
+            groupes: {
+              groupe: {
+                organeRef: 'PO800490',
+                nombreMembresGroupe: '38',
+                vote: {
+                  positionMajoritaire: 'pour',
+                  decompteVoix: { pour: '2', contre: '0', abstentions: '1' },
+                  decompteNominatif: {
+                    pours: { votant: [{ acteurRef: 'PA1008', mandatRef: 'PM1' }, { acteurRef: 'PA1009', mandatRef: 'PM3' }] },
+                    contres: null,
+                    abstentions: { votant: { acteurRef: 'PA1010', mandatRef: 'PM4', parDelegation: 'true' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+
+  function zipOf(files) {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files)) {
+      zip.addFile(name, Buffer.from(JSON.stringify(content)));
+    }
+    return zip.toBuffer();
+  }
+
+  beforeEach(() => {
+    // Mock du gestionnaire de persistance
+    mockPersistenceManager = {
+      save: sinon.stub().resolves({ insertedCount: 1 }),
+      find: sinon.stub().resolves([]),
+      findOne: sinon.stub().resolves(null),
+      update: sinon.stub().resolves({ modifiedCount: 1 }),
+      delete: sinon.stub().resolves({ deletedCount: 1 })
+    };
+
+    connector = new AssembleeConnector(mockSourceConfig, mockPersistenceManager);
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+  });
+
+  describe('AssembleeClient', () => {
+    it('devrait décompresser un dump zip en un document par fichier JSON', () => {
+      const client = new AssembleeClient(mockSourceConfig.connection);
+      const documents = [...client.parseDump(zipOf({
+        'json/acteur/PA1008.json': acteur,
+        'json/organe/PO800490.json': organe,
+        'README.txt': 'ignoré'
+      }))];
+
+      expect(documents).to.have.length(2);
+    });
+
+    it('devrait lever une erreur pour un jeu de données sans dump configuré', async () => {
+      const client = new AssembleeClient(mockSourceConfig.connection);
+
+      try {
+        await client.getDump('amendements');
+        expect.fail('Devrait avoir levé une erreur');
+      } catch (error) {
+        expect(error.message).to.include('amendements');
+      }
+    });
+  });
+
+  describe('Normalisation', () => {
+    it('devrait normaliser un député avec son groupe politique', () => {
+      const [depute] = transformDeputes([acteur, organe]);
+
+      expect(depute).to.include({
+        uid: 'PA1008',
+        nom: 'Dupont',
+        legislature: 17,
+        numDepartement: '29',
+        numCirconscription: '3',
+        actif: true
+      });
+      expect(depute.groupe).to.deep.equal({ uid: 'PO800490', libelle: 'Groupe Écologiste', libelleAbrege: 'ECO' });
+    });
+
+    it('devrait normaliser un scrutin et ses votes nominatifs', () => {
+      const [scrutin] = transformScrutins([scrutins]);
+
+      expect(scrutin).to.include({ uid: 'VTANR5L17V42', numero: 42, sort: 'adopté', pour: 2, abstentions: 1 });
+      expect(scrutin.groupes[0].positionMajoritaire).to.equal('pour');
+      expect(scrutin.votes).to.have.length(3);
+      expect(scrutin.votes[2]).to.deep.equal({
+        acteurRef: 'PA1010',
+        mandatRef: 'PM4',
+        groupeRef: 'PO800490',
+        position: 'abstention',
+        parDelegation: true
+      });
+    });
+
+    it('devrait normaliser un amendement', () => {
+      const [amendement] = transformAmendements([{
+        amendement: {
+          uid: 'AMANR5L17PO59048B0324P0D1N000012',
+          legislature: '17',
+          identification: { numeroLong: '12', numeroOrdreDepot: '12' },
+          texteLegislatifRef: 'PRJLANR5L17B0324',
+          signataires: {
+            auteur: { typeAuteur: 'Député', acteurRef: 'PA1008', groupePolitiqueRef: 'PO800490' },
+            cosignataires: { acteurRef: ['PA1009', 'PA1010'] }
+          },
+          corps: { contenuAuteur: { dispositif: '<p>Supprimer cet article.</p>' } },
+          cycleDeVie: { dateDepot: '2024-10-10', etatDesTraitements: { etat: { libelle: 'Discuté' } }, sort: 'Rejeté' }
+        }
+      }]);
+
+      expect(amendement).to.include({ numero: '12', auteurRef: 'PA1008', etat: 'Discuté', sort: 'Rejeté' });
+      expect(amendement.cosignataires).to.deep.equal(['PA1009', 'PA1010']);
+    });
+  });
+
+  describe('AssembleeConnector', () => {
+    it('devrait récolter tous les jeux de données configurés', async () => {
+      nock('https://data.assemblee-nationale.fr')
+        .get('/deputes.json.zip')
+        .reply(200, zipOf({ 'acteur/PA1008.json': acteur, 'organe/PO800490.json': organe }));
+      nock('https://data.assemblee-nationale.fr')
+        .get('/scrutins.json')
+        .reply(200, JSON.stringify(scrutins));
+
+      const result = await connector.harvest();
+
+      expect(result.success).to.be.true;
+      expect(result.dataCount).to.equal(2);
+      expect(result.datasets).to.deep.equal({ deputes: 1, scrutins: 1 });
+      expect(mockPersistenceManager.save.calledTwice).to.be.true;
+
+      const [deputesConfig] = mockPersistenceManager.save.firstCall.args;
+      expect(deputesConfig.persistence).to.include({ strategy: 'mongodb', collection: 'assemblee_deputes' });
+    });
+
+    it('devrait récolter un seul jeu de données', async () => {
+      nock('https://data.assemblee-nationale.fr')
+        .get('/scrutins.json')
+        .reply(200, JSON.stringify(scrutins));
+
+      const result = await connector.harvest({ dataset: 'scrutins' });
+
+      expect(result.datasets).to.deep.equal({ scrutins: 1 });
+      const [config, data] = mockPersistenceManager.save.firstCall.args;
+      expect(config.persistence.collection).to.equal('assemblee_scrutins');
+      expect(data[0].dateScrutin).to.equal('2024-10-15');
+    });
+
+    it('devrait sauvegarder chaque lot au fil de la lecture de l\'archive', async () => {
+      const amendement = uid => ({ amendement: { uid, legislature: '17', identification: { numeroLong: uid.slice(-2) } } });
+      const files = Object.fromEntries(['AM01', 'AM02', 'AM03', 'AM04', 'AM05', 'AM06'].map(uid => [`amendement/${uid}.json`, amendement(uid)]));
+      nock('https://data.assemblee-nationale.fr')
+        .get('/amendements.json.zip')
+        .reply(200, zipOf(files));
+
+      connector = new AssembleeConnector({
+        ...mockSourceConfig,
+        connection: { ...mockSourceConfig.connection, batchSize: 2, dumps: { amendements: '/amendements.json.zip' } },
+        persistence: { ...mockSourceConfig.persistence, collections: { amendements: { name: 'assemblee_amendements' } } }
+      }, mockPersistenceManager);
+
+      let read = 0;
+      const parseDump = connector.client.parseDump.bind(connector.client);
+      sinon.stub(connector.client, 'parseDump').callsFake(function* (buffer) {
+        for (const document of parseDump(buffer)) {
+          read++;
+          yield document;
+        }
+      });
+      const readAtSave = [];
+      mockPersistenceManager.save.callsFake(async () => {
+        readAtSave.push(read);
+        return { insertedCount: 2 };
+      });
+
+      const result = await connector.harvest({ dataset: 'amendements', limit: 5 });
+
+      expect(result.datasets).to.deep.equal({ amendements: 5 });
+      expect(readAtSave).to.deep.equal([2, 4, 5]);
+      expect(mockPersistenceManager.save.thirdCall.args[1].map(record => record.uid)).to.deep.equal(['AM05']);
+    });
+
+    it('devrait rattacher le groupe politique publié après l\'acteur dans l\'archive', async () => {
+      nock('https://data.assemblee-nationale.fr')
+        .get('/deputes.json.zip')
+        .reply(200, zipOf({ 'acteur/PA1008.json': acteur, 'organe/PO800490.json': organe }));
+
+      await connector.harvest({ dataset: 'deputes' });
+
+      const [, [depute]] = mockPersistenceManager.save.firstCall.args;
+      expect(depute.groupe).to.include({ uid: 'PO800490', libelleAbrege: 'ECO' });
+    });
+
+    it('devrait rejeter un jeu de données inconnu', async () => {
+      try {
+        await connector.harvest({ dataset: 'questions' });
+        expect.fail('Devrait avoir levé une erreur');
+      } catch (error) {
+        expect(error.message).to.include('questions');
+      }
+    });
+
+    it('devrait retrouver la collection à partir de l\'identifiant', async () => {
+      await connector.getDataById('VTANR5L17V42');
+
+      const [config, query] = mockPersistenceManager.findOne.firstCall.args;
+      expect(config.persistence.collection).to.equal('assemblee_scrutins');
+      expect(query).to.deep.equal({ uid: 'VTANR5L17V42' });
+    });
+
+    it('devrait interroger la collection du jeu de données demandé', async () => {
+      await connector.getData({ dataset: 'scrutins', sort: 'adopté' });
+
+      const [config, query] = mockPersistenceManager.find.firstCall.args;
+      expect(config.persistence.collection).to.equal('assemblee_scrutins');
+      expect(query).to.deep.equal({ sort: 'adopté' });
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Joi from 'joi';
+import { BackfillManager, splitRange } from '../src/harvest/BackfillManager.js';
+import { SourceManager } from '../src/sources/index.js';
+import { parseQuery, matchesQuery, applyQueryOptions } from '../src/persistence/query.js';
+
+// Collection harvest_backfills en mémoire
+class FakeBackfillStore {
+  constructor() {
+    this.documents = [];
+  }
+
+  async find(storeConfig, filter, options = {}) {
+    const query = parseQuery(filter, options);
+    return applyQueryOptions(this.documents.filter(document => matchesQuery(document, query)), query)
+      .map(document => structuredClone(document));
+  }
+
+  async findOne(storeConfig, filter) {
+    const [document] = await this.find(storeConfig, filter, { limit: 1 });
+    return document || null;
+  }
+
+  async save(storeConfig, document) {
+    this.documents.push(structuredClone(document));
+  }
+
+  async update(storeConfig, filter, { $set }) {
+    const document = this.documents.find(existing => existing.backfillId === filter.backfillId);
+    Object.assign(document, structuredClone($set));
+  }
+}
+
+describe('Backfill', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('splitRange', () => {
+    it('should align month chunks on calendar boundaries', () => {
+      expect(splitRange('2024-01-15', '2024-03-10', 'month')).to.deep.equal([
+        { from: '2024-01-15', to: '2024-01-31' },
+        { from: '2024-02-01', to: '2024-02-29' },
+        { from: '2024-03-01', to: '2024-03-10' }
+      ]);
+    });
+
+    it('should split by year and quarter', () => {
+      expect(splitRange('2020-01-01', '2022-06-30', 'year').map(range => range.to))
+        .to.deep.equal(['2020-12-31', '2021-12-31', '2022-06-30']);
+      expect(splitRange('2023-02-01', '2023-07-31', 'quarter').map(range => range.from))
+        .to.deep.equal(['2023-02-01', '2023-05-01']);
+    });
+  });
+
+  describe('BackfillManager', () => {
+    let store;
+    let sourceManager;
+    let manager;
+
+    beforeEach(() => {
+      store = new FakeBackfillStore();
+      sourceManager = {
+        persistenceManager: store,
+        harvestSourceById: sinon.stub().callsFake(async (sourceId, params) => ({
+          runId: `run-${params.seriesId || ''}${params.startDate}`,
+          result: { dataCount: 10 }
+        }))
+      };
+      manager = new BackfillManager(sourceManager, { chunkDelayMs: 0, retry: { maxAttempts: 2, baseDelay: 1 } });
+    });
+
+    it('should plan every series over the whole range before the next one', () => {
+      const chunks = manager.plan({ from: '2022-01-01', to: '2023-12-31', chunk: 'year', seriesIds: ['A', 'B'] });
+
+      expect(chunks.map(chunk => `${chunk.seriesId}:${chunk.from}`))
+        .to.deep.equal(['A:2022-01-01', 'A:2023-01-01', 'B:2022-01-01', 'B:2023-01-01']);
+      expect(chunks.every(chunk => chunk.status === 'pending')).to.be.true;
+    });
+
+    it('should reject an invalid range', async () => {
+      try {
+        await manager.start({ sourceId: 'insee', from: '2024-02-01', to: '2024-01-01' });
+        expect.fail('Devrait avoir levé une erreur');
+      } catch (error) {
+        expect(error.message).to.include('after');
+      }
+    });
+
+    it('should harvest chunks sequentially and checkpoint each one', async () => {
+      const backfill = await manager.start({
+        sourceId: 'insee',
+        dataset: 'bdm',
+        from: '2022-01-01',
+        to: '2023-12-31',
+        chunk: 'year',
+        seriesIds: ['001763852']
+      });
+      const checkpoint = sinon.spy(manager, 'checkpoint');
+
+      const result = await manager.run(backfill);
+
+      expect(result.status).to.equal('completed');
+      expect(result).to.include({ completedChunks: 2, totalChunks: 2, progress: 1, dataCount: 20 });
+      expect(sourceManager.harvestSourceById.firstCall.args).to.deep.equal(['insee', {
+        dataset: 'bdm',
+        seriesId: '001763852',
+        startDate: '2022-01-01',
+        endDate: '2022-12-31',
+        backfill: true,
+        trigger: 'cli'
+      }]);
+      // Un point de contrôle au démarrage, un par tranche et un à la fin
+      expect(checkpoint.callCount).to.equal(4);
+
+      const stored = await manager.get(backfill.backfillId);
+      expect(stored.status).to.equal('completed');
+      expect(stored.chunks.map(chunk => chunk.runId)).to.deep.equal(['run-0017638522022-01-01', 'run-0017638522023-01-01']);
+    });
+
+    it('should stop on a failed chunk and resume from it', async () => {
+      const options = { sourceId: 'insee', dataset: 'sirene', from: '2024-01-01', to: '2024-03-31' };
+      const harvest = sourceManager.harvestSourceById;
+      harvest.onCall(1).rejects(new Error('HTTP 503'));
+      harvest.onCall(2).rejects(new Error('HTTP 503'));
+
+      const failed = await manager.run(await manager.start(options));
+
+      expect(failed.status).to.equal('failed');
+      expect(failed.error).to.equal('Chunk 2024-02-01..2024-02-29: HTTP 503');
+      expect(failed).to.include({ completedChunks: 1, failedChunks: 1 });
+      expect(failed.chunks[1].attempts).to.equal(2);
+      expect(failed.chunks[2].status).to.equal('pending');
+
+      // La même commande reprend la reprise inachevée au lieu d'en créer une autre
+      const resumed = await manager.start(options);
+      expect(resumed.backfillId).to.equal(failed.backfillId);
+
+      const completed = await manager.run(resumed);
+
+      expect(completed.status).to.equal('completed');
+      expect(harvest.args.slice(3).map(([, params]) => params.startDate))
+        .to.deep.equal(['2024-02-01', '2024-03-01']);
+      expect(store.documents).to.have.lengthOf(1);
+    });
+  });
+
+  describe('SourceManager', () => {
+    class RangeConnector {
+      static type = 'range';
+      static capabilities = ['harvest'];
+      static configSchema = Joi.object();
+
+      async harvest(params) { return RangeConnector.harvest(params); }
+      async getData() {}
+      async getDataById() {}
+      async updateData() {}
+      async deleteData() {}
+    }
+
+    let manager;
+
+    beforeEach(() => {
+      RangeConnector.harvest = sinon.stub().resolves({
+        success: true,
+        dataCount: 3,
+        watermark: { series: { '001763852': '2010-12' } }
+      });
+      manager = new SourceManager();
+      manager.registry.register(RangeConnector);
+      manager.persistenceManager = {};
+      manager.watermarkManager = { get: sinon.stub().resolves({ series: { '001763852': '2024-05' } }), set: sinon.stub().resolves() };
+      manager.harvestRunManager = {
+        start: sinon.stub().callsFake(async ({ runId, params }) => ({ runId, params, records: {}, errors: [] })),
+        track: pm => pm,
+        finish: sinon.stub().resolves({ records: {} }),
+        fail: sinon.stub().resolves()
+      };
+      manager.configManager.sourceConfigs.set('insee', { id: 'insee', type: 'range', persistence: {} });
+      manager.initialized = true;
+    });
+
+    it('should neither read nor move the watermark for a backfill chunk', async () => {
+      await manager.harvestSourceById('insee', {
+        dataset: 'bdm',
+        seriesId: '001763852',
+        startDate: '2010-01-01',
+        endDate: '2010-12-31',
+        backfill: true,
+        trigger: 'cli'
+      });
+
+      expect(RangeConnector.harvest.firstCall.args[0]).to.include({ startDate: '2010-01-01', watermark: null });
+      expect(manager.watermarkManager.get.called).to.be.false;
+      expect(manager.watermarkManager.set.called).to.be.false;
+      expect(manager.harvestRunManager.start.firstCall.args[0].params).to.include({ backfill: true });
+    });
+  });
+});
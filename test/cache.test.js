@@ -0,0 +1,168 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { PersistenceManager } from '../src/persistence/index.js';
+import { CompositePersistence, stableStringify } from '../src/persistence/compositePersistence.js';
+import { MongoPersistence } from '../src/persistence/mongoPersistence.js';
+import { RedisPersistence } from '../src/persistence/redisPersistence.js';
+import { SourceManager } from '../src/sources/index.js';
+
+describe('Composite persistence', () => {
+  let primary;
+  let secondary;
+  let metrics;
+
+  const sourceConfig = {
+    id: 'insee',
+    persistence: {
+      strategies: { primary: 'mongo', secondary: 'redis' },
+      cache: { enabled: true, ttl: 60, maxSize: 2 },
+      collection: 'insee_sirene',
+      primaryKey: 'siret'
+    }
+  };
+
+  beforeEach(() => {
+    primary = new MongoPersistence();
+    sinon.stub(primary, 'find').resolves([{ siret: '1' }]);
+    sinon.stub(primary, 'save').resolves({ insertedCount: 1 });
+    sinon.stub(primary, 'update').resolves({ modifiedCount: 1 });
+
+    secondary = {
+      get: sinon.stub().resolves(null),
+      cacheSet: sinon.stub().resolves(),
+      cacheInvalidate: sinon.stub().resolves({ deletedCount: 3 })
+    };
+    metrics = new Map();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should serve a cached read and count hits and misses', async () => {
+    const composite = new CompositePersistence(primary, secondary, sourceConfig.persistence.cache, metrics);
+
+    await composite.find(sourceConfig, { siren: '123', etat: 'A' });
+    secondary.get.resolves([{ siret: '1' }]);
+    const result = await composite.find(sourceConfig, { etat: 'A', siren: '123' });
+
+    expect(result).to.deep.equal([{ siret: '1' }]);
+    expect(primary.find.calledOnce).to.be.true;
+    expect(secondary.get.firstCall.args[0]).to.equal(secondary.get.secondCall.args[0]);
+    expect(secondary.cacheSet.firstCall.args[3]).to.deep.equal({ ttl: 60, maxSize: 2 });
+    expect(metrics.get('insee_sirene')).to.deep.equal({ hits: 1, misses: 1 });
+  });
+
+  it('should fall back to the primary when the cache fails', async () => {
+    secondary.get.rejects(new Error('ECONNREFUSED'));
+    const composite = new CompositePersistence(primary, secondary, {}, metrics);
+
+    const result = await composite.find(sourceConfig, {});
+
+    expect(result).to.deep.equal([{ siret: '1' }]);
+  });
+
+  it('should invalidate the cache after a write', async () => {
+    const composite = new CompositePersistence(primary, secondary, {}, metrics);
+
+    await composite.update(sourceConfig, { siret: '1' }, { $set: { etat: 'F' } });
+
+    expect(secondary.cacheInvalidate.calledOnceWith('cache:insee_sirene')).to.be.true;
+    expect(secondary.cacheSet.called).to.be.false;
+  });
+
+  it('should write saved documents through to the cache', async () => {
+    const composite = new CompositePersistence(primary, secondary, { mode: 'write-through' }, metrics);
+
+    await composite.save(sourceConfig, [{ siret: '1', etat: 'A' }, { siren: '2' }]);
+
+    expect(secondary.cacheSet.calledOnce).to.be.true;
+    expect(secondary.cacheSet.firstCall.args[1]).to.equal('cache:insee_sirene:findOne:{"siret":"1"}');
+  });
+
+  it('should sort keys when serializing a query', () => {
+    expect(stableStringify({ b: 1, a: { d: [2], c: 3 } })).to.equal('{"a":{"c":3,"d":[2]},"b":1}');
+  });
+
+  describe('PersistenceManager', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new PersistenceManager();
+      manager.registerStrategy('mongodb', primary);
+      manager.registerStrategy('redis', new RedisPersistence());
+    });
+
+    it('should resolve the "mongo" alias to the mongodb strategy', () => {
+      expect(manager.getStrategy('mongo')).to.equal(primary);
+    });
+
+    it('should use the primary alone while Redis is not connected', () => {
+      expect(manager.resolveStrategy(sourceConfig)).to.equal(primary);
+    });
+
+    it('should compose primary and secondary once Redis is connected', async () => {
+      manager.getStrategy('redis').setClient({ get: sinon.stub().resolves(null) });
+      sinon.stub(manager.getStrategy('redis'), 'cacheSet').resolves();
+
+      await manager.find(sourceConfig, {});
+
+      expect(manager.resolveStrategy(sourceConfig)).to.be.instanceOf(CompositePersistence);
+      expect(manager.getCacheMetrics()).to.deep.equal([
+        { collection: 'insee_sirene', hits: 0, misses: 1, hitRate: 0 }
+      ]);
+    });
+
+    it('should reject aggregations on a strategy without aggregate', async () => {
+      const config = { id: 'insee', persistence: { strategy: 'redis', collection: 'insee_sirene' } };
+      try {
+        await manager.aggregate(config, [{ $limit: 1 }]);
+        expect.fail('the aggregation should have been rejected');
+      } catch (error) {
+        expect(error.message).to.equal('Agrégation non supportée par la stratégie de insee');
+      }
+    });
+  });
+
+  describe('SourceManager.initialize', () => {
+    let manager;
+    let persistenceManager;
+
+    beforeEach(() => {
+      manager = new SourceManager();
+      persistenceManager = new PersistenceManager();
+      sinon.stub(PersistenceManager, 'getInstance').returns(persistenceManager);
+      sinon.stub(manager.configManager, 'loadConfiguration').resolves();
+      sinon.stub(manager.configManager, 'getGlobalConfig').returns({
+        database: {
+          redis: { url: 'redis://cache:6379', options: { maxRetriesPerRequest: 3 } },
+          postgres: { enabled: false },
+          file: { baseDir: 'data' }
+        },
+        locks: { enabled: false }
+      });
+      sinon.stub(manager, 'registerConnectors').resolves();
+    });
+
+    it('should connect Redis from the global configuration and turn the cache on', async () => {
+      const initializeRedis = sinon.stub(persistenceManager, 'initializeRedis').callsFake(async () => {
+        persistenceManager.connections.set('redis', { get: sinon.stub().resolves(null) });
+      });
+
+      await manager.initialize();
+
+      expect(initializeRedis.calledOnceWith({ url: 'redis://cache:6379', maxRetriesPerRequest: 3 })).to.be.true;
+      expect(persistenceManager.getStrategy('redis').isAvailable()).to.be.true;
+      expect(persistenceManager.resolveStrategy(sourceConfig)).to.be.instanceOf(CompositePersistence);
+    });
+
+    it('should start without the cache when Redis is unreachable', async () => {
+      sinon.stub(persistenceManager, 'initializeRedis').rejects(new Error('Connexion Redis impossible'));
+
+      await manager.initialize();
+
+      expect(manager.initialized).to.be.true;
+      expect(persistenceManager.resolveStrategy(sourceConfig)).to.be.instanceOf(MongoPersistence);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import nock from 'nock';
+import { CogConnector } from '../src/sources/cog/index.js';
+import { parseCsv, transformCommunes, transformEpci, transformMouvements } from '../src/sources/cog/transform.js';
+import { resolveCommuneCode, rollUp } from '../src/sources/cog/geography.js';
+import { parseQuery, matchesQuery, applyQueryOptions } from '../src/persistence/query.js';
+import resolvers from '../graphql/resolvers.js';
+import { sourceManager } from '../src/sources/index.js';
+
+// Persistance en mémoire, une collection par jeu de données
+class FakeCogStore {
+  constructor() {
+    this.collections = {};
+  }
+
+  async find(datasetConfig, filter = {}, options = {}) {
+    const query = parseQuery(filter, options);
+    const documents = this.collections[datasetConfig.persistence.collection] || [];
+    return applyQueryOptions(documents.filter(document => matchesQuery(document, query)), query);
+  }
+
+  async save(datasetConfig, records) {
+    this.collections[datasetConfig.persistence.collection] = [...(this.collections[datasetConfig.persistence.collection] || []), ...records];
+  }
+}
+
+const communesCsv = [
+  'TYPECOM,COM,REG,DEP,CTCD,ARR,TNCC,NCC,NCCENR,LIBELLE,CAN,COMPARENT',
+  'COM,01001,84,01,01D,012,5,ABERGEMENT CLEMENCIAT,Abergement-Clémenciat,L\'Abergement-Clémenciat,0108,',
+  'COM,01015,84,01,01D,014,1,ARBOYS EN BUGEY,Arboys en Bugey,Arboys en Bugey,0101,',
+  'COMD,01015,,,,,1,ARBIGNIEU,Arbignieu,Arbignieu,,01015',
+  'COMD,01340,,,,,0,SAINT BOIS,Saint-Bois,Saint-Bois,,01015',
+  'COM,75056,11,75,75C,751,0,PARIS,Paris,Paris,7599,',
+  'ARM,75101,,,,,0,PARIS 1ER ARRONDISSEMENT,Paris 1er Arrondissement,"Paris 1er Arrondissement, Louvre",,75056'
+].join('\r\n');
+
+const mouvementsCsv = [
+  'MOD,DATE_EFF,TYPECOM_AV,COM_AV,TNCC_AV,NCC_AV,NCCENR_AV,LIBELLE_AV,TYPECOM_AP,COM_AP,TNCC_AP,NCC_AP,NCCENR_AP,LIBELLE_AP',
+  '32,2016-01-01,COM,01015,1,ARBIGNIEU,Arbignieu,Arbignieu,COM,01015,1,ARBOYS EN BUGEY,Arboys en Bugey,Arboys en Bugey',
+  '32,2016-01-01,COM,01340,0,SAINT BOIS,Saint-Bois,Saint-Bois,COM,01015,1,ARBOYS EN BUGEY,Arboys en Bugey,Arboys en Bugey',
+  '32,2016-01-01,COM,01340,0,SAINT BOIS,Saint-Bois,Saint-Bois,COMD,01340,0,SAINT BOIS,Saint-Bois,Saint-Bois'
+].join('\n');
+
+describe('Code Officiel Géographique', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+  });
+
+  describe('transform', () => {
+    it('devrait lire les CSV du COG, libellés entre guillemets compris', () => {
+      const communes = transformCommunes(parseCsv(`\uFEFF${communesCsv}`));
+
+      expect(communes).to.have.lengthOf(6);
+      expect(communes[0]).to.include({ code: '01001', type: 'COM', departement: '01', region: '84', parent: null });
+      expect(communes[5]).to.include({ code: '75101', type: 'ARM', libelle: 'Paris 1er Arrondissement, Louvre', parent: '75056', departement: null });
+    });
+
+    it('devrait regrouper la composition des EPCI par EPCI', () => {
+      const epcis = transformEpci([
+        { code: '01004', epci: { code: '200029999', nom: 'CC de la Plaine de l\'Ain' } },
+        { code: '01002', epci: { code: '200029999', nom: 'CC de la Plaine de l\'Ain' } },
+        { CODGEO: '22016', EPCI: 'ZZZZZZZZZ', LIBEPCI: 'Sans objet' }
+      ]);
+
+      expect(epcis).to.deep.equal([{ code: '200029999', libelle: 'CC de la Plaine de l\'Ain', communes: ['01002', '01004'] }]);
+    });
+  });
+
+  describe('geography', () => {
+    const mouvements = [
+      ...transformMouvements(parseCsv(mouvementsCsv)),
+      // Rétablissement de 01340 en 2020, puis fusion de 01001 dans 01015 en 2022 (données fictives)
+      { mod: '21', dateEffet: '2020-01-01', typeAvant: 'COM', codeAvant: '01015', typeApres: 'COM', codeApres: '01015' },
+      { mod: '21', dateEffet: '2020-01-01', typeAvant: 'COM', codeAvant: '01015', typeApres: 'COM', codeApres: '01340' },
+      { mod: '31', dateEffet: '2022-01-01', typeAvant: 'COM', codeAvant: '01001', typeApres: 'COM', codeApres: '01015' }
+    ];
+
+    it('devrait rejouer fusions et rétablissements postérieurs à la date du code', () => {
+      expect(resolveCommuneCode('01340', mouvements)).to.deep.equal(['01015', '01340']);
+      expect(resolveCommuneCode('01340', mouvements, { since: '2016-01-01' })).to.deep.equal(['01340']);
+      expect(resolveCommuneCode('01001', mouvements, { since: '2021-01-01' })).to.deep.equal(['01015']);
+      expect(resolveCommuneCode('01001', mouvements, { since: '2022-01-01' })).to.deep.equal(['01001']);
+    });
+
+    it('devrait agréger les valeurs communales par département', () => {
+      const communes = new Map([
+        ['01001', { departement: '01', region: '84' }],
+        ['01015', { departement: '01', region: '84' }],
+        ['75056', { departement: '75', region: '11' }]
+      ]);
+
+      const sum = rollUp(
+        [{ codeGeo: '01001', value: 10 }, { codeGeo: '01015', value: 5 }, { codeGeo: '75056', value: 7 }, { codeGeo: '99999', value: 1 }],
+        { level: 'departement', communes }
+      );
+      expect(sum.rows).to.deep.equal([{ code: '01', value: 15, communes: 2 }, { code: '75', value: 7, communes: 1 }]);
+      expect(sum.unmatched).to.deep.equal(['99999']);
+
+      const mean = rollUp([{ codeGeo: '01001', value: 10 }, { codeGeo: '01015', value: 5 }], { level: 'region', communes, aggregation: 'mean' });
+      expect(mean.rows).to.deep.equal([{ code: '84', value: 7.5, communes: 2 }]);
+      expect(() => rollUp([], { level: 'canton', communes })).to.throw('Niveau géographique inconnu');
+    });
+  });
+
+  describe('CogConnector', () => {
+    let store;
+    let connector;
+
+    beforeEach(async () => {
+      store = new FakeCogStore();
+      connector = new CogConnector({
+        id: 'cog',
+        name: 'cog',
+        type: 'cog',
+        connection: {
+          baseUrl: 'https://www.insee.fr',
+          millesime: 2024,
+          retry: { maxAttempts: 1 },
+          files: {
+            regions: '/v_region.csv',
+            departements: '/v_departement.csv',
+            communes: '/v_commune.csv',
+            mouvements: '/v_mvt_commune.csv',
+            epci: 'https://geo.api.gouv.fr/communes?fields=code,epci&format=json'
+          }
+        },
+        persistence: {
+          strategies: { primary: 'mongodb' },
+          collections: {
+            regions: { name: 'cog_regions' },
+            departements: { name: 'cog_departements' },
+            communes: { name: 'cog_communes' },
+            epci: { name: 'cog_epci' },
+            mouvements: { name: 'cog_mouvements' }
+          }
+        }
+      }, store);
+
+      nock('https://www.insee.fr')
+        .get('/v_region.csv').reply(200, 'REG,CHEFLIEU,TNCC,NCC,NCCENR,LIBELLE\n11,75056,1,ILE DE FRANCE,Île-de-France,Île-de-France\n84,69123,1,AUVERGNE RHONE ALPES,Auvergne-Rhône-Alpes,Auvergne-Rhône-Alpes\n')
+        .get('/v_departement.csv').reply(200, 'DEP,REG,CHEFLIEU,TNCC,NCC,NCCENR,LIBELLE\n01,84,01053,5,AIN,Ain,Ain\n75,11,75056,0,PARIS,Paris,Paris\n')
+        .get('/v_commune.csv').reply(200, communesCsv)
+        .get('/v_mvt_commune.csv').reply(200, mouvementsCsv);
+      nock('https://geo.api.gouv.fr')
+        .get('/communes')
+        .query(true)
+        .reply(200, [{ code: '01001', epci: { code: '200069193', nom: 'CC de la Dombes' } }, { code: '01015', epci: { code: '200069193', nom: 'CC de la Dombes' } }]);
+
+      await connector.harvest();
+    });
+
+    it('devrait charger chaque fichier du COG dans sa collection', () => {
+      expect(store.collections.cog_regions).to.have.lengthOf(2);
+      expect(store.collections.cog_communes).to.have.lengthOf(6);
+      expect(store.collections.cog_mouvements).to.have.lengthOf(3);
+      expect(store.collections.cog_epci[0]).to.include({ code: '200069193', millesime: 2024 });
+    });
+
+    it('devrait lister les subdivisions d\'un territoire', async () => {
+      const departements = await connector.getChildren('region', '84');
+      const communes = await connector.getChildren('departement', '01');
+      const epciCommunes = await connector.getChildren('epci', '200069193');
+      const deleguees = await connector.getChildren('commune', '01015');
+
+      expect(departements.map(territory => [territory.level, territory.code])).to.deep.equal([['departement', '01']]);
+      expect(communes.map(territory => territory.code)).to.deep.equal(['01001', '01015']);
+      expect(epciCommunes.map(territory => territory.code)).to.deep.equal(['01001', '01015']);
+      expect(deleguees.map(territory => territory.code)).to.deep.equal(['01015', '01340']);
+      expect(await connector.getTerritory('commune', '01015')).to.include({ type: 'COM', libelle: 'Arboys en Bugey' });
+    });
+
+    it('devrait ramener les codes anciens et les arrondissements à la géographie actuelle', async () => {
+      const resolution = await connector.resolveCommune('01340');
+      expect(resolution).to.include({ changed: true });
+      expect(resolution.codes).to.deep.equal(['01015']);
+
+      const rollup = await connector.rollUp([
+        { codeGeo: '01340', value: 100 },
+        { codeGeo: '01015', value: 50 },
+        { codeGeo: '75101', value: 20 }
+      ], { level: 'departement', year: 2015 });
+
+      expect(rollup.rows).to.deep.equal([
+        { code: '01', value: 150, communes: 2, libelle: 'Ain' },
+        { code: '75', value: 20, communes: 1, libelle: 'Paris' }
+      ]);
+      expect(rollup.unmatched).to.deep.equal([]);
+    });
+  });
+
+  describe('GraphQL', () => {
+    it('devrait agréger un indicateur Données Locales par région', async () => {
+      const geography = { rollUp: sinon.stub().resolves({ level: 'region', year: 2021, aggregation: 'sum', rows: [{ code: '84', value: 3, communes: 2 }], unmatched: [] }) };
+      sinon.stub(sourceManager, 'getGeography').resolves(geography);
+      const getData = sinon.stub(sourceManager, 'getData').resolves([
+        { geoCode: '01001', indicatorId: 'P21_POP', data: [{ indicator: 'P21_POP', value: 1 }] },
+        { codeGeo: '01015', indicateur: 'P21_POP', valeur: 2 }
+      ]);
+
+      const response = await resolvers.Query.donneesLocalesRollup(null, { indicatorId: 'P21_POP', level: 'REGION', year: 2021 });
+
+      expect(getData.firstCall.args).to.deep.equal(['insee', { indicatorId: 'P21_POP', year: 2021 }, { dataset: 'donneesLocales' }]);
+
+      expect(geography.rollUp.firstCall.args).to.deep.equal([
+        [{ codeGeo: '01001', value: 1 }, { codeGeo: '01015', value: 2 }],
+        { level: 'region', year: 2021, aggregation: 'sum' }
+      ]);
+      expect(response).to.include({ indicatorId: 'P21_POP', level: 'REGION', aggregation: 'SUM' });
+      expect(response.rows).to.have.lengthOf(1);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FilePersistence } from '../src/persistence/filePersistence.js';
+
+describe('FilePersistence', () => {
+  let baseDir;
+  let persistence;
+
+  function sourceConfig(file = {}) {
+    return {
+      id: 'insee',
+      persistence: { strategy: 'file', collection: 'insee_sirene', primaryKey: 'siret', file }
+    };
+  }
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gdh-files-'));
+    persistence = new FilePersistence({ baseDir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should write each save to a new part of the day partition', async () => {
+    await persistence.save(sourceConfig({ maxRecordsPerPart: 2 }), [{ siret: '1' }, { siret: '2' }, { siret: '3' }]);
+    const { files } = await persistence.save(sourceConfig(), [{ siret: '4' }]);
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect(files).to.deep.equal([path.join(baseDir, 'insee_sirene', `date=${today}`, 'part-2.ndjson')]);
+    expect(await fs.readdir(path.join(baseDir, 'insee_sirene', `date=${today}`)))
+      .to.have.members(['part-0.ndjson', 'part-1.ndjson', 'part-2.ndjson']);
+  });
+
+  it('should filter scanned records and keep the latest version of each key', async () => {
+    const config = sourceConfig();
+    await persistence.save(config, [{ siret: '1', etat: 'A', adresse: { codeCommune: '29019' } }, { siret: '2', etat: 'A' }]);
+    await persistence.save(config, [{ siret: '1', etat: 'F', adresse: { codeCommune: '29019' } }]);
+
+    expect(await persistence.find(config, { etat: 'A' })).to.deep.equal([{ siret: '2', etat: 'A' }]);
+    expect(await persistence.findOne(config, { 'adresse.codeCommune': '29019' })).to.include({ etat: 'F' });
+  });
+
+  it('should aggregate the latest version of each record in memory', async () => {
+    const config = sourceConfig();
+    await persistence.save(config, [
+      { siret: '1', naf: '62.01Z', effectif: 10 },
+      { siret: '2', naf: '62.01Z', effectif: 30 },
+      { siret: '3', naf: '47.11A', effectif: 5 }
+    ]);
+    await persistence.save(config, [{ siret: '3', naf: '62.01Z', effectif: 20 }]);
+
+    expect(await persistence.aggregate(config, [
+      { $match: { effectif: { $gte: 10 } } },
+      { $group: { _id: '$naf', count: { $sum: 1 }, effectif: { $avg: '$effectif' }, max: { $max: '$effectif' } } },
+      { $sort: { count: -1 } },
+      { $limit: 1 }
+    ])).to.deep.equal([{ _id: '62.01Z', count: 3, effectif: 20, max: 30 }]);
+
+    try {
+      await persistence.aggregate(config, [{ $unwind: '$naf' }]);
+      expect.fail('the $unwind stage should have been rejected');
+    } catch (error) {
+      expect(error.message).to.include('$unwind');
+    }
+  });
+
+  it('should update and delete records in place', async () => {
+    const config = sourceConfig();
+    await persistence.save(config, [{ siret: '1', etat: 'A' }, { siret: '2', etat: 'A' }]);
+
+    await persistence.update(config, { siret: '1' }, { $set: { etat: 'F' } });
+    const { deletedCount } = await persistence.delete(config, { siret: '2' });
+
+    expect(deletedCount).to.equal(1);
+    expect(await persistence.find(config)).to.deep.equal([{ siret: '1', etat: 'F' }]);
+  });
+
+  it('should compress old partitions and drop expired ones', async () => {
+    const config = sourceConfig({ compressAfterDays: 7, deleteAfterDays: 30 });
+    const collectionDir = path.join(baseDir, 'insee_sirene');
+    await fs.mkdir(path.join(collectionDir, 'date=2024-01-01'), { recursive: true });
+    await fs.mkdir(path.join(collectionDir, 'date=2024-02-20'), { recursive: true });
+    await fs.writeFile(path.join(collectionDir, 'date=2024-01-01', 'part-0.ndjson'), '{"siret":"0"}\n');
+    await fs.writeFile(path.join(collectionDir, 'date=2024-02-20', 'part-0.ndjson'), '{"siret":"1"}\n');
+
+    const result = await persistence.rotate(config, new Date('2024-03-01'));
+
+    expect(result).to.deep.equal({ compressed: 1, deleted: 1 });
+    expect(await fs.readdir(collectionDir)).to.deep.equal(['date=2024-02-20']);
+    expect(await persistence.find(config)).to.deep.equal([{ siret: '1' }]);
+  });
+
+  it('should round-trip records through Parquet parts', async () => {
+    const config = sourceConfig({ format: 'parquet' });
+    await persistence.save(config, [{ siret: '1', effectif: 12, adresse: { codeCommune: '29019' } }]);
+
+    expect(await persistence.find(config, { siret: '1' }))
+      .to.deep.equal([{ siret: '1', effectif: 12, adresse: { codeCommune: '29019' } }]);
+  });
+});
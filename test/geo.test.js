@@ -0,0 +1,189 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import nock from 'nock';
+import { newDb } from 'pg-mem';
+import { parseQuery, matchesQuery, applyQueryOptions, QueryError } from '../src/persistence/query.js';
+import { distance } from '../src/persistence/geo.js';
+import { MongoPersistence } from '../src/persistence/mongoPersistence.js';
+import { PostgresPersistence } from '../src/persistence/postgresPersistence.js';
+import { CogClient } from '../src/sources/cog/client.js';
+import { InseeConnector } from '../src/sources/insee/index.js';
+import resolvers from '../graphql/resolvers.js';
+import { sourceManager } from '../src/sources/index.js';
+
+const point = (lon, lat) => ({ type: 'Point', coordinates: [lon, lat] });
+
+// Quimper : cathédrale, gare (à 1,2 km environ) et Brest
+const records = [
+  { siret: '1', nom: 'Cathédrale', sectionNaf: 'R', position: point(-4.1024, 47.9960) },
+  { siret: '2', nom: 'Gare', sectionNaf: 'H', position: point(-4.0919, 47.9946) },
+  { siret: '3', nom: 'Brest', sectionNaf: 'H', position: point(-4.4861, 48.3904) },
+  { siret: '4', nom: 'Sans position', sectionNaf: 'H', position: null }
+];
+
+// Carré autour du centre de Quimper, percé d'un trou autour de la cathédrale
+const contour = {
+  type: 'Polygon',
+  coordinates: [
+    [[-4.12, 47.98], [-4.08, 47.98], [-4.08, 48.01], [-4.12, 48.01], [-4.12, 47.98]],
+    [[-4.105, 47.994], [-4.1, 47.994], [-4.1, 47.998], [-4.105, 47.998], [-4.105, 47.994]]
+  ]
+};
+
+function within(shape) {
+  const query = parseQuery({ position: { geoWithin: shape } });
+  return records.filter(record => matchesQuery(record, query)).map(record => record.siret);
+}
+
+describe('Requêtes géographiques', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+    sourceManager.contours.clear();
+  });
+
+  describe('langage de requête', () => {
+    it('devrait sélectionner les points dans un cercle, un rectangle ou un polygone', () => {
+      expect(distance([-4.1024, 47.9960], [-4.0919, 47.9946])).to.be.closeTo(795, 5);
+      expect(within({ center: [-4.1024, 47.9960], radius: 500 })).to.deep.equal(['1']);
+      expect(within({ center: [-4.1024, 47.9960], radius: 1000 })).to.deep.equal(['1', '2']);
+      expect(within({ bbox: [-5, 48, -4, 49] })).to.deep.equal(['3']);
+      expect(within({ geometry: contour })).to.deep.equal(['2']);
+      expect(within({ geometry: { type: 'MultiPolygon', coordinates: [[contour.coordinates[0]], [[[-4.6, 48.3], [-4.4, 48.3], [-4.4, 48.5], [-4.6, 48.3]]]] } }))
+        .to.deep.equal(['1', '2', '3']);
+    });
+
+    it('devrait rejeter une zone invalide', () => {
+      expect(() => parseQuery({ position: { geoWithin: { center: [200, 48], radius: 10 } } })).to.throw(QueryError, 'center');
+      expect(() => parseQuery({ position: { geoWithin: { center: [-4, 48], radius: -1 } } })).to.throw(QueryError, 'radius');
+      expect(() => parseQuery({ position: { geoWithin: { bbox: [-4, 49, -5, 48] } } })).to.throw(QueryError, 'bbox');
+      expect(() => parseQuery({ position: { geoWithin: { geometry: point(-4, 48) } } })).to.throw(QueryError, 'Polygon');
+      expect(() => parseQuery({ position: { $geoWithin: {} } })).to.throw(QueryError, 'geoWithin');
+    });
+
+    it('devrait traduire les zones en filtres MongoDB servis par un index 2dsphere', () => {
+      const persistence = new MongoPersistence();
+      const filter = shape => persistence.buildFilter(parseQuery({ position: { geoWithin: shape } })).position;
+
+      expect(filter({ center: [-4.1, 48], radius: 6378.1 })).to.deep.equal({ $geoWithin: { $centerSphere: [[-4.1, 48], 0.001] } });
+      expect(filter({ bbox: [-5, 48, -4, 49] }).$geoWithin.$geometry.coordinates[0]).to.deep.equal([[-5, 48], [-4, 48], [-4, 49], [-5, 49], [-5, 48]]);
+      expect(filter({ geometry: contour })).to.deep.equal({ $geoWithin: { $geometry: contour } });
+    });
+  });
+
+  describe('PostgreSQL', () => {
+    let pool;
+    let persistence;
+    const sourceConfig = {
+      id: 'insee-sirene',
+      persistence: {
+        strategy: 'postgres',
+        collection: 'insee_sirene',
+        primaryKey: 'siret',
+        indexes: [{ fields: { siret: 1 }, unique: true }, { fields: { position: '2dsphere' } }]
+      }
+    };
+
+    beforeEach(() => {
+      const db = newDb();
+      // pg-mem n'implémente pas les fonctions mathématiques de PostgreSQL
+      for (const name of ['radians', 'sin', 'cos', 'asin', 'sqrt']) {
+        const implementation = name === 'radians' ? value => (value * Math.PI) / 180 : Math[name];
+        db.public.registerFunction({ name, args: ['float'], returns: 'float', implementation });
+      }
+      db.public.registerFunction({ name: 'power', args: ['float', 'float'], returns: 'float', implementation: Math.pow });
+      db.public.registerFunction({ name: 'least', args: ['float', 'float'], returns: 'float', implementation: Math.min });
+      const { Pool } = db.adapters.createPg();
+      pool = new Pool();
+      persistence = new PostgresPersistence();
+      persistence.setPool(pool);
+    });
+
+    afterEach(async () => {
+      await pool.end();
+    });
+
+    it('devrait filtrer sur les coordonnées indexées du point', async () => {
+      await persistence.save(sourceConfig, records);
+      const sirets = async shape => (await persistence.find(sourceConfig, { position: { geoWithin: shape } })).map(record => record.siret);
+
+      expect(await sirets({ bbox: [-4.2, 47.9, -4.0, 48.1] })).to.deep.equal(['1', '2']);
+      expect(await sirets({ center: [-4.1024, 47.9960], radius: 500 })).to.deep.equal(['1']);
+      try {
+        await persistence.find(sourceConfig, { position: { geoWithin: { geometry: contour } } });
+        expect.fail('la recherche par polygone aurait dû échouer');
+      } catch (error) {
+        expect(error).to.be.instanceOf(QueryError);
+      }
+    });
+  });
+
+  describe('contours et GeoJSON', () => {
+    it('devrait télécharger le contour d\'une commune', async () => {
+      const client = new CogClient({
+        baseUrl: 'https://www.insee.fr',
+        contours: 'https://geo.api.gouv.fr/communes/{code}?format=geojson&geometry=contour'
+      });
+
+      nock('https://geo.api.gouv.fr')
+        .get('/communes/29232')
+        .query({ format: 'geojson', geometry: 'contour' })
+        .reply(200, { type: 'Feature', properties: { code: '29232', nom: 'Quimper' }, geometry: contour })
+        .get('/communes/99999')
+        .query(true)
+        .reply(404, { code: 404, message: 'Commune non trouvée' });
+
+      expect(await client.getCommuneContour('29232')).to.deep.equal(contour);
+      expect(await client.getCommuneContour('99999')).to.be.null;
+    });
+
+    it('devrait renvoyer les établissements d\'une commune en FeatureCollection', async () => {
+      const persistenceManager = {
+        find: sinon.stub().callsFake(async (config, filter, options) => {
+          const query = parseQuery(filter, options);
+          return applyQueryOptions(records.filter(record => matchesQuery(record, query)), query);
+        })
+      };
+      const connector = new InseeConnector({
+        id: 'insee-sirene',
+        name: 'INSEE Sirene',
+        config: {
+          baseUrl: 'https://api.insee.fr/entreprises/sirene/V3',
+          authentication: { type: 'bearer', token: 'test-token' },
+          rateLimit: { requestsPerMinute: 30, requestsPerHour: 1000 }
+        }
+      }, persistenceManager);
+      const getCommuneContour = sinon.stub().resolves({ type: 'Polygon', coordinates: [contour.coordinates[0]] });
+      const getCapableConnector = sinon.stub(sourceManager, 'getCapableConnector').resolves(connector);
+      sinon.stub(sourceManager, 'getGeography').resolves({ getCommuneContour });
+
+      const collection = await sourceManager.findWithin({ commune: '29232' }, { query: { sectionNaf: 'H' }, format: 'geojson' });
+      await sourceManager.findWithin({ commune: '29232' }, { limit: 1 });
+
+      expect(getCapableConnector.firstCall.args).to.deep.equal(['insee', 'spatial']);
+      expect(collection.type).to.equal('FeatureCollection');
+      expect(collection.features).to.have.lengthOf(1);
+      expect(collection.features[0]).to.deep.include({ type: 'Feature', id: '2', geometry: point(-4.0919, 47.9946) });
+      expect(collection.features[0].properties).to.include({ siret: '2' });
+      expect(collection.nextCursor).to.be.null;
+      expect(getCommuneContour.calledOnce).to.be.true;
+    });
+
+    it('devrait exposer les zones et les filtres SIRENE en GraphQL', async () => {
+      const findWithin = sinon.stub(sourceManager, 'findWithin').resolves({ items: [], nextCursor: null });
+
+      await resolvers.Query.etablissementsWithin(null, { area: { near: { longitude: -4.1, latitude: 48, radius: 500 } }, query: { sectionNaf: 'h' }, limit: 10 });
+      await resolvers.Query.etablissementsGeoJson(null, { area: { bbox: [-5, 48, -4, 49] } });
+
+      expect(findWithin.firstCall.args[0]).to.deep.equal({ center: [-4.1, 48], radius: 500 });
+      expect(findWithin.firstCall.args[1]).to.deep.include({ query: { sectionNaf: 'H' }, limit: 10 });
+      expect(findWithin.secondCall.args[1].format).to.equal('geojson');
+      try {
+        await resolvers.Query.etablissementsWithin(null, { area: { bbox: [-5, 48, -4, 49], commune: '29232' } });
+        expect.fail('deux zones auraient dû être refusées');
+      } catch (error) {
+        expect(error.message).to.include('Une zone et une seule');
+      }
+    });
+  });
+});
@@ -0,0 +1,270 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import nock from 'nock';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { formatAdresse, adresseSignature } from '../src/geocoding/address.js';
+import { BanApiGeocoder } from '../src/geocoding/banApiGeocoder.js';
+import { BanCsvGeocoder } from '../src/geocoding/banCsvGeocoder.js';
+import { GeocodingEnricher, createGeocoder } from '../src/geocoding/index.js';
+import { InseeConnector } from '../src/sources/insee/index.js';
+import { sourceManager } from '../src/sources/index.js';
+
+const adresse = {
+  numeroVoieEtablissement: '12',
+  indiceRepetitionEtablissement: 'B',
+  typeVoieEtablissement: 'RUE',
+  libelleVoieEtablissement: 'DE LA REPUBLIQUE',
+  codePostalEtablissement: '29000',
+  libelleCommuneEtablissement: 'QUIMPER',
+  codeCommuneEtablissement: '29232'
+};
+
+const BAN_CSV = [
+  'id;id_fantoir;numero;rep;nom_voie;code_postal;code_insee;nom_commune;code_insee_ancienne_commune;nom_ancienne_commune;x;y;lon;lat',
+  '29232_1234_00012_bis;29232_1234;12;bis;Rue de la République;29000;29232;Quimper;;;;;-4.1020;47.9960',
+  '29232_1234_00014;29232_1234;14;;Rue de la République;29000;29232;Quimper;;;;;-4.1030;47.9970',
+  '29232_5678_00001;29232_5678;1;;Place Saint-Corentin;29000;29232;Quimper;;;;;-4.1000;47.9950'
+].join('\n');
+
+describe('Géocodage des adresses', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+  });
+
+  describe('adresses SIRENE', () => {
+    it('devrait développer le type de voie et l\'indice de répétition', () => {
+      expect(formatAdresse(adresse)).to.deep.equal({
+        numero: '12 bis',
+        voie: 'rue DE LA REPUBLIQUE',
+        codePostal: '29000',
+        codeCommune: '29232',
+        commune: 'QUIMPER',
+        label: '12 bis rue DE LA REPUBLIQUE 29000 QUIMPER'
+      });
+      expect(formatAdresse({ ...adresse, codePaysEtrangerEtablissement: '99109' })).to.be.null;
+      expect(formatAdresse({})).to.be.null;
+    });
+
+    it('devrait produire la même empreinte pour une adresse écrite autrement', () => {
+      const signature = adresseSignature(formatAdresse(adresse));
+
+      expect(adresseSignature(formatAdresse({ ...adresse, libelleVoieEtablissement: 'de la République' }))).to.equal(signature);
+      expect(adresseSignature(formatAdresse({ ...adresse, numeroVoieEtablissement: '14' }))).to.not.equal(signature);
+    });
+  });
+
+  describe('géocodeurs', () => {
+    it('devrait interroger l\'API Adresse en restreignant la recherche à la commune', async () => {
+      nock('https://api-adresse.data.gouv.fr')
+        .get('/search/')
+        .query({ q: '12 bis rue DE LA REPUBLIQUE 29000 QUIMPER', limit: 1, citycode: '29232' })
+        .reply(200, {
+          features: [{
+            geometry: { type: 'Point', coordinates: [-4.102, 47.996] },
+            properties: { score: 0.93, type: 'housenumber', label: '12 bis Rue de la République 29000 Quimper', id: '29232_1234_00012_bis' }
+          }]
+        });
+
+      const result = await new BanApiGeocoder().geocode(formatAdresse(adresse));
+
+      expect(result).to.deep.equal({
+        position: { type: 'Point', coordinates: [-4.102, 47.996] },
+        score: 0.93,
+        type: 'housenumber',
+        label: '12 bis Rue de la République 29000 Quimper',
+        id: '29232_1234_00012_bis'
+      });
+    });
+
+    it('devrait géocoder hors ligne à partir d\'un export CSV de la BAN', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ban-'));
+      await fs.writeFile(path.join(directory, 'adresses-29.csv.gz'), gzipSync(`\uFEFF${BAN_CSV}`));
+
+      try {
+        const geocoder = createGeocoder({ geocoder: 'ban-csv', path: directory });
+        const exact = await geocoder.geocode(formatAdresse(adresse));
+        const street = await geocoder.geocode(formatAdresse({ ...adresse, numeroVoieEtablissement: '40', indiceRepetitionEtablissement: null }));
+        const misspelled = await geocoder.geocode(formatAdresse({ ...adresse, libelleVoieEtablissement: 'DE LA REPUBLIQE' }));
+        const commune = await geocoder.geocode(formatAdresse({ ...adresse, typeVoieEtablissement: 'AV', libelleVoieEtablissement: 'DE LA GARE' }));
+
+        expect(geocoder).to.be.instanceOf(BanCsvGeocoder);
+        expect(exact).to.include({ score: 1, type: 'housenumber', id: '29232_1234_00012_bis' });
+        expect(exact.position.coordinates).to.deep.equal([-4.102, 47.996]);
+        expect(street).to.include({ score: 0.6, type: 'street' });
+        expect(street.position.coordinates[0]).to.be.closeTo(-4.1025, 1e-9);
+        expect(misspelled.type).to.equal('housenumber');
+        expect(misspelled.score).to.be.above(0.75).and.below(1);
+        expect(commune).to.include({ score: 0.3, type: 'municipality', label: 'Quimper' });
+        expect(await geocoder.geocode(formatAdresse({ ...adresse, codeCommuneEtablissement: '75056' }))).to.be.null;
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('devrait refuser un géocodeur inconnu', () => {
+      expect(() => createGeocoder({ geocoder: 'osm' })).to.throw('Géocodeur inconnu: osm');
+    });
+  });
+
+  describe('enrichissement', () => {
+    const result = { position: { type: 'Point', coordinates: [-4.102, 47.996] }, score: 0.93, type: 'housenumber', label: '12 bis Rue de la République 29000 Quimper' };
+
+    it('devrait ajouter la position et mettre en cache les adresses déjà géocodées', async () => {
+      const enricher = new GeocodingEnricher({ geocoder: 'ban' });
+      const geocode = sinon.stub(enricher.geocoder, 'geocode').resolves(result);
+
+      const { records, stats } = await enricher.enrich([
+        { siret: '1', adresseEtablissement: adresse },
+        { siret: '2', adresseEtablissement: adresse },
+        { siret: '3' }
+      ]);
+
+      expect(geocode.calledOnce).to.be.true;
+      expect(records[0].position).to.deep.equal(result.position);
+      expect(records[1].geocodage).to.include({ score: 0.93, type: 'housenumber', geocoder: 'ban' });
+      expect(records[2]).to.deep.equal({ siret: '3' });
+      expect(stats).to.include({ geocoded: 1, cached: 1, skipped: 1 });
+    });
+
+    it('devrait réutiliser la position d\'une adresse inchangée sauf en mode forcé', async () => {
+      const enricher = new GeocodingEnricher({ geocoder: 'ban' });
+      const geocode = sinon.stub(enricher.geocoder, 'geocode').resolves(result);
+      const geocodage = { score: 0.8, signature: adresseSignature(formatAdresse(adresse)) };
+      const previous = new Map([['1', { siret: '1', position: { type: 'Point', coordinates: [0, 0] }, geocodage }]]);
+
+      const reused = await enricher.enrich({ siret: '1', adresseEtablissement: adresse }, { previous });
+      const moved = await enricher.enrich({ siret: '1', adresseEtablissement: { ...adresse, numeroVoieEtablissement: '14' } }, { previous });
+      const forced = await enricher.enrich({ siret: '1', adresseEtablissement: adresse }, { previous, force: true });
+
+      expect(reused.records.geocodage).to.equal(geocodage);
+      expect(reused.stats.reused).to.equal(1);
+      expect(moved.records.position).to.deep.equal(result.position);
+      expect(forced.records.geocodage.score).to.equal(0.93);
+      expect(geocode.calledTwice).to.be.true;
+    });
+
+    it('devrait écarter les positions peu fiables et survivre aux erreurs du géocodeur', async () => {
+      const enricher = new GeocodingEnricher({ geocoder: 'ban', minScore: 0.5 });
+      sinon.stub(enricher.geocoder, 'geocode')
+        .onFirstCall().resolves({ ...result, score: 0.3, type: 'municipality' })
+        .onSecondCall().rejects(new Error('Service indisponible'));
+
+      const { records, stats } = await enricher.enrich([
+        { siret: '1', adresseEtablissement: adresse },
+        { siret: '2', adresseEtablissement: { ...adresse, numeroVoieEtablissement: '14' } }
+      ]);
+
+      expect(records[0].position).to.be.null;
+      expect(records[0].geocodage).to.include({ score: 0.3, type: 'municipality' });
+      expect(records[1]).to.not.have.property('geocodage');
+      expect(stats).to.include({ geocoded: 1, failed: 1 });
+    });
+
+    it('devrait partager le cache persistant entre enrichisseurs', async () => {
+      const persistenceManager = {
+        findOne: sinon.stub().resolves(null),
+        update: sinon.stub().resolves({})
+      };
+      const config = { geocoder: 'ban', cache: { collection: 'geocoding_cache' } };
+      const first = new GeocodingEnricher(config, persistenceManager);
+      sinon.stub(first.geocoder, 'geocode').resolves(null);
+
+      const { stats } = await first.enrich({ siret: '1', adresseEtablissement: adresse });
+      const [storeConfig, query, update] = persistenceManager.update.firstCall.args;
+
+      expect(stats.notFound).to.equal(1);
+      expect(storeConfig.persistence).to.include({ collection: 'geocoding_cache', primaryKey: 'key' });
+      expect(update.$set).to.include({ result: null, geocoder: 'ban' });
+
+      persistenceManager.findOne.resolves({ key: query.key, result });
+      const second = new GeocodingEnricher(config, persistenceManager);
+      const geocode = sinon.stub(second.geocoder, 'geocode');
+      const cached = await second.enrich({ siret: '1', adresseEtablissement: adresse });
+
+      expect(geocode.called).to.be.false;
+      expect(cached.records.position).to.deep.equal(result.position);
+    });
+  });
+
+  describe('connecteur INSEE', () => {
+    const sourceConfig = {
+      id: 'insee-sirene',
+      name: 'INSEE Sirene',
+      config: {
+        baseUrl: 'https://api.insee.fr/entreprises/sirene/V3',
+        authentication: { type: 'bearer', token: 'test-token' },
+        rateLimit: { requestsPerMinute: 30, requestsPerHour: 1000 }
+      },
+      transform: { geocoding: { enabled: true, geocoder: 'ban' } }
+    };
+
+    function mockBan() {
+      return nock('https://api-adresse.data.gouv.fr')
+        .get('/search/')
+        .query(true)
+        .reply(200, { features: [{ geometry: { type: 'Point', coordinates: [-4.102, 47.996] }, properties: { score: 0.93, type: 'housenumber' } }] });
+    }
+
+    it('devrait géocoder les établissements récoltés avant leur sauvegarde', async () => {
+      const persistenceManager = {
+        find: sinon.stub().resolves([]),
+        save: sinon.stub().resolves({ insertedCount: 1 })
+      };
+      const connector = new InseeConnector(sourceConfig, persistenceManager);
+
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query(true)
+        .reply(200, {
+          header: { total: 1, nombre: 1, curseur: '*', curseurSuivant: '*' },
+          etablissements: [{ siret: '12345678900011', adresseEtablissement: adresse }]
+        });
+      mockBan();
+
+      await connector.harvest({ query: 'codeCommuneEtablissement:29232' });
+
+      const [saved] = persistenceManager.save.firstCall.args[1];
+      expect(persistenceManager.find.firstCall.args[1]).to.deep.equal({ siret: { in: ['12345678900011'] } });
+      expect(saved.position).to.deep.equal({ type: 'Point', coordinates: [-4.102, 47.996] });
+      expect(saved.geocodage).to.include({ score: 0.93, type: 'housenumber' });
+    });
+
+    it('devrait ne mettre à jour que les établissements dont l\'adresse a changé', async () => {
+      const signature = adresseSignature(formatAdresse(adresse));
+      const persistenceManager = {
+        find: sinon.stub().resolves([
+          { siret: '1', adresseEtablissement: adresse, position: { type: 'Point', coordinates: [-4.1, 47.9] }, geocodage: { score: 0.9, signature } },
+          { siret: '2', adresseEtablissement: { ...adresse, numeroVoieEtablissement: '14' }, geocodage: { score: 0.9, signature } },
+          { siret: '3' }
+        ]),
+        update: sinon.stub().resolves({})
+      };
+      const connector = new InseeConnector(sourceConfig, persistenceManager);
+      const ban = mockBan();
+
+      const result = await connector.geocodeStored();
+
+      expect(persistenceManager.find.firstCall.args[2]).to.deep.equal({ sort: 'siret', limit: 1000 });
+      expect(ban.isDone()).to.be.true;
+      expect(persistenceManager.update.calledOnce).to.be.true;
+      expect(persistenceManager.update.firstCall.args[1]).to.deep.equal({ siret: '2' });
+      expect(result).to.include({ records: 3, updated: 1, reused: 1, geocoded: 1, skipped: 1 });
+    });
+  });
+
+  describe('SourceManager', () => {
+    it('devrait géocoder les établissements de la source insee par défaut', async () => {
+      const connector = { geocodeStored: sinon.stub().resolves({ records: 0, updated: 0 }) };
+      const getCapableConnector = sinon.stub(sourceManager, 'getCapableConnector').resolves(connector);
+
+      await sourceManager.geocodeSource(undefined, { force: true, pageSize: 500 });
+
+      expect(getCapableConnector.firstCall.args).to.deep.equal(['insee', 'geocode']);
+      expect(connector.geocodeStored.firstCall.args[0]).to.deep.equal({ force: true, pageSize: 500 });
+    });
+  });
+});
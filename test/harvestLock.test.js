@@ -0,0 +1,237 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Joi from 'joi';
+import { HarvestLock, LockHeldError, LockLostError } from '../src/harvest/HarvestLock.js';
+import { HarvestWorker } from '../src/harvest/HarvestWorker.js';
+import { Scheduler } from '../src/scheduler/Scheduler.js';
+import { SourceManager } from '../src/sources/index.js';
+import { parseQuery, matchesQuery, equalityDocument } from '../src/persistence/query.js';
+
+// Collection harvest_locks en mémoire, avec l'index unique sur key
+class FakeLockModel {
+  constructor() {
+    this.documents = [];
+  }
+
+  chain(result) {
+    return { lean: () => Promise.resolve().then(result) };
+  }
+
+  select(filter) {
+    const query = parseQuery(filter);
+    return this.documents.filter(document => matchesQuery(document, query));
+  }
+
+  findOneAndUpdate(filter, { $set }, { upsert = false } = {}) {
+    return this.chain(() => {
+      const [document] = this.select(filter);
+      if (document) return Object.assign(document, $set) && { ...document };
+      if (!upsert) return null;
+
+      const inserted = { ...equalityDocument(filter), ...$set };
+      if (this.documents.some(existing => existing.key === inserted.key)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      this.documents.push(inserted);
+      return { ...inserted };
+    });
+  }
+
+  findOne(filter) {
+    return this.chain(() => this.select(filter)[0] || null);
+  }
+
+  find(filter) {
+    return this.chain(() => this.select(filter));
+  }
+
+  async deleteOne(filter) {
+    const [document] = this.select(filter);
+    this.documents = this.documents.filter(existing => existing !== document);
+    return { deletedCount: document ? 1 : 0 };
+  }
+}
+
+describe('Harvest lock', () => {
+  let model;
+  let replicaA;
+  let replicaB;
+
+  beforeEach(() => {
+    model = new FakeLockModel();
+    replicaA = new HarvestLock({ ttlMs: 1000 }, { model, instanceId: 'api-1' });
+    replicaB = new HarvestLock({ ttlMs: 1000 }, { model, instanceId: 'api-2' });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should grant a lease to one instance only and name the holder', async () => {
+    const lock = await replicaA.acquire('insee', { sourceId: 'insee', trigger: 'cron' });
+
+    try {
+      await replicaB.acquire('insee', { sourceId: 'insee', trigger: 'cron' });
+      expect.fail('Devrait avoir levé une erreur');
+    } catch (error) {
+      expect(error).to.be.instanceOf(LockHeldError);
+      expect(error.lock).to.include({ holder: 'api-1', sourceId: 'insee' });
+    }
+
+    // Une autre source reste libre
+    await replicaB.acquire('cog', { sourceId: 'cog' });
+
+    await replicaA.release(lock);
+    expect(await replicaB.acquire('insee')).to.include({ holder: 'api-2' });
+  });
+
+  it('should let another instance take over an expired lease', async () => {
+    const lock = await replicaA.acquire('insee');
+    model.documents[0].expiresAt = new Date(Date.now() - 1);
+
+    const takenOver = await replicaB.acquire('insee');
+
+    expect(takenOver.holder).to.equal('api-2');
+    expect(await replicaA.renew(lock)).to.be.false;
+    await replicaA.release(lock);
+    expect(await replicaB.get('insee')).to.include({ holder: 'api-2' });
+  });
+
+  it('should renew the lease while the operation runs and release it afterwards', async () => {
+    const renewing = new HarvestLock({ ttlMs: 1000, renewIntervalMs: 5 }, { model, instanceId: 'api-1' });
+    let expiresAt;
+
+    await renewing.run('insee', { sourceId: 'insee' }, async () => {
+      expiresAt = model.documents[0].expiresAt;
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(model.documents[0].expiresAt.getTime()).to.be.greaterThan(expiresAt.getTime());
+    });
+
+    expect(model.documents).to.be.empty;
+  });
+
+  it('should abort the operation once the lease is lost', async () => {
+    const renewing = new HarvestLock({ ttlMs: 1000, renewIntervalMs: 5 }, { model, instanceId: 'api-1' });
+
+    const reason = await renewing.run('insee', {}, async (signal) => {
+      model.documents[0].token = 'stolen';
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+      return signal.reason;
+    });
+
+    expect(reason).to.be.instanceOf(LockLostError);
+  });
+
+  describe('usage', () => {
+    class LockedConnector {
+      static type = 'locked';
+      static capabilities = ['harvest'];
+      static configSchema = Joi.object();
+
+      static harvest = sinon.stub();
+
+      async harvest(params) { return LockedConnector.harvest(params); }
+      async getData() {}
+      async getDataById() {}
+      async updateData() {}
+      async deleteData() {}
+    }
+
+    let manager;
+
+    beforeEach(() => {
+      LockedConnector.harvest = sinon.stub().resolves({ success: true, dataCount: 0 });
+      manager = new SourceManager();
+      manager.registry.register(LockedConnector);
+      manager.persistenceManager = {};
+      manager.watermarkManager = { get: sinon.stub().resolves(null), set: sinon.stub().resolves() };
+      manager.harvestRunManager = {
+        start: sinon.stub().callsFake(async ({ runId }) => ({ runId, records: {}, errors: [] })),
+        track: pm => pm,
+        finish: sinon.stub().resolves({ records: {} }),
+        fail: sinon.stub().resolves()
+      };
+      manager.harvestLock = replicaB;
+      manager.configManager.sourceConfigs.set('insee', { id: 'insee', type: 'locked', persistence: {} });
+      manager.initialized = true;
+    });
+
+    it('should not harvest any dataset of a source whose lock is held by another instance', async () => {
+      const lock = await replicaA.acquire('insee', { sourceId: 'insee', trigger: 'cron' });
+
+      // Les jeux de données partagent le filigrane de la source : ils ne tournent pas en parallèle
+      for (const dataset of ['sirene', 'bdm']) {
+        try {
+          await manager.harvestSourceById('insee', { dataset, trigger: 'cron' });
+          expect.fail('Devrait avoir levé une erreur');
+        } catch (error) {
+          expect(error).to.be.instanceOf(LockHeldError);
+        }
+      }
+      expect(LockedConnector.harvest.called).to.be.false;
+      expect(manager.harvestRunManager.start.called).to.be.false;
+
+      await replicaA.release(lock);
+      await manager.harvestSourceById('insee', { dataset: 'bdm', trigger: 'cron' });
+      expect(LockedConnector.harvest.calledOnce).to.be.true;
+      expect(model.documents).to.be.empty;
+    });
+
+    it('should show the current holder in the health output', async () => {
+      await replicaA.acquire('insee', { sourceId: 'insee', trigger: 'cron' });
+      sinon.stub(manager.healthManager, 'checkSourceHealth').resolves({ sourceId: 'insee', isHealthy: true });
+
+      const health = await manager.checkSourceHealth('insee');
+
+      expect(health.isHealthy).to.be.true;
+      expect(health.locks).to.have.lengthOf(1);
+      expect(health.locks[0]).to.include({ key: 'insee', holder: 'api-1', trigger: 'cron' });
+    });
+
+    it('should skip the scheduled run of a dataset already harvested elsewhere', async () => {
+      await replicaA.acquire('insee', { sourceId: 'insee', trigger: 'cron', dataset: 'sirene' });
+      manager.configManager.sourceConfigs.get('insee').schedule = {
+        tasks: { sirene: { cron: '0 2 * * *', retryOnFailure: true, maxRetries: 3, retryDelayMs: 1 } }
+      };
+      manager.configManager.globalConfig = { scheduler: { watch: false } };
+      const harvest = sinon.spy(manager, 'harvestSourceById');
+
+      const lastRun = await new Scheduler(manager).runJob('insee:sirene');
+
+      expect(lastRun.status).to.equal('skipped');
+      expect(harvest.calledOnce).to.be.true;
+    });
+
+    it('should wait for the harvest of another dataset of the source before running', async () => {
+      const lock = await replicaA.acquire('insee', { sourceId: 'insee', trigger: 'cron', dataset: 'sirene' });
+      manager.configManager.sourceConfigs.get('insee').schedule = {
+        tasks: { bdm: { cron: '0 3 * * *', retryOnFailure: true, maxRetries: 3, retryDelayMs: 1 } }
+      };
+      manager.configManager.globalConfig = { scheduler: { watch: false, lockedRetryDelayMs: 5 } };
+      const harvest = sinon.spy(manager, 'harvestSourceById');
+      LockedConnector.harvest.callsFake(async () => {
+        expect(model.documents[0]).to.include({ holder: 'api-2', dataset: 'bdm' });
+        return { success: true, dataCount: 0 };
+      });
+      setTimeout(() => replicaA.release(lock), 20);
+
+      const lastRun = await new Scheduler(manager).runJob('insee:bdm');
+
+      expect(lastRun).to.include({ status: 'success', attempts: 1 });
+      expect(harvest.callCount).to.be.greaterThan(1);
+      expect(LockedConnector.harvest.calledOnce).to.be.true;
+    });
+
+    it('should postpone a queued job instead of failing it', async () => {
+      await replicaA.acquire('insee', { sourceId: 'insee' });
+      const queue = { postpone: sinon.stub().resolves(), fail: sinon.stub().resolves(), heartbeat: sinon.stub() };
+      const worker = new HarvestWorker(queue, manager, { workerId: 'w', lockedRetryDelayMs: 5000 });
+      const job = { jobId: 'job-1', sourceId: 'insee', params: {}, trigger: 'api' };
+
+      await worker.process(job);
+
+      expect(queue.postpone.calledOnceWith(job, 5000)).to.be.true;
+      expect(queue.fail.called).to.be.false;
+    });
+  });
+});
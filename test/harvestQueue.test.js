@@ -0,0 +1,227 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { HarvestQueue, JobStateError } from '../src/harvest/HarvestQueue.js';
+import { HarvestWorker } from '../src/harvest/HarvestWorker.js';
+import { HarvestRunManager } from '../src/harvest/HarvestRunManager.js';
+import { parseQuery, matchesQuery, sortDocuments } from '../src/persistence/query.js';
+
+// Modèle mongoose en mémoire : filtres évalués par le langage de requête commun
+class FakeJobModel {
+  constructor() {
+    this.documents = [];
+  }
+
+  query(result) {
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      lean: () => Promise.resolve(result())
+    };
+    return chain;
+  }
+
+  select(filter, sort = {}) {
+    const query = parseQuery(filter);
+    const order = Object.entries(sort).map(([field, direction]) => ({ field, direction }));
+    return sortDocuments(this.documents.filter(document => matchesQuery(document, query)), order);
+  }
+
+  apply(document, { $set = {}, $inc = {} }) {
+    Object.assign(document, $set);
+    for (const [field, value] of Object.entries($inc)) document[field] += value;
+  }
+
+  async create(fields) {
+    const now = new Date();
+    const document = {
+      params: {}, trigger: 'api', status: 'queued', attempts: 0, cancelRequested: false, workerId: null,
+      createdAt: now, queuedAt: new Date(now.getTime() - 1000 + this.documents.length), ...fields
+    };
+    this.documents.push(document);
+    return { ...document, toObject: () => ({ ...document }) };
+  }
+
+  findOne(filter) {
+    return this.query(() => this.select(filter)[0] || null);
+  }
+
+  find(filter) {
+    return this.query(() => this.select(filter));
+  }
+
+  findOneAndUpdate(filter, update, { sort } = {}) {
+    return this.query(() => {
+      const [document] = this.select(filter, sort);
+      if (!document) return null;
+      this.apply(document, update);
+      return { ...document };
+    });
+  }
+
+  async updateOne(filter, update) {
+    const [document] = this.select(filter);
+    if (document) this.apply(document, update);
+    return { modifiedCount: document ? 1 : 0 };
+  }
+
+  async updateMany(filter, update) {
+    const documents = this.select(filter);
+    documents.forEach(document => this.apply(document, update));
+    return { modifiedCount: documents.length };
+  }
+
+  async countDocuments(filter) {
+    return this.select(filter).length;
+  }
+}
+
+describe('Harvest queue', () => {
+  let model;
+  let queue;
+
+  beforeEach(() => {
+    model = new FakeJobModel();
+    queue = new HarvestQueue({ sourceConcurrency: { default: 1, insee: 2 }, staleAfterMs: 1000 }, { model });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should enqueue jobs and hand them out oldest first', async () => {
+    const first = await queue.enqueue('assemblee', { dataset: 'deputes' });
+    await queue.enqueue('insee', {});
+
+    const claimed = await queue.claim('worker-1');
+
+    expect(first).to.include({ sourceId: 'assemblee', status: 'queued', trigger: 'api' });
+    expect(claimed).to.include({ jobId: first.jobId, status: 'running', workerId: 'worker-1', attempts: 1 });
+    expect(claimed.params).to.deep.equal({ dataset: 'deputes' });
+  });
+
+  it('should respect the concurrency of each source', async () => {
+    for (let i = 0; i < 3; i++) await queue.enqueue('insee');
+    await queue.enqueue('assemblee');
+    await queue.enqueue('assemblee');
+
+    const claimed = [];
+    for (let i = 0; i < 5; i++) claimed.push(await queue.claim(`worker-${i}`));
+
+    expect(claimed.filter(Boolean).map(job => job.sourceId).sort()).to.deep.equal(['assemblee', 'insee', 'insee']);
+    expect(await model.countDocuments({ status: 'queued' })).to.equal(2);
+  });
+
+  it('should cancel queued jobs at once and flag running ones', async () => {
+    const queued = await queue.enqueue('insee');
+    const running = await queue.enqueue('insee');
+    await model.updateOne({ jobId: running.jobId }, { $set: { status: 'running', workerId: 'w' } });
+
+    expect(await queue.cancel(queued.jobId)).to.include({ status: 'cancelled' });
+    expect(await queue.cancel(running.jobId)).to.include({ status: 'running', cancelRequested: true });
+    expect(await queue.heartbeat({ jobId: running.jobId, workerId: 'w' })).to.be.false;
+    expect(await queue.cancel('missing')).to.be.null;
+
+    try {
+      await queue.cancel(queued.jobId);
+      expect.fail('Devrait avoir levé une erreur');
+    } catch (error) {
+      expect(error).to.be.instanceOf(JobStateError);
+    }
+  });
+
+  it('should requeue failed jobs on retry and refuse to retry successful ones', async () => {
+    const job = await queue.enqueue('insee');
+    const claimed = await queue.claim('w');
+    await queue.fail(claimed, new Error('HTTP 503'));
+
+    expect(await queue.get(job.jobId)).to.include({ status: 'failed', error: 'HTTP 503' });
+
+    const retried = await queue.retry(job.jobId);
+    expect(retried).to.include({ status: 'queued', error: null, attempts: 1 });
+
+    await queue.complete(await queue.claim('w'), { runId: 'run-1', success: true, records: { inserted: 1 } });
+    expect(await queue.get(job.jobId)).to.include({ status: 'succeeded', runId: 'run-1', attempts: 2 });
+
+    try {
+      await queue.retry(job.jobId);
+      expect.fail('Devrait avoir levé une erreur');
+    } catch (error) {
+      expect(error.message).to.equal('Cannot retry a succeeded harvest job');
+    }
+  });
+
+  it('should put back the jobs of workers that stopped sending heartbeats', async () => {
+    await queue.enqueue('insee');
+    const claimed = await queue.claim('crashed');
+    await model.updateOne({ jobId: claimed.jobId }, { $set: { heartbeatAt: new Date(Date.now() - 5000) } });
+
+    expect(await queue.requeueStale()).to.equal(1);
+    expect(await queue.claim('w')).to.include({ jobId: claimed.jobId, attempts: 2 });
+  });
+
+  it('should fail a stale job once it has used its maximum number of attempts', async () => {
+    queue = new HarvestQueue({ staleAfterMs: 1000, maxAttempts: 2 }, { model });
+    const { jobId } = await queue.enqueue('insee');
+
+    for (const worker of ['crashed-1', 'crashed-2']) {
+      await queue.claim(worker);
+      await model.updateOne({ jobId }, { $set: { heartbeatAt: new Date(Date.now() - 5000) } });
+      await queue.requeueStale();
+    }
+
+    expect(await queue.get(jobId)).to.include({ status: 'failed', attempts: 2, error: 'Worker lost after 2 attempts' });
+    expect(await queue.claim('w')).to.be.null;
+  });
+
+  describe('HarvestWorker', () => {
+    it('should run claimed jobs through the source manager and record the result', async () => {
+      const job = await queue.enqueue('insee', { limit: 10 });
+      const sourceManager = { harvestSourceById: sinon.stub().resolves({ runId: 'run-1', success: true }) };
+      const worker = new HarvestWorker(queue, sourceManager, { workerId: 'w', pollIntervalMs: 5 });
+
+      await worker.process(await queue.claim('w'));
+
+      const [sourceId, options] = sourceManager.harvestSourceById.firstCall.args;
+      expect(sourceId).to.equal('insee');
+      expect(options).to.include({ limit: 10, trigger: 'api' });
+      expect(options.signal).to.be.instanceOf(AbortSignal);
+      expect(await queue.get(job.jobId)).to.include({ status: 'succeeded', runId: 'run-1' });
+    });
+
+    it('should stop a running harvest at its next save once cancelled', async () => {
+      const job = await queue.enqueue('insee');
+      const runManager = new HarvestRunManager({});
+      const save = sinon.stub().resolves({ insertedCount: 1 });
+      const sourceManager = {
+        harvestSourceById: async (sourceId, { signal }) => {
+          const persistence = runManager.track({ save }, { records: { inserted: 0 }, errors: [] }, signal);
+          await persistence.save({}, [{ id: 1 }]);
+          await queue.cancel(job.jobId);
+          await new Promise(resolve => setTimeout(resolve, 20));
+          await persistence.save({}, [{ id: 2 }]);
+          return { success: true };
+        }
+      };
+      const worker = new HarvestWorker(queue, sourceManager, { workerId: 'w', heartbeatIntervalMs: 5 });
+
+      await worker.process(await queue.claim('w'));
+
+      expect(save.calledOnce).to.be.true;
+      expect(await queue.get(job.jobId)).to.include({ status: 'cancelled' });
+    });
+
+    it('should drain its loops on stop', async () => {
+      const sourceManager = { harvestSourceById: sinon.stub().resolves({ success: true }) };
+      const worker = new HarvestWorker(queue, sourceManager, { workerId: 'w', concurrency: 2, pollIntervalMs: 5 });
+      await queue.enqueue('insee');
+
+      worker.start();
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await worker.stop();
+
+      expect(sourceManager.harvestSourceById.calledOnce).to.be.true;
+      expect(worker.running).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Joi from 'joi';
+import { SourceManager } from '../src/sources/index.js';
+import { WatermarkManager } from '../src/harvest/WatermarkManager.js';
+import { HarvestRunManager } from '../src/harvest/HarvestRunManager.js';
+
+describe('Harvest runs', () => {
+  let manager;
+  let harvest;
+  let mockPersistenceManager;
+
+  class TrackedConnector {
+    static type = 'tracked';
+    static capabilities = ['harvest'];
+    static configSchema = Joi.object();
+
+    constructor(sourceConfig, persistenceManager) {
+      this.sourceConfig = sourceConfig;
+      this.persistenceManager = persistenceManager;
+    }
+
+    async harvest(params) { return harvest(this, params); }
+    async getData() {}
+    async getDataById() {}
+    async updateData() {}
+    async deleteData() {}
+  }
+
+  const sourceConfig = { id: 'demo', name: 'demo', type: 'tracked', persistence: { collection: 'demo' } };
+
+  function runUpdate() {
+    const call = mockPersistenceManager.update.getCalls()
+      .find(({ args }) => args[0].persistence.collection === 'harvest_runs');
+    return call.args[2].$set;
+  }
+
+  beforeEach(() => {
+    mockPersistenceManager = {
+      save: sinon.stub().resolves({ insertedCount: 2, updatedCount: 1, unchangedCount: 0 }),
+      find: sinon.stub().resolves([]),
+      findOne: sinon.stub().resolves(null),
+      update: sinon.stub().resolves({ modifiedCount: 1 }),
+      delete: sinon.stub().resolves({ deletedCount: 1 })
+    };
+    harvest = sinon.stub().callsFake(async (connector) => {
+      await connector.persistenceManager.save(connector.sourceConfig, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+      return { success: true, dataCount: 3, pages: 1, watermark: { cursor: 'b' } };
+    });
+
+    manager = new SourceManager();
+    manager.registry.register(TrackedConnector);
+    manager.persistenceManager = mockPersistenceManager;
+    manager.watermarkManager = new WatermarkManager(mockPersistenceManager);
+    manager.harvestRunManager = new HarvestRunManager(mockPersistenceManager);
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should record a run with its trigger, parameters and write counts', async () => {
+    const result = await manager.harvestSource('demo', sourceConfig, { limit: 10, trigger: 'cli' });
+
+    const [storeConfig, started] = mockPersistenceManager.save.firstCall.args;
+    expect(storeConfig.persistence.collection).to.equal('harvest_runs');
+    expect(started).to.include({ runId: result.runId, sourceId: 'demo', trigger: 'cli', status: 'running' });
+    expect(started.params).to.deep.equal({ limit: 10, full: false, force: false });
+
+    const finished = runUpdate();
+    expect(finished).to.include({ status: 'success', pages: 1, dataCount: 3 });
+    expect(finished.records).to.deep.equal({ inserted: 2, updated: 1, unchanged: 0, failed: 0 });
+    expect(finished.watermark).to.deep.equal({ cursor: 'b' });
+    expect(finished.durationMs).to.be.a('number');
+    expect(result.records).to.deep.equal(finished.records);
+  });
+
+  it('should mark the run as failed and keep the error', async () => {
+    mockPersistenceManager.save.withArgs(sinon.match({ persistence: { collection: 'demo' } }))
+      .rejects(new Error('E11000 duplicate key'));
+
+    try {
+      await manager.harvestSource('demo', sourceConfig);
+      expect.fail('Devrait avoir levé une erreur');
+    } catch (error) {
+      expect(error.message).to.equal('E11000 duplicate key');
+    }
+
+    const failed = runUpdate();
+    expect(failed.status).to.equal('failed');
+    expect(failed.records.failed).to.equal(3);
+    expect(failed.errors.map(error => error.message)).to.include('E11000 duplicate key');
+  });
+
+  it('should not fail the harvest when the run log cannot be written', async () => {
+    mockPersistenceManager.save.withArgs(sinon.match({ persistence: { collection: 'harvest_runs' } }))
+      .rejects(new Error('connection lost'));
+
+    const result = await manager.harvestSource('demo', sourceConfig);
+
+    expect(result.success).to.be.true;
+  });
+
+  it('should reject an unknown trigger', async () => {
+    try {
+      await manager.harvestSource('demo', sourceConfig, { trigger: 'webhook' });
+      expect.fail('Devrait avoir levé une erreur');
+    } catch (error) {
+      expect(error.message).to.include('Unknown harvest trigger');
+    }
+    expect(harvest.called).to.be.false;
+  });
+
+  it('should list runs newest first with a cursor', async () => {
+    mockPersistenceManager.find.resolves([{ runId: 'b' }, { runId: 'a' }, { runId: 'z' }]);
+
+    const page = await manager.getHarvestRuns({ sourceId: 'demo' }, { limit: 2 });
+
+    const [, filter, options] = mockPersistenceManager.find.firstCall.args;
+    expect(filter).to.deep.equal({ sourceId: 'demo' });
+    expect(options).to.deep.include({ sort: { startedAt: -1 }, offset: 0, limit: 3 });
+    expect(page.items.map(run => run.runId)).to.deep.equal(['b', 'a']);
+    expect(page.nextCursor).to.be.a('string');
+  });
+});
@@ -1,6 +1,16 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
 import nock from 'nock';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ConfigManager } from '../src/config/ConfigManager.js';
+import { newDb } from 'pg-mem';
+import { FilePersistence } from '../src/persistence/filePersistence.js';
+import { PostgresPersistence } from '../src/persistence/postgresPersistence.js';
+import { MongoPersistence } from '../src/persistence/mongoPersistence.js';
+import { RedisPersistence } from '../src/persistence/redisPersistence.js';
+import { PersistenceManager } from '../src/persistence/index.js';
 import { InseeClient } from '../src/sources/insee/client.js';
 import { InseeConnector } from '../src/sources/insee/index.js';
 import { DataTransformer } from '../src/sources/insee/transform.js';
@@ -41,6 +51,17 @@ describe('INSEE Connector', () => {
     }
   };
 
+  // Message SDMX-ML « structure specific », tel que renvoyé par la BDM
+  const sdmxMessage = (...series) => `<?xml version="1.0" encoding="UTF-8"?>
+<message:StructureSpecificData xmlns:message="http://www.sdmx.org/resources/sdmxml/schemas/v2_1/message">
+  <message:Header><message:ID>BDM</message:ID></message:Header>
+  <message:DataSet>${series.map(({ idBank, title = idBank, observations }) => `
+    <Series IDBANK="${idBank}" FREQ="M" TITLE_FR="${title}" LAST_UPDATE="2024-04-01">${observations.map(([date, value]) => `
+      <Obs TIME_PERIOD="${date}" OBS_VALUE="${value}" OBS_STATUS="A" OBS_QUAL="DEF"/>`).join('')}
+    </Series>`).join('')}
+  </message:DataSet>
+</message:StructureSpecificData>`;
+
   beforeEach(() => {
     // Mock du gestionnaire de persistance
     mockPersistenceManager = {
@@ -167,6 +188,264 @@ describe('INSEE Connector', () => {
       }
     });
 
+    it('devrait parcourir toutes les pages SIRENE avec le curseur', async () => {
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query({ q: 'codeCommuneEtablissement:29019', nombre: 2, curseur: '*' })
+        .reply(200, {
+          header: { total: 3, nombre: 2, curseur: '*', curseurSuivant: 'AoEpMTIz' },
+          etablissements: [{ siret: '1' }, { siret: '2' }]
+        });
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query({ q: 'codeCommuneEtablissement:29019', nombre: 2, curseur: 'AoEpMTIz' })
+        .reply(200, {
+          header: { total: 3, nombre: 1, curseur: 'AoEpMTIz', curseurSuivant: 'AoEpMTIz' },
+          etablissements: [{ siret: '3' }]
+        });
+
+      const result = await connector.harvest({ query: 'codeCommuneEtablissement:29019', pageSize: 2 });
+
+      expect(result.pages).to.equal(2);
+      expect(result.dataCount).to.equal(3);
+      expect(mockPersistenceManager.save.calledTwice).to.be.true;
+      expect(mockPersistenceManager.save.secondCall.args[1]).to.deep.equal([{ siret: '3' }]);
+    });
+
+    it('devrait s\'arrêter au nombre maximal de pages', async () => {
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query(true)
+        .reply(200, {
+          header: { total: 5000, curseur: '*', curseurSuivant: 'AoEpNDU2' },
+          etablissements: [{ siret: '12345678900011' }]
+        });
+
+      const result = await connector.harvest({ maxPages: 1 });
+
+      expect(result.pages).to.equal(1);
+      expect(result.dataCount).to.equal(1);
+    });
+
+    it('devrait terminer sans erreur lorsque SIRENE ne trouve aucun élément', async () => {
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query(true)
+        .reply(404, { header: { statut: 404, message: 'Aucun élément trouvé' } });
+
+      const result = await connector.harvest({ query: 'codeCommuneEtablissement:00000' });
+
+      expect(result.pages).to.equal(0);
+      expect(mockPersistenceManager.save.called).to.be.false;
+    });
+
+    it('devrait reprendre SIRENE depuis le filigrane et renvoyer le nouveau', async () => {
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query({ q: 'dateDernierTraitementEtablissement:[2024-03-01T08:00:00 TO *]', nombre: 1000, curseur: '*' })
+        .reply(200, {
+          header: { total: 2, curseur: '*', curseurSuivant: '*' },
+          etablissements: [
+            { siret: '1', dateDernierTraitementEtablissement: '2024-03-02T10:00:00' },
+            { siret: '2', dateDernierTraitementEtablissement: '2024-03-01T09:30:00' }
+          ]
+        });
+
+      const result = await connector.harvest({ watermark: { dateDernierTraitement: '2024-03-01T08:00:00' } });
+
+      expect(result.dataCount).to.equal(2);
+      expect(result.watermark).to.deep.equal({ dateDernierTraitement: '2024-03-02T10:00:00' });
+    });
+
+    it('devrait conserver le filigrane lorsque la récolte SIRENE s\'arrête avant la dernière page', async () => {
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query(true)
+        .times(2)
+        .reply(200, {
+          header: { total: 5000, curseur: '*', curseurSuivant: 'AoEpNDU2' },
+          etablissements: [
+            { siret: '1', dateDernierTraitementEtablissement: '2024-03-05T10:00:00' },
+            { siret: '2', dateDernierTraitementEtablissement: '2024-03-02T09:30:00' }
+          ]
+        });
+
+      const watermark = { dateDernierTraitement: '2024-03-01T08:00:00' };
+      const capped = await connector.harvest({ watermark, maxPages: 1 });
+      const limited = await connector.harvest({ watermark, limit: 1 });
+
+      expect(capped.dataCount).to.equal(2);
+      expect(capped.watermark).to.be.undefined;
+      expect(limited.dataCount).to.equal(1);
+      expect(limited.watermark).to.be.undefined;
+    });
+
+    it('devrait récolter une plage de dates SIRENE sans renvoyer de filigrane', async () => {
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query({ q: 'dateCreationEtablissement:[2020-01-01 TO 2020-01-31]', nombre: 1000, curseur: '*' })
+        .reply(200, {
+          header: { total: 1, curseur: '*', curseurSuivant: '*' },
+          etablissements: [{ siret: '1', dateDernierTraitementEtablissement: '2024-03-02T10:00:00' }]
+        });
+
+      const result = await connector.harvest({
+        startDate: '2020-01-01',
+        endDate: '2020-01-31',
+        watermark: { dateDernierTraitement: '2024-03-01T08:00:00' }
+      });
+
+      expect(result.dataCount).to.equal(1);
+      expect(result.watermark).to.be.undefined;
+    });
+
+    it('devrait reprendre une série BDM après la dernière observation', async () => {
+      const bdmConnector = new InseeConnector({
+        ...mockSourceConfig,
+        id: 'insee-bdm',
+        config: { ...mockSourceConfig.config, baseUrl: 'https://api.insee.fr/series/BDM/V1' },
+        transform: { enabled: false }
+      }, mockPersistenceManager);
+
+      nock('https://api.insee.fr')
+        .get('/series/BDM/V1/data/SERIES_BDM/001688370')
+        .query({ startPeriod: '2024-01' })
+        .reply(200, sdmxMessage({ idBank: '001688370', observations: [['2024-02', '1.2'], ['2024-03', '1.4']] }));
+
+      const result = await bdmConnector.harvest({
+        seriesId: '001688370',
+        watermark: { series: { '001688370': '2024-01', '010565692': '2023-12' } }
+      });
+
+      expect(result.watermark.series).to.deep.equal({ '001688370': '2024-03', '010565692': '2023-12' });
+    });
+
+    describe('catalogue BDM', () => {
+      let bdmConnector;
+
+      beforeEach(() => {
+        bdmConnector = new InseeConnector({
+          ...mockSourceConfig,
+          id: 'insee-bdm',
+          config: { ...mockSourceConfig.config, baseUrl: 'https://api.insee.fr/series/BDM/V1' },
+          transform: { enabled: false },
+          catalogue: {
+            bdm: [
+              { idBank: '001688370' },
+              { idBank: '010565692' },
+              { dataflow: 'CLIMAT-AFFAIRES', key: 'M' },
+              { idBank: '000000001', enabled: false }
+            ]
+          }
+        }, mockPersistenceManager);
+      });
+
+      it('devrait récolter toutes les séries actives avec un filigrane par série', async () => {
+        nock('https://api.insee.fr')
+          .get('/series/BDM/V1/data/SERIES_BDM/001688370')
+          .query({ startPeriod: '2024-01' })
+          .reply(200, sdmxMessage({ idBank: '001688370', observations: [['2024-02', '1.2']] }));
+        nock('https://api.insee.fr')
+          .get('/series/BDM/V1/data/SERIES_BDM/010565692')
+          .reply(404, 'Série inconnue');
+        nock('https://api.insee.fr')
+          .get('/series/BDM/V1/data/CLIMAT-AFFAIRES/M')
+          .reply(200, sdmxMessage(
+            { idBank: '001565530', title: 'Climat des affaires', observations: [['2024-03', '98']] },
+            { idBank: '001565531', title: 'Climat de l\'industrie', observations: [['2024-02', '97']] }
+          ));
+        nock('https://api.insee.fr')
+          .get('/series/BDM/V1/datastructure/FR1/CLIMAT-AFFAIRES')
+          .query({ references: 'children' })
+          .reply(404, 'Structure inconnue');
+
+        const result = await bdmConnector.harvest({ watermark: { series: { '001688370': '2024-01' } } });
+
+        expect(result.success).to.be.false;
+        expect(result.series.map(({ idBank, status }) => `${idBank}:${status}`))
+          .to.deep.equal(['001688370:success', '010565692:failed', '001565530:success', '001565531:success']);
+        expect(result.watermark).to.deep.equal({
+          series: { '001688370': '2024-02', '001565530': '2024-03', '001565531': '2024-02' },
+          dataflows: { 'CLIMAT-AFFAIRES/M': '2024-02' }
+        });
+        expect(mockPersistenceManager.save.callCount).to.equal(3);
+        expect(mockPersistenceManager.update.firstCall.args[1]).to.deep.equal({ idBank: '010565692' });
+        expect(mockPersistenceManager.update.firstCall.args[2].$set.harvest.status).to.equal('failed');
+      });
+
+      it('devrait compléter les observations déjà sauvegardées', async () => {
+        mockPersistenceManager.findOne.resolves({
+          idBank: '001688370',
+          data: [{ date: '2024-01', value: '1.0' }, { date: '2024-02', value: '1.1' }]
+        });
+        nock('https://api.insee.fr')
+          .get('/series/BDM/V1/data/SERIES_BDM/001688370')
+          .query({ startPeriod: '2024-02' })
+          .reply(200, sdmxMessage({ idBank: '001688370', observations: [['2024-02', '1.2'], ['2024-03', '1.4']] }));
+
+        await bdmConnector.harvest({ seriesId: '001688370', watermark: { series: { '001688370': '2024-02' } } });
+
+        const [, record] = mockPersistenceManager.save.firstCall.args;
+        expect(record.data.map(point => `${point.date}=${point.value}`)).to.deep.equal(['2024-01=1.0', '2024-02=1.2', '2024-03=1.4']);
+        expect(record.data[2]).to.include({ status: 'A' });
+        expect(record.metadata).to.include({ title: '001688370', frequency: 'M', lastUpdate: '2024-04-01' });
+        expect(record.lastObservation).to.equal('2024-03');
+      });
+
+      it('devrait lister le catalogue avec l\'état de récolte de chaque série', async () => {
+        mockPersistenceManager.find.onFirstCall().resolves([
+          { idBank: '001688370', metadata: { title: 'IPC' }, lastObservation: '2024-03', harvest: { status: 'success', harvestedAt: '2024-04-01T03:00:00.000Z' } }
+        ]);
+        mockPersistenceManager.find.onSecondCall().resolves([]);
+
+        const series = await bdmConnector.getCatalogue('bdm', { watermark: { series: { '010565692': '2023-12' } } });
+
+        expect(series.map(({ id, harvestStatus, lastObservation }) => [id, harvestStatus, lastObservation])).to.deep.equal([
+          ['001688370', 'success', '2024-03'],
+          ['010565692', 'pending', '2023-12'],
+          ['CLIMAT-AFFAIRES/M', 'pending', null],
+          ['000000001', 'pending', null]
+        ]);
+        expect(series[3].enabled).to.be.false;
+      });
+
+      it('devrait refuser une entrée de catalogue sans idBank ni flux', async () => {
+        bdmConnector.sourceConfig.catalogue.bdm.push({ key: 'M' });
+
+        try {
+          await bdmConnector.harvest({});
+          expect.fail('Devrait avoir levé une erreur');
+        } catch (error) {
+          expect(error.message).to.include('Entrée du catalogue BDM invalide');
+        }
+      });
+    });
+
+    it('devrait récolter les données locales de plusieurs communes', async () => {
+      const localConnector = new InseeConnector({
+        ...mockSourceConfig,
+        id: 'insee-donnees-locales',
+        config: { ...mockSourceConfig.config, baseUrl: 'https://api.insee.fr/donnees-locales/V0.1' },
+        transform: { enabled: false }
+      }, mockPersistenceManager);
+
+      nock('https://api.insee.fr')
+        .get('/donnees-locales/V0.1/geo')
+        .query({ geoCode: '01001', indicatorId: 'P21_POP', year: 2021 })
+        .reply(200, { data: [{ indicator: 'P21_POP', value: 832 }] })
+        .get('/donnees-locales/V0.1/geo')
+        .query({ geoCode: '01015', indicatorId: 'P21_POP', year: 2021 })
+        .reply(200, { data: [{ indicator: 'P21_POP', value: 654 }] });
+
+      const result = await localConnector.harvest({ geoCodes: '01001,01015', indicatorId: 'P21_POP', year: 2021 });
+
+      expect(result.dataCount).to.equal(2);
+      expect(mockPersistenceManager.save.firstCall.args[1]).to.deep.equal([
+        { geoCode: '01001', indicatorId: 'P21_POP', year: 2021, data: [{ indicator: 'P21_POP', value: 832 }] },
+        { geoCode: '01015', indicatorId: 'P21_POP', year: 2021, data: [{ indicator: 'P21_POP', value: 654 }] }
+      ]);
+    });
+
     it('devrait récupérer des données depuis la persistance', async () => {
       const mockData = [{ id: 1, name: 'Test' }];
       mockPersistenceManager.find.resolves(mockData);
@@ -177,6 +456,163 @@ describe('INSEE Connector', () => {
     });
   });
 
+  describe('Configuration config/insee', () => {
+    let sourceConfig;
+    let baseDir;
+    let persistence;
+    let treeConnector;
+
+    beforeEach(async () => {
+      const configManager = new ConfigManager();
+      await configManager.loadSourceConfig('insee');
+      sourceConfig = configManager.getSourceConfig('insee');
+      baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gdh-insee-'));
+      persistence = new FilePersistence({ baseDir });
+      treeConnector = new InseeConnector(sourceConfig, persistence);
+    });
+
+    afterEach(async () => {
+      await fs.rm(baseDir, { recursive: true, force: true });
+    });
+
+    it('devrait sauvegarder les pages SIRENE dans la collection du jeu de données', async () => {
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query({ q: 'codeCommuneEtablissement:29019', nombre: 1000, curseur: '*' })
+        .reply(200, {
+          header: { total: 2, curseur: '*', curseurSuivant: '*' },
+          etablissements: [{ siret: '11111111100011' }, { siret: '22222222200022' }]
+        });
+
+      const result = await treeConnector.harvest({ dataset: 'sirene', query: 'codeCommuneEtablissement:29019' });
+      const stored = await persistence.find(treeConnector.getDatasetConfig('sirene'));
+
+      expect(result.dataCount).to.equal(2);
+      expect(await fs.readdir(baseDir)).to.deep.equal(['insee_sirene']);
+      expect(stored.map(record => record.siret)).to.deep.equal(['11111111100011', '22222222200022']);
+    });
+
+    it('devrait mettre à jour les établissements lors des récoltes incrémentales suivantes', async () => {
+      const { Pool } = newDb().adapters.createPg();
+      const pool = new Pool();
+      const postgres = new PostgresPersistence();
+      postgres.setPool(pool);
+      const sireneConnector = new InseeConnector(sourceConfig, postgres);
+      const save = sinon.spy(postgres, 'save');
+      const etablissement = (siret, dateDernierTraitementEtablissement) => ({ siret, siren: siret.slice(0, 9), dateDernierTraitementEtablissement });
+
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query({ q: 'dateDernierTraitementEtablissement:[2023-01-01 TO *]', nombre: 1000, curseur: '*' })
+        .reply(200, {
+          header: { total: 2, curseur: '*', curseurSuivant: '*' },
+          etablissements: [etablissement('11111111100011', '2024-03-01T10:00:00'), etablissement('22222222200022', '2024-03-02T10:00:00')]
+        })
+        .get('/entreprises/sirene/V3/siret')
+        .query({ q: 'dateDernierTraitementEtablissement:[2024-03-02T10:00:00 TO *]', nombre: 1000, curseur: '*' })
+        .reply(200, {
+          header: { total: 2, curseur: '*', curseurSuivant: '*' },
+          etablissements: [etablissement('22222222200022', '2024-03-05T10:00:00'), etablissement('33333333300033', '2024-03-04T10:00:00')]
+        });
+
+      try {
+        const first = await sireneConnector.harvest({ dataset: 'sirene' });
+        const second = await sireneConnector.harvest({ dataset: 'sirene', watermark: first.watermark });
+
+        expect(first.watermark).to.deep.equal({ dateDernierTraitement: '2024-03-02T10:00:00' });
+        expect(second.watermark).to.deep.equal({ dateDernierTraitement: '2024-03-05T10:00:00' });
+        expect(await save.secondCall.returnValue).to.deep.equal({ insertedCount: 1, updatedCount: 1, unchangedCount: 0 });
+        const stored = await sireneConnector.getData({}, { dataset: 'sirene', sort: 'siret' });
+        expect(stored.map(record => record.siret)).to.deep.equal(['11111111100011', '22222222200022', '33333333300033']);
+      } finally {
+        await pool.end();
+      }
+    });
+
+    it('devrait lire l\'historique des établissements dans la collection SIRENE', async () => {
+      const version = { siret: '11111111100011', version: 1, data: { siret: '11111111100011', etat: 'A' } };
+      const historyModel = {
+        findOne: sinon.stub().returns({ sort: sinon.stub().returnsThis(), lean: sinon.stub().resolves(version) }),
+        find: sinon.stub().returns({ sort: sinon.stub().returnsThis(), lean: sinon.stub().resolves([version]) })
+      };
+      const mongo = new MongoPersistence();
+      const getModel = sinon.stub(mongo, 'getModel').withArgs('insee_sirene_history').returns(historyModel);
+      const manager = new PersistenceManager();
+      manager.registerStrategy('mongodb', mongo);
+      manager.registerStrategy('redis', new RedisPersistence());
+      const historyConnector = new InseeConnector(sourceConfig, manager);
+
+      expect(await historyConnector.getDataAsOf({ siret: '11111111100011' }, '2024-01-01')).to.deep.equal(version.data);
+      expect(await historyConnector.getDataHistory({ siret: '11111111100011' })).to.deep.equal([version]);
+      expect(getModel.callCount).to.equal(2);
+      expect(historyModel.findOne.firstCall.args[0]).to.include({ siret: '11111111100011' });
+    });
+
+    it('devrait reconnaître des données locales déjà récoltées par leur clé naturelle', async () => {
+      const { Pool } = newDb().adapters.createPg();
+      const pool = new Pool();
+      const postgres = new PostgresPersistence();
+      postgres.setPool(pool);
+      const localConnector = new InseeConnector(sourceConfig, postgres);
+      const save = sinon.spy(postgres, 'save');
+
+      nock('https://api.insee.fr')
+        .get('/donnees-locales/V0.1/geo')
+        .query({ geoCode: '29232', indicatorId: 'P21_POP', year: 2021 })
+        .times(2)
+        .reply(200, { data: [{ indicator: 'P21_POP', value: 63929 }] });
+
+      try {
+        await localConnector.harvest({ dataset: 'donneesLocales', geoCode: '29232', indicatorId: 'P21_POP', year: 2021 });
+        await localConnector.harvest({ dataset: 'donneesLocales', geoCode: '29232', indicatorId: 'P21_POP', year: 2021 });
+
+        expect(save.firstCall.args[0].persistence.collection).to.equal('insee_donnees_locales');
+        expect(await save.firstCall.returnValue).to.deep.equal({ insertedCount: 1, updatedCount: 0, unchangedCount: 0 });
+        expect(await save.secondCall.returnValue).to.deep.equal({ insertedCount: 0, updatedCount: 0, unchangedCount: 1 });
+        expect(await localConnector.getData({ geoCode: '29232' }, { dataset: 'donneesLocales' })).to.have.lengthOf(1);
+      } finally {
+        await pool.end();
+      }
+    });
+
+    it('devrait reprendre le millésime de la réponse lorsque year n\'est pas demandé', async () => {
+      const { Pool } = newDb().adapters.createPg();
+      const pool = new Pool();
+      const postgres = new PostgresPersistence();
+      postgres.setPool(pool);
+      const localConnector = new InseeConnector(sourceConfig, postgres);
+      const save = sinon.spy(postgres, 'save');
+
+      nock('https://api.insee.fr')
+        .get('/donnees-locales/V0.1/geo')
+        .query({ geoCode: '29232', indicatorId: 'P21_POP' })
+        .times(2)
+        .reply(200, { millesime: '2021', data: [{ indicator: 'P21_POP', value: 63929 }] })
+        .get('/donnees-locales/V0.1/geo')
+        .query({ geoCode: '29019', indicatorId: 'P21_POP' })
+        .reply(200, { data: [{ indicator: 'P21_POP', value: 139926 }] });
+
+      try {
+        await localConnector.harvest({ dataset: 'donneesLocales', geoCode: '29232', indicatorId: 'P21_POP' });
+        await localConnector.harvest({ dataset: 'donneesLocales', geoCode: '29232', indicatorId: 'P21_POP' });
+
+        expect(await save.secondCall.returnValue).to.deep.equal({ insertedCount: 0, updatedCount: 0, unchangedCount: 1 });
+        const stored = await localConnector.getData({ geoCode: '29232' }, { dataset: 'donneesLocales' });
+        expect(stored).to.have.lengthOf(1);
+        expect(stored[0]).to.include({ indicatorId: 'P21_POP', year: 2021 });
+
+        try {
+          await localConnector.harvest({ dataset: 'donneesLocales', geoCode: '29019', indicatorId: 'P21_POP' });
+          expect.fail('une réponse sans millésime aurait dû être refusée');
+        } catch (error) {
+          expect(error.message).to.include('Millésime absent');
+        }
+      } finally {
+        await pool.end();
+      }
+    });
+  });
+
   describe('DataTransformer', () => {
     it('devrait transformer les dates correctement', () => {
       const transformer = new DataTransformer([
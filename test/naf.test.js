@@ -0,0 +1,129 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import nock from 'nock';
+import { normalizeNafCode, lookupNaf, findNaf, enrichSireneNaf } from '../src/sources/insee/naf.js';
+import { transformInseeSirene } from '../src/sources/insee/transform.js';
+import { InseeConnector } from '../src/sources/insee/index.js';
+import resolvers from '../graphql/resolvers.js';
+import { sourceManager } from '../src/sources/index.js';
+
+describe('Nomenclature NAF rév. 2', () => {
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+  });
+
+  describe('nomenclature', () => {
+    it('devrait accepter les codes avec ou sans point', () => {
+      expect(normalizeNafCode('6201Z')).to.equal('62.01Z');
+      expect(normalizeNafCode(' 62.01z ')).to.equal('62.01Z');
+      expect(normalizeNafCode('j')).to.equal('J');
+      expect(normalizeNafCode('62.0')).to.equal('62.0');
+      expect(normalizeNafCode('62Z')).to.be.null;
+      expect(normalizeNafCode(null)).to.be.null;
+    });
+
+    it('devrait restituer la hiérarchie complète d\'une sous-classe', () => {
+      const activity = lookupNaf('1071C');
+
+      expect(activity).to.include({ nomenclature: 'NAFRev2', level: 'sousClasse', code: '10.71C', libelle: 'Boulangerie et boulangerie-pâtisserie' });
+      expect(activity.section).to.deep.equal({ code: 'C', libelle: 'Industrie manufacturière' });
+      expect(activity.division).to.deep.equal({ code: '10', libelle: 'Industries alimentaires' });
+      expect(activity.groupe.code).to.equal('10.7');
+      expect(activity.classe).to.deep.equal({ code: '10.71', libelle: 'Fabrication de pain et de pâtisserie fraîche' });
+      expect(lookupNaf('62.0')).to.include({ level: 'groupe' }).and.not.have.property('classe');
+      expect(lookupNaf('62.05Z')).to.be.null;
+    });
+
+    it('devrait lister les sous-classes d\'une section et rechercher par libellé', () => {
+      const sectionJ = findNaf({ code: 'J' });
+
+      expect(sectionJ).to.have.lengthOf(33);
+      expect(sectionJ.every(activity => activity.section.code === 'J')).to.be.true;
+      expect(findNaf({ code: '62' }).map(activity => activity.code)).to.deep.equal(['62.01Z', '62.02A', '62.02B', '62.03Z', '62.09Z']);
+      expect(findNaf({ search: 'Boulangerie' }).map(activity => activity.code)).to.deep.equal(['10.71B', '10.71C']);
+      expect(findNaf({ code: 'J', search: 'logiciels applicatifs' }).map(activity => activity.code)).to.deep.equal(['58.29C']);
+      expect(findNaf({ code: 'ZZ' })).to.deep.equal([]);
+    });
+  });
+
+  describe('enrichissement SIRENE', () => {
+    it('devrait rattacher l\'établissement à sa propre activité et l\'unité légale à la sienne', () => {
+      const [etablissement] = transformInseeSirene([{
+        siret: '12345678900011',
+        siren: '123456789',
+        uniteLegale: { siren: '123456789', activitePrincipaleUniteLegale: '62.02A', nomenclatureActivitePrincipaleUniteLegale: 'NAFRev2' },
+        periodesEtablissement: [
+          { dateFin: null, activitePrincipaleEtablissement: '47.11F', nomenclatureActivitePrincipaleEtablissement: 'NAFRev2' },
+          { dateFin: '2019-12-31', activitePrincipaleEtablissement: '62.01Z', nomenclatureActivitePrincipaleEtablissement: 'NAFRev2' }
+        ]
+      }]);
+
+      expect(etablissement).to.include({ sectionNaf: 'G', divisionNaf: '47' });
+      expect(etablissement.activitePrincipaleNaf).to.include({ code: '47.11F', libelle: 'Hypermarchés' });
+      expect(etablissement.uniteLegale.activitePrincipaleNaf.section.code).to.equal('J');
+    });
+
+    it('devrait ignorer les activités codées dans une autre nomenclature', () => {
+      const uniteLegale = { siren: '123456789', periodesUniteLegale: [{ dateFin: null, activitePrincipaleUniteLegale: '72.2Z', nomenclatureActivitePrincipaleUniteLegale: 'NAFRev1' }] };
+      const etablissement = { siret: '12345678900011', uniteLegale: { activitePrincipaleUniteLegale: '62.01Z' } };
+
+      expect(enrichSireneNaf(uniteLegale)).to.deep.equal(uniteLegale);
+      expect(enrichSireneNaf(etablissement)).to.include({ sectionNaf: 'J', divisionNaf: '62' });
+      expect(enrichSireneNaf({ header: { statut: 200 }, etablissement })).to.include({ sectionNaf: 'J' });
+    });
+
+    it('devrait enrichir les pages SIRENE avant leur sauvegarde', async () => {
+      const persistenceManager = { save: sinon.stub().resolves({ insertedCount: 1 }) };
+      const connector = new InseeConnector({
+        id: 'insee-sirene',
+        name: 'INSEE Sirene',
+        config: {
+          baseUrl: 'https://api.insee.fr/entreprises/sirene/V3',
+          authentication: { type: 'bearer', token: 'test-token' },
+          rateLimit: { requestsPerMinute: 30, requestsPerHour: 1000 }
+        }
+      }, persistenceManager);
+
+      nock('https://api.insee.fr')
+        .get('/entreprises/sirene/V3/siret')
+        .query(true)
+        .reply(200, {
+          header: { total: 1, nombre: 1, curseur: '*', curseurSuivant: '*' },
+          etablissements: [{ siret: '1', periodesEtablissement: [{ dateFin: null, activitePrincipaleEtablissement: '56.10A' }] }]
+        });
+
+      await connector.harvest({ query: 'codeCommuneEtablissement:29019' });
+
+      const [saved] = persistenceManager.save.firstCall.args[1];
+      expect(saved).to.include({ sectionNaf: 'I', divisionNaf: '56' });
+      expect(saved.activitePrincipaleNaf.libelle).to.equal('Restauration traditionnelle');
+    });
+  });
+
+  describe('GraphQL', () => {
+    it('devrait filtrer les établissements par section et par libellé NAF', async () => {
+      const getData = sinon.stub(sourceManager, 'getData').resolves([]);
+
+      await resolvers.Query.sireneData(null, { query: { sectionNaf: 'j', limit: 10 } });
+      await resolvers.Query.sireneData(null, { query: { libelleNaf: 'boulangerie' } });
+
+      expect(getData.firstCall.args).to.deep.equal(['insee', { sectionNaf: 'J' }, { dataset: 'sirene', limit: 10, offset: 0 }]);
+      expect(getData.secondCall.args[1]).to.deep.equal({ 'activitePrincipaleNaf.code': { in: ['10.71B', '10.71C'] } });
+    });
+
+    it('devrait lire un établissement dans le jeu de données SIRENE de la source insee', async () => {
+      const getData = sinon.stub(sourceManager, 'getData').resolves([{ siret: '11111111100011', sectionNaf: 'J' }]);
+
+      expect(await resolvers.Query.sireneById(null, { siret: '11111111100011' })).to.include({ sectionNaf: 'J' });
+      expect(getData.firstCall.args).to.deep.equal(['insee', { siret: '11111111100011' }, { dataset: 'sirene', limit: 1 }]);
+    });
+
+    it('devrait exposer la nomenclature et l\'activité des enregistrements non enrichis', () => {
+      expect(resolvers.Query.naf(null, { code: '6201Z' })).to.include({ level: 'SOUS_CLASSE', code: '62.01Z' });
+      expect(resolvers.Query.nafNomenclature(null, { code: '62', limit: 2 }).map(activity => activity.code)).to.deep.equal(['62.01Z', '62.02A']);
+      expect(resolvers.UniteLegale.activitePrincipaleNaf({ activitePrincipaleUniteLegale: '62.01Z' })).to.include({ level: 'SOUS_CLASSE' });
+      expect(resolvers.Etablissement.activitePrincipaleNaf({ etablissement: { siret: '1', activitePrincipaleEtablissement: '01.11Z' } }).section.code).to.equal('A');
+    });
+  });
+});
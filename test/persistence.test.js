@@ -0,0 +1,190 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { MongoPersistence } from '../src/persistence/mongoPersistence.js';
+import { buildDatasetConfig } from '../src/sources/datasetConfig.js';
+
+describe('MongoPersistence', () => {
+  let persistence;
+  let model;
+
+  function sourceConfig(persistenceConfig) {
+    return { id: 'insee', persistence: { strategy: 'mongodb', collection: 'insee_test', ...persistenceConfig } };
+  }
+
+  beforeEach(() => {
+    model = {
+      collection: { name: 'insee_test' },
+      createIndex: sinon.stub().resolves(),
+      insertMany: sinon.stub().resolves({ insertedCount: 2 }),
+      bulkWrite: sinon.stub().resolves({ insertedCount: 0, upsertedCount: 1, matchedCount: 2, modifiedCount: 1 })
+    };
+    persistence = new MongoPersistence();
+    sinon.stub(persistence, 'getModel').returns(model);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should upsert on the declared primary key and report counts', async () => {
+    const result = await persistence.save(sourceConfig({ primaryKey: 'siret' }), [
+      { _id: 'stale', siret: '1', nom: 'A' },
+      { siret: '2', nom: 'B' },
+      { siret: '3', nom: 'C' }
+    ]);
+
+    expect(result).to.deep.equal({ insertedCount: 1, updatedCount: 1, unchangedCount: 1 });
+
+    const [operations, options] = model.bulkWrite.firstCall.args;
+    expect(options).to.deep.equal({ ordered: false });
+    expect(operations[0].updateOne.filter).to.deep.equal({ siret: '1' });
+    expect(operations[0].updateOne.update.$set).to.deep.equal({ siret: '1', nom: 'A' });
+    expect(operations[0].updateOne).to.include({ upsert: true, timestamps: false });
+  });
+
+  it('should fall back to the first unique index for a composite key', async () => {
+    await persistence.save(sourceConfig({
+      indexes: [
+        { fields: { date: 1 } },
+        { fields: { codeGeo: 1, indicateur: 1, date: 1 }, unique: true }
+      ]
+    }), { codeGeo: '29019', indicateur: 'POP', date: '2021', valeur: 142722 });
+
+    const [[operation]] = model.bulkWrite.firstCall.args;
+    expect(operation.updateOne.filter).to.deep.equal({ codeGeo: '29019', indicateur: 'POP', date: '2021' });
+  });
+
+  it('should insert documents lacking the natural key', async () => {
+    await persistence.save(sourceConfig({ primaryKey: 'siret' }), [{ siren: '123456789' }]);
+
+    const [[operation]] = model.bulkWrite.firstCall.args;
+    expect(operation.insertOne.document.siren).to.equal('123456789');
+  });
+
+  it('should keep plain inserts when no natural key is configured', async () => {
+    await persistence.save(sourceConfig({}), [{ a: 1 }, { a: 2 }]);
+
+    expect(model.bulkWrite.called).to.be.false;
+    expect(model.insertMany.calledOnce).to.be.true;
+  });
+
+  it('should translate the common query language to a MongoDB query', async () => {
+    const cursor = {
+      sort: sinon.stub().returnsThis(),
+      skip: sinon.stub().returnsThis(),
+      limit: sinon.stub().resolves([{ siret: '2' }])
+    };
+    model.find = sinon.stub().returns(cursor);
+
+    const results = await persistence.find(sourceConfig({}), {
+      effectif: { gte: 10, lt: 100 },
+      nom: { regex: '^boul', flags: 'i' },
+      fermeture: { exists: false }
+    }, { sort: '-dateCreation', offset: 20, limit: 10, projection: ['siret'] });
+
+    expect(results).to.deep.equal([{ siret: '2' }]);
+    expect(model.find.firstCall.args).to.deep.equal([{
+      effectif: { $gte: 10, $lt: 100 },
+      nom: { $regex: '^boul', $options: 'i' },
+      fermeture: { $exists: false }
+    }, { siret: 1 }]);
+    expect(cursor.sort.calledWith({ dateCreation: -1 })).to.be.true;
+    expect(cursor.skip.calledWith(20)).to.be.true;
+    expect(cursor.limit.calledWith(10)).to.be.true;
+  });
+
+  describe('history', () => {
+    let historyModel;
+    const history = { primaryKey: 'siret', history: { enabled: true, ignore: ['dateDernierTraitementEtablissement'] } };
+
+    function chain(result) {
+      return { sort: sinon.stub().returnsThis(), lean: sinon.stub().resolves(result) };
+    }
+
+    beforeEach(() => {
+      historyModel = {
+        collection: { name: 'insee_test_history' },
+        createIndex: sinon.stub().resolves(),
+        find: sinon.stub().returns(chain([
+          { _id: 'v1', siret: '1', version: 1, data: { siret: '1', activite: '62.01Z', dateDernierTraitementEtablissement: 'a' } },
+          { _id: 'v2', siret: '2', version: 3, data: { siret: '2', activite: '10.71C' } }
+        ])),
+        findOne: sinon.stub(),
+        bulkWrite: sinon.stub().resolves({}),
+        insertMany: sinon.stub().resolves([])
+      };
+      persistence.getModel.withArgs('insee_test_history').returns(historyModel);
+    });
+
+    it('should version changed and new records only', async () => {
+      const result = await persistence.save({ ...sourceConfig(history), runId: 'run-1' }, [
+        { siret: '1', activite: '62.02A', dateDernierTraitementEtablissement: 'b' },
+        { siret: '2', activite: '10.71C' },
+        { siret: '3', activite: '47.11B' }
+      ]);
+
+      expect(result.versionedCount).to.equal(2);
+
+      const [closed] = historyModel.bulkWrite.firstCall.args;
+      expect(closed).to.have.lengthOf(1);
+      expect(closed[0].updateOne.filter).to.deep.equal({ _id: 'v1' });
+
+      const [versions] = historyModel.insertMany.firstCall.args;
+      expect(versions.map(version => [version.siret, version.version, version.changedFields])).to.deep.equal([
+        ['1', 2, ['activite']],
+        ['3', 1, ['siret', 'activite']]
+      ]);
+      expect(versions[0]).to.include({ runId: 'run-1', validTo: null });
+    });
+
+    it('should find the version valid at a given date', async () => {
+      const query = chain({ data: { siret: '1', activite: '62.01Z' } });
+      historyModel.findOne.returns(query);
+
+      const result = await persistence.findAsOf(sourceConfig(history), { siret: '1', activite: '62.01Z' }, '2024-01-01');
+
+      expect(result).to.deep.equal({ siret: '1', activite: '62.01Z' });
+      const [filter] = historyModel.findOne.firstCall.args;
+      expect(filter).to.include({ siret: '1', 'data.activite': '62.01Z' });
+      expect(filter.validFrom.$lte).to.deep.equal(new Date('2024-01-01'));
+    });
+
+    it('should refuse history queries when history is disabled', async () => {
+      try {
+        await persistence.getHistory(sourceConfig({ primaryKey: 'siret' }), { siret: '1' });
+        expect.fail('Devrait avoir levé une erreur');
+      } catch (error) {
+        expect(error.message).to.include('Historique non activé');
+      }
+    });
+  });
+
+  it('should derive a unique index from a composite primary key', () => {
+    const config = buildDatasetConfig({
+      id: 'insee',
+      persistence: {
+        strategies: { primary: 'mongodb' },
+        collections: { donneesLocales: { primaryKey: ['codeGeo', 'indicateur', 'date'] } }
+      }
+    }, 'donneesLocales');
+
+    expect(config.persistence.indexes[0]).to.deep.equal({
+      fields: { codeGeo: 1, indicateur: 1, date: 1 },
+      unique: true
+    });
+  });
+
+  it('should expire a dataset with the TTL declared on its collection', async () => {
+    const config = buildDatasetConfig({
+      id: 'insee',
+      persistence: {
+        strategies: { primary: 'mongodb' },
+        collections: { sirene: { name: 'insee_test', ttl: { enabled: true, days: 30 } } }
+      }
+    }, 'sirene');
+
+    await persistence.save(config, [{ siret: '1' }]);
+
+    expect(model.createIndex.calledWith({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60, background: true })).to.be.true;
+  });
+});
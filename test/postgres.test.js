@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import { newDb } from 'pg-mem';
+import { PostgresPersistence } from '../src/persistence/postgresPersistence.js';
+
+describe('PostgresPersistence', () => {
+  let persistence;
+  let pool;
+
+  const sourceConfig = {
+    id: 'insee',
+    persistence: {
+      strategy: 'postgres',
+      collection: 'insee_sirene',
+      primaryKey: 'siret',
+      indexes: [
+        { fields: { siret: 1 }, unique: true },
+        { fields: { 'adresse.codeCommune': 1 } }
+      ]
+    }
+  };
+
+  beforeEach(() => {
+    const db = newDb();
+    // pg-mem n'implémente pas les opérateurs d'expression régulière de PostgreSQL
+    for (const [operator, flags] of [['~', ''], ['~*', 'i']]) {
+      db.public.registerOperator({
+        operator,
+        left: 'text',
+        right: 'text',
+        returns: 'bool',
+        implementation: (value, pattern) => new RegExp(pattern, flags).test(value)
+      });
+    }
+    const { Pool } = db.adapters.createPg();
+    pool = new Pool();
+    persistence = new PostgresPersistence();
+    persistence.setPool(pool);
+  });
+
+  afterEach(async () => {
+    await pool.end();
+  });
+
+  it('should create the table with generated columns for the configured indexes', async () => {
+    await persistence.save(sourceConfig, [{ siret: '1', adresse: { codeCommune: '29019' } }]);
+
+    const result = await pool.query('SELECT siret, "adresse_codeCommune" FROM insee_sirene');
+    expect(result.rows).to.deep.equal([{ siret: '1', adresse_codeCommune: '29019' }]);
+  });
+
+  it('should upsert on the natural key and report counts', async () => {
+    await persistence.save(sourceConfig, [{ siret: '1', etat: 'A' }, { siret: '2', etat: 'A' }]);
+    const counts = await persistence.save(sourceConfig, [
+      { siret: '1', etat: 'A' },
+      { siret: '2', etat: 'F' },
+      { siret: '3', etat: 'A' }
+    ]);
+
+    expect(counts).to.deep.equal({ insertedCount: 1, updatedCount: 1, unchangedCount: 1 });
+    expect(await persistence.find(sourceConfig, {})).to.have.lengthOf(3);
+  });
+
+  it('should query and update through JSONB containment', async () => {
+    await persistence.save(sourceConfig, [{ siret: '1', etat: 'A' }, { siret: '2', etat: 'F' }]);
+
+    expect(await persistence.find(sourceConfig, { etat: 'F' })).to.deep.equal([{ siret: '2', etat: 'F' }]);
+
+    await persistence.update(sourceConfig, { siret: '1' }, { $set: { etat: 'F' } });
+    expect(await persistence.findOne(sourceConfig, { siret: '1' })).to.deep.equal({ siret: '1', etat: 'F' });
+
+    const upsert = await persistence.update(sourceConfig, { siret: '9' }, { $set: { etat: 'A' } });
+    expect(upsert.upsertedCount).to.equal(1);
+
+    expect(await persistence.find(sourceConfig, { etat: 'F' })).to.have.lengthOf(2);
+  });
+
+  it('should translate the common query language to SQL', async () => {
+    await persistence.save(sourceConfig, [
+      { siret: '1', effectif: 5, nom: 'Boulangerie Martin', adresse: { codeCommune: '29019' } },
+      { siret: '2', effectif: 50, nom: 'Garage Le Goff', adresse: { codeCommune: '29019' }, fermeture: '2023-01-01' },
+      { siret: '3', effectif: 200, nom: 'BOULANGERIE Kerné', adresse: { codeCommune: '29232' } }
+    ]);
+    const sirets = documents => documents.map(document => document.siret);
+
+    expect(sirets(await persistence.find(sourceConfig, { effectif: { gte: 10, lt: 200 } }))).to.deep.equal(['2']);
+    expect(sirets(await persistence.find(sourceConfig, { 'adresse.codeCommune': { in: ['29232'] } }))).to.deep.equal(['3']);
+    expect(sirets(await persistence.find(sourceConfig, { nom: { regex: '^boulangerie', flags: 'i' } }))).to.deep.equal(['1', '3']);
+    expect(sirets(await persistence.find(sourceConfig, { fermeture: { exists: false } }))).to.deep.equal(['1', '3']);
+
+    const page = await persistence.find(sourceConfig, {}, { sort: '-effectif', limit: 2, offset: 1, projection: ['siret'] });
+    expect(page).to.deep.equal([{ siret: '2' }, { siret: '1' }]);
+  });
+
+  it('should delete through JSONB containment', async () => {
+    const plainConfig = { id: 'insee', persistence: { strategy: 'postgres', collection: 'insee_bdm' } };
+    await persistence.save(plainConfig, [{ idBank: '1', etat: 'F' }, { idBank: '2', etat: 'A' }]);
+
+    const result = await persistence.delete(plainConfig, { etat: 'F' });
+
+    expect(result.deletedCount).to.equal(1);
+    expect(await persistence.find(plainConfig, {})).to.deep.equal([{ idBank: '2', etat: 'A' }]);
+  });
+
+  it('should translate a grouping pipeline to SQL', async () => {
+    await persistence.save(sourceConfig, [
+      { siret: '1', naf: '62.01Z', effectif: 10 },
+      { siret: '2', naf: '62.01Z', effectif: 30 },
+      { siret: '3', naf: '10.71C', effectif: 5 }
+    ]);
+
+    const result = await persistence.aggregate(sourceConfig, [
+      { $group: { _id: '$naf', count: { $sum: 1 }, effectif: { $avg: '$effectif' } } },
+      { $sort: { count: -1 } },
+      { $limit: 1 }
+    ]);
+
+    expect(result).to.deep.equal([{ _id: '62.01Z', count: 2, effectif: 20 }]);
+  });
+});
@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import {
+  QueryError,
+  parseQuery,
+  matchesQuery,
+  applyQueryOptions,
+  equalityDocument,
+  findPage
+} from '../src/persistence/query.js';
+
+describe('Query language', () => {
+  const etablissements = [
+    { siret: '1', effectif: 5, nom: 'Boulangerie Martin', adresse: { codeCommune: '29019' }, dateCreation: '2020-01-10' },
+    { siret: '2', effectif: 50, nom: 'Garage Le Goff', adresse: { codeCommune: '29019' }, fermeture: '2023-01-01' },
+    { siret: '3', effectif: 200, nom: 'BOULANGERIE Kerné', adresse: { codeCommune: '29232' }, dateCreation: '2022-03-15' }
+  ];
+
+  function select(filter, options) {
+    const query = parseQuery(filter, options);
+    return applyQueryOptions(etablissements.filter(document => matchesQuery(document, query)), query);
+  }
+
+  it('should normalize plain values, operators and MongoDB aliases', () => {
+    const query = parseQuery({
+      siret: '1',
+      effectif: { $gte: 10, lt: 100 },
+      nom: /^boul/i,
+      'adresse.codeCommune': { in: ['29019'] }
+    });
+
+    expect(query.conditions).to.deep.equal([
+      { field: 'siret', operator: 'eq', value: '1' },
+      { field: 'effectif', operator: 'gte', value: 10 },
+      { field: 'effectif', operator: 'lt', value: 100 },
+      { field: 'nom', operator: 'regex', value: '^boul', flags: 'i' },
+      { field: 'adresse.codeCommune', operator: 'in', value: ['29019'] }
+    ]);
+  });
+
+  it('should reject invalid filters and options', () => {
+    expect(() => parseQuery({ $where: 'true' })).to.throw(QueryError, /Champ de filtre invalide/);
+    expect(() => parseQuery({ effectif: { gte: 1, between: [1, 2] } })).to.throw(QueryError, /between/);
+    expect(() => parseQuery({ siret: { in: '1' } })).to.throw(QueryError, /attend une liste/);
+    expect(() => parseQuery({ nom: { regex: '(' } })).to.throw(QueryError, /Expression régulière invalide/);
+    expect(() => parseQuery({}, { limit: 0 })).to.throw(QueryError, /limit/);
+    expect(() => parseQuery({}, { cursor: 'nope' })).to.throw(QueryError, /Curseur invalide/);
+  });
+
+  it('should evaluate every operator in memory', () => {
+    const sirets = (filter) => select(filter).map(document => document.siret);
+
+    expect(sirets({ 'adresse.codeCommune': '29019', effectif: { gt: 10 } })).to.deep.equal(['2']);
+    expect(sirets({ siret: { nin: ['1', '2'] } })).to.deep.equal(['3']);
+    expect(sirets({ nom: { regex: 'boulangerie', flags: 'i' } })).to.deep.equal(['1', '3']);
+    expect(sirets({ fermeture: { exists: true } })).to.deep.equal(['2']);
+    expect(sirets({ dateCreation: { gte: new Date('2021-01-01') } })).to.deep.equal(['3']);
+    expect(sirets({ effectif: { ne: 5 } })).to.deep.equal(['2', '3']);
+  });
+
+  it('should sort, page and project results', () => {
+    expect(select({}, { sort: { effectif: 'desc' }, offset: 1, limit: 1, projection: ['siret', 'adresse.codeCommune'] }))
+      .to.deep.equal([{ siret: '2', adresse: { codeCommune: '29019' } }]);
+    // Les documents sans valeur de tri sont classés en dernier
+    expect(select({}, { sort: 'dateCreation' }).map(document => document.siret)).to.deep.equal(['1', '3', '2']);
+  });
+
+  it('should chain pages through opaque cursors', async () => {
+    const read = async (options) => select({}, options);
+
+    const first = await findPage(read, { limit: 2 });
+    const second = await findPage(read, { limit: 2, cursor: first.nextCursor });
+
+    expect(first.items.map(document => document.siret)).to.deep.equal(['1', '2']);
+    expect(second.items.map(document => document.siret)).to.deep.equal(['3']);
+    expect(second.nextCursor).to.be.null;
+  });
+
+  it('should seed upserts with the equality conditions only', () => {
+    expect(equalityDocument({ siret: '1', 'adresse.codeCommune': '29019', effectif: { gte: 10 } }))
+      .to.deep.equal({ siret: '1', adresse: { codeCommune: '29019' } });
+  });
+});
@@ -0,0 +1,209 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { RedisPersistence } from '../src/persistence/redisPersistence.js';
+
+// Client node-redis v4 minimal en mémoire
+class FakeRedisClient {
+  constructor() {
+    this.store = new Map();
+  }
+
+  async get(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  async mGet(keys) {
+    return keys.map(key => (typeof this.store.get(key) === 'string' ? this.store.get(key) : null));
+  }
+
+  async set(key, value) {
+    this.store.set(key, value);
+    return 'OK';
+  }
+
+  async setEx(key, ttl, value) {
+    return this.set(key, value);
+  }
+
+  async del(keys) {
+    return [].concat(keys).filter(key => this.store.delete(key)).length;
+  }
+
+  async exists(key) {
+    return this.store.has(key) ? 1 : 0;
+  }
+
+  async sAdd(key, member) {
+    if (!this.store.has(key)) this.store.set(key, new Set());
+    this.store.get(key).add(member);
+  }
+
+  async sRem(key, member) {
+    this.store.get(key)?.delete(member);
+  }
+
+  async sInter(keys) {
+    const [first, ...others] = keys.map(key => this.store.get(key) || new Set());
+    return [...first].filter(member => others.every(set => set.has(member)));
+  }
+
+  async zAdd(key, { score, value }) {
+    if (!this.store.has(key)) this.store.set(key, new Map());
+    this.store.get(key).set(value, score);
+  }
+
+  async zRem(key, members) {
+    for (const member of [].concat(members)) this.store.get(key)?.delete(member);
+  }
+
+  async zCard(key) {
+    return this.store.get(key)?.size || 0;
+  }
+
+  sorted(key) {
+    return [...(this.store.get(key) || new Map())]
+      .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || a.localeCompare(b));
+  }
+
+  async zRange(key, start, stop) {
+    const members = this.sorted(key).map(([member]) => member);
+    return members.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async zRangeByScore(key, min, max) {
+    const bound = (value, fallback) => {
+      const exclusive = String(value).startsWith('(');
+      const number = value === '-inf' || value === '+inf' ? fallback : Number(String(value).replace('(', ''));
+      return { number, exclusive };
+    };
+    const low = bound(min, -Infinity);
+    const high = bound(max, Infinity);
+    return this.sorted(key)
+      .filter(([, score]) => (low.exclusive ? score > low.number : score >= low.number))
+      .filter(([, score]) => (high.exclusive ? score < high.number : score <= high.number))
+      .map(([member]) => member);
+  }
+
+  async *scanIterator({ MATCH }) {
+    const prefix = MATCH.replace(/\*$/, '');
+    for (const key of [...this.store.keys()]) {
+      if (key.startsWith(prefix)) yield key;
+    }
+  }
+
+  multi() {
+    const commands = [];
+    const proxy = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [command, args] of commands) results.push(await this[command](...args));
+            return results;
+          };
+        }
+        return (...args) => {
+          commands.push([name, args]);
+          return proxy;
+        };
+      }
+    });
+    return proxy;
+  }
+}
+
+describe('RedisPersistence', () => {
+  let client;
+  let persistence;
+
+  const sourceConfig = {
+    id: 'insee-sirene',
+    persistence: {
+      strategy: 'redis',
+      collection: 'insee_sirene',
+      primaryKey: 'siret',
+      ttl: 3600,
+      indexes: [
+        { fields: { siret: 1 }, unique: true },
+        { fields: { codeCommune: 1 } },
+        { fields: { effectif: 1 } },
+        { fields: { dateCreation: 1 } }
+      ]
+    }
+  };
+
+  const etablissements = [
+    { siret: '1', codeCommune: '29019', effectif: 5, dateCreation: '2020-01-10', nom: 'A' },
+    { siret: '2', codeCommune: '29019', effectif: 50, dateCreation: '2021-06-01', nom: 'B' },
+    { siret: '3', codeCommune: '75056', effectif: 200, dateCreation: '2022-03-15', nom: 'C' }
+  ];
+
+  beforeEach(async () => {
+    client = new FakeRedisClient();
+    persistence = new RedisPersistence();
+    persistence.setClient(client);
+    await persistence.save(sourceConfig, etablissements);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('devrait indexer les documents sous leur clé naturelle', async () => {
+    expect(await client.get('insee_sirene:doc:1')).to.include('"nom":"A"');
+    expect(await client.sInter(['insee_sirene:idx:codeCommune:29019'])).to.have.members([
+      'insee_sirene:doc:1',
+      'insee_sirene:doc:2'
+    ]);
+    expect(await client.zCard('insee_sirene:all')).to.equal(3);
+  });
+
+  it('devrait filtrer par égalité et par intervalle sans parcourir les clés', async () => {
+    const scan = sinon.spy(client, 'scanIterator');
+
+    const byCommune = await persistence.find(sourceConfig, { codeCommune: '29019', effectif: { $gte: 10 } });
+    const byDate = await persistence.find(sourceConfig, { dateCreation: { $gt: '2020-12-31', $lte: '2022-03-15' } });
+
+    expect(byCommune.map(document => document.siret)).to.deep.equal(['2']);
+    expect(byDate.map(document => document.siret)).to.deep.equal(['2', '3']);
+    expect(scan.called).to.be.false;
+  });
+
+  it('devrait paginer les résultats', async () => {
+    const firstPage = await persistence.find(sourceConfig, {}, { limit: 2 });
+    const secondPage = await persistence.find(sourceConfig, {}, { limit: 2, offset: 2 });
+    const filtered = await persistence.find(sourceConfig, { codeCommune: '29019' }, { limit: 1, offset: 1 });
+
+    expect(firstPage.map(document => document.siret)).to.deep.equal(['1', '2']);
+    expect(secondPage.map(document => document.siret)).to.deep.equal(['3']);
+    expect(filtered.map(document => document.siret)).to.deep.equal(['2']);
+  });
+
+  it('devrait réindexer un document mis à jour', async () => {
+    const result = await persistence.update(sourceConfig, { siret: '1' }, { $set: { codeCommune: '75056' } });
+
+    expect(result.modifiedCount).to.equal(1);
+    expect(await persistence.find(sourceConfig, { codeCommune: '29019' })).to.have.lengthOf(1);
+    expect((await persistence.find(sourceConfig, { codeCommune: '75056' })).map(document => document.siret))
+      .to.have.members(['1', '3']);
+  });
+
+  it('devrait supprimer les documents et leurs entrées d\'index', async () => {
+    const result = await persistence.delete(sourceConfig, { codeCommune: '29019' });
+
+    expect(result.deletedCount).to.equal(2);
+    expect(await client.sInter(['insee_sirene:idx:codeCommune:29019'])).to.be.empty;
+    expect(await client.zCard('insee_sirene:all')).to.equal(1);
+
+    expect((await persistence.delete(sourceConfig, {})).deletedCount).to.equal(1);
+    expect([...client.store.keys()].filter(key => key.startsWith('insee_sirene:'))).to.be.empty;
+  });
+
+  it('devrait ignorer les documents expirés encore référencés par les index', async () => {
+    await client.del('insee_sirene:doc:2');
+
+    const results = await persistence.find(sourceConfig, { codeCommune: '29019' });
+
+    expect(results.map(document => document.siret)).to.deep.equal(['1']);
+  });
+});
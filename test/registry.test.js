@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Joi from 'joi';
+import { ConnectorRegistry } from '../src/sources/ConnectorRegistry.js';
+
+describe('ConnectorRegistry', () => {
+  let registry;
+
+  class ValidConnector {
+    static type = 'valid';
+    static capabilities = ['harvest'];
+    static configSchema = Joi.object({ baseUrl: Joi.string().uri().required() });
+
+    async harvest() {}
+    async getData() {}
+    async getDataById() {}
+    async updateData() {}
+    async deleteData() {}
+  }
+
+  beforeEach(() => {
+    registry = new ConnectorRegistry();
+  });
+
+  it('should register a connector satisfying the contract', () => {
+    registry.register(ValidConnector);
+
+    expect(registry.has('valid')).to.be.true;
+    expect(registry.get('valid')).to.equal(ValidConnector);
+    expect(registry.list()[0]).to.include({ type: 'valid', origin: 'builtin' });
+  });
+
+  it('should reject a connector missing contract members', () => {
+    class IncompleteConnector {
+      static type = 'incomplete';
+      async harvest() {}
+    }
+
+    expect(() => registry.register(IncompleteConnector))
+      .to.throw(/configSchema.*getData\(\)/);
+    expect(registry.has('incomplete')).to.be.false;
+  });
+
+  it('should reject a duplicate connector type', () => {
+    class OtherConnector extends ValidConnector {}
+
+    registry.register(ValidConnector);
+    expect(() => registry.register(OtherConnector)).to.throw(/already registered/);
+  });
+
+  it('should discover the built-in connectors from src/sources', async () => {
+    await registry.discover();
+
+    expect(registry.has('insee')).to.be.true;
+    expect(registry.has('assemblee')).to.be.true;
+    expect(registry.has('rest')).to.be.true;
+  });
+
+  it('should discover plugins and record rejected modules', async () => {
+    const pluginsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gdh-plugins-'));
+    const joiUrl = new URL('../node_modules/joi/lib/index.js', import.meta.url).href;
+
+    await fs.mkdir(path.join(pluginsDir, 'demo'));
+    await fs.writeFile(path.join(pluginsDir, 'demo', 'index.js'), `
+      import Joi from '${joiUrl}';
+      export default class DemoConnector {
+        static type = 'demo';
+        static capabilities = ['harvest'];
+        static configSchema = Joi.object();
+        async harvest() {}
+        async getData() {}
+        async getDataById() {}
+        async updateData() {}
+        async deleteData() {}
+      }
+    `);
+    await fs.mkdir(path.join(pluginsDir, 'broken'));
+    await fs.writeFile(path.join(pluginsDir, 'broken', 'index.js'), 'export const connector = class {};');
+
+    try {
+      await registry.discover({ pluginsDir, packages: ['greendata-connector-missing'] });
+
+      expect(registry.list().find(connector => connector.type === 'demo').origin).to.equal('plugin');
+      expect(registry.rejected.map(rejection => rejection.origin))
+        .to.have.members(['plugin', 'package:greendata-connector-missing']);
+    } finally {
+      await fs.rm(pluginsDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should validate a source configuration against the connector schema', () => {
+    registry.register(ValidConnector);
+
+    expect(registry.validateConfig('valid', { connection: { baseUrl: 'https://example.com' } }).valid).to.be.true;
+
+    const result = registry.validateConfig('valid', { connection: {} });
+    expect(result.valid).to.be.false;
+    expect(result.errors[0]).to.include('baseUrl');
+  });
+});
@@ -0,0 +1,196 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import nock from 'nock';
+import { GenericRestConnector } from '../src/sources/rest/index.js';
+import { GenericRestClient, parseLinkHeader } from '../src/sources/rest/client.js';
+import { queryJsonPath } from '../src/utils/jsonPath.js';
+
+describe('Generic REST Connector', () => {
+  let mockPersistenceManager;
+
+  function sourceConfig(endpoint, connection = {}) {
+    return {
+      id: 'ademe',
+      name: 'ademe',
+      type: 'rest',
+      connection: {
+        connector: 'rest',
+        baseUrl: 'https://api.example.fr',
+        endpoints: { lignes: endpoint },
+        ...connection
+      },
+      persistence: {
+        strategies: { primary: 'mongodb' },
+        collections: {
+          lignes: { name: 'ademe_lignes', primaryKey: 'id' }
+        }
+      }
+    };
+  }
+
+  async function collect(client, endpoint) {
+    const pages = [];
+    for await (const records of client.paginate(endpoint)) {
+      pages.push(records.map(record => record.id));
+    }
+    return pages;
+  }
+
+  beforeEach(() => {
+    mockPersistenceManager = {
+      save: sinon.stub().resolves({ insertedCount: 1 }),
+      find: sinon.stub().resolves([]),
+      findOne: sinon.stub().resolves(null),
+      update: sinon.stub().resolves({ modifiedCount: 1 }),
+      delete: sinon.stub().resolves({ deletedCount: 1 })
+    };
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    sinon.restore();
+  });
+
+  describe('JSONPath', () => {
+    it('devrait résoudre les chemins simples, indexés et génériques', () => {
+      const data = { data: { items: [{ id: 1, tags: ['a'] }, { id: 2, tags: ['b'] }] }, 'next-page': 'x' };
+
+      expect(queryJsonPath(data, '$.data.items[1].id')).to.deep.equal([2]);
+      expect(queryJsonPath(data, '$.data.items[*].id')).to.deep.equal([1, 2]);
+      expect(queryJsonPath(data, "$['next-page']")).to.deep.equal(['x']);
+      expect(queryJsonPath(data, '$.missing.path')).to.deep.equal([]);
+      expect(() => queryJsonPath(data, '$..id')).to.throw(/non supportée/);
+    });
+  });
+
+  describe('GenericRestClient', () => {
+    it('devrait paginer par numéro de page', async () => {
+      const client = new GenericRestClient({ baseUrl: 'https://api.example.fr' });
+      nock('https://api.example.fr').get('/items').query({ page: 1, size: 2 })
+        .reply(200, { results: [{ id: 1 }, { id: 2 }] });
+      nock('https://api.example.fr').get('/items').query({ page: 2, size: 2 })
+        .reply(200, { results: [{ id: 3 }] });
+
+      const pages = await collect(client, {
+        path: '/items',
+        recordPath: '$.results',
+        pagination: { type: 'page', size: 2 }
+      });
+
+      expect(pages).to.deep.equal([[1, 2], [3]]);
+    });
+
+    it('devrait paginer par offset', async () => {
+      const client = new GenericRestClient({ baseUrl: 'https://api.example.fr' });
+      nock('https://api.example.fr').get('/items').query({ start: 0, rows: 2 })
+        .reply(200, [{ id: 1 }, { id: 2 }]);
+      nock('https://api.example.fr').get('/items').query({ start: 2, rows: 2 })
+        .reply(200, []);
+
+      const pages = await collect(client, {
+        path: '/items',
+        pagination: { type: 'offset', size: 2, offsetParam: 'start', limitParam: 'rows' }
+      });
+
+      expect(pages).to.deep.equal([[1, 2]]);
+    });
+
+    it('devrait paginer par curseur', async () => {
+      const client = new GenericRestClient({ baseUrl: 'https://api.example.fr' });
+      nock('https://api.example.fr').get('/items').query({ cursor: '*' })
+        .reply(200, { items: [{ id: 1 }], meta: { next: 'abc' } });
+      nock('https://api.example.fr').get('/items').query({ cursor: 'abc' })
+        .reply(200, { items: [{ id: 2 }], meta: { next: 'abc' } });
+
+      const pages = await collect(client, {
+        path: '/items',
+        recordPath: '$.items',
+        pagination: { type: 'cursor', initialCursor: '*', cursorPath: '$.meta.next' }
+      });
+
+      expect(pages).to.deep.equal([[1], [2]]);
+    });
+
+    it('devrait suivre l\'en-tête Link', async () => {
+      const client = new GenericRestClient({ baseUrl: 'https://api.example.fr' });
+      nock('https://api.example.fr').get('/items')
+        .reply(200, [{ id: 1 }], { Link: '<https://api.example.fr/items?after=1>; rel="next"' });
+      nock('https://api.example.fr').get('/items').query({ after: 1 })
+        .reply(200, [{ id: 2 }]);
+
+      const pages = await collect(client, { path: '/items', pagination: { type: 'link' } });
+
+      expect(pages).to.deep.equal([[1], [2]]);
+    });
+
+    it('devrait respecter le nombre maximal de pages', async () => {
+      const client = new GenericRestClient({ baseUrl: 'https://api.example.fr' });
+      nock('https://api.example.fr').get('/items').query({ page: 1 })
+        .reply(200, [{ id: 1 }]);
+
+      const pages = await collect(client, { path: '/items', pagination: { type: 'page', maxPages: 1 } });
+
+      expect(pages).to.deep.equal([[1]]);
+    });
+
+    it('devrait transmettre une clé d\'API en paramètre de requête', async () => {
+      const client = new GenericRestClient({
+        baseUrl: 'https://api.example.fr',
+        authentication: { type: 'apiKey', in: 'query', name: 'apikey', key: 'secret' }
+      });
+      nock('https://api.example.fr').get('/items').query({ apikey: 'secret' }).reply(200, [{ id: 1 }]);
+
+      const pages = await collect(client, { path: '/items' });
+
+      expect(pages).to.deep.equal([[1]]);
+    });
+
+    it('devrait analyser un en-tête Link', () => {
+      expect(parseLinkHeader('<https://a/?p=2>; rel="next", <https://a/?p=9>; rel="last"'))
+        .to.deep.equal({ next: 'https://a/?p=2', last: 'https://a/?p=9' });
+    });
+  });
+
+  describe('GenericRestConnector', () => {
+    it('devrait valider la configuration déclarative', () => {
+      const { error } = GenericRestConnector.configSchema.validate(sourceConfig({
+        path: '/items',
+        pagination: { type: 'cursor' }
+      }).connection);
+
+      expect(error.message).to.include('cursorPath');
+    });
+
+    it('devrait sauvegarder chaque page et respecter la limite', async () => {
+      nock('https://api.example.fr').get('/lines').query({ q: 'paris', page: 1, size: 2 })
+        .reply(200, { results: [{ id: 1 }, { id: 2 }] });
+      nock('https://api.example.fr').get('/lines').query({ q: 'paris', page: 2, size: 2 })
+        .reply(200, { results: [{ id: 3 }, { id: 4 }] });
+
+      const connector = new GenericRestConnector(sourceConfig({
+        path: '/lines',
+        params: { q: 'paris' },
+        recordPath: '$.results',
+        pagination: { type: 'page', size: 2 }
+      }), mockPersistenceManager);
+
+      const result = await connector.harvest({ limit: 3 });
+
+      expect(result.datasets).to.deep.equal({ lignes: 3 });
+      expect(mockPersistenceManager.save.callCount).to.equal(2);
+      expect(mockPersistenceManager.save.secondCall.args[1]).to.deep.equal([{ id: 3 }]);
+
+      const [config] = mockPersistenceManager.save.firstCall.args;
+      expect(config.persistence.collection).to.equal('ademe_lignes');
+      expect(config.persistence.indexes[0]).to.deep.equal({ fields: { id: 1 }, unique: true });
+    });
+
+    it('devrait rechercher par clé primaire', async () => {
+      const connector = new GenericRestConnector(sourceConfig({ path: '/lines' }), mockPersistenceManager);
+
+      await connector.getDataById('42');
+
+      expect(mockPersistenceManager.findOne.firstCall.args[1]).to.deep.equal({ id: '42' });
+    });
+  });
+});
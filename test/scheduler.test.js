@@ -0,0 +1,182 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Scheduler } from '../src/scheduler/Scheduler.js';
+import { InseeConnector } from '../src/sources/insee/index.js';
+
+describe('Scheduler', () => {
+  let sourceManager;
+  let cron;
+  let sourceConfigs;
+  let scheduler;
+
+  function fakeCron() {
+    const scheduled = new Map();
+    return {
+      scheduled,
+      validate: expression => expression.split(' ').length === 5,
+      schedule: sinon.spy((expression, tick, options) => {
+        const handle = { expression, tick, options, stop: sinon.spy() };
+        scheduled.set(expression, handle);
+        return handle;
+      })
+    };
+  }
+
+  beforeEach(() => {
+    sourceConfigs = {
+      insee: {
+        id: 'insee',
+        schedule: {
+          tasks: {
+            bdm: { enabled: true, cron: '0 3 * * *', retryOnFailure: true, maxRetries: 2, retryDelayMs: 1, params: { seriesId: '001763852' } },
+            donneesLocales: { enabled: false, cron: '0 4 * * 0' },
+            healthCheck: { enabled: true, cron: '*/15 * * * *', retryOnFailure: false }
+          }
+        }
+      },
+      assemblee: {
+        id: 'assemblee',
+        schedule: {
+          timezone: 'America/Cayenne',
+          tasks: { deputes: { enabled: true, cron: 'every day' } }
+        }
+      }
+    };
+
+    sourceManager = {
+      configManager: {
+        configPath: 'config',
+        getGlobalConfig: () => ({ scheduler: { enabled: true, watch: false }, retry: { baseDelay: 1 } }),
+        getAllSourceConfigs: () => sourceConfigs
+      },
+      ensureInitialized: sinon.stub().resolves(),
+      reloadConfiguration: sinon.stub().resolves(),
+      harvestSourceById: sinon.stub().resolves({ runId: 'run-1', success: true }),
+      checkSourceHealth: sinon.stub().resolves({ status: 'healthy' }),
+      getHarvestRuns: sinon.stub().resolves({ items: [], nextCursor: null })
+    };
+    cron = fakeCron();
+    scheduler = new Scheduler(sourceManager, { cron });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    sinon.restore();
+  });
+
+  it('should schedule the enabled tasks of every schedule.json in their timezone', async () => {
+    await scheduler.start();
+
+    expect(cron.schedule.callCount).to.equal(2);
+    expect(cron.scheduled.get('0 3 * * *').options).to.deep.equal({ timezone: 'Europe/Paris' });
+
+    const jobs = await scheduler.getJobs();
+    const byId = Object.fromEntries(jobs.map(job => [job.id, job]));
+    expect(byId['insee:bdm']).to.include({ type: 'harvest', scheduled: true, maxAttempts: 3 });
+    expect(byId['insee:healthCheck']).to.include({ type: 'health', maxAttempts: 1 });
+    expect(byId['insee:donneesLocales']).to.include({ enabled: false, scheduled: false, nextRun: null });
+    expect(byId['assemblee:deputes']).to.include({ timezone: 'America/Cayenne', scheduled: false });
+    expect(byId['assemblee:deputes'].error).to.include('Invalid cron expression');
+  });
+
+  it('should reject a task whose params fail the connector task schema', async () => {
+    sourceConfigs.insee.type = 'insee';
+    sourceConfigs.insee.schedule.tasks.donneesLocales = { enabled: true, cron: '0 4 * * 0', retryOnFailure: true };
+    sourceManager.getConnector = sinon.stub().withArgs('insee').returns(InseeConnector);
+
+    await scheduler.start();
+
+    expect(cron.scheduled.has('0 4 * * 0')).to.be.false;
+    const [job] = (await scheduler.getJobs()).filter(({ id }) => id === 'insee:donneesLocales');
+    expect(job).to.include({ scheduled: false, nextRun: null });
+    expect(job.error).to.include('"indicatorId" is required');
+    try {
+      await scheduler.runJob('insee:donneesLocales');
+      expect.fail('the task should have been rejected');
+    } catch (error) {
+      expect(error.message).to.include('Invalid params');
+    }
+    expect(sourceManager.harvestSourceById.called).to.be.false;
+
+    sourceConfigs.insee.schedule.tasks.donneesLocales.params = { indicatorId: 'P21_POP', geoCodes: ['29232', '29019'] };
+    expect(scheduler.buildJobs(sourceConfigs).find(({ id }) => id === 'insee:donneesLocales').paramsError).to.be.null;
+  });
+
+  it('should compute the next run in the job timezone', async () => {
+    const [job] = scheduler.buildJobs({ insee: sourceConfigs.insee });
+
+    // 3 h à Paris en heure d'été correspond à 1 h UTC
+    const next = scheduler.getNextRun(job, new Date('2024-07-01T12:00:00Z'));
+
+    expect(next.toISOString()).to.equal('2024-07-02T01:00:00.000Z');
+  });
+
+  it('should harvest the dataset on each tick and retry failures', async () => {
+    sourceManager.harvestSourceById.onFirstCall().rejects(new Error('ECONNRESET'));
+    await scheduler.start();
+
+    await cron.scheduled.get('0 3 * * *').tick();
+
+    expect(sourceManager.harvestSourceById.callCount).to.equal(2);
+    expect(sourceManager.harvestSourceById.firstCall.args).to.deep.equal([
+      'insee',
+      { seriesId: '001763852', dataset: 'bdm', trigger: 'cron' }
+    ]);
+
+    const [job] = (await scheduler.getJobs()).filter(({ id }) => id === 'insee:bdm');
+    expect(job.lastRun).to.include({ status: 'success', attempts: 2, runId: 'run-1' });
+  });
+
+  it('should not retry tasks without retryOnFailure', async () => {
+    sourceManager.checkSourceHealth.rejects(new Error('timeout'));
+
+    const lastRun = await scheduler.runJob('insee:healthCheck');
+
+    expect(sourceManager.checkSourceHealth.calledOnceWith('insee')).to.be.true;
+    expect(lastRun).to.include({ status: 'failed', attempts: 1, error: 'timeout' });
+  });
+
+  it('should skip a tick while the previous run is still in progress', async () => {
+    let finish;
+    sourceManager.harvestSourceById.returns(new Promise(resolve => { finish = resolve; }));
+    await scheduler.start();
+
+    const first = scheduler.runJob('insee:bdm');
+    await scheduler.runJob('insee:bdm');
+    finish({ runId: 'run-2' });
+    await first;
+
+    expect(sourceManager.harvestSourceById.calledOnce).to.be.true;
+  });
+
+  it('should reschedule only the jobs changed by a configuration reload', async () => {
+    await scheduler.start();
+    const health = cron.scheduled.get('*/15 * * * *');
+    const bdm = cron.scheduled.get('0 3 * * *');
+
+    sourceConfigs.insee.schedule.tasks.bdm.cron = '30 3 * * *';
+    delete sourceConfigs.insee.schedule.tasks.healthCheck;
+    await scheduler.reload();
+
+    expect(sourceManager.reloadConfiguration.calledOnce).to.be.true;
+    expect(bdm.stop.calledOnce).to.be.true;
+    expect(health.stop.calledOnce).to.be.true;
+    expect(cron.scheduled.has('30 3 * * *')).to.be.true;
+    expect([...scheduler.jobs.keys()]).to.not.include('insee:healthCheck');
+  });
+
+  it('should read the last run from the harvest run log when it did not run in this process', async () => {
+    sourceManager.getHarvestRuns.resolves({
+      items: [{ runId: 'run-0', status: 'failed', startedAt: new Date('2024-07-01T01:00:00Z'), finishedAt: null }],
+      nextCursor: null
+    });
+
+    const [job] = (await scheduler.getJobs()).filter(({ id }) => id === 'insee:bdm');
+
+    expect(sourceManager.getHarvestRuns.firstCall.args).to.deep.equal([
+      { sourceId: 'insee', trigger: 'cron', 'params.dataset': 'bdm' },
+      { limit: 1 }
+    ]);
+    expect(job.lastRun).to.include({ runId: 'run-0', status: 'failed' });
+  });
+});
@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import { parseSdmxData, parseSdmxStructure, toBdmSeries } from '../src/sources/insee/sdmx.js';
+
+describe('SDMX', () => {
+  const structureSpecific = `<?xml version="1.0" encoding="UTF-8"?>
+<message:StructureSpecificData xmlns:message="http://www.sdmx.org/resources/sdmxml/schemas/v2_1/message">
+  <message:Header><message:ID>BDM</message:ID></message:Header>
+  <message:DataSet>
+    <Series IDBANK="001688370" FREQ="M" TITLE_FR="Indice des prix" LAST_UPDATE="2024-04-01" UNIT_MEASURE="SO" UNIT_MULT="0">
+      <Obs TIME_PERIOD="2024-03" OBS_VALUE="118.1" OBS_STATUS="P" OBS_QUAL="PROV"/>
+      <Obs TIME_PERIOD="2024-02" OBS_VALUE="117.9" OBS_STATUS="A" OBS_QUAL="DEF"/>
+      <Obs TIME_PERIOD="2024-01" OBS_VALUE="NaN" OBS_STATUS="O"/>
+    </Series>
+  </message:DataSet>
+</message:StructureSpecificData>`;
+
+  describe('parseSdmxData', () => {
+    it('devrait lire un message « structure specific » de la BDM', () => {
+      const [series] = parseSdmxData(structureSpecific);
+
+      expect(series.idBank).to.equal('001688370');
+      expect(series.attributes).to.include({ FREQ: 'M', TITLE_FR: 'Indice des prix', UNIT_MULT: '0' });
+      expect(series.observations.map(obs => obs.date)).to.deep.equal(['2024-01', '2024-02', '2024-03']);
+      expect(series.observations[0]).to.include({ value: null, status: 'O' });
+      expect(series.observations[2]).to.deep.equal({
+        date: '2024-03',
+        value: 118.1,
+        status: 'P',
+        attributes: { OBS_STATUS: 'P', OBS_QUAL: 'PROV' }
+      });
+    });
+
+    it('devrait lire un message générique', () => {
+      const [series] = parseSdmxData(`<message:GenericData xmlns:message="m" xmlns:generic="g">
+  <message:DataSet>
+    <generic:Series>
+      <generic:SeriesKey><generic:Value id="FREQ" value="T"/></generic:SeriesKey>
+      <generic:Attributes><generic:Value id="IDBANK" value="010565692"/></generic:Attributes>
+      <generic:Obs>
+        <generic:ObsDimension value="2023-Q4"/>
+        <generic:ObsValue value="7.5"/>
+        <generic:Attributes><generic:Value id="OBS_STATUS" value="A"/></generic:Attributes>
+      </generic:Obs>
+    </generic:Series>
+  </message:DataSet>
+</message:GenericData>`);
+
+      expect(series.idBank).to.equal('010565692');
+      expect(series.attributes.FREQ).to.equal('T');
+      expect(series.observations).to.deep.equal([{ date: '2023-Q4', value: 7.5, status: 'A', attributes: { OBS_STATUS: 'A' } }]);
+    });
+
+    it('devrait décoder les index d\'un message SDMX-JSON', () => {
+      const [series] = parseSdmxData({
+        dataSets: [{
+          series: {
+            '0': { attributes: [0], observations: { '0': [117.9, 0], '1': [118.1, 1] } }
+          }
+        }],
+        structure: {
+          dimensions: {
+            series: [{ id: 'FREQ', values: [{ id: 'M' }] }],
+            observation: [{ id: 'TIME_PERIOD', values: [{ id: '2024-02' }, { id: '2024-03' }] }]
+          },
+          attributes: {
+            series: [{ id: 'IDBANK', values: [{ id: '001688370' }] }],
+            observation: [{ id: 'OBS_STATUS', values: [{ id: 'A' }, { id: 'P' }] }]
+          }
+        }
+      });
+
+      expect(series.idBank).to.equal('001688370');
+      expect(series.observations.map(obs => [obs.date, obs.value, obs.status]))
+        .to.deep.equal([['2024-02', 117.9, 'A'], ['2024-03', 118.1, 'P']]);
+    });
+
+    it('devrait signaler un message d\'erreur SDMX', () => {
+      expect(() => parseSdmxData('<message:Error xmlns:message="m"><message:ErrorMessage code="100">No results found</message:ErrorMessage></message:Error>'))
+        .to.throw('No results found');
+    });
+  });
+
+  describe('parseSdmxStructure', () => {
+    const structure = parseSdmxStructure(`<message:Structure xmlns:message="m" xmlns:str="s" xmlns:com="c">
+  <message:Structures>
+    <str:Dataflows>
+      <str:Dataflow id="IPC-2015" agencyID="FR1" version="1.0">
+        <com:Name xml:lang="en">Consumer price index</com:Name>
+        <com:Name xml:lang="fr">Indice des prix à la consommation</com:Name>
+        <str:Structure><Ref id="IPC-2015" class="DataStructure"/></str:Structure>
+      </str:Dataflow>
+    </str:Dataflows>
+    <str:Codelists>
+      <str:Codelist id="CL_PERIODICITE">
+        <com:Name xml:lang="fr">Périodicité</com:Name>
+        <str:Code id="M"><com:Name xml:lang="fr">Mensuelle</com:Name></str:Code>
+        <str:Code id="T"><com:Name xml:lang="fr">Trimestrielle</com:Name></str:Code>
+      </str:Codelist>
+    </str:Codelists>
+    <str:DataStructures>
+      <str:DataStructure id="IPC-2015">
+        <str:DataStructureComponents>
+          <str:DimensionList>
+            <str:Dimension id="FREQ" position="1">
+              <str:LocalRepresentation><str:Enumeration><Ref id="CL_PERIODICITE"/></str:Enumeration></str:LocalRepresentation>
+            </str:Dimension>
+          </str:DimensionList>
+          <str:AttributeList>
+            <str:Attribute id="OBS_STATUS"/>
+          </str:AttributeList>
+        </str:DataStructureComponents>
+      </str:DataStructure>
+    </str:DataStructures>
+  </message:Structures>
+</message:Structure>`);
+
+    it('devrait lire les flux, listes de codes et structures', () => {
+      expect(structure.dataflows).to.deep.equal([{
+        id: 'IPC-2015',
+        agencyId: 'FR1',
+        version: '1.0',
+        name: 'Indice des prix à la consommation',
+        structure: 'IPC-2015'
+      }]);
+      expect(structure.codelists[0].codes).to.deep.equal([{ id: 'M', name: 'Mensuelle' }, { id: 'T', name: 'Trimestrielle' }]);
+      expect(structure.dataStructures[0].dimensions).to.deep.equal([{ id: 'FREQ', position: 1, codelist: 'CL_PERIODICITE' }]);
+      expect(structure.dataStructures[0].attributes).to.deep.equal([{ id: 'OBS_STATUS', codelist: undefined }]);
+    });
+
+    it('devrait traduire les codes de la série avec la structure du flux', () => {
+      const [series] = parseSdmxData(structureSpecific);
+
+      const { metadata, values } = toBdmSeries(series, { dataflow: 'IPC-2015/M', structure });
+
+      expect(metadata).to.include({ id: '001688370', title: 'Indice des prix', frequency: 'Mensuelle', lastUpdate: '2024-04-01' });
+      expect(metadata.labels).to.deep.equal({ FREQ: 'Mensuelle' });
+      expect(values).to.have.lengthOf(3);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { SireneSearchIndex, normalizeText, tokenize, editDistance } from '../src/sources/insee/search.js';
+import { InseeConnector } from '../src/sources/insee/index.js';
+import { decodeCursor } from '../src/persistence/query.js';
+import resolvers from '../graphql/resolvers.js';
+import { sourceManager } from '../src/sources/index.js';
+
+function etablissement(siret, denomination, { sigle, enseigne, commune = '29232', ville = 'QUIMPER', naf = '10.71C', etat = 'A', tranche = '11' } = {}) {
+  return {
+    siret,
+    siren: siret.slice(0, 9),
+    uniteLegale: { siren: siret.slice(0, 9), denominationUniteLegale: denomination, sigleUniteLegale: sigle, activitePrincipaleUniteLegale: naf, trancheEffectifsUniteLegale: tranche },
+    adresseEtablissement: { numeroVoieEtablissement: '12', typeVoieEtablissement: 'RUE', libelleVoieEtablissement: 'DE LA PAIX', codePostalEtablissement: `${commune.slice(0, 2)}000`, libelleCommuneEtablissement: ville, codeCommuneEtablissement: commune },
+    periodesEtablissement: [{ dateFin: null, etatAdministratifEtablissement: etat, enseigne1Etablissement: enseigne }]
+  };
+}
+
+const records = [
+  etablissement('11111111100011', 'BOULANGERIE DUPONT', { enseigne: 'AU BON PAIN' }),
+  etablissement('22222222200022', 'SOCIETE GENERALE', { sigle: 'SG', commune: '75109', ville: 'PARIS', naf: '64.19Z', tranche: '53' }),
+  etablissement('33333333300033', 'Société Générale de Boulangerie', { commune: '69381', ville: 'LYON', etat: 'F' }),
+  etablissement('44444444400044', 'DUPOND ET FILS', { commune: '29019', ville: 'BREST', naf: '43.22A' })
+];
+
+describe('Recherche d\'entreprises SIRENE', () => {
+  afterEach(() => {
+    sinon.restore();
+    sourceManager.searchIndexes.clear();
+  });
+
+  describe('texte', () => {
+    it('devrait normaliser sans accents et ignorer les mots vides', () => {
+      expect(normalizeText('Société Générale – L\'Œil')).to.equal('societe generale l il');
+      expect(tokenize('Boulangerie de la Gare')).to.deep.equal(['boulangerie', 'gare']);
+      expect(tokenize('de la')).to.deep.equal(['de', 'la']);
+    });
+
+    it('devrait compter une transposition comme une seule faute', () => {
+      expect(editDistance('genrale', 'generale')).to.equal(1);
+      expect(editDistance('boulagnerie', 'boulangerie')).to.equal(1);
+      expect(editDistance('dupont', 'durand', 1)).to.equal(2);
+    });
+  });
+
+  describe('SireneSearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+      index = new SireneSearchIndex().add(records);
+    });
+
+    it('devrait retrouver une dénomination malgré accents, fautes et saisie incomplète', () => {
+      expect(index.search('sociéte genrale').hits.map(hit => hit.siret)).to.deep.equal(['22222222200022', '33333333300033']);
+      expect(index.search('boulagnerie').total).to.equal(2);
+      expect(index.search('socie').total).to.equal(2);
+      expect(index.search('SG').hits[0]).to.include({ siret: '22222222200022', sigle: 'SG' });
+      expect(index.search('bon pain').hits[0]).to.include({ siret: '11111111100011', enseigne: 'AU BON PAIN' });
+      expect(index.search('dupont', { fuzzy: false }).total).to.equal(1);
+      expect(index.search('inconnu').total).to.equal(0);
+    });
+
+    it('devrait classer la dénomination avant l\'adresse et la correspondance exacte avant la faute', () => {
+      const dupont = index.search('dupont').hits;
+      expect(dupont.map(hit => hit.denomination)).to.deep.equal(['BOULANGERIE DUPONT', 'DUPOND ET FILS']);
+      expect(dupont[0].score).to.be.greaterThan(dupont[1].score);
+
+      index.add(etablissement('55555555500055', 'BOULANGERIE DE LA PAIX', { commune: '29019', ville: 'BREST' }));
+      expect(index.search('paix').hits[0].siret).to.equal('55555555500055');
+    });
+
+    it('devrait filtrer et compter les facettes sur les résultats', () => {
+      const result = index.search('', { filters: { departement: '29' } });
+
+      expect(result.total).to.equal(2);
+      expect(result.facets.departement).to.deep.equal([{ value: '29', count: 2 }]);
+      expect(result.facets.sectionNaf).to.deep.equal([{ value: 'C', count: 1 }, { value: 'F', count: 1 }]);
+      expect(index.search('boulangerie', { filters: { etatAdministratif: ['A'] } }).hits.map(hit => hit.siret)).to.deep.equal(['11111111100011']);
+      expect(index.search('generale').facets.trancheEffectifs).to.deep.equal([{ value: '11', count: 1 }, { value: '53', count: 1 }]);
+    });
+
+    it('devrait remplacer un établissement indexé de nouveau', () => {
+      index.add(etablissement('44444444400044', 'MARTIN PLOMBERIE', { commune: '29019', ville: 'BREST', naf: '43.22A' }));
+
+      expect(index.size).to.equal(4);
+      expect(index.search('dupond', { fuzzy: false }).total).to.equal(0);
+      expect(index.search('martin').hits[0].siret).to.equal('44444444400044');
+    });
+  });
+
+  describe('InseeConnector', () => {
+    const createConnector = persistenceManager => new InseeConnector({
+      id: 'insee-sirene',
+      name: 'INSEE Sirene',
+      config: {
+        baseUrl: 'https://api.insee.fr/entreprises/sirene/V3',
+        authentication: { type: 'bearer', token: 'test-token' },
+        rateLimit: { requestsPerMinute: 30, requestsPerHour: 1000 }
+      },
+      persistence: { strategy: 'mongodb', collection: 'insee_sirene' }
+    }, persistenceManager);
+
+    it('devrait construire l\'index à partir des établissements sauvegardés, page par page', async () => {
+      const persistenceManager = { find: sinon.stub() };
+      persistenceManager.find.onFirstCall().resolves(records.slice(0, 2));
+      persistenceManager.find.onSecondCall().resolves(records.slice(2, 3));
+      const connector = createConnector(persistenceManager);
+
+      const index = await connector.buildSearchIndex({ pageSize: 2 });
+
+      expect(index.size).to.equal(3);
+      expect(persistenceManager.find.firstCall.args.slice(1)).to.deep.equal([{}, { sort: 'siret', limit: 2 }]);
+      expect(persistenceManager.find.secondCall.args.slice(1)).to.deep.equal([{ siret: { gt: records[1].siret } }, { sort: 'siret', limit: 2 }]);
+    });
+
+    it('devrait remplacer dans l\'index les établissements traités depuis le filigrane', async () => {
+      const persistenceManager = { find: sinon.stub().resolves([{ ...records[0], uniteLegale: { ...records[0].uniteLegale, denominationUniteLegale: 'PATISSERIE DUPONT' } }]) };
+      const connector = createConnector(persistenceManager);
+      const index = new SireneSearchIndex().add(records);
+
+      await connector.updateSearchIndex(index, { since: '2024-03-01T02:00:00' });
+
+      expect(persistenceManager.find.firstCall.args.slice(1)).to.deep.equal([
+        { dateDernierTraitementEtablissement: { gte: '2024-03-01T02:00:00' } },
+        { sort: 'siret', limit: 1000 }
+      ]);
+      expect(index.size).to.equal(4);
+      expect(index.search('patisserie').hits.map(hit => hit.siret)).to.deep.equal(['11111111100011']);
+      expect(index.search('boulangerie dupont', { fuzzy: false }).hits.map(hit => hit.siret)).to.not.include('11111111100011');
+    });
+  });
+
+  describe('SourceManager', () => {
+    it('devrait réutiliser l\'index jusqu\'à la récolte SIRENE suivante et joindre les établissements de la page', async () => {
+      const connector = {
+        buildSearchIndex: sinon.stub().callsFake(async () => new SireneSearchIndex().add(records)),
+        updateSearchIndex: sinon.stub().callsFake(async index => index),
+        getData: sinon.stub().callsFake(async ({ siret }) => records.filter(record => siret.in.includes(record.siret)))
+      };
+      const getCapableConnector = sinon.stub(sourceManager, 'getCapableConnector').resolves(connector);
+      const runs = [{ runId: 'run-1', status: 'success', startedAt: new Date('2024-03-01'), watermark: { dateDernierTraitement: '2024-03-01T02:00:00' } }];
+      const getHarvestRuns = sinon.stub(sourceManager, 'getHarvestRuns').callsFake(async ({ startedAt }) => ({
+        items: startedAt ? runs.filter(run => run.startedAt > startedAt.gt) : runs.slice(0, 1),
+        nextCursor: null
+      }));
+
+      const first = await sourceManager.searchEntreprises('generale', { limit: 1 });
+      const second = await sourceManager.searchEntreprises('generale', { limit: 1, cursor: first.nextCursor });
+
+      expect(getCapableConnector.firstCall.args).to.deep.equal(['insee', 'search']);
+      expect(connector.getData.firstCall.args[1]).to.include({ dataset: 'sirene' });
+      expect(first.hits[0].etablissement.siret).to.equal('22222222200022');
+      expect(decodeCursor(first.nextCursor)).to.equal(1);
+      expect(second.hits.map(hit => hit.siret)).to.deep.equal(['33333333300033']);
+      expect(second.nextCursor).to.be.null;
+      expect(connector.buildSearchIndex.calledOnce).to.be.true;
+      expect(getHarvestRuns.firstCall.args[0]).to.deep.equal({ sourceId: 'insee', 'params.dataset': 'sirene', status: { in: ['success', 'failed'] } });
+
+      // Une récolte incrémentale complète met l'index à jour sans le reconstruire
+      runs.unshift({ runId: 'run-2', status: 'success', startedAt: new Date('2024-03-02'), watermark: { dateDernierTraitement: '2024-03-02T02:00:00' } });
+      await sourceManager.searchEntreprises('generale');
+      expect(connector.buildSearchIndex.calledOnce).to.be.true;
+      expect(connector.updateSearchIndex.firstCall.args[1]).to.deep.equal({ since: '2024-03-01T02:00:00' });
+
+      // Une recherche ponctuelle, sans filigrane, impose une reconstruction
+      runs.unshift({ runId: 'run-3', status: 'success', startedAt: new Date('2024-03-03'), watermark: null });
+      await sourceManager.searchEntreprises('generale');
+      expect(connector.buildSearchIndex.calledTwice).to.be.true;
+      expect(connector.updateSearchIndex.calledOnce).to.be.true;
+    });
+
+  });
+
+  describe('GraphQL', () => {
+    it('devrait transmettre la requête, les filtres et la pagination', async () => {
+      const search = sinon.stub(sourceManager, 'searchEntreprises').resolves({ total: 0, hits: [], facets: {}, nextCursor: null });
+
+      await resolvers.Query.searchEntreprises(null, { query: 'boulangerie', filters: { sectionNaf: ['c'], departement: ['29'] }, limit: 10, offset: 0, fuzzy: true, sourceId: 'insee' });
+
+      expect(search.firstCall.args).to.deep.equal([
+        'boulangerie',
+        { filters: { sectionNaf: ['C'], departement: ['29'] }, limit: 10, offset: 0, cursor: undefined, fuzzy: true },
+        { sourceId: 'insee' }
+      ]);
+    });
+  });
+});
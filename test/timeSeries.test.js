@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+  parsePeriod,
+  convertFrequency,
+  rebase,
+  rollingMean,
+  growth,
+  transformSeries,
+  filterPeriods,
+  alignSeries
+} from '../src/utils/timeSeries.js';
+import resolvers from '../graphql/resolvers.js';
+import { sourceManager } from '../src/sources/index.js';
+
+const monthly = (year, values) => values.map((value, index) => ({
+  date: `${year}-${String(index + 1).padStart(2, '0')}`,
+  value
+}));
+
+describe('Séries temporelles', () => {
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('devrait lire les périodes SDMX', () => {
+    expect(parsePeriod('2024')).to.deep.equal({ frequency: 'A', year: 2024, index: 0 });
+    expect(parsePeriod('2024-Q3')).to.deep.equal({ frequency: 'Q', year: 2024, index: 2 });
+    expect(parsePeriod('2024-T3')).to.deep.equal({ frequency: 'Q', year: 2024, index: 2 });
+    expect(parsePeriod('2024-11')).to.deep.equal({ frequency: 'M', year: 2024, index: 10 });
+    expect(() => parsePeriod('2024-W01')).to.throw('Période non supportée');
+  });
+
+  it('devrait convertir une série mensuelle en trimestres complets', () => {
+    const points = monthly(2023, [1, 2, 3, 4, 5, 6, 7]);
+
+    expect(convertFrequency(points, 'Q', 'sum')).to.deep.equal([
+      { date: '2023-Q1', value: 6 },
+      { date: '2023-Q2', value: 15 }
+    ]);
+    expect(convertFrequency(points, 'Q', 'last').map(point => point.value)).to.deep.equal([3, 6]);
+    expect(() => convertFrequency(convertFrequency(points, 'Q'), 'M')).to.throw('Conversion impossible');
+  });
+
+  it('devrait rebaser sur la moyenne de l\'année de base', () => {
+    const points = [...monthly(2015, Array(12).fill(80)), { date: '2016-01', value: 100 }];
+
+    const rebased = rebase(points, '2015');
+
+    expect(rebased[0].value).to.equal(100);
+    expect(rebased[12].value).to.equal(125);
+    expect(() => rebase(points, '2010')).to.throw('Aucune observation');
+  });
+
+  it('devrait calculer une moyenne mobile sur des périodes consécutives', () => {
+    const points = [...monthly(2024, [1, 2, 3]), { date: '2024-05', value: 5 }];
+
+    expect(rollingMean(points, 2).map(point => point.value)).to.deep.equal([null, 1.5, 2.5, null]);
+  });
+
+  it('devrait calculer les évolutions sur la période et sur un an', () => {
+    const points = [...monthly(2023, [100, 110]), ...monthly(2024, [105, 115.5])];
+
+    expect(growth(points, 'period').map(point => point.value)).to.deep.equal([null, 10, null, 10]);
+    expect(growth(points, 'year').map(point => point.value)).to.deep.equal([null, null, 5, 5]);
+  });
+
+  it('devrait enchaîner fréquence puis évolution annuelle', () => {
+    const points = [...monthly(2022, Array(12).fill(10)), ...monthly(2023, Array(12).fill(11))];
+
+    const result = transformSeries(points, { frequency: 'A', aggregation: 'sum', growth: 'year' });
+
+    expect(result).to.deep.equal([{ date: '2022', value: null }, { date: '2023', value: 10 }]);
+  });
+
+  it('devrait filtrer les périodes qui recoupent l\'intervalle demandé', () => {
+    const points = [{ date: '2023', value: 1 }, { date: '2024', value: 2 }, { date: '2024-Q3', value: 3 }, { date: '2025-01', value: 4 }];
+
+    expect(filterPeriods(points, { startDate: '2024-06', endDate: '2024-12-31' }).map(point => point.value)).to.deep.equal([2, 3]);
+  });
+
+  it('devrait aligner des séries sur la fréquence la plus basse', () => {
+    const aligned = alignSeries([
+      { points: monthly(2024, [1, 2, 3, 4, 5, 6]) },
+      { points: [{ date: '2024-Q1', value: 7 }, { date: '2024-Q3', value: 8 }] }
+    ]);
+
+    expect(aligned.frequency).to.equal('Q');
+    expect(aligned.rows).to.deep.equal([{ date: '2024-Q1', values: [2, 7] }]);
+
+    const outer = alignSeries([
+      { points: [{ date: '2024-Q1', value: 1 }, { date: '2024-Q2', value: 2 }] },
+      { points: [{ date: '2024-Q1', value: 7 }, { date: '2024-Q3', value: 8 }] }
+    ], { join: 'outer' });
+    expect(outer.rows.map(row => row.values)).to.deep.equal([[1, 7], [2, null], [null, 8]]);
+  });
+
+  describe('GraphQL', () => {
+    beforeEach(() => {
+      sinon.stub(sourceManager, 'getData').resolves([
+        { idBank: '001', metadata: { title: 'Production', attributes: { FREQ: 'M' } }, data: [...monthly(2023, [100, 100, 100]), ...monthly(2024, [102, 103, 104])] },
+        { idBank: '002', metadata: { title: 'Prix' }, data: [{ date: '2023-Q1', value: 50 }, { date: '2024-Q1', value: 55 }] }
+      ]);
+    });
+
+    it('devrait appliquer les calculs avant de filtrer la période demandée', async () => {
+      const response = await resolvers.Query.bdmData(null, {
+        seriesId: '001',
+        startDate: '2024-01',
+        transform: { frequency: 'Q', aggregation: 'MEAN', growth: 'YEAR' }
+      });
+
+      expect(sourceManager.getData.firstCall.args[2]).to.include({ dataset: 'bdm' });
+      expect(response.frequency).to.equal('Q');
+      expect(response.data).to.deep.equal([{ date: '2024-Q1', value: 3 }]);
+    });
+
+    it('devrait aligner plusieurs séries sur un calendrier commun', async () => {
+      const response = await resolvers.Query.bdmAligned(null, {
+        seriesIds: ['002', '001'],
+        transform: { aggregation: 'MEAN' },
+        join: 'INNER'
+      });
+
+      expect(response.frequency).to.equal('Q');
+      expect(response.rows).to.deep.equal([
+        { date: '2023-Q1', values: [50, 100] },
+        { date: '2024-Q1', values: [55, 103] }
+      ]);
+    });
+  });
+});
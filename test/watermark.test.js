@@ -0,0 +1,73 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Joi from 'joi';
+import { SourceManager } from '../src/sources/index.js';
+import { WatermarkManager } from '../src/harvest/WatermarkManager.js';
+import { HarvestRunManager } from '../src/harvest/HarvestRunManager.js';
+
+describe('Incremental harvesting', () => {
+  let manager;
+  let harvest;
+  let mockPersistenceManager;
+
+  class WatermarkedConnector {
+    static type = 'watermarked';
+    static capabilities = ['harvest'];
+    static configSchema = Joi.object();
+
+    async harvest(params) { return harvest(params); }
+    async getData() {}
+    async getDataById() {}
+    async updateData() {}
+    async deleteData() {}
+  }
+
+  const sourceConfig = { id: 'demo', name: 'demo', type: 'watermarked' };
+
+  beforeEach(() => {
+    mockPersistenceManager = {
+      findOne: sinon.stub().resolves({ sourceId: 'demo', watermark: { cursor: '2024-01-01' } }),
+      update: sinon.stub().resolves({ modifiedCount: 1 }),
+      delete: sinon.stub().resolves({ deletedCount: 1 })
+    };
+    harvest = sinon.stub().resolves({ dataCount: 1, watermark: { cursor: '2024-02-01' }, success: true });
+
+    manager = new SourceManager();
+    manager.registry.register(WatermarkedConnector);
+    manager.persistenceManager = mockPersistenceManager;
+    manager.watermarkManager = new WatermarkManager(mockPersistenceManager);
+    manager.harvestRunManager = new HarvestRunManager({ save: sinon.stub().resolves(), update: sinon.stub().resolves() });
+    manager.initialized = true;
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass the stored watermark to the connector and save the new one', async () => {
+    await manager.harvestSource('demo', sourceConfig, { limit: 10 });
+
+    expect(harvest.firstCall.args[0]).to.deep.equal({ limit: 10, watermark: { cursor: '2024-01-01' } });
+
+    const [storeConfig, filter, update] = mockPersistenceManager.update.firstCall.args;
+    expect(storeConfig.persistence.collection).to.equal('harvest_watermarks');
+    expect(filter).to.deep.equal({ sourceId: 'demo' });
+    expect(update.$set.watermark).to.deep.equal({ cursor: '2024-02-01' });
+  });
+
+  it('should ignore the watermark on a full harvest', async () => {
+    await manager.harvestSource('demo', sourceConfig, { full: true });
+
+    expect(mockPersistenceManager.findOne.called).to.be.false;
+    expect(harvest.firstCall.args[0]).to.deep.equal({ watermark: null });
+    expect(mockPersistenceManager.update.calledOnce).to.be.true;
+  });
+
+  it('should keep the watermark when the connector returns none', async () => {
+    harvest.resolves({ dataCount: 0, success: true });
+
+    await manager.harvestSource('demo', sourceConfig, { force: true });
+
+    expect(mockPersistenceManager.update.called).to.be.false;
+  });
+});
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { sourceManager } from './src/sources/index.js';
+import { HarvestWorker } from './src/harvest/HarvestWorker.js';
+import logger from './src/utils/logger.js';
+
+// Processus worker : exécute les récoltes mises en file par l'API
+dotenv.config();
+
+let worker = null;
+
+async function startWorker() {
+  try {
+    await mongoose.connect(process.env.MONGO_URL || 'mongodb://localhost:27017/greendata');
+    logger.info('MongoDB connecté avec succès');
+    
+    await sourceManager.initialize();
+    
+    const { worker: workerConfig = {} } = sourceManager.configManager.getGlobalConfig()?.queue || {};
+    worker = new HarvestWorker(sourceManager.harvestQueue, sourceManager, {
+      ...workerConfig,
+      ...(process.env.WORKER_CONCURRENCY && { concurrency: Number(process.env.WORKER_CONCURRENCY) })
+    });
+    worker.start();
+  } catch (error) {
+    logger.error('Erreur lors du démarrage du worker', error);
+    process.exit(1);
+  }
+}
+
+// Arrêt propre : les récoltes en cours se terminent avant la fermeture des connexions
+async function shutdown(signal) {
+  logger.info(`Arrêt du worker (${signal})...`);
+  try {
+    await worker?.stop();
+    await sourceManager.close();
+    await mongoose.connection.close();
+    logger.info('Worker arrêté proprement');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Erreur lors de l\'arrêt du worker', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+startWorker();